@@ -0,0 +1,144 @@
+/**
+ * Accounts, sessions and request checks for the dashboard server.
+ *
+ * Passwords are stored as scrypt hashes and API tokens as SHA-256 hashes, so
+ * the accounts file never holds a usable secret. Sessions live in memory and
+ * end when the server restarts.
+ */
+
+const crypto = require('crypto');
+
+// Lowest to highest; each role can do everything the ones before it can
+const ROLES = ['viewer', 'contributor', 'admin'];
+
+const SCRYPT_KEYLEN = 32;
+const TOKEN_PREFIX = 'hz_';
+
+function roleAtLeast(role, min) {
+	const have = ROLES.indexOf(role);
+	return have !== -1 && have >= ROLES.indexOf(min);
+}
+
+function randomToken(bytes = 24) {
+	return crypto.randomBytes(bytes).toString('base64url');
+}
+
+function safeEqual(a, b) {
+	const x = Buffer.from(String(a));
+	const y = Buffer.from(String(b));
+	return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+/** `scrypt$<salt>$<hash>` for storing a password. */
+function hashPassword(password) {
+	const salt = crypto.randomBytes(16).toString('base64url');
+	const hash = crypto.scryptSync(String(password), salt, SCRYPT_KEYLEN).toString('base64url');
+	return 'scrypt$' + salt + '$' + hash;
+}
+
+function verifyPassword(password, stored) {
+	const [scheme, salt, hash] = String(stored || '').split('$');
+	if (scheme !== 'scrypt' || !salt || !hash) return false;
+	return safeEqual(crypto.scryptSync(String(password), salt, SCRYPT_KEYLEN).toString('base64url'), hash);
+}
+
+/** A new API token: `{ token, hash }`. Only the hash is kept. */
+function createApiToken() {
+	const token = TOKEN_PREFIX + randomToken();
+	return { token, hash: hashApiToken(token) };
+}
+
+function hashApiToken(token) {
+	return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function parseCookies(header) {
+	const cookies = {};
+	for (const pair of String(header || '').split(';')) {
+		const eq = pair.indexOf('=');
+		if (eq === -1) continue;
+		const name = pair.slice(0, eq).trim();
+		try {
+			cookies[name] = decodeURIComponent(pair.slice(eq + 1).trim());
+		} catch {
+			// Ignore cookies we did not set
+		}
+	}
+	return cookies;
+}
+
+/**
+ * In-memory sessions with a sliding expiry. Each session carries its own
+ * CSRF token, which mutating requests must echo in a header.
+ */
+function createSessionStore({ ttlMs }) {
+	const sessions = new Map();
+
+	function sweep(now) {
+		for (const [id, s] of sessions) if (s.expires <= now) sessions.delete(id);
+	}
+
+	return {
+		create(user) {
+			const now = Date.now();
+			sweep(now);
+			const session = { id: randomToken(32), csrf: randomToken(), user, expires: now + ttlMs };
+			sessions.set(session.id, session);
+			return session;
+		},
+		get(id) {
+			const session = id && sessions.get(id);
+			if (!session) return null;
+			const now = Date.now();
+			if (session.expires <= now) {
+				sessions.delete(id);
+				return null;
+			}
+			session.expires = now + ttlMs;
+			return session;
+		},
+		destroy(id) {
+			sessions.delete(id);
+		},
+		// Ends every session of `name`, e.g. after their account was removed
+		destroyUser(name) {
+			for (const [id, s] of sessions) if (s.user.name === name) sessions.delete(id);
+		},
+	};
+}
+
+/**
+ * Counts failed logins per key (client address) and refuses further attempts
+ * for the rest of the window once `max` is reached.
+ */
+function createLoginLimiter({ max, windowMs }) {
+	const failures = new Map();
+	const entry = key => {
+		const now = Date.now();
+		let e = failures.get(key);
+		if (!e || e.reset <= now) {
+			e = { count: 0, reset: now + windowMs };
+			failures.set(key, e);
+		}
+		return e;
+	};
+	return {
+		blocked: key => entry(key).count >= max,
+		fail: key => { entry(key).count++; },
+		clear: key => { failures.delete(key); },
+	};
+}
+
+module.exports = {
+	ROLES,
+	roleAtLeast,
+	randomToken,
+	safeEqual,
+	hashPassword,
+	verifyPassword,
+	createApiToken,
+	hashApiToken,
+	parseCookies,
+	createSessionStore,
+	createLoginLimiter,
+};
@@ -0,0 +1,103 @@
+/**
+ * Works out what a mixed drop of files is: skins, specials or models, for
+ * which weapon, and which `_tex` texture goes with which model.
+ *
+ * Only paths are looked at. The weapon comes from the folders first (a
+ * weapon id or the last segment of its skin or model folder, innermost
+ * folder first), then from the words of the file name (`Rever_AWP.png`,
+ * `KurunamiAwp.glb`). Images under the special folder are specials. What
+ * cannot be settled is left for the user to pick, with an issue saying why.
+ */
+
+const path = require('path').posix;
+
+const IMAGE_RE = /\.(png|jpe?g|webp)$/i;
+const MODEL_RE = /\.glb$/i;
+const TEXTURE_SUFFIX = '_tex';
+
+// "KurunamiAWP" → ['kurunami', 'awp'], "rever-awp_2" → ['rever', 'awp', '2']
+function nameWords(stem) {
+	return stem.replace(/([a-z0-9])([A-Z])/g, '$1 $2').split(/[^A-Za-z0-9]+/).filter(Boolean).map(w => w.toLowerCase());
+}
+
+function lastSegment(folder) {
+	return String(folder || '').split('/').filter(Boolean).pop() || '';
+}
+
+// `{ weapon, via }` for a path, or `{ weapon: null, issue }`
+function detectWeapon(rel, weapons) {
+	const dirs = path.dirname(rel).split('/').filter(d => d && d !== '.').map(d => d.toLowerCase());
+	for (const dir of dirs.reverse()) {
+		const match = weapons.find(w => [w.id, lastSegment(w.skinFolder), lastSegment(w.modelFolder)].some(n => n.toLowerCase() === dir));
+		if (match) return { weapon: match.id, via: 'folder' };
+	}
+	const words = nameWords(path.basename(rel, path.extname(rel)));
+	const named = weapons.filter(w => words.includes(w.id.toLowerCase()));
+	if (named.length === 1) return { weapon: named[0].id, via: 'name' };
+	if (named.length > 1) return { weapon: null, issue: 'Name matches several weapons (' + named.map(w => w.id).join(', ') + ')' };
+	return { weapon: null, issue: 'No weapon in the folder or file name' };
+}
+
+function inFolder(rel, folder) {
+	const dirs = path.dirname(rel).toLowerCase().split('/');
+	return dirs.includes(String(folder).toLowerCase());
+}
+
+/**
+ * Plans an upload of `paths` (relative, forward slashes). Returns
+ * `{ items, unused }`: one item per asset to upload, `{ type, weapon, via,
+ * file, texture, issues }`, and `{ path, reason }` for every path left out.
+ */
+function planUploads(paths, { weapons, specialFolder }) {
+	const items = [];
+	const unused = [];
+	const models = new Map();
+	const textures = [];
+	const images = [];
+
+	for (const rel of paths) {
+		const stem = path.basename(rel, path.extname(rel));
+		if (MODEL_RE.test(rel)) {
+			const item = { type: 'model', weapon: null, via: null, file: rel, texture: null, issues: [] };
+			const found = detectWeapon(rel, weapons);
+			item.weapon = found.weapon;
+			item.via = found.via || null;
+			if (found.issue) item.issues.push(found.issue);
+			models.set(path.join(path.dirname(rel), stem).toLowerCase(), item);
+			items.push(item);
+		} else if (IMAGE_RE.test(rel) && stem.toLowerCase().endsWith(TEXTURE_SUFFIX)) {
+			textures.push(rel);
+		} else if (IMAGE_RE.test(rel)) {
+			images.push(rel);
+		} else {
+			unused.push({ path: rel, reason: 'Not an image or .glb file' });
+		}
+	}
+
+	for (const rel of textures) {
+		const stem = path.basename(rel, path.extname(rel));
+		const model = models.get(path.join(path.dirname(rel), stem.slice(0, -TEXTURE_SUFFIX.length)).toLowerCase());
+		if (!model) unused.push({ path: rel, reason: 'Texture without a model of the same name' });
+		else if (model.texture) unused.push({ path: rel, reason: model.file + ' already has a texture (' + model.texture + ')' });
+		else model.texture = rel;
+	}
+
+	for (const rel of images) {
+		const stem = path.basename(rel, path.extname(rel));
+		const model = models.get(path.join(path.dirname(rel), stem).toLowerCase());
+		if (model) {
+			unused.push({ path: rel, reason: 'Image named like the model ' + model.file + ' (rename it to ' + stem + TEXTURE_SUFFIX + ' to use it as the texture)' });
+			continue;
+		}
+		if (specialFolder && inFolder(rel, specialFolder)) {
+			items.push({ type: 'special', weapon: null, via: 'folder', file: rel, texture: null, issues: [] });
+			continue;
+		}
+		const found = detectWeapon(rel, weapons);
+		items.push({ type: 'skin', weapon: found.weapon, via: found.via || null, file: rel, texture: null, issues: found.issue ? [found.issue] : [] });
+	}
+
+	return { items, unused };
+}
+
+module.exports = { planUploads, nameWords };
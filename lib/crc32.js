@@ -0,0 +1,19 @@
+/**
+ * CRC-32 (IEEE 802.3), as used by PNG chunks and zip entries.
+ */
+
+const TABLE = new Int32Array(256);
+for (let n = 0; n < 256; n++) {
+	let c = n;
+	for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+	TABLE[n] = c;
+}
+
+/** CRC of `buf`, optionally continuing from a previous `crc`. */
+function crc32(buf, crc = 0) {
+	let c = ~crc;
+	for (let i = 0; i < buf.length; i++) c = TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+	return ~c >>> 0;
+}
+
+module.exports = { crc32 };
@@ -0,0 +1,42 @@
+/**
+ * Pull requests through a forge's REST API.
+ *
+ * Speaks GitHub's shape (`POST /repos/{owner}/{repo}/pulls`), which Gitea and
+ * Forgejo accept as well. `apiUrl` can point at ./mock-forge for testing.
+ */
+
+class ForgeError extends Error {
+	constructor(message, status = null) {
+		super(message);
+		this.status = status;
+	}
+}
+
+/** Opens a pull request of `head` into `base`. Returns `{ number, url }`. */
+async function createPullRequest({ apiUrl, repo }, token, { title, body, head, base }) {
+	const url = apiUrl.replace(/\/+$/, '') + '/repos/' + repo + '/pulls';
+	let res;
+	try {
+		res = await fetch(url, {
+			method: 'POST',
+			headers: {
+				Accept: 'application/vnd.github+json',
+				Authorization: 'Bearer ' + token,
+				'Content-Type': 'application/json',
+				'User-Agent': 'haze-store-manager',
+			},
+			body: JSON.stringify({ title, body, head, base }),
+		});
+	} catch (err) {
+		throw new ForgeError('Cannot reach the forge at ' + apiUrl + ': ' + (err.cause ? err.cause.message : err.message));
+	}
+	const data = await res.json().catch(() => ({}));
+	if (!res.ok) {
+		const details = (data.errors || []).map(e => e.message || e.code).filter(Boolean);
+		throw new ForgeError('The forge refused the pull request (' + res.status + '): ' +
+			(data.message || res.statusText) + (details.length ? ' — ' + details.join('; ') : ''), res.status);
+	}
+	return { number: data.number, url: data.html_url };
+}
+
+module.exports = { ForgeError, createPullRequest };
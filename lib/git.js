@@ -0,0 +1,63 @@
+/**
+ * Thin wrapper around the git command line.
+ *
+ * git is run with an argument array, never through a shell, so paths, branch
+ * names and commit messages need no quoting. A failing command raises
+ * GitError carrying git's own stderr.
+ */
+
+const { execFileSync } = require('child_process');
+
+class GitError extends Error {
+	constructor(message, { args = [], stderr = '', status = null } = {}) {
+		super(message);
+		this.args = args;
+		this.stderr = stderr;
+		this.status = status;
+	}
+}
+
+const MAX_OUTPUT = 64 * 1024 * 1024;
+
+/** Runs `git <args>` in `cwd` and returns its stdout. */
+function runGit(cwd, args) {
+	try {
+		return execFileSync('git', args, { cwd, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'pipe'], maxBuffer: MAX_OUTPUT });
+	} catch (err) {
+		if (err.code === 'ENOENT') throw new GitError('git is not installed or not on the PATH', { args });
+		const stderr = String(err.stderr || '').trim();
+		const stdout = String(err.stdout || '').trim();
+		throw new GitError(stderr || stdout || err.message, { args, stderr, status: err.status });
+	}
+}
+
+/**
+ * Parses `git status --porcelain=v1 -z` into `[{ path, from, index, worktree,
+ * change }]`. `from` is the old path of a rename; `change` is one of added,
+ * modified, deleted, renamed or conflict.
+ */
+function parseStatus(out) {
+	const files = [];
+	const fields = out.split('\0');
+	for (let i = 0; i < fields.length; i++) {
+		const entry = fields[i];
+		if (entry.length < 4) continue;
+		const index = entry[0];
+		const worktree = entry[1];
+		const file = { path: entry.slice(3), from: null, index, worktree, change: describeChange(index, worktree) };
+		if (index === 'R' || index === 'C') file.from = fields[++i];
+		files.push(file);
+	}
+	return files;
+}
+
+function describeChange(index, worktree) {
+	const xy = index + worktree;
+	if (xy.includes('U') || xy === 'AA' || xy === 'DD') return 'conflict';
+	if (xy === '??' || index === 'A') return 'added';
+	if (index === 'R' || index === 'C') return 'renamed';
+	if (xy.includes('D')) return 'deleted';
+	return 'modified';
+}
+
+module.exports = { GitError, runGit, parseStatus };
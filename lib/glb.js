@@ -0,0 +1,476 @@
+/**
+ * Binary glTF (GLB) reader.
+ *
+ * Parses the container and JSON chunk, reads accessors out of the binary
+ * chunk and flattens the default scene into world-space primitives — enough
+ * to render a preview on the server without a browser, and to vet uploaded
+ * models before they reach the client.
+ */
+
+class GlbError extends Error {}
+
+const GLB_MAGIC = 0x46546c67; // 'glTF'
+const CHUNK_JSON = 0x4e4f534a;
+const CHUNK_BIN = 0x004e4942;
+
+const COMPONENT_TYPES = {
+	5120: { size: 1, read: 'getInt8', max: 127 },
+	5121: { size: 1, read: 'getUint8', max: 255 },
+	5122: { size: 2, read: 'getInt16', max: 32767 },
+	5123: { size: 2, read: 'getUint16', max: 65535 },
+	5125: { size: 4, read: 'getUint32', max: 4294967295 },
+	5126: { size: 4, read: 'getFloat32', max: 1 },
+};
+const TYPE_SIZES = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT2: 4, MAT3: 9, MAT4: 16 };
+
+const MODE_TRIANGLES = 4, MODE_TRIANGLE_STRIP = 5, MODE_TRIANGLE_FAN = 6;
+
+/**
+ * Splits a GLB into its JSON document and binary chunk. Throws GlbError when
+ * the header, chunk table or JSON is malformed.
+ */
+function parseGlb(buf) {
+	if (buf.length < 20) throw new GlbError('File is too short to be a GLB (' + buf.length + ' bytes)');
+	if (buf.readUInt32LE(0) !== GLB_MAGIC) throw new GlbError('Missing glTF magic — not a binary glTF file');
+	const version = buf.readUInt32LE(4);
+	if (version !== 2) throw new GlbError('Unsupported glTF container version ' + version + ' (expected 2)');
+	const length = buf.readUInt32LE(8);
+	if (length !== buf.length) throw new GlbError('Header length ' + length + ' does not match file size ' + buf.length);
+
+	const chunks = [];
+	for (let pos = 12; pos < length;) {
+		if (pos + 8 > length) throw new GlbError('Truncated chunk header at byte ' + pos);
+		const chunkLength = buf.readUInt32LE(pos);
+		const type = buf.readUInt32LE(pos + 4);
+		if (pos + 8 + chunkLength > length) throw new GlbError('Chunk at byte ' + pos + ' runs past the end of the file');
+		if (chunkLength % 4 !== 0) throw new GlbError('Chunk at byte ' + pos + ' is not 4-byte aligned');
+		chunks.push({ type, data: buf.subarray(pos + 8, pos + 8 + chunkLength) });
+		pos += 8 + chunkLength;
+	}
+	if (!chunks.length || chunks[0].type !== CHUNK_JSON) throw new GlbError('First chunk is not JSON');
+
+	let json;
+	try {
+		json = JSON.parse(chunks[0].data.toString('utf8'));
+	} catch (err) {
+		throw new GlbError('JSON chunk does not parse: ' + err.message);
+	}
+	const binChunk = chunks.find((c, i) => i > 0 && c.type === CHUNK_BIN);
+	return { version, json, bin: binChunk ? binChunk.data : null };
+}
+
+/** Bytes of a bufferView, checked against the binary chunk. */
+function bufferViewBytes(glb, index) {
+	const view = (glb.json.bufferViews || [])[index];
+	if (!view) throw new GlbError('bufferView ' + index + ' does not exist');
+	const buffer = (glb.json.buffers || [])[view.buffer];
+	if (!buffer) throw new GlbError('bufferView ' + index + ' references missing buffer ' + view.buffer);
+	if (buffer.uri !== undefined || view.buffer !== 0) throw new GlbError('bufferView ' + index + ' uses an external buffer; only the embedded GLB buffer is supported');
+	if (!glb.bin) throw new GlbError('bufferView ' + index + ' needs a binary chunk but the file has none');
+	const offset = view.byteOffset || 0;
+	if (offset + view.byteLength > glb.bin.length) {
+		throw new GlbError('bufferView ' + index + ' (' + offset + '+' + view.byteLength + ') exceeds the ' + glb.bin.length + '-byte binary chunk');
+	}
+	return { bytes: glb.bin.subarray(offset, offset + view.byteLength), stride: view.byteStride || 0 };
+}
+
+/**
+ * Reads an accessor into a Float64Array of `count * components` values,
+ * applying normalization and sparse substitution.
+ */
+function readAccessor(glb, index) {
+	const acc = (glb.json.accessors || [])[index];
+	if (!acc) throw new GlbError('Accessor ' + index + ' does not exist');
+	const comp = COMPONENT_TYPES[acc.componentType];
+	const components = TYPE_SIZES[acc.type];
+	if (!comp || !components) throw new GlbError('Accessor ' + index + ' has an invalid type');
+	const out = new Float64Array(acc.count * components);
+	const scale = acc.normalized ? comp.max : 1;
+	const convert = v => (acc.normalized ? Math.max(v / scale, -1) : v);
+
+	const readInto = (bytes, stride, byteOffset, count, type, target, targetIndex) => {
+		const elementSize = type.size * components;
+		const step = stride || elementSize;
+		const needed = byteOffset + (count - 1) * step + elementSize;
+		if (count > 0 && needed > bytes.length) {
+			throw new GlbError('Accessor ' + index + ' reads ' + needed + ' bytes but its bufferView holds ' + bytes.length);
+		}
+		const dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+		for (let i = 0; i < count; i++) {
+			const base = byteOffset + i * step;
+			const t = targetIndex ? targetIndex(i) : i;
+			for (let c = 0; c < components; c++) target[t * components + c] = convert(dv[type.read](base + c * type.size, true));
+		}
+	};
+
+	if (acc.bufferView !== undefined) {
+		const { bytes, stride } = bufferViewBytes(glb, acc.bufferView);
+		readInto(bytes, stride, acc.byteOffset || 0, acc.count, comp, out);
+	}
+	if (acc.sparse) {
+		const { count, indices, values } = acc.sparse;
+		const idxType = COMPONENT_TYPES[indices.componentType];
+		const idx = new Float64Array(count);
+		const idxBytes = bufferViewBytes(glb, indices.bufferView).bytes;
+		const idxDv = new DataView(idxBytes.buffer, idxBytes.byteOffset, idxBytes.length);
+		for (let i = 0; i < count; i++) idx[i] = idxDv[idxType.read]((indices.byteOffset || 0) + i * idxType.size, true);
+		const valBytes = bufferViewBytes(glb, values.bufferView).bytes;
+		readInto(valBytes, 0, values.byteOffset || 0, count, comp, out, i => idx[i]);
+	}
+	return out;
+}
+
+// ─── Matrices (column-major, as glTF and three.js store them) ────────────
+
+function identity() {
+	return [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+}
+
+function multiply(a, b) {
+	const out = new Array(16);
+	for (let col = 0; col < 4; col++) {
+		for (let row = 0; row < 4; row++) {
+			let s = 0;
+			for (let k = 0; k < 4; k++) s += a[k * 4 + row] * b[col * 4 + k];
+			out[col * 4 + row] = s;
+		}
+	}
+	return out;
+}
+
+function compose(t, q, s) {
+	const [x, y, z, w] = q;
+	const x2 = x + x, y2 = y + y, z2 = z + z;
+	const xx = x * x2, xy = x * y2, xz = x * z2, yy = y * y2, yz = y * z2, zz = z * z2;
+	const wx = w * x2, wy = w * y2, wz = w * z2;
+	return [
+		(1 - (yy + zz)) * s[0], (xy + wz) * s[0], (xz - wy) * s[0], 0,
+		(xy - wz) * s[1], (1 - (xx + zz)) * s[1], (yz + wx) * s[1], 0,
+		(xz + wy) * s[2], (yz - wx) * s[2], (1 - (xx + yy)) * s[2], 0,
+		t[0], t[1], t[2], 1,
+	];
+}
+
+function nodeMatrix(node) {
+	if (node.matrix) return node.matrix.slice();
+	return compose(node.translation || [0, 0, 0], node.rotation || [0, 0, 0, 1], node.scale || [1, 1, 1]);
+}
+
+function transformPoint(m, x, y, z) {
+	return [
+		m[0] * x + m[4] * y + m[8] * z + m[12],
+		m[1] * x + m[5] * y + m[9] * z + m[13],
+		m[2] * x + m[6] * y + m[10] * z + m[14],
+	];
+}
+
+/** Upper-left 3x3 inverse-transpose, for transforming normals. */
+function normalMatrix(m) {
+	const a = m[0], b = m[4], c = m[8], d = m[1], e = m[5], f = m[9], g = m[2], h = m[6], i = m[10];
+	const det = a * (e * i - f * h) - b * (d * i - f * g) + c * (d * h - e * g);
+	const k = det === 0 ? 0 : 1 / det;
+	// Transpose of the inverse, laid out row-major: n' = N * n.
+	return {
+		det,
+		n: [
+			(e * i - f * h) * k, (f * g - d * i) * k, (d * h - e * g) * k,
+			(c * h - b * i) * k, (a * i - c * g) * k, (b * g - a * h) * k,
+			(b * f - c * e) * k, (c * d - a * f) * k, (a * e - b * d) * k,
+		],
+	};
+}
+
+/** Triangle vertex indices for a primitive, expanding strips and fans. */
+function triangleIndices(glb, prim, vertexCount) {
+	const mode = prim.mode === undefined ? MODE_TRIANGLES : prim.mode;
+	let idx;
+	if (prim.indices !== undefined) {
+		idx = readAccessor(glb, prim.indices);
+	} else {
+		idx = new Float64Array(vertexCount);
+		for (let i = 0; i < vertexCount; i++) idx[i] = i;
+	}
+	if (mode === MODE_TRIANGLES) return Uint32Array.from(idx.subarray(0, idx.length - (idx.length % 3)));
+	const out = [];
+	if (mode === MODE_TRIANGLE_STRIP) {
+		for (let i = 0; i + 2 < idx.length; i++) {
+			if (i % 2 === 0) out.push(idx[i], idx[i + 1], idx[i + 2]);
+			else out.push(idx[i + 1], idx[i], idx[i + 2]);
+		}
+	} else if (mode === MODE_TRIANGLE_FAN) {
+		for (let i = 1; i + 1 < idx.length; i++) out.push(idx[0], idx[i], idx[i + 1]);
+	}
+	return Uint32Array.from(out);
+}
+
+/** Material description in the terms the renderer needs (glTF defaults applied). */
+function describeMaterial(glb, index) {
+	const mat = index === undefined ? null : (glb.json.materials || [])[index];
+	// A primitive without a material gets the glTF default: white, fully metallic, fully rough.
+	const pbr = (mat && mat.pbrMetallicRoughness) || {};
+	const texInfo = pbr.baseColorTexture;
+	return {
+		isDefault: !mat,
+		name: mat ? mat.name || null : null,
+		baseColor: pbr.baseColorFactor || [1, 1, 1, 1],
+		metallic: pbr.metallicFactor === undefined ? 1 : pbr.metallicFactor,
+		roughness: pbr.roughnessFactor === undefined ? 1 : pbr.roughnessFactor,
+		doubleSided: !!(mat && mat.doubleSided),
+		texture: texInfo ? texInfo.index : null,
+		texCoord: texInfo ? texInfo.texCoord || 0 : 0,
+	};
+}
+
+/**
+ * Flattens the default scene into primitives with world matrices. Each entry
+ * carries local positions/normals/uvs/colours, triangle indices and the
+ * material, so callers can bound or draw it without re-walking the graph.
+ */
+function scenePrimitives(glb) {
+	const { json } = glb;
+	const nodes = json.nodes || [];
+	const sceneIndex = json.scene || 0;
+	const scene = (json.scenes || [])[sceneIndex];
+	// Without a scene list every root node is rendered, as viewers do.
+	let roots;
+	if (scene) {
+		roots = scene.nodes || [];
+	} else {
+		const children = new Set();
+		nodes.forEach(n => (n.children || []).forEach(c => children.add(c)));
+		roots = nodes.map((n, i) => i).filter(i => !children.has(i));
+	}
+	const out = [];
+	const visit = (index, parent, depth) => {
+		const node = nodes[index];
+		if (!node) throw new GlbError('Scene references missing node ' + index);
+		if (depth > 64) throw new GlbError('Node hierarchy is too deep or cyclic');
+		const world = multiply(parent, nodeMatrix(node));
+		if (node.mesh !== undefined) {
+			const mesh = (json.meshes || [])[node.mesh];
+			if (!mesh) throw new GlbError('Node ' + index + ' references missing mesh ' + node.mesh);
+			mesh.primitives.forEach((prim, p) => {
+				const attrs = prim.attributes || {};
+				if (attrs.POSITION === undefined) return;
+				const mode = prim.mode === undefined ? MODE_TRIANGLES : prim.mode;
+				if (mode !== MODE_TRIANGLES && mode !== MODE_TRIANGLE_STRIP && mode !== MODE_TRIANGLE_FAN) return;
+				const positions = readAccessor(glb, attrs.POSITION);
+				const count = positions.length / 3;
+				const colorAcc = attrs.COLOR_0 !== undefined ? json.accessors[attrs.COLOR_0] : null;
+				out.push({
+					node: index,
+					mesh: node.mesh,
+					primitive: p,
+					matrix: world,
+					positions,
+					normals: attrs.NORMAL !== undefined ? readAccessor(glb, attrs.NORMAL) : null,
+					uvs: attrs.TEXCOORD_0 !== undefined ? readAccessor(glb, attrs.TEXCOORD_0) : null,
+					colors: colorAcc ? readAccessor(glb, attrs.COLOR_0) : null,
+					colorComponents: colorAcc ? TYPE_SIZES[colorAcc.type] : 0,
+					indices: triangleIndices(glb, prim, count),
+					material: describeMaterial(glb, prim.material),
+				});
+			});
+		}
+		(node.children || []).forEach(c => visit(c, world, depth + 1));
+	};
+	roots.forEach(r => visit(r, identity(), 0));
+	return out;
+}
+
+/** World-space axis-aligned bounds of primitives, from their transformed local boxes (like three's Box3.setFromObject). */
+function primitiveBounds(prims, rootMatrix) {
+	const min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+	for (const prim of prims) {
+		const lo = [Infinity, Infinity, Infinity], hi = [-Infinity, -Infinity, -Infinity];
+		for (let i = 0; i < prim.positions.length; i += 3) {
+			for (let c = 0; c < 3; c++) {
+				const v = prim.positions[i + c];
+				if (v < lo[c]) lo[c] = v;
+				if (v > hi[c]) hi[c] = v;
+			}
+		}
+		if (lo[0] === Infinity) continue;
+		const m = rootMatrix ? multiply(rootMatrix, prim.matrix) : prim.matrix;
+		for (let corner = 0; corner < 8; corner++) {
+			const p = transformPoint(m, corner & 1 ? hi[0] : lo[0], corner & 2 ? hi[1] : lo[1], corner & 4 ? hi[2] : lo[2]);
+			for (let c = 0; c < 3; c++) {
+				if (p[c] < min[c]) min[c] = p[c];
+				if (p[c] > max[c]) max[c] = p[c];
+			}
+		}
+	}
+	return min[0] === Infinity ? null : { min, max };
+}
+
+/** Bytes and MIME type of an image embedded through a bufferView. */
+function embeddedImage(glb, textureIndex) {
+	const tex = (glb.json.textures || [])[textureIndex];
+	if (!tex || tex.source === undefined) return null;
+	const img = (glb.json.images || [])[tex.source];
+	if (!img || img.bufferView === undefined) return null;
+	return { data: bufferViewBytes(glb, img.bufferView).bytes, mimeType: img.mimeType || null };
+}
+
+// ─── Validation ──────────────────────────────────────────────────────────
+
+/** Thresholds for validateGlb; callers may override any of them. */
+const GLB_LIMITS = {
+	maxTriangles: 200000,
+	warnTriangles: 50000,
+	maxVertices: 200000,
+	// Longest bounding-box side relative to the weapon's default model
+	minScale: 0.1,
+	maxScale: 10,
+	warnMinScale: 0.5,
+	warnMaxScale: 2,
+};
+
+// Extensions the client's GLTFLoader handles without extra decoders
+const SUPPORTED_EXTENSIONS = new Set([
+	'KHR_materials_emissive_strength', 'KHR_materials_ior', 'KHR_materials_specular', 'KHR_materials_unlit',
+	'KHR_mesh_quantization', 'KHR_texture_transform',
+]);
+
+const AXES = ['X', 'Y', 'Z'];
+
+function boundsSize(bounds) {
+	return bounds.max.map((v, i) => v - bounds.min[i]);
+}
+
+/**
+ * Checks a GLB the way the client will load it: container, buffer bounds,
+ * geometry the skin texture can be mapped onto, size, and scale against
+ * `reference` (the weapon's default GLB, optional). Never throws for bad
+ * input; returns `{ ok, errors, warnings, stats }`.
+ */
+function validateGlb(buf, { reference = null, limits = {} } = {}) {
+	const lim = { ...GLB_LIMITS, ...limits };
+	const errors = [];
+	const warnings = [];
+	const report = () => ({ ok: errors.length === 0, errors, warnings, stats });
+	let stats = null;
+
+	let glb;
+	try {
+		glb = parseGlb(buf);
+	} catch (err) {
+		if (!(err instanceof GlbError)) throw err;
+		errors.push(err.message);
+		return report();
+	}
+	const { json } = glb;
+	const assetVersion = json.asset && json.asset.version;
+	if (typeof assetVersion !== 'string' || !assetVersion.startsWith('2.')) {
+		errors.push('asset.version is ' + JSON.stringify(assetVersion) + ' (expected "2.0")');
+	}
+	for (const ext of json.extensionsRequired || []) {
+		if (!SUPPORTED_EXTENSIONS.has(ext)) errors.push('Requires extension ' + ext + ', which the client cannot load');
+	}
+
+	// Buffers and views must sit inside the binary chunk
+	const binLength = glb.bin ? glb.bin.length : 0;
+	(json.buffers || []).forEach((b, i) => {
+		if (b.uri !== undefined) errors.push('Buffer ' + i + ' points at an external URI; everything must be embedded in the GLB');
+		else if (b.byteLength > binLength) errors.push('Buffer ' + i + ' declares ' + b.byteLength + ' bytes but the binary chunk holds ' + binLength);
+	});
+	(json.bufferViews || []).forEach((v, i) => {
+		try {
+			bufferViewBytes(glb, i);
+		} catch (err) {
+			errors.push(err.message);
+		}
+	});
+	(json.accessors || []).forEach((a, i) => {
+		try {
+			readAccessor(glb, i);
+		} catch (err) {
+			errors.push(err.message);
+		}
+	});
+	if (errors.length) return report();
+
+	let prims;
+	try {
+		prims = scenePrimitives(glb);
+	} catch (err) {
+		errors.push(err.message);
+		return report();
+	}
+
+	stats = {
+		meshes: new Set(prims.map(p => p.mesh)).size,
+		primitives: prims.length,
+		vertices: 0,
+		triangles: 0,
+		size: null,
+		referenceSize: null,
+		scale: null,
+		embeddedImages: (json.images || []).length,
+	};
+	let withUv = 0;
+	for (const prim of prims) {
+		const count = prim.positions.length / 3;
+		stats.vertices += count;
+		stats.triangles += prim.indices.length / 3;
+		if (prim.uvs) withUv++;
+		const where = 'Mesh ' + prim.mesh + ' primitive ' + prim.primitive;
+		if (prim.indices.some(i => i >= count)) errors.push(where + ' has indices beyond its ' + count + ' vertices');
+		if (prim.positions.some(v => !Number.isFinite(v))) errors.push(where + ' has non-finite vertex positions');
+	}
+	if (!prims.length || stats.triangles === 0) {
+		errors.push('No triangle meshes in the default scene');
+		return report();
+	}
+	if (withUv === 0) errors.push('No mesh has TEXCOORD_0, so a texture cannot be mapped onto it');
+	else if (withUv < prims.length) warnings.push((prims.length - withUv) + ' of ' + prims.length + ' primitives have no TEXCOORD_0 and will render untextured');
+
+	if (stats.triangles > lim.maxTriangles) errors.push(stats.triangles + ' triangles exceeds the limit of ' + lim.maxTriangles);
+	else if (stats.triangles > lim.warnTriangles) warnings.push(stats.triangles + ' triangles is heavy for a weapon model (over ' + lim.warnTriangles + ')');
+	if (stats.vertices > lim.maxVertices) errors.push(stats.vertices + ' vertices exceeds the limit of ' + lim.maxVertices);
+
+	const size = boundsSize(primitiveBounds(prims));
+	stats.size = size;
+	if (reference) {
+		let refSize = null;
+		try {
+			const refBounds = primitiveBounds(scenePrimitives(parseGlb(reference)));
+			if (refBounds) refSize = boundsSize(refBounds);
+		} catch (err) {
+			warnings.push('Default model could not be read for the scale check: ' + err.message);
+		}
+		if (refSize) {
+			stats.referenceSize = refSize;
+			const longest = size.indexOf(Math.max(...size));
+			const refLongest = refSize.indexOf(Math.max(...refSize));
+			const scale = size[longest] / refSize[refLongest];
+			stats.scale = scale;
+			const desc = 'Model is ' + scale.toFixed(2) + 'x the size of the default model';
+			if (scale < lim.minScale || scale > lim.maxScale) errors.push(desc + ' — probably exported in the wrong units');
+			else if (scale < lim.warnMinScale || scale > lim.warnMaxScale) warnings.push(desc);
+			if (longest !== refLongest) {
+				warnings.push('Longest axis is ' + AXES[longest] + ' but the default model lies along ' + AXES[refLongest] + ' — check the export orientation');
+			}
+		}
+	}
+
+	if (stats.embeddedImages) {
+		warnings.push(stats.embeddedImages + ' embedded texture(s) will be ignored; the client applies the separate _tex texture');
+	}
+	return report();
+}
+
+module.exports = {
+	GlbError,
+	parseGlb,
+	readAccessor,
+	scenePrimitives,
+	primitiveBounds,
+	embeddedImage,
+	GLB_LIMITS,
+	validateGlb,
+	multiply,
+	compose,
+	transformPoint,
+	normalMatrix,
+};
@@ -0,0 +1,877 @@
+/**
+ * Image decoding, encoding and resampling for the store manager.
+ *
+ * Reads the formats skins arrive in (PNG, JPEG, WebP) into RGBA, writes PNG,
+ * and resizes. Every function works on `{ width, height, data }` where `data`
+ * is an RGBA Uint8Array. No native dependencies.
+ */
+
+const zlib = require('zlib');
+const { crc32 } = require('./crc32');
+const webp = require('./webp');
+
+class ImageError extends Error {}
+
+/** Guesses the format from the leading bytes. */
+function sniffFormat(buf) {
+	if (buf.length >= 8 && buf.readUInt32BE(0) === 0x89504e47 && buf.readUInt32BE(4) === 0x0d0a1a0a) return 'png';
+	if (buf.length >= 3 && buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return 'jpeg';
+	if (buf.length >= 12 && buf.toString('ascii', 0, 4) === 'RIFF' && buf.toString('ascii', 8, 12) === 'WEBP') return 'webp';
+	return null;
+}
+
+// ─── PNG ─────────────────────────────────────────────────────────────────
+
+const PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+const ADAM7 = [
+	[0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4],
+	[0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2],
+];
+
+function readPngChunks(buf) {
+	if (sniffFormat(buf) !== 'png') throw new ImageError('Not a PNG file');
+	const chunks = [];
+	for (let pos = 8; pos + 8 <= buf.length;) {
+		const length = buf.readUInt32BE(pos);
+		const type = buf.toString('ascii', pos + 4, pos + 8);
+		if (pos + 12 + length > buf.length) throw new ImageError('PNG chunk ' + type + ' is truncated');
+		chunks.push({ type, data: buf.subarray(pos + 8, pos + 8 + length) });
+		pos += 12 + length;
+		if (type === 'IEND') break;
+	}
+	const ihdr = chunks[0];
+	if (!ihdr || ihdr.type !== 'IHDR' || ihdr.data.length < 13) throw new ImageError('PNG is missing its IHDR chunk');
+	return chunks;
+}
+
+function pngHeader(chunks) {
+	const d = chunks[0].data;
+	return {
+		width: d.readUInt32BE(0),
+		height: d.readUInt32BE(4),
+		bitDepth: d[8],
+		colorType: d[9],
+		interlace: d[12],
+	};
+}
+
+function paeth(a, b, c) {
+	const p = a + b - c;
+	const pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+	if (pa <= pb && pa <= pc) return a;
+	return pb <= pc ? b : c;
+}
+
+/** Reverses the per-scanline filters of one (sub-)image in place. */
+function unfilter(raw, offset, width, height, bpp, rowBytes) {
+	let prev = null;
+	const rows = [];
+	for (let y = 0; y < height; y++) {
+		const start = offset + y * (rowBytes + 1);
+		const filter = raw[start];
+		const row = raw.subarray(start + 1, start + 1 + rowBytes);
+		if (row.length < rowBytes) throw new ImageError('PNG image data is truncated');
+		for (let i = 0; i < rowBytes; i++) {
+			const a = i >= bpp ? row[i - bpp] : 0;
+			const b = prev ? prev[i] : 0;
+			const c = prev && i >= bpp ? prev[i - bpp] : 0;
+			switch (filter) {
+				case 0: break;
+				case 1: row[i] = (row[i] + a) & 0xff; break;
+				case 2: row[i] = (row[i] + b) & 0xff; break;
+				case 3: row[i] = (row[i] + ((a + b) >> 1)) & 0xff; break;
+				case 4: row[i] = (row[i] + paeth(a, b, c)) & 0xff; break;
+				default: throw new ImageError('Invalid PNG filter type ' + filter);
+			}
+		}
+		rows.push(row);
+		prev = row;
+	}
+	return rows;
+}
+
+function decodePng(buf) {
+	const chunks = readPngChunks(buf);
+	const { width, height, bitDepth, colorType, interlace } = pngHeader(chunks);
+	const channels = PNG_CHANNELS[colorType];
+	if (!channels || ![1, 2, 4, 8, 16].includes(bitDepth)) {
+		throw new ImageError('Unsupported PNG colour type ' + colorType + ' / bit depth ' + bitDepth);
+	}
+	let palette = null, trns = null;
+	const idat = [];
+	for (const c of chunks) {
+		if (c.type === 'PLTE') palette = c.data;
+		else if (c.type === 'tRNS') trns = c.data;
+		else if (c.type === 'IDAT') idat.push(c.data);
+	}
+	if (colorType === 3 && !palette) throw new ImageError('Palette PNG has no PLTE chunk');
+	let raw;
+	try {
+		raw = zlib.inflateSync(Buffer.concat(idat));
+	} catch (err) {
+		throw new ImageError('PNG image data is corrupt: ' + err.message);
+	}
+
+	const out = new Uint8Array(width * height * 4);
+	const bitsPerPixel = channels * bitDepth;
+	const bpp = Math.max(1, bitsPerPixel >> 3);
+	const maxVal = (1 << bitDepth) - 1;
+	const sample = (row, index) => {
+		if (bitDepth === 8) return row[index];
+		if (bitDepth === 16) return (row[index * 2] << 8) | row[index * 2 + 1];
+		const bit = index * bitDepth;
+		return (row[bit >> 3] >> (8 - bitDepth - (bit & 7))) & maxVal;
+	};
+	const to8 = v => (bitDepth === 16 ? v >> 8 : bitDepth === 8 ? v : Math.round(v * 255 / maxVal));
+	const trnsGray = trns && colorType === 0 ? trns.readUInt16BE(0) : -1;
+	const trnsRgb = trns && colorType === 2 ? [trns.readUInt16BE(0), trns.readUInt16BE(2), trns.readUInt16BE(4)] : null;
+
+	const writePixel = (row, x, o) => {
+		const s = x * channels;
+		switch (colorType) {
+			case 0: {
+				const g = sample(row, s);
+				out[o] = out[o + 1] = out[o + 2] = to8(g);
+				out[o + 3] = g === trnsGray ? 0 : 255;
+				break;
+			}
+			case 2: {
+				const r = sample(row, s), g = sample(row, s + 1), b = sample(row, s + 2);
+				out[o] = to8(r); out[o + 1] = to8(g); out[o + 2] = to8(b);
+				out[o + 3] = trnsRgb && r === trnsRgb[0] && g === trnsRgb[1] && b === trnsRgb[2] ? 0 : 255;
+				break;
+			}
+			case 3: {
+				const i = sample(row, s);
+				out[o] = palette[i * 3]; out[o + 1] = palette[i * 3 + 1]; out[o + 2] = palette[i * 3 + 2];
+				out[o + 3] = trns && i < trns.length ? trns[i] : 255;
+				break;
+			}
+			case 4:
+				out[o] = out[o + 1] = out[o + 2] = to8(sample(row, s));
+				out[o + 3] = to8(sample(row, s + 1));
+				break;
+			default:
+				out[o] = to8(sample(row, s)); out[o + 1] = to8(sample(row, s + 1));
+				out[o + 2] = to8(sample(row, s + 2)); out[o + 3] = to8(sample(row, s + 3));
+		}
+	};
+
+	if (interlace) {
+		let offset = 0;
+		for (const [x0, y0, dx, dy] of ADAM7) {
+			const pw = Math.ceil((width - x0) / dx), ph = Math.ceil((height - y0) / dy);
+			if (pw <= 0 || ph <= 0) continue;
+			const rowBytes = Math.ceil(pw * bitsPerPixel / 8);
+			const rows = unfilter(raw, offset, pw, ph, bpp, rowBytes);
+			rows.forEach((row, j) => {
+				for (let i = 0; i < pw; i++) writePixel(row, i, ((y0 + j * dy) * width + x0 + i * dx) * 4);
+			});
+			offset += ph * (rowBytes + 1);
+		}
+	} else {
+		const rowBytes = Math.ceil(width * bitsPerPixel / 8);
+		const rows = unfilter(raw, 0, width, height, bpp, rowBytes);
+		rows.forEach((row, y) => {
+			for (let x = 0; x < width; x++) writePixel(row, x, (y * width + x) * 4);
+		});
+	}
+	return { width, height, data: out };
+}
+
+function pngChunk(type, data) {
+	const out = Buffer.alloc(12 + data.length);
+	out.writeUInt32BE(data.length, 0);
+	out.write(type, 4, 'ascii');
+	data.copy(out, 8);
+	out.writeUInt32BE(crc32(out.subarray(4, 8 + data.length)), 8 + data.length);
+	return out;
+}
+
+/** Encodes RGBA as an 8-bit PNG (RGB when fully opaque), choosing a filter per row. */
+function encodePng(img) {
+	const { width, height, data } = img;
+	let opaque = true;
+	for (let i = 3; i < data.length; i += 4) if (data[i] !== 255) { opaque = false; break; }
+	const channels = opaque ? 3 : 4;
+	const rowBytes = width * channels;
+	const raw = Buffer.alloc(height * (rowBytes + 1));
+	let prev = Buffer.alloc(rowBytes);
+	const row = Buffer.alloc(rowBytes);
+	const candidate = Buffer.alloc(rowBytes);
+	for (let y = 0; y < height; y++) {
+		for (let x = 0; x < width; x++) {
+			for (let c = 0; c < channels; c++) row[x * channels + c] = data[(y * width + x) * 4 + c];
+		}
+		// Pick the filter with the smallest sum of absolute values, the usual heuristic.
+		let bestSum = Infinity;
+		const start = y * (rowBytes + 1);
+		for (let f = 0; f < 5; f++) {
+			let sum = 0;
+			for (let i = 0; i < rowBytes; i++) {
+				const a = i >= channels ? row[i - channels] : 0;
+				const b = prev[i];
+				const c = i >= channels ? prev[i - channels] : 0;
+				const pred = f === 0 ? 0 : f === 1 ? a : f === 2 ? b : f === 3 ? (a + b) >> 1 : paeth(a, b, c);
+				const v = (row[i] - pred) & 0xff;
+				candidate[i] = v;
+				sum += v < 128 ? v : 256 - v;
+			}
+			if (sum < bestSum) {
+				bestSum = sum;
+				raw[start] = f;
+				candidate.copy(raw, start + 1);
+			}
+		}
+		prev = Buffer.from(row);
+	}
+	const ihdr = Buffer.alloc(13);
+	ihdr.writeUInt32BE(width, 0);
+	ihdr.writeUInt32BE(height, 4);
+	ihdr[8] = 8;
+	ihdr[9] = opaque ? 2 : 6;
+	return Buffer.concat([
+		Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+		pngChunk('IHDR', ihdr),
+		pngChunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+		pngChunk('IEND', Buffer.alloc(0)),
+	]);
+}
+
+// ─── JPEG (baseline and progressive Huffman) ─────────────────────────────
+
+const JPEG_ZIGZAG = new Int32Array([
+	0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5,
+	12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28,
+	35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51,
+	58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54, 47, 55, 62, 63,
+]);
+
+const IDCT_TABLE = new Float64Array(64);
+for (let x = 0; x < 8; x++) {
+	for (let u = 0; u < 8; u++) {
+		IDCT_TABLE[x * 8 + u] = (u === 0 ? Math.SQRT1_2 : 1) / 2 * Math.cos((2 * x + 1) * u * Math.PI / 16);
+	}
+}
+
+function buildJpegHuffman(counts, symbols) {
+	const maxcode = new Int32Array(17).fill(-1);
+	const valptr = new Int32Array(17);
+	const mincode = new Int32Array(17);
+	let code = 0, k = 0;
+	for (let len = 1; len <= 16; len++) {
+		valptr[len] = k;
+		mincode[len] = code;
+		code += counts[len - 1];
+		k += counts[len - 1];
+		if (counts[len - 1]) maxcode[len] = code - 1;
+		code <<= 1;
+	}
+	return { maxcode, valptr, mincode, symbols: Uint8Array.from(symbols) };
+}
+
+class JpegBitReader {
+	constructor(buf, pos) {
+		this.buf = buf;
+		this.pos = pos;
+		this.bits = 0;
+		this.count = 0;
+		this.marker = false;
+	}
+
+	bit() {
+		if (this.count === 0) {
+			if (this.marker || this.pos >= this.buf.length) return 0;
+			let b = this.buf[this.pos];
+			if (b === 0xff) {
+				const next = this.buf[this.pos + 1];
+				if (next === 0) {
+					this.pos += 2;
+				} else {
+					// A marker ends the entropy-coded segment; feed zeros until the caller resyncs.
+					this.marker = true;
+					return 0;
+				}
+			} else {
+				this.pos++;
+			}
+			this.bits = b;
+			this.count = 8;
+			b = 0;
+		}
+		this.count--;
+		return (this.bits >> this.count) & 1;
+	}
+
+	receive(n) {
+		let v = 0;
+		while (n-- > 0) v = (v << 1) | this.bit();
+		return v;
+	}
+
+	receiveExtend(n) {
+		if (n === 0) return 0;
+		if (n === 1) return this.bit() ? 1 : -1;
+		const v = this.receive(n);
+		return v >= 1 << (n - 1) ? v : v - (1 << n) + 1;
+	}
+
+	decode(table) {
+		if (!table) throw new ImageError('JPEG scan references a missing Huffman table');
+		let code = 0;
+		for (let len = 1; len <= 16; len++) {
+			code = (code << 1) | this.bit();
+			if (code <= table.maxcode[len]) return table.symbols[table.valptr[len] + code - table.mincode[len]];
+		}
+		throw new ImageError('Invalid Huffman code in JPEG data');
+	}
+
+	/** Skips to the next RSTn marker and resets the bit buffer. */
+	restart() {
+		this.bits = 0;
+		this.count = 0;
+		this.marker = false;
+		while (this.pos + 1 < this.buf.length) {
+			if (this.buf[this.pos] === 0xff && this.buf[this.pos + 1] >= 0xd0 && this.buf[this.pos + 1] <= 0xd7) {
+				this.pos += 2;
+				return;
+			}
+			if (this.buf[this.pos] === 0xff && this.buf[this.pos + 1] !== 0 && this.buf[this.pos + 1] !== 0xff) return;
+			this.pos++;
+		}
+	}
+
+	/** Position of the next marker after the scan data. */
+	endOfScan() {
+		let pos = this.pos;
+		while (pos + 1 < this.buf.length && !(this.buf[pos] === 0xff && this.buf[pos + 1] !== 0 && (this.buf[pos + 1] < 0xd0 || this.buf[pos + 1] > 0xd7))) pos++;
+		return pos;
+	}
+}
+
+function decodeScan(buf, pos, frame, scan, restartInterval) {
+	const br = new JpegBitReader(buf, pos);
+	const { components, ss, se, ah, al } = scan;
+	const progressive = frame.progressive;
+	let eobrun = 0;
+
+	const decodeBlock = (comp, blk) => {
+		if (!progressive) {
+			const t = br.decode(comp.dcTable);
+			comp.pred += br.receiveExtend(t);
+			blk[0] = comp.pred;
+			for (let k = 1; k < 64;) {
+				const rs = br.decode(comp.acTable);
+				const s = rs & 15, r = rs >> 4;
+				if (s === 0) {
+					if (r < 15) break;
+					k += 16;
+					continue;
+				}
+				k += r;
+				if (k > 63) break;
+				blk[JPEG_ZIGZAG[k]] = br.receiveExtend(s);
+				k++;
+			}
+			return;
+		}
+		if (ss === 0) {
+			if (ah === 0) {
+				const t = br.decode(comp.dcTable);
+				comp.pred += br.receiveExtend(t);
+				blk[0] = comp.pred * (1 << al);
+			} else if (br.bit()) {
+				blk[0] |= 1 << al;
+			}
+			return;
+		}
+		if (ah === 0) {
+			if (eobrun > 0) {
+				eobrun--;
+				return;
+			}
+			for (let k = ss; k <= se;) {
+				const rs = br.decode(comp.acTable);
+				const s = rs & 15, r = rs >> 4;
+				if (s === 0) {
+					if (r < 15) {
+						eobrun = (1 << r) - 1 + br.receive(r);
+						break;
+					}
+					k += 16;
+					continue;
+				}
+				k += r;
+				if (k > 63) break;
+				blk[JPEG_ZIGZAG[k]] = br.receiveExtend(s) * (1 << al);
+				k++;
+			}
+			return;
+		}
+		// AC successive approximation refinement (as in libjpeg's decode_mcu_AC_refine).
+		const p1 = 1 << al, m1 = -1 << al;
+		let k = ss;
+		const refine = z => {
+			if (br.bit() && (blk[z] & p1) === 0) blk[z] += blk[z] >= 0 ? p1 : m1;
+		};
+		if (eobrun === 0) {
+			for (; k <= se; k++) {
+				const rs = br.decode(comp.acTable);
+				let r = rs >> 4;
+				let s = rs & 15;
+				if (s) {
+					s = br.bit() ? p1 : m1;
+				} else if (r !== 15) {
+					eobrun = 1 << r;
+					if (r) eobrun += br.receive(r);
+					break;
+				}
+				do {
+					const z = JPEG_ZIGZAG[k];
+					if (blk[z] !== 0) {
+						refine(z);
+					} else if (--r < 0) {
+						break;
+					}
+					k++;
+				} while (k <= se);
+				if (s && k <= 63) blk[JPEG_ZIGZAG[k]] = s;
+			}
+		}
+		if (eobrun > 0) {
+			for (; k <= se; k++) {
+				const z = JPEG_ZIGZAG[k];
+				if (blk[z] !== 0) refine(z);
+			}
+			eobrun--;
+		}
+	};
+
+	const blockAt = (comp, row, col) => comp.coeffs.subarray((row * comp.blocksPerLineForMcu + col) * 64, (row * comp.blocksPerLineForMcu + col + 1) * 64);
+
+	let mcu = 0;
+	const total = components.length === 1
+		? components[0].blocksPerLine * components[0].blocksPerColumn
+		: frame.mcusPerLine * frame.mcusPerColumn;
+	const checkRestart = () => {
+		if (restartInterval && mcu > 0 && mcu % restartInterval === 0) {
+			br.restart();
+			eobrun = 0;
+			for (const c of components) c.pred = 0;
+		}
+	};
+	for (const c of components) c.pred = 0;
+
+	if (components.length === 1) {
+		const comp = components[0];
+		for (; mcu < total;) {
+			checkRestart();
+			const row = Math.floor(mcu / comp.blocksPerLine), col = mcu % comp.blocksPerLine;
+			decodeBlock(comp, blockAt(comp, row, col));
+			mcu++;
+		}
+	} else {
+		for (; mcu < total;) {
+			checkRestart();
+			const mcuRow = Math.floor(mcu / frame.mcusPerLine), mcuCol = mcu % frame.mcusPerLine;
+			for (const comp of components) {
+				for (let v = 0; v < comp.v; v++) {
+					for (let h = 0; h < comp.h; h++) {
+						decodeBlock(comp, blockAt(comp, mcuRow * comp.v + v, mcuCol * comp.h + h));
+					}
+				}
+			}
+			mcu++;
+		}
+	}
+	return br.endOfScan();
+}
+
+/** Dequantizes and inverse-transforms a component into an 8-bit plane. */
+function componentPlane(comp) {
+	const width = comp.blocksPerLineForMcu * 8;
+	const height = comp.blocksPerColumnForMcu * 8;
+	const plane = new Uint8Array(width * height);
+	const q = comp.quant;
+	const coef = new Float64Array(64);
+	const tmp = new Float64Array(64);
+	for (let row = 0; row < comp.blocksPerColumnForMcu; row++) {
+		for (let col = 0; col < comp.blocksPerLineForMcu; col++) {
+			const base = (row * comp.blocksPerLineForMcu + col) * 64;
+			let acZero = true;
+			for (let i = 0; i < 64; i++) {
+				coef[i] = comp.coeffs[base + i] * q[i];
+				if (i && coef[i] !== 0) acZero = false;
+			}
+			const o = row * 8 * width + col * 8;
+			if (acZero) {
+				const v = Math.round(coef[0] / 8 + 128);
+				const c = v < 0 ? 0 : v > 255 ? 255 : v;
+				for (let y = 0; y < 8; y++) plane.fill(c, o + y * width, o + y * width + 8);
+				continue;
+			}
+			for (let y = 0; y < 8; y++) {
+				for (let x = 0; x < 8; x++) {
+					let s = 0;
+					for (let u = 0; u < 8; u++) s += coef[y * 8 + u] * IDCT_TABLE[x * 8 + u];
+					tmp[y * 8 + x] = s;
+				}
+			}
+			for (let x = 0; x < 8; x++) {
+				for (let y = 0; y < 8; y++) {
+					let s = 0;
+					for (let v = 0; v < 8; v++) s += tmp[v * 8 + x] * IDCT_TABLE[y * 8 + v];
+					const p = Math.round(s + 128);
+					plane[o + y * width + x] = p < 0 ? 0 : p > 255 ? 255 : p;
+				}
+			}
+		}
+	}
+	return { plane, width };
+}
+
+function decodeJpeg(buf) {
+	if (sniffFormat(buf) !== 'jpeg') throw new ImageError('Not a JPEG file');
+	const quant = [];
+	const dcTables = [], acTables = [];
+	let frame = null, restartInterval = 0, adobe = null;
+	let pos = 2;
+	while (pos + 4 <= buf.length) {
+		if (buf[pos] !== 0xff) {
+			pos++;
+			continue;
+		}
+		const marker = buf[pos + 1];
+		if (marker === 0xff) {
+			pos++;
+			continue;
+		}
+		pos += 2;
+		if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) continue;
+		if (marker === 0xd9) break;
+		const length = buf.readUInt16BE(pos);
+		const end = pos + length;
+		if (end > buf.length) throw new ImageError('JPEG segment is truncated');
+		let p = pos + 2;
+		switch (marker) {
+			case 0xdb:
+				while (p < end) {
+					const precision = buf[p] >> 4, id = buf[p] & 15;
+					p++;
+					const table = new Int32Array(64);
+					for (let i = 0; i < 64; i++) {
+						table[JPEG_ZIGZAG[i]] = precision ? buf.readUInt16BE(p) : buf[p];
+						p += precision ? 2 : 1;
+					}
+					quant[id] = table;
+				}
+				break;
+			case 0xc4:
+				while (p < end) {
+					const cls = buf[p] >> 4, id = buf[p] & 15;
+					const counts = buf.subarray(p + 1, p + 17);
+					let n = 0;
+					for (const c of counts) n += c;
+					(cls ? acTables : dcTables)[id] = buildJpegHuffman(counts, buf.subarray(p + 17, p + 17 + n));
+					p += 17 + n;
+				}
+				break;
+			case 0xc0: case 0xc1: case 0xc2: {
+				if (buf[p] !== 8) throw new ImageError('Only 8-bit JPEGs are supported');
+				frame = {
+					progressive: marker === 0xc2,
+					height: buf.readUInt16BE(p + 1),
+					width: buf.readUInt16BE(p + 3),
+					components: [],
+				};
+				const n = buf[p + 5];
+				for (let i = 0; i < n; i++) {
+					const o = p + 6 + i * 3;
+					frame.components.push({ id: buf[o], h: buf[o + 1] >> 4, v: buf[o + 1] & 15, tq: buf[o + 2] });
+				}
+				if (!frame.width || !frame.height) throw new ImageError('JPEG has zero dimensions');
+				const maxH = Math.max(...frame.components.map(c => c.h));
+				const maxV = Math.max(...frame.components.map(c => c.v));
+				frame.maxH = maxH;
+				frame.maxV = maxV;
+				frame.mcusPerLine = Math.ceil(frame.width / (8 * maxH));
+				frame.mcusPerColumn = Math.ceil(frame.height / (8 * maxV));
+				for (const c of frame.components) {
+					c.blocksPerLine = Math.ceil(Math.ceil(frame.width * c.h / maxH) / 8);
+					c.blocksPerColumn = Math.ceil(Math.ceil(frame.height * c.v / maxV) / 8);
+					c.blocksPerLineForMcu = frame.mcusPerLine * c.h;
+					c.blocksPerColumnForMcu = frame.mcusPerColumn * c.v;
+					c.coeffs = new Int16Array(c.blocksPerLineForMcu * c.blocksPerColumnForMcu * 64);
+				}
+				break;
+			}
+			case 0xc3: case 0xc5: case 0xc6: case 0xc7: case 0xc9: case 0xca: case 0xcb: case 0xcd: case 0xce: case 0xcf:
+				throw new ImageError('Unsupported JPEG coding (lossless, hierarchical or arithmetic)');
+			case 0xdd:
+				restartInterval = buf.readUInt16BE(p);
+				break;
+			case 0xee:
+				if (buf.toString('ascii', p, p + 5) === 'Adobe') adobe = { transform: buf[p + 11] };
+				break;
+			case 0xda: {
+				if (!frame) throw new ImageError('JPEG scan before frame header');
+				const n = buf[p];
+				const components = [];
+				for (let i = 0; i < n; i++) {
+					const id = buf[p + 1 + i * 2];
+					const tables = buf[p + 2 + i * 2];
+					const comp = frame.components.find(c => c.id === id);
+					if (!comp) throw new ImageError('JPEG scan references an unknown component');
+					comp.dcTable = dcTables[tables >> 4];
+					comp.acTable = acTables[tables & 15];
+					components.push(comp);
+				}
+				const o = p + 1 + n * 2;
+				const scan = { components, ss: buf[o], se: buf[o + 1], ah: buf[o + 2] >> 4, al: buf[o + 2] & 15 };
+				pos = decodeScan(buf, end, frame, scan, restartInterval);
+				continue;
+			}
+			default:
+				break;
+		}
+		pos = end;
+	}
+	if (!frame) throw new ImageError('JPEG has no frame header');
+
+	const planes = frame.components.map(c => {
+		c.quant = quant[c.tq];
+		if (!c.quant) throw new ImageError('JPEG component references a missing quantization table');
+		return componentPlane(c);
+	});
+	const { width, height } = frame;
+	const out = new Uint8Array(width * height * 4);
+	const n = frame.components.length;
+	const ids = frame.components.map(c => c.id);
+	const rgbIds = ids[0] === 0x52 && ids[1] === 0x47 && ids[2] === 0x42;
+	const transform = adobe ? adobe.transform !== 0 : !rgbIds;
+	const value = (ci, x, y) => {
+		const c = frame.components[ci];
+		const sx = Math.floor(x * c.h / frame.maxH), sy = Math.floor(y * c.v / frame.maxV);
+		return planes[ci].plane[sy * planes[ci].width + sx];
+	};
+	for (let y = 0; y < height; y++) {
+		for (let x = 0; x < width; x++) {
+			const o = (y * width + x) * 4;
+			let r, g, b;
+			if (n === 1) {
+				r = g = b = value(0, x, y);
+			} else {
+				const c0 = value(0, x, y), c1 = value(1, x, y), c2 = value(2, x, y);
+				if (transform) {
+					r = c0 + 1.402 * (c2 - 128);
+					g = c0 - 0.344136 * (c1 - 128) - 0.714136 * (c2 - 128);
+					b = c0 + 1.772 * (c1 - 128);
+				} else {
+					r = c0; g = c1; b = c2;
+				}
+				if (n === 4) {
+					// Adobe CMYK/YCCK stores inverted ink values.
+					const k = value(3, x, y);
+					r = r * k / 255;
+					g = g * k / 255;
+					b = b * k / 255;
+				}
+			}
+			out[o] = r < 0 ? 0 : r > 255 ? 255 : Math.round(r);
+			out[o + 1] = g < 0 ? 0 : g > 255 ? 255 : Math.round(g);
+			out[o + 2] = b < 0 ? 0 : b > 255 ? 255 : Math.round(b);
+			out[o + 3] = 255;
+		}
+	}
+	return { width, height, data: out };
+}
+
+function readJpegInfo(buf) {
+	let pos = 2;
+	while (pos + 4 <= buf.length) {
+		if (buf[pos] !== 0xff) {
+			pos++;
+			continue;
+		}
+		const marker = buf[pos + 1];
+		if (marker === 0xff || marker === 0xd8 || (marker >= 0xd0 && marker <= 0xd7)) {
+			pos += marker === 0xff ? 1 : 2;
+			continue;
+		}
+		if (marker === 0xd9 || marker === 0xda) break;
+		const length = buf.readUInt16BE(pos + 2);
+		if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+			if (pos + 9 > buf.length) break;
+			return {
+				width: buf.readUInt16BE(pos + 7),
+				height: buf.readUInt16BE(pos + 5),
+				hasAlpha: false,
+				progressive: marker === 0xc2,
+			};
+		}
+		pos += 2 + length;
+	}
+	throw new ImageError('JPEG has no frame header');
+}
+
+// ─── Format-independent entry points ─────────────────────────────────────
+
+// Leading bytes that hold the dimensions of a PNG or WebP file
+const IMAGE_HEADER_BYTES = 32;
+
+/**
+ * Reads format and dimensions from the leading bytes of a file, so callers
+ * need not load it whole: IMAGE_HEADER_BYTES are enough for PNG and WebP.
+ * JPEG keeps its frame header after any metadata segments, so a prefix that
+ * stops short of it throws.
+ */
+function readImageSize(head) {
+	const format = sniffFormat(head);
+	if (format === 'png' && head.length >= 24 && head.toString('ascii', 12, 16) === 'IHDR') {
+		return { format, width: head.readUInt32BE(16), height: head.readUInt32BE(20) };
+	}
+	if (format === 'webp' && head.length >= 30) {
+		const fourcc = head.toString('ascii', 12, 16);
+		if (fourcc === 'VP8X') return { format, width: head.readUIntLE(24, 3) + 1, height: head.readUIntLE(27, 3) + 1 };
+		if (fourcc === 'VP8L') {
+			const bits = head.readUInt32LE(21);
+			return { format, width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+		}
+		if (fourcc === 'VP8 ') return { format, width: head.readUInt16LE(26) & 0x3fff, height: head.readUInt16LE(28) & 0x3fff };
+	}
+	if (format === 'jpeg') {
+		const { width, height } = readJpegInfo(head);
+		return { format, width, height };
+	}
+	throw new ImageError(format ? 'Truncated or unknown ' + format + ' header' : 'Unrecognised image format');
+}
+
+/** Decodes a PNG, JPEG or WebP buffer to RGBA. */
+function decodeImage(buf) {
+	const format = sniffFormat(buf);
+	try {
+		if (format === 'png') return decodePng(buf);
+		if (format === 'jpeg') return decodeJpeg(buf);
+		if (format === 'webp') return webp.decodeWebp(buf);
+	} catch (err) {
+		if (err instanceof webp.WebpError) throw new ImageError(err.message);
+		throw err;
+	}
+	throw new ImageError('Unrecognised image format');
+}
+
+/** Reads format, dimensions and alpha presence from the header only. */
+function readImageInfo(buf) {
+	const format = sniffFormat(buf);
+	if (format === 'png') {
+		const { width, height, colorType, bitDepth } = pngHeader(readPngChunks(buf));
+		const hasAlpha = colorType === 4 || colorType === 6 || readPngChunks(buf).some(c => c.type === 'tRNS');
+		return { format, width, height, hasAlpha, bitDepth };
+	}
+	if (format === 'jpeg') return { format, ...readJpegInfo(buf) };
+	if (format === 'webp') {
+		try {
+			return { format, ...webp.readWebpInfo(buf) };
+		} catch (err) {
+			throw new ImageError(err.message);
+		}
+	}
+	throw new ImageError('Unrecognised image format');
+}
+
+/**
+ * Resizes with area averaging when shrinking and bilinear interpolation when
+ * enlarging. Colour is premultiplied by alpha while filtering so transparent
+ * texels do not bleed into their neighbours.
+ */
+function resizeImage(img, width, height) {
+	if (img.width === width && img.height === height) return { width, height, data: Uint8Array.from(img.data) };
+	const src = new Float32Array(img.width * img.height * 4);
+	for (let i = 0; i < img.width * img.height; i++) {
+		const a = img.data[i * 4 + 3] / 255;
+		src[i * 4] = img.data[i * 4] * a;
+		src[i * 4 + 1] = img.data[i * 4 + 1] * a;
+		src[i * 4 + 2] = img.data[i * 4 + 2] * a;
+		src[i * 4 + 3] = img.data[i * 4 + 3];
+	}
+	const horizontal = resampleAxis(src, img.width, img.height, width, true);
+	const vertical = resampleAxis(horizontal, width, img.height, height, false);
+	const out = new Uint8Array(width * height * 4);
+	for (let i = 0; i < width * height; i++) {
+		const a = vertical[i * 4 + 3];
+		const k = a > 0 ? 255 / a : 0;
+		for (let c = 0; c < 3; c++) {
+			const v = Math.round(vertical[i * 4 + c] * k);
+			out[i * 4 + c] = v < 0 ? 0 : v > 255 ? 255 : v;
+		}
+		out[i * 4 + 3] = a < 0 ? 0 : a > 255 ? 255 : Math.round(a);
+	}
+	return { width, height, data: out };
+}
+
+/** One separable pass: resamples rows (horizontal) or columns to `size`. */
+function resampleAxis(src, width, height, size, horizontal) {
+	const inSize = horizontal ? width : height;
+	const outWidth = horizontal ? size : width;
+	const outHeight = horizontal ? height : size;
+	const out = new Float32Array(outWidth * outHeight * 4);
+	const scale = inSize / size;
+	// Precompute, for each output position, the contributing input indices and weights.
+	const taps = [];
+	for (let o = 0; o < size; o++) {
+		const list = [];
+		if (scale > 1) {
+			const start = o * scale, end = start + scale;
+			for (let i = Math.floor(start); i < Math.min(inSize, Math.ceil(end)); i++) {
+				const w = Math.min(end, i + 1) - Math.max(start, i);
+				if (w > 0) list.push([i, w / scale]);
+			}
+		} else {
+			const centre = (o + 0.5) * scale - 0.5;
+			const i0 = Math.floor(centre);
+			const f = centre - i0;
+			const clampIndex = i => (i < 0 ? 0 : i >= inSize ? inSize - 1 : i);
+			list.push([clampIndex(i0), 1 - f], [clampIndex(i0 + 1), f]);
+		}
+		taps.push(list);
+	}
+	const lines = horizontal ? height : width;
+	for (let line = 0; line < lines; line++) {
+		for (let o = 0; o < size; o++) {
+			let r = 0, g = 0, b = 0, a = 0;
+			for (const [i, w] of taps[o]) {
+				const p = (horizontal ? line * width + i : i * width + line) * 4;
+				r += src[p] * w;
+				g += src[p + 1] * w;
+				b += src[p + 2] * w;
+				a += src[p + 3] * w;
+			}
+			const q = (horizontal ? line * outWidth + o : o * outWidth + line) * 4;
+			out[q] = r;
+			out[q + 1] = g;
+			out[q + 2] = b;
+			out[q + 3] = a;
+		}
+	}
+	return out;
+}
+
+/** Scales an image down (never up) so neither side exceeds `maxSide`. */
+function fitWithin(img, maxSide) {
+	const scale = Math.min(1, maxSide / Math.max(img.width, img.height));
+	if (scale === 1) return img;
+	return resizeImage(img, Math.max(1, Math.round(img.width * scale)), Math.max(1, Math.round(img.height * scale)));
+}
+
+module.exports = {
+	ImageError,
+	sniffFormat,
+	decodeImage,
+	readImageInfo,
+	readImageSize,
+	IMAGE_HEADER_BYTES,
+	encodePng,
+	encodeWebp: webp.encodeWebp,
+	resizeImage,
+	fitWithin,
+};
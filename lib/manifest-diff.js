@@ -0,0 +1,105 @@
+/**
+ * Structured differences between two manifests.
+ *
+ * Assets are matched by id. An id that disappeared while `after.aliases`
+ * points it at a new one counts as a rename rather than a removal plus an
+ * addition, and so does the way back (a new id that `before.aliases` pointed
+ * at the one that disappeared), e.g. when an older manifest is restored. Numeric fields (sizes) carry a `delta` next to `from`/`to`.
+ */
+
+// Matched on, so never reported as a change
+const IDENTITY_FIELDS = ['id'];
+
+function same(a, b) {
+	return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Size of everything a client downloads for one asset
+function assetBytes(asset) {
+	return (asset.size || 0) + (asset.textureSize || 0);
+}
+
+function totalBytes(assets) {
+	return assets.reduce((sum, a) => sum + assetBytes(a), 0);
+}
+
+/** `{ field: { from, to[, delta] } }` for every field not in `skip` that differs. */
+function fieldChanges(before, after, skip = []) {
+	const changes = {};
+	for (const field of new Set([...Object.keys(before), ...Object.keys(after)])) {
+		if (skip.includes(field) || same(before[field], after[field])) continue;
+		const change = { from: before[field] === undefined ? null : before[field], to: after[field] === undefined ? null : after[field] };
+		if (typeof change.from === 'number' && typeof change.to === 'number') change.delta = change.to - change.from;
+		changes[field] = change;
+	}
+	return changes;
+}
+
+const brief = a => ({ id: a.id, type: a.type, weapon: a.weapon || null, name: a.name, file: a.file, size: assetBytes(a) });
+
+/**
+ * Diff from `before` to `after` (either may be null for an empty store):
+ * `{ added, removed, renamed, changed, aliases, summary }`. `added` and
+ * `removed` hold brief asset entries, `renamed` and `changed` hold
+ * `{ id, name, changes }` (renames also `from`).
+ */
+function diffManifests(before, after) {
+	const oldAssets = (before && before.assets) || [];
+	const newAssets = (after && after.assets) || [];
+	const oldById = new Map(oldAssets.map(a => [a.id, a]));
+	const newById = new Map(newAssets.map(a => [a.id, a]));
+	const aliases = (after && after.aliases) || {};
+	const oldAliases = (before && before.aliases) || {};
+
+	const added = [];
+	const removed = [];
+	const renamed = [];
+	const changed = [];
+	const renamedTo = new Set();
+
+	for (const old of oldAssets) {
+		if (newById.has(old.id)) {
+			const changes = fieldChanges(old, newById.get(old.id), IDENTITY_FIELDS);
+			if (Object.keys(changes).length) changed.push({ id: old.id, name: newById.get(old.id).name, changes });
+			continue;
+		}
+		const target = aliases[old.id] || Object.keys(oldAliases).find(alias => oldAliases[alias] === old.id);
+		if (target && newById.has(target) && !oldById.has(target) && !renamedTo.has(target)) {
+			renamedTo.add(target);
+			renamed.push({ from: old.id, id: target, name: newById.get(target).name, changes: fieldChanges(old, newById.get(target), IDENTITY_FIELDS) });
+		} else {
+			removed.push(brief(old));
+		}
+	}
+	for (const asset of newAssets) {
+		if (!oldById.has(asset.id) && !renamedTo.has(asset.id)) added.push(brief(asset));
+	}
+
+	const aliasChanges = fieldChanges(oldAliases, aliases);
+
+	const bytesFrom = totalBytes(oldAssets);
+	const bytesTo = totalBytes(newAssets);
+	return {
+		added,
+		removed,
+		renamed,
+		changed,
+		aliases: aliasChanges,
+		summary: {
+			assets: { from: oldAssets.length, to: newAssets.length },
+			added: added.length,
+			removed: removed.length,
+			renamed: renamed.length,
+			changed: changed.length,
+			bytes: { from: bytesFrom, to: bytesTo, delta: bytesTo - bytesFrom },
+		},
+	};
+}
+
+/** True when `diff` records any asset or alias change. */
+function hasChanges(diff) {
+	const s = diff.summary;
+	return s.added + s.removed + s.renamed + s.changed > 0 || Object.keys(diff.aliases).length > 0;
+}
+
+module.exports = { diffManifests, hasChanges };
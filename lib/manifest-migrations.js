@@ -0,0 +1,41 @@
+/**
+ * Upgrades manifests written by older versions of the store to the current
+ * format (MANIFEST_VERSION in lib/manifest-validator.js).
+ *
+ * Each migration takes a manifest of version `from` and returns one of
+ * `from + 1`; migrateManifest chains them. When the format changes: bump
+ * `version.const` in schema/manifest.schema.json, describe the change there,
+ * and add the step from the previous version here. Version 3 is the first
+ * version with a schema, so there is nothing to upgrade from yet.
+ */
+
+const { MANIFEST_VERSION } = require('./manifest-validator');
+
+class MigrationError extends Error {}
+
+// { [from]: manifest => manifest of version from + 1 }
+const MIGRATIONS = {};
+
+/**
+ * Returns `{ manifest, from, migrated }`: the manifest at MANIFEST_VERSION,
+ * the version it had, and whether anything was upgraded. The input is not
+ * modified.
+ */
+function migrateManifest(manifest) {
+	if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) throw new MigrationError('The manifest is not a JSON object');
+	const from = manifest.version;
+	if (!Number.isInteger(from) || from < 1) throw new MigrationError('The manifest has no valid version (found ' + JSON.stringify(from) + ')');
+	if (from > MANIFEST_VERSION) {
+		throw new MigrationError('The manifest is version ' + from + '; this code reads up to version ' + MANIFEST_VERSION + ' (update it)');
+	}
+	if (from === MANIFEST_VERSION) return { manifest, from, migrated: false };
+	let current = JSON.parse(JSON.stringify(manifest));
+	for (let v = from; v < MANIFEST_VERSION; v++) {
+		if (!MIGRATIONS[v]) throw new MigrationError('No migration from manifest version ' + v + ' to ' + (v + 1));
+		current = MIGRATIONS[v](current);
+		current.version = v + 1;
+	}
+	return { manifest: current, from, migrated: true };
+}
+
+module.exports = { MigrationError, MIGRATIONS, migrateManifest };
@@ -0,0 +1,155 @@
+/**
+ * Validates a manifest against schema/manifest.schema.json.
+ *
+ * Standalone on purpose: it needs nothing but the schema file, so the game
+ * client can use it as-is. The schema is interpreted directly (the subset of
+ * JSON Schema 2020-12 it uses), so the schema stays the only definition of
+ * the format. A few rules JSON Schema cannot express are checked on top:
+ * asset ids are unique, and aliases point at assets that exist.
+ */
+
+const schema = require('../schema/manifest.schema.json');
+
+const MANIFEST_VERSION = schema.properties.version.const;
+
+// RFC 3339 date-time as written by Date#toISOString (offsets allowed)
+const DATE_TIME_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+function typeOf(value) {
+	if (value === null) return 'null';
+	if (Array.isArray(value)) return 'array';
+	if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+	return typeof value;
+}
+
+function hasType(value, type) {
+	const actual = typeOf(value);
+	return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function resolveRef(ref) {
+	if (!ref.startsWith('#/')) throw new Error('Only local $refs are supported: ' + ref);
+	return ref.slice(2).split('/').reduce((node, key) => node[key], schema);
+}
+
+const at = (path, key) => typeof key === 'number' ? path + '[' + key + ']' : path ? path + '.' + key : key;
+
+// Appends `{ path, message }` for every way `value` breaks `node`
+function check(node, value, path, errors) {
+	if (node === true) return;
+	if (node === false) {
+		errors.push({ path, message: 'is not allowed here' });
+		return;
+	}
+	if (node.$ref) check(resolveRef(node.$ref), value, path, errors);
+
+	if (node.const !== undefined && value !== node.const) {
+		errors.push({ path, message: 'must be ' + JSON.stringify(node.const) });
+	}
+	if (node.enum && !node.enum.includes(value)) {
+		errors.push({ path, message: 'must be one of ' + node.enum.join(', ') });
+	}
+	if (node.type) {
+		const types = [].concat(node.type);
+		if (!types.some(t => hasType(value, t))) {
+			errors.push({ path, message: 'must be ' + types.join(' or ') + ', not ' + typeOf(value) });
+			return;
+		}
+	}
+
+	if (typeof value === 'string') {
+		if (node.minLength !== undefined && value.length < node.minLength) {
+			errors.push({ path, message: node.minLength === 1 ? 'must not be empty' : 'must be at least ' + node.minLength + ' characters' });
+		}
+		if (node.pattern && !new RegExp(node.pattern, 'u').test(value)) {
+			errors.push({ path, message: JSON.stringify(value) + ' does not match ' + node.pattern });
+		}
+		if (node.format === 'date-time' && (!DATE_TIME_RE.test(value) || isNaN(Date.parse(value)))) {
+			errors.push({ path, message: JSON.stringify(value) + ' is not an ISO 8601 date-time' });
+		}
+	}
+	if (typeof value === 'number' && node.minimum !== undefined && value < node.minimum) {
+		errors.push({ path, message: 'must be at least ' + node.minimum });
+	}
+
+	if (Array.isArray(value)) {
+		if (node.maxItems !== undefined && value.length > node.maxItems) {
+			errors.push({ path, message: 'must have at most ' + node.maxItems + ' items' });
+		}
+		if (node.uniqueItems && new Set(value.map(v => JSON.stringify(v))).size !== value.length) {
+			errors.push({ path, message: 'must not repeat items' });
+		}
+		if (node.items) value.forEach((item, i) => check(node.items, item, at(path, i), errors));
+	}
+
+	if (typeOf(value) === 'object') {
+		const keys = Object.keys(value);
+		if (node.minProperties !== undefined && keys.length < node.minProperties) {
+			errors.push({ path, message: 'must not be empty' });
+		}
+		for (const key of node.required || []) {
+			if (!(key in value)) errors.push({ path: at(path, key), message: 'is required' });
+		}
+		for (const key of keys) {
+			if (node.properties && key in node.properties) {
+				check(node.properties[key], value[key], at(path, key), errors);
+			} else if (node.additionalProperties === false) {
+				errors.push({ path: at(path, key), message: 'is not a known field' });
+			} else if (node.additionalProperties !== undefined) {
+				check(node.additionalProperties, value[key], at(path, key), errors);
+			}
+		}
+	}
+
+	for (const sub of node.allOf || []) check(sub, value, path, errors);
+	if (node.anyOf) {
+		const attempts = node.anyOf.map(sub => {
+			const found = [];
+			check(sub, value, path, found);
+			return found;
+		});
+		if (!attempts.some(found => !found.length)) {
+			errors.push({ path, message: attempts.map(found => found.map(e => e.message).join(', ')).join('; or ') });
+		}
+	}
+	if (node.if) {
+		const found = [];
+		check(node.if, value, path, found);
+		const branch = found.length ? node.else : node.then;
+		if (branch) check(branch, value, path, errors);
+	}
+}
+
+/**
+ * Checks `manifest` against the schema and the cross-asset rules. Returns
+ * `{ ok, errors }`, each error a string like
+ * `assets[4] (skin-awp-rever).weapon: is required`.
+ */
+function validateManifest(manifest) {
+	const errors = [];
+	check(schema, manifest, '', errors);
+
+	const assets = manifest && Array.isArray(manifest.assets) ? manifest.assets : [];
+	const ids = new Map();
+	assets.forEach((asset, i) => {
+		const id = asset && asset.id;
+		if (typeof id !== 'string') return;
+		if (ids.has(id)) errors.push({ path: at(at('assets', i), 'id'), message: 'repeats the id of assets[' + ids.get(id) + ']' });
+		else ids.set(id, i);
+	});
+	const aliases = manifest && typeOf(manifest.aliases) === 'object' ? manifest.aliases : {};
+	for (const [oldId, target] of Object.entries(aliases)) {
+		if (ids.has(oldId)) errors.push({ path: at('aliases', oldId), message: 'is the id of a live asset' });
+		else if (typeof target === 'string' && !ids.has(target)) errors.push({ path: at('aliases', oldId), message: 'points at ' + target + ', which is not in assets' });
+	}
+
+	// Name the asset next to its index, e.g. "assets[4] (skin-awp-rever)"
+	const label = path => path.replace(/^assets\[(\d+)\]/, (whole, i) =>
+		assets[i] && typeof assets[i].id === 'string' ? whole + ' (' + assets[i].id + ')' : whole);
+	return {
+		ok: errors.length === 0,
+		errors: errors.map(e => (e.path ? label(e.path) + ': ' : '') + e.message),
+	};
+}
+
+module.exports = { MANIFEST_VERSION, schema, validateManifest };
@@ -0,0 +1,72 @@
+/**
+ * Local stand-in for a forge, for testing pull-request publishing.
+ *
+ * Implements the part of GitHub's REST API that ./forge uses (create, list and
+ * get pull requests) and keeps everything in memory. Any bearer token is
+ * accepted, a missing one is refused like a real forge would.
+ */
+
+const http = require('http');
+
+const PULLS_RE = /^\/repos\/([^/]+\/[^/]+)\/pulls(?:\/(\d+))?$/;
+
+function createMockForge({ log = () => {} } = {}) {
+	const pulls = [];
+
+	function send(res, status, data) {
+		res.writeHead(status, { 'Content-Type': 'application/json' });
+		res.end(JSON.stringify(data));
+	}
+
+	function createPull(req, res, repo, input) {
+		const missing = ['title', 'head', 'base'].filter(f => typeof input[f] !== 'string' || !input[f]);
+		if (missing.length) {
+			return send(res, 422, { message: 'Validation Failed', errors: missing.map(f => ({ field: f, code: 'missing_field' })) });
+		}
+		if (pulls.some(p => p.repo === repo && p.state === 'open' && p.head.ref === input.head)) {
+			return send(res, 422, { message: 'Validation Failed', errors: [{ message: 'A pull request already exists for ' + input.head + '.' }] });
+		}
+		const number = pulls.length + 1;
+		const pull = {
+			repo,
+			number,
+			html_url: 'http://' + req.headers.host + '/' + repo + '/pull/' + number,
+			state: 'open',
+			title: input.title,
+			body: input.body || '',
+			head: { ref: input.head },
+			base: { ref: input.base },
+			created_at: new Date().toISOString(),
+		};
+		pulls.push(pull);
+		log('#' + number + ' ' + input.head + ' → ' + input.base + ': ' + input.title);
+		send(res, 201, pull);
+	}
+
+	const server = http.createServer((req, res) => {
+		const m = PULLS_RE.exec(req.url.split('?')[0]);
+		if (!m) return send(res, 404, { message: 'Not Found' });
+		if (!/^(Bearer|token) \S+$/.test(req.headers.authorization || '')) return send(res, 401, { message: 'Bad credentials' });
+		const [, repo, number] = m;
+
+		if (req.method === 'GET' && number) {
+			const pull = pulls.find(p => p.repo === repo && p.number === Number(number));
+			return pull ? send(res, 200, pull) : send(res, 404, { message: 'Not Found' });
+		}
+		if (req.method === 'GET') return send(res, 200, pulls.filter(p => p.repo === repo));
+		if (req.method !== 'POST' || number) return send(res, 405, { message: 'Method Not Allowed' });
+
+		const chunks = [];
+		req.on('data', c => chunks.push(c));
+		req.on('end', () => {
+			let input;
+			try { input = JSON.parse(Buffer.concat(chunks).toString() || '{}'); }
+			catch { return send(res, 400, { message: 'Problems parsing JSON' }); }
+			createPull(req, res, repo, input);
+		});
+	});
+	server.pulls = pulls;
+	return server;
+}
+
+module.exports = { createMockForge };
@@ -0,0 +1,231 @@
+/**
+ * Streaming multipart/form-data parser.
+ *
+ * The request is parsed as it arrives: text fields are kept in memory, file
+ * parts go straight to temp files in `dir`, so memory use does not grow with
+ * the upload. Limits are checked while reading and a request over any of them
+ * fails with a 413 MultipartError as soon as it crosses it; malformed bodies
+ * fail with 400. Files written before a failure are deleted again.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class MultipartError extends Error {
+	constructor(message, status = 400) {
+		super(message);
+		this.status = status;
+	}
+}
+
+const MAX_HEADER_BYTES = 16 * 1024;
+
+/** The boundary of a multipart/form-data Content-Type header (quoted or not). */
+function parseBoundary(contentType) {
+	const header = String(contentType || '');
+	if (!/^multipart\/form-data\s*(;|$)/i.test(header)) throw new MultipartError('Expected a multipart/form-data request');
+	const params = parseParams(header.slice(header.indexOf(';') + 1));
+	const boundary = params.boundary;
+	if (!boundary) throw new MultipartError('The multipart request has no boundary');
+	if (boundary.length > 70) throw new MultipartError('The multipart boundary is longer than 70 characters');
+	return boundary;
+}
+
+// `a=1; b="x \"y\""` → { a: '1', b: 'x "y"' }; names lowercased
+function parseParams(text) {
+	const params = {};
+	const re = /\s*([^=;\s]+)\s*=\s*("(?:[^"\\]|\\.)*"|[^;]*)\s*(?:;|$)/g;
+	let m;
+	while ((m = re.exec(text)) && m[0]) {
+		let value = m[2].trim();
+		if (value.startsWith('"')) value = value.slice(1, -1).replace(/\\(.)/g, '$1');
+		params[m[1].toLowerCase()] = value;
+	}
+	return params;
+}
+
+// RFC 5987 `filename*=UTF-8''na%C3%AFve.png`
+function decodeExtValue(value) {
+	const m = /^([^']*)'[^']*'(.*)$/.exec(value);
+	if (!m) return null;
+	const charset = m[1].toLowerCase();
+	try {
+		if (charset === 'utf-8' || charset === 'utf8') return decodeURIComponent(m[2]);
+		if (charset === 'iso-8859-1' || charset === 'latin1') {
+			return Buffer.from(m[2].replace(/%([0-9a-f]{2})/gi, (_, h) => String.fromCharCode(parseInt(h, 16))), 'latin1').toString('latin1');
+		}
+	} catch {
+		// Bad percent-encoding; fall back to the plain filename
+	}
+	return null;
+}
+
+function parsePartHeaders(text) {
+	const headers = {};
+	for (const line of text.split('\r\n')) {
+		const colon = line.indexOf(':');
+		if (colon <= 0) throw new MultipartError('Malformed part header: ' + line.slice(0, 80));
+		headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+	}
+	const disposition = headers['content-disposition'] || '';
+	if (!/^form-data\s*(;|$)/i.test(disposition)) throw new MultipartError('Part without Content-Disposition: form-data');
+	const params = parseParams(disposition.slice(disposition.indexOf(';') + 1));
+	const extName = params['filename*'] !== undefined ? decodeExtValue(params['filename*']) : null;
+	const filename = extName !== null ? extName : params.filename;
+	return {
+		name: params.name || '',
+		filename: filename ? path.basename(filename.replace(/\\/g, '/')) : null,
+		contentType: headers['content-type'] || null,
+	};
+}
+
+/**
+ * Reads a multipart body from `stream`. Resolves with `[{ name, filename,
+ * contentType, size, data }]`; parts with a filename also carry `path` (their
+ * temp file in `dir`) and read `data` from it on first use.
+ *
+ * limits: { fileSize, fieldSize, totalSize, files, fields }
+ */
+function parseMultipartStream(stream, boundary, { dir, limits }) {
+	const delimiter = Buffer.from('\r\n--' + boundary);
+	const parts = [];
+	const created = [];
+	let fileCount = 0;
+	let fieldCount = 0;
+	let total = 0;
+	// The body starts with "--boundary"; a virtual CRLF lets the first one
+	// match the same delimiter as the rest
+	let buf = Buffer.from('\r\n');
+	let state = 'preamble';
+	let part = null;
+
+	const startPart = info => {
+		if (info.filename) {
+			if (++fileCount > limits.files) throw new MultipartError('More than ' + limits.files + ' files in one upload', 413);
+			const file = path.join(dir, 'part-' + fileCount);
+			created.push(file);
+			part = { ...info, size: 0, path: file, fd: fs.openSync(file, 'wx', 0o600) };
+		} else {
+			if (++fieldCount > limits.fields) throw new MultipartError('More than ' + limits.fields + ' fields in one upload', 413);
+			part = { ...info, size: 0, chunks: [] };
+		}
+	};
+
+	const write = data => {
+		if (!data.length) return;
+		part.size += data.length;
+		if (part.fd !== undefined) {
+			if (part.size > limits.fileSize) throw new MultipartError(part.filename + ' is larger than ' + formatBytes(limits.fileSize), 413);
+			fs.writeSync(part.fd, data);
+		} else {
+			if (part.size > limits.fieldSize) throw new MultipartError('Field ' + part.name + ' is larger than ' + formatBytes(limits.fieldSize), 413);
+			part.chunks.push(data);
+		}
+	};
+
+	const endPart = () => {
+		const { name, filename, contentType, size } = part;
+		if (part.fd !== undefined) {
+			fs.closeSync(part.fd);
+			const file = part.path;
+			let data = null;
+			parts.push({
+				name, filename, contentType, size, path: file,
+				get data() { return data || (data = fs.readFileSync(file)); },
+			});
+		} else {
+			parts.push({ name, filename, contentType, size, data: Buffer.concat(part.chunks) });
+		}
+		part = null;
+	};
+
+	// Consumes as much of `buf` as the current state allows
+	const advance = () => {
+		for (;;) {
+			if (state === 'preamble' || state === 'body') {
+				const idx = buf.indexOf(delimiter);
+				if (idx === -1) {
+					// Keep what could be the start of a delimiter split across chunks
+					const keep = Math.min(buf.length, delimiter.length - 1);
+					if (state === 'body') write(buf.subarray(0, buf.length - keep));
+					buf = buf.subarray(buf.length - keep);
+					return;
+				}
+				if (state === 'body') {
+					write(buf.subarray(0, idx));
+					endPart();
+				}
+				buf = buf.subarray(idx + delimiter.length);
+				state = 'delimiter';
+			} else if (state === 'delimiter') {
+				// "--" closes the body; otherwise optional padding, then CRLF
+				if (buf.length < 2) return;
+				if (buf[0] === 0x2d && buf[1] === 0x2d) {
+					state = 'done';
+					return;
+				}
+				const eol = buf.indexOf('\r\n');
+				if (eol === -1) {
+					if (buf.length > 256) throw new MultipartError('Malformed multipart delimiter');
+					return;
+				}
+				if (buf.subarray(0, eol).toString('latin1').trim()) throw new MultipartError('Malformed multipart delimiter');
+				buf = buf.subarray(eol + 2);
+				state = 'headers';
+			} else if (state === 'headers') {
+				const end = buf.indexOf('\r\n\r\n');
+				if (end === -1) {
+					if (buf.length > MAX_HEADER_BYTES) throw new MultipartError('Part headers are larger than ' + formatBytes(MAX_HEADER_BYTES));
+					return;
+				}
+				startPart(parsePartHeaders(buf.subarray(0, end).toString('utf-8')));
+				buf = buf.subarray(end + 4);
+				state = 'body';
+			} else {
+				// Epilogue after the closing delimiter is ignored
+				buf = Buffer.alloc(0);
+				return;
+			}
+		}
+	};
+
+	return new Promise((resolve, reject) => {
+		let failed = false;
+		const fail = err => {
+			if (failed) return;
+			failed = true;
+			if (part && part.fd !== undefined) fs.closeSync(part.fd);
+			for (const file of created) fs.rmSync(file, { force: true });
+			// Drop the rest of the body unread
+			stream.removeListener('data', onData);
+			stream.resume();
+			reject(err);
+		};
+		const onData = chunk => {
+			try {
+				total += chunk.length;
+				if (total > limits.totalSize) throw new MultipartError('Upload is larger than ' + formatBytes(limits.totalSize), 413);
+				buf = buf.length ? Buffer.concat([buf, chunk]) : chunk;
+				advance();
+			} catch (err) {
+				fail(err);
+			}
+		};
+		stream.on('data', onData);
+		stream.on('error', fail);
+		stream.on('aborted', () => fail(new MultipartError('The upload was interrupted')));
+		stream.on('end', () => {
+			if (failed) return;
+			if (state !== 'done') return fail(new MultipartError('The multipart body ended before its closing boundary'));
+			resolve(parts);
+		});
+	});
+}
+
+function formatBytes(bytes) {
+	if (bytes < 1024) return bytes + ' B';
+	if (bytes < 1048576) return Math.round(bytes / 1024) + ' KB';
+	return Math.round(bytes / 1048576) + ' MB';
+}
+
+module.exports = { MultipartError, parseBoundary, parseMultipartStream, formatBytes };
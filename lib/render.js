@@ -0,0 +1,425 @@
+/**
+ * Software preview renderer.
+ *
+ * Reproduces the dashboard's three.js PreviewRenderer without a GPU: same
+ * gradient background, camera fit, lights and MeshStandardMaterial shading,
+ * so a preview rendered here is interchangeable with one from the browser.
+ * The picture is rasterised at 2x and box-filtered down, standing in for the
+ * WebGL renderer's multisampling.
+ */
+
+const { parseGlb, scenePrimitives, primitiveBounds, embeddedImage, multiply, compose, transformPoint, normalMatrix } = require('./glb');
+const { decodeImage, fitWithin, encodeWebp } = require('./image');
+
+class RenderError extends Error {}
+
+const PREVIEW_WIDTH = 400;
+const PREVIEW_HEIGHT = 300;
+const PREVIEW_QUALITY = 75;
+const SUPERSAMPLE = 2;
+const MAX_TEXTURE_SIZE = 2048;
+
+// Must stay in step with PreviewRenderer / createGradientBackground in the dashboard.
+const FOV = 45;
+const NEAR = 0.1;
+const FAR = 100;
+const MODEL_YAW = Math.PI / 6;
+const AMBIENT = 1.0;
+const LIGHTS = [
+	{ position: [5, 5, 5], intensity: 1.5 },
+	{ position: [-3, 2, -3], intensity: 0.8 },
+	{ position: [0, 3, -5], intensity: 0.5 },
+];
+const GRADIENT_STOPS = [
+	[0, [0x1a, 0x22, 0x40]],
+	[0.5, [0x12, 0x18, 0x2b]],
+	[1, [0x0a, 0x0e, 0x1a]],
+];
+
+const WRAP_CLAMP = 33071, WRAP_MIRROR = 33648, WRAP_REPEAT = 10497;
+const MIN_ROUGHNESS = 0.0525;
+
+// ─── Colour ──────────────────────────────────────────────────────────────
+
+const SRGB_TO_LINEAR = new Float32Array(256);
+for (let i = 0; i < 256; i++) {
+	const c = i / 255;
+	SRGB_TO_LINEAR[i] = c < 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+function linearToSrgb(c) {
+	if (c <= 0) return 0;
+	if (c >= 1) return 1;
+	return c < 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+}
+
+/**
+ * Background rows as encoded sRGB floats: the 256-texel canvas gradient,
+ * sampled linearly when stretched to the viewport height.
+ */
+function gradientRows(height) {
+	const texels = [];
+	for (let i = 0; i < 256; i++) {
+		const t = (i + 0.5) / 256;
+		let s = 0;
+		while (s < GRADIENT_STOPS.length - 2 && t > GRADIENT_STOPS[s + 1][0]) s++;
+		const [t0, c0] = GRADIENT_STOPS[s], [t1, c1] = GRADIENT_STOPS[s + 1];
+		const f = Math.min(1, Math.max(0, (t - t0) / (t1 - t0)));
+		texels.push(c0.map((v, k) => Math.round(v + (c1[k] - v) * f) / 255));
+	}
+	const rows = [];
+	for (let y = 0; y < height; y++) {
+		const pos = Math.min(255, Math.max(0, ((y + 0.5) / height) * 256 - 0.5));
+		const i0 = Math.floor(pos), i1 = Math.min(255, i0 + 1), f = pos - i0;
+		rows.push(texels[i0].map((v, k) => v + (texels[i1][k] - v) * f));
+	}
+	return rows;
+}
+
+// ─── Textures ────────────────────────────────────────────────────────────
+
+/** Linear-light mip pyramid of an RGBA image. */
+function prepareTexture(img, wrapS = WRAP_CLAMP, wrapT = WRAP_CLAMP) {
+	img = fitWithin(img, MAX_TEXTURE_SIZE);
+	let { width: w, height: h } = img;
+	let data = new Float32Array(w * h * 3);
+	for (let i = 0, j = 0; i < w * h; i++, j += 4) {
+		data[i * 3] = SRGB_TO_LINEAR[img.data[j]];
+		data[i * 3 + 1] = SRGB_TO_LINEAR[img.data[j + 1]];
+		data[i * 3 + 2] = SRGB_TO_LINEAR[img.data[j + 2]];
+	}
+	const levels = [{ w, h, data }];
+	while (w > 1 || h > 1) {
+		const nw = Math.max(1, w >> 1), nh = Math.max(1, h >> 1);
+		const next = new Float32Array(nw * nh * 3);
+		for (let y = 0; y < nh; y++) {
+			const y0 = Math.min(h - 1, y * 2), y1 = Math.min(h - 1, y * 2 + 1);
+			for (let x = 0; x < nw; x++) {
+				const x0 = Math.min(w - 1, x * 2), x1 = Math.min(w - 1, x * 2 + 1);
+				for (let c = 0; c < 3; c++) {
+					next[(y * nw + x) * 3 + c] = (data[(y0 * w + x0) * 3 + c] + data[(y0 * w + x1) * 3 + c] +
+						data[(y1 * w + x0) * 3 + c] + data[(y1 * w + x1) * 3 + c]) / 4;
+				}
+			}
+		}
+		w = nw; h = nh; data = next;
+		levels.push({ w, h, data });
+	}
+	return { levels, wrapS, wrapT };
+}
+
+function wrapCoord(i, size, mode) {
+	if (mode === WRAP_REPEAT) return ((i % size) + size) % size;
+	if (mode === WRAP_MIRROR) {
+		const period = size * 2;
+		const m = ((i % period) + period) % period;
+		return m < size ? m : period - 1 - m;
+	}
+	return i < 0 ? 0 : i >= size ? size - 1 : i;
+}
+
+function sampleLevel(tex, level, u, v, out) {
+	const { w, h, data } = tex.levels[level];
+	const x = u * w - 0.5, y = v * h - 0.5;
+	const xf = Math.floor(x), yf = Math.floor(y);
+	const fx = x - xf, fy = y - yf;
+	const x0 = wrapCoord(xf, w, tex.wrapS), x1 = wrapCoord(xf + 1, w, tex.wrapS);
+	const y0 = wrapCoord(yf, h, tex.wrapT), y1 = wrapCoord(yf + 1, h, tex.wrapT);
+	const a = (y0 * w + x0) * 3, b = (y0 * w + x1) * 3, c = (y1 * w + x0) * 3, d = (y1 * w + x1) * 3;
+	for (let k = 0; k < 3; k++) {
+		const top = data[a + k] + (data[b + k] - data[a + k]) * fx;
+		const bottom = data[c + k] + (data[d + k] - data[c + k]) * fx;
+		out[k] = top + (bottom - top) * fy;
+	}
+}
+
+/** Trilinear lookup at a fractional mip level. */
+function sampleTexture(tex, lod, u, v, out, scratch) {
+	const maxLevel = tex.levels.length - 1;
+	const l = Math.min(maxLevel, Math.max(0, lod));
+	const l0 = Math.floor(l), f = l - l0;
+	sampleLevel(tex, l0, u, v, out);
+	if (f > 0 && l0 < maxLevel) {
+		sampleLevel(tex, l0 + 1, u, v, scratch);
+		for (let k = 0; k < 3; k++) out[k] += (scratch[k] - out[k]) * f;
+	}
+}
+
+// ─── Shading ─────────────────────────────────────────────────────────────
+
+/** MeshStandardMaterial direct + ambient lighting, in linear light. */
+function shade(albedo, metallic, roughness, n, v, lightDirs, out) {
+	const alpha = roughness * roughness, a2 = alpha * alpha;
+	const diffuse = 1 - metallic;
+	let diffuseSum = AMBIENT;
+	const spec = [0, 0, 0];
+	const dotNV = Math.min(1, Math.max(0, n[0] * v[0] + n[1] * v[1] + n[2] * v[2]));
+	for (const light of lightDirs) {
+		const l = light.dir;
+		const dotNL = Math.min(1, Math.max(0, n[0] * l[0] + n[1] * l[1] + n[2] * l[2]));
+		if (dotNL === 0) continue;
+		diffuseSum += light.intensity * dotNL;
+		let hx = l[0] + v[0], hy = l[1] + v[1], hz = l[2] + v[2];
+		const hl = Math.hypot(hx, hy, hz) || 1;
+		hx /= hl; hy /= hl; hz /= hl;
+		const dotNH = Math.min(1, Math.max(0, n[0] * hx + n[1] * hy + n[2] * hz));
+		const dotVH = Math.min(1, Math.max(0, v[0] * hx + v[1] * hy + v[2] * hz));
+		const fresnel = Math.pow(1 - dotVH, 5);
+		const gv = dotNL * Math.sqrt(a2 + (1 - a2) * dotNV * dotNV);
+		const gl = dotNV * Math.sqrt(a2 + (1 - a2) * dotNL * dotNL);
+		const vis = 0.5 / (gv + gl + 1e-6);
+		const denom = dotNH * dotNH * (a2 - 1) + 1;
+		const d = a2 / (Math.PI * denom * denom);
+		for (let k = 0; k < 3; k++) {
+			const f0 = 0.04 + (albedo[k] - 0.04) * metallic;
+			spec[k] += light.intensity * dotNL * (f0 + (1 - f0) * fresnel) * vis * d;
+		}
+	}
+	for (let k = 0; k < 3; k++) out[k] = albedo[k] * diffuse * diffuseSum / Math.PI + spec[k];
+}
+
+// ─── Rasteriser ──────────────────────────────────────────────────────────
+
+function normalize(v) {
+	const l = Math.hypot(v[0], v[1], v[2]) || 1;
+	return [v[0] / l, v[1] / l, v[2] / l];
+}
+
+function cross(a, b) {
+	return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+function sub(a, b) {
+	return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+}
+
+/** Camera placed the way PreviewRenderer auto-fits it to the model's bounds. */
+function fitCamera(bounds, aspect) {
+	const center = [0, 1, 2].map(i => (bounds.min[i] + bounds.max[i]) / 2);
+	const maxDim = Math.max(...[0, 1, 2].map(i => bounds.max[i] - bounds.min[i]));
+	const fov = FOV * Math.PI / 180;
+	const dist = maxDim / (2 * Math.tan(fov / 2)) * 1.1;
+	const eye = [center[0] + dist, center[1] + dist * 0.15, center[2] + dist * 0.1];
+	const zAxis = normalize(sub(eye, center));
+	const xAxis = normalize(cross([0, 1, 0], zAxis));
+	const yAxis = cross(zAxis, xAxis);
+	return { eye, xAxis, yAxis, zAxis, focal: 1 / Math.tan(fov / 2), aspect };
+}
+
+function drawPrimitive(target, camera, prim, model, material, lightDirs) {
+	const { width: W, height: H, color, depth } = target;
+	const count = prim.positions.length / 3;
+	const { det, n: nm } = normalMatrix(model);
+	const flipWinding = det < 0;
+
+	// Per-vertex world position, normal and screen coordinates.
+	const world = new Float64Array(count * 3);
+	const normals = prim.normals ? new Float64Array(count * 3) : null;
+	const sx = new Float64Array(count), sy = new Float64Array(count), vz = new Float64Array(count);
+	for (let i = 0; i < count; i++) {
+		const p = transformPoint(model, prim.positions[i * 3], prim.positions[i * 3 + 1], prim.positions[i * 3 + 2]);
+		world[i * 3] = p[0]; world[i * 3 + 1] = p[1]; world[i * 3 + 2] = p[2];
+		const r = sub(p, camera.eye);
+		const cx = r[0] * camera.xAxis[0] + r[1] * camera.xAxis[1] + r[2] * camera.xAxis[2];
+		const cy = r[0] * camera.yAxis[0] + r[1] * camera.yAxis[1] + r[2] * camera.yAxis[2];
+		const cz = -(r[0] * camera.zAxis[0] + r[1] * camera.zAxis[1] + r[2] * camera.zAxis[2]);
+		vz[i] = cz;
+		sx[i] = (cx * camera.focal / camera.aspect / cz * 0.5 + 0.5) * W;
+		sy[i] = (0.5 - cy * camera.focal / cz * 0.5) * H;
+		if (normals) {
+			const x = prim.normals[i * 3], y = prim.normals[i * 3 + 1], z = prim.normals[i * 3 + 2];
+			const wn = normalize([nm[0] * x + nm[1] * y + nm[2] * z, nm[3] * x + nm[4] * y + nm[5] * z, nm[6] * x + nm[7] * y + nm[8] * z]);
+			normals[i * 3] = wn[0]; normals[i * 3 + 1] = wn[1]; normals[i * 3 + 2] = wn[2];
+		}
+	}
+
+	const tex = material.map;
+	const uvs = tex ? prim.uvs : null;
+	const colors = material.vertexColors ? prim.colors : null;
+	const cc = prim.colorComponents;
+	const albedo = [0, 0, 0], texel = [0, 0, 0], scratch = [0, 0, 0], lit = [0, 0, 0];
+	const n = [0, 0, 0], v = [0, 0, 0];
+	const idx = prim.indices;
+
+	for (let t = 0; t + 2 < idx.length; t += 3) {
+		const i0 = idx[t], i1 = idx[t + 1], i2 = idx[t + 2];
+		if (i0 >= count || i1 >= count || i2 >= count) continue;
+		// Triangles crossing the near plane are dropped rather than clipped;
+		// the fitted camera sits well outside the model's bounds.
+		if (vz[i0] < NEAR || vz[i1] < NEAR || vz[i2] < NEAR) continue;
+		if (vz[i0] > FAR && vz[i1] > FAR && vz[i2] > FAR) continue;
+
+		const area = (sx[i1] - sx[i0]) * (sy[i2] - sy[i0]) - (sx[i2] - sx[i0]) * (sy[i1] - sy[i0]);
+		if (area === 0) continue;
+		// Screen y points down, so counter-clockwise (front) faces have negative area here.
+		const frontFacing = (area < 0) !== flipWinding;
+		if (!frontFacing && !material.doubleSided) continue;
+		const faceSign = frontFacing ? 1 : -1;
+
+		let flatNormal = null;
+		if (!normals) {
+			// Like flatShading in three.js: the face normal, turned toward the viewer.
+			const p0 = [world[i0 * 3], world[i0 * 3 + 1], world[i0 * 3 + 2]];
+			flatNormal = normalize(cross(sub([world[i1 * 3], world[i1 * 3 + 1], world[i1 * 3 + 2]], p0), sub([world[i2 * 3], world[i2 * 3 + 1], world[i2 * 3 + 2]], p0)));
+			const toEye = sub(camera.eye, p0);
+			if (flatNormal[0] * toEye[0] + flatNormal[1] * toEye[1] + flatNormal[2] * toEye[2] < 0) flatNormal = flatNormal.map(x => -x);
+		}
+
+		let lod = 0;
+		if (uvs) {
+			const du1 = uvs[i1 * 2] - uvs[i0 * 2], dv1 = uvs[i1 * 2 + 1] - uvs[i0 * 2 + 1];
+			const du2 = uvs[i2 * 2] - uvs[i0 * 2], dv2 = uvs[i2 * 2 + 1] - uvs[i0 * 2 + 1];
+			const texArea = Math.abs(du1 * dv2 - du2 * dv1) * tex.levels[0].w * tex.levels[0].h;
+			const pixelArea = Math.abs(area) / (SUPERSAMPLE * SUPERSAMPLE);
+			lod = texArea > 0 ? 0.5 * Math.log2(texArea / pixelArea) : 0;
+		}
+
+		const minX = Math.max(0, Math.floor(Math.min(sx[i0], sx[i1], sx[i2])));
+		const maxX = Math.min(W - 1, Math.ceil(Math.max(sx[i0], sx[i1], sx[i2])));
+		const minY = Math.max(0, Math.floor(Math.min(sy[i0], sy[i1], sy[i2])));
+		const maxY = Math.min(H - 1, Math.ceil(Math.max(sy[i0], sy[i1], sy[i2])));
+		const w0 = 1 / vz[i0], w1 = 1 / vz[i1], w2 = 1 / vz[i2];
+
+		for (let y = minY; y <= maxY; y++) {
+			const py = y + 0.5;
+			for (let x = minX; x <= maxX; x++) {
+				const px = x + 0.5;
+				let b0 = ((sx[i1] - px) * (sy[i2] - py) - (sx[i2] - px) * (sy[i1] - py)) / area;
+				let b1 = ((sx[i2] - px) * (sy[i0] - py) - (sx[i0] - px) * (sy[i2] - py)) / area;
+				let b2 = 1 - b0 - b1;
+				if (b0 < 0 || b1 < 0 || b2 < 0) continue;
+				// Perspective-correct weights.
+				const invZ = b0 * w0 + b1 * w1 + b2 * w2;
+				const z = 1 / invZ;
+				if (z < NEAR || z > FAR) continue;
+				const p = y * W + x;
+				if (z >= depth[p]) continue;
+				b0 *= w0 * z; b1 *= w1 * z; b2 *= w2 * z;
+
+				for (let k = 0; k < 3; k++) {
+					v[k] = camera.eye[k] - (b0 * world[i0 * 3 + k] + b1 * world[i1 * 3 + k] + b2 * world[i2 * 3 + k]);
+				}
+				const vl = Math.hypot(v[0], v[1], v[2]) || 1;
+				v[0] /= vl; v[1] /= vl; v[2] /= vl;
+				if (normals) {
+					for (let k = 0; k < 3; k++) n[k] = (b0 * normals[i0 * 3 + k] + b1 * normals[i1 * 3 + k] + b2 * normals[i2 * 3 + k]) * faceSign;
+					const nl = Math.hypot(n[0], n[1], n[2]) || 1;
+					n[0] /= nl; n[1] /= nl; n[2] /= nl;
+				} else {
+					n[0] = flatNormal[0]; n[1] = flatNormal[1]; n[2] = flatNormal[2];
+				}
+
+				albedo[0] = material.baseColor[0]; albedo[1] = material.baseColor[1]; albedo[2] = material.baseColor[2];
+				if (uvs) {
+					const u = b0 * uvs[i0 * 2] + b1 * uvs[i1 * 2] + b2 * uvs[i2 * 2];
+					const tv = b0 * uvs[i0 * 2 + 1] + b1 * uvs[i1 * 2 + 1] + b2 * uvs[i2 * 2 + 1];
+					sampleTexture(tex, lod, u, tv, texel, scratch);
+					albedo[0] *= texel[0]; albedo[1] *= texel[1]; albedo[2] *= texel[2];
+				}
+				if (colors) {
+					for (let k = 0; k < 3; k++) albedo[k] *= b0 * colors[i0 * cc + k] + b1 * colors[i1 * cc + k] + b2 * colors[i2 * cc + k];
+				}
+				shade(albedo, material.metallic, material.roughness, n, v, lightDirs, lit);
+				depth[p] = z;
+				color[p * 3] = linearToSrgb(lit[0]);
+				color[p * 3 + 1] = linearToSrgb(lit[1]);
+				color[p * 3 + 2] = linearToSrgb(lit[2]);
+			}
+		}
+	}
+}
+
+/** Material for a primitive when the model is drawn with its own glTF materials. */
+function sceneMaterial(glb, desc, textureCache) {
+	let map = null;
+	if (desc.texture !== null && desc.texCoord === 0) {
+		if (!textureCache.has(desc.texture)) {
+			let prepared = null;
+			const embedded = embeddedImage(glb, desc.texture);
+			if (embedded) {
+				const sampler = (glb.json.samplers || [])[glb.json.textures[desc.texture].sampler] || {};
+				try {
+					prepared = prepareTexture(decodeImage(embedded.data), sampler.wrapS || WRAP_REPEAT, sampler.wrapT || WRAP_REPEAT);
+				} catch {
+					// An undecodable embedded image renders as untextured, as a browser would.
+				}
+			}
+			textureCache.set(desc.texture, prepared);
+		}
+		map = textureCache.get(desc.texture);
+	}
+	return {
+		baseColor: desc.baseColor.slice(0, 3),
+		metallic: Math.min(1, Math.max(0, desc.metallic)),
+		roughness: Math.min(1, Math.max(MIN_ROUGHNESS, desc.roughness)),
+		doubleSided: desc.doubleSided,
+		vertexColors: true,
+		map,
+	};
+}
+
+/**
+ * Renders a model to an RGBA image the way the dashboard's PreviewRenderer
+ * does. `glb` is the GLB file; `texture`, when given (encoded bytes or a
+ * decoded image), replaces every material with a plain textured
+ * MeshStandardMaterial, exactly as a skin preview does in the browser.
+ */
+function renderPreview({ glb, texture = null, width = PREVIEW_WIDTH, height = PREVIEW_HEIGHT }) {
+	const doc = Buffer.isBuffer(glb) ? parseGlb(glb) : glb;
+	const prims = scenePrimitives(doc);
+	const root = compose([0, 0, 0], [0, Math.sin(MODEL_YAW / 2), 0, Math.cos(MODEL_YAW / 2)], [1, 1, 1]);
+	const bounds = primitiveBounds(prims, root);
+	if (!bounds) throw new RenderError('Model has no triangle geometry to render');
+	const camera = fitCamera(bounds, width / height);
+
+	const W = width * SUPERSAMPLE, H = height * SUPERSAMPLE;
+	const target = { width: W, height: H, color: new Float32Array(W * H * 3), depth: new Float32Array(W * H).fill(Infinity) };
+	const rows = gradientRows(H);
+	for (let y = 0; y < H; y++) {
+		for (let x = 0; x < W; x++) target.color.set(rows[y], (y * W + x) * 3);
+	}
+
+	const lightDirs = LIGHTS.map(l => ({ dir: normalize(l.position), intensity: l.intensity }));
+	let override = null;
+	if (texture) {
+		const img = Buffer.isBuffer(texture) ? decodeImage(texture) : texture;
+		override = { baseColor: [1, 1, 1], metallic: 0, roughness: 1, doubleSided: false, vertexColors: false, map: prepareTexture(img) };
+	}
+	const textureCache = new Map();
+	for (const prim of prims) {
+		const material = override || sceneMaterial(doc, prim.material, textureCache);
+		drawPrimitive(target, camera, prim, multiply(root, prim.matrix), material, lightDirs);
+	}
+
+	const out = new Uint8Array(width * height * 4);
+	const samples = SUPERSAMPLE * SUPERSAMPLE;
+	for (let y = 0; y < height; y++) {
+		for (let x = 0; x < width; x++) {
+			const o = (y * width + x) * 4;
+			for (let k = 0; k < 3; k++) {
+				let sum = 0;
+				for (let sy = 0; sy < SUPERSAMPLE; sy++) {
+					for (let sx = 0; sx < SUPERSAMPLE; sx++) {
+						sum += target.color[((y * SUPERSAMPLE + sy) * W + x * SUPERSAMPLE + sx) * 3 + k];
+					}
+				}
+				out[o + k] = Math.round(sum / samples * 255);
+			}
+			out[o + 3] = 255;
+		}
+	}
+	return { width, height, data: out };
+}
+
+/** renderPreview, encoded as the 400x300 WebP stored under Previews/. */
+function renderPreviewWebp(opts) {
+	return encodeWebp(renderPreview(opts), PREVIEW_QUALITY);
+}
+
+module.exports = {
+	RenderError,
+	PREVIEW_WIDTH,
+	PREVIEW_HEIGHT,
+	renderPreview,
+	renderPreviewWebp,
+};
@@ -0,0 +1,69 @@
+/**
+ * Path safety for everything the store writes or serves.
+ *
+ * Resolves request-supplied relative paths strictly inside a base directory
+ * and turns uploaded file names into safe, portable slugs.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class PathError extends Error {}
+
+const WINDOWS_RESERVED = /^(con|prn|aux|nul|com[1-9]|lpt[1-9])$/i;
+const MAX_STEM_LENGTH = 80;
+
+function isInside(base, target) {
+	const rel = path.relative(base, target);
+	return rel === '' || (rel !== '..' && !rel.startsWith('..' + path.sep) && !path.isAbsolute(rel));
+}
+
+/**
+ * Resolves `rel` (forward or back slashes) inside `base`. Rejects absolute
+ * paths, drive letters, `..` segments, NUL bytes and, for paths that already
+ * exist, symlinks that lead outside `base`.
+ */
+function resolveWithin(base, rel) {
+	if (typeof rel !== 'string' || !rel.trim()) throw new PathError('Empty path');
+	if (rel.includes('\0')) throw new PathError('Path contains a NUL byte');
+	if (path.posix.isAbsolute(rel) || path.win32.isAbsolute(rel) || /^[A-Za-z]:/.test(rel)) {
+		throw new PathError('Absolute paths are not allowed: ' + rel);
+	}
+	const segments = rel.split(/[\\/]+/).filter(s => s && s !== '.');
+	if (segments.includes('..')) throw new PathError('".." is not allowed in paths: ' + rel);
+
+	const root = path.resolve(base);
+	const abs = path.resolve(root, ...segments);
+	if (!isInside(root, abs)) throw new PathError('Path escapes the store: ' + rel);
+
+	let real = null;
+	try {
+		real = fs.realpathSync(abs);
+	} catch {
+		// Not created yet — nothing to follow
+	}
+	if (real && !isInside(fs.realpathSync(root), real)) throw new PathError('Path leaves the store through a symlink: ' + rel);
+	return abs;
+}
+
+/**
+ * Reduces an uploaded file name to a safe one: directories dropped, accents
+ * folded, anything but ASCII letters, digits, `.`, `_` and `-` turned into
+ * `-`, extension lowercased. Case is kept, since asset names are shown as-is.
+ */
+function slugifyFilename(name) {
+	const base = String(name || '').split(/[\\/]/).pop();
+	const rawExt = path.extname(base);
+	const ext = rawExt.toLowerCase().replace(/[^a-z0-9.]/g, '');
+	let stem = base.slice(0, base.length - rawExt.length)
+		.normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+		.replace(/[^A-Za-z0-9._-]+/g, '-')
+		.replace(/-{2,}/g, '-')
+		.replace(/^[-._]+|[-._]+$/g, '');
+	stem = stem.slice(0, MAX_STEM_LENGTH).replace(/[-._]+$/, '');
+	if (!stem) throw new PathError('File name "' + name + '" has no usable characters');
+	if (WINDOWS_RESERVED.test(stem)) stem += '-file';
+	return stem + ext;
+}
+
+module.exports = { PathError, resolveWithin, slugifyFilename, isInside };
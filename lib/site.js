@@ -0,0 +1,264 @@
+/**
+ * Static storefront pages for the store's public catalogue.
+ *
+ * Renders a manifest into plain HTML files: an index of every asset with
+ * search, a page per weapon (its models and skins), one for the specials, a
+ * page per asset and one per creator. Nothing needs a server: links between
+ * pages are relative, and previews and downloads point at the raw asset URLs
+ * under `baseUrl`, so the output can sit on GitHub Pages as-is. Search runs
+ * in the browser over the cards of the index page.
+ */
+
+const UNKNOWN_CREDIT = 'Unknown';
+const TYPE_LABELS = { skin: 'Skin', model: 'Model', special: 'Special' };
+
+const CSS = `*{box-sizing:border-box;margin:0;padding:0}
+body{background:#0a0e1a;color:#e0e0e0;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;line-height:1.4}
+a{color:#00ff88;text-decoration:none}
+a:hover{text-decoration:underline}
+header{display:flex;flex-wrap:wrap;gap:12px 24px;align-items:center;padding:16px 24px;border-bottom:1px solid rgba(255,255,255,0.08)}
+header .brand{font-size:20px;font-weight:700}
+header nav{display:flex;flex-wrap:wrap;gap:6px;flex:1}
+header nav a{background:rgba(255,255,255,0.05);border:1px solid rgba(255,255,255,0.1);color:rgba(255,255,255,0.7);padding:5px 12px;border-radius:20px;font-size:12px}
+header nav a.active{background:rgba(0,255,136,0.15);border-color:#00ff88;color:#00ff88}
+header input{background:#080b14;border:1px solid rgba(255,255,255,0.15);color:#e0e0e0;padding:7px 12px;border-radius:6px;font-size:13px;width:240px}
+main{padding:24px;max-width:1200px;margin:0 auto}
+h1{color:#00ff88;font-size:24px;margin-bottom:6px}
+h2{color:#fff;font-size:16px;margin:24px 0 12px}
+.subtitle{color:rgba(255,255,255,0.45);font-size:13px;margin-bottom:20px}
+.grid{display:grid;grid-template-columns:repeat(auto-fill,minmax(200px,1fr));gap:14px}
+.card{display:block;background:linear-gradient(145deg,#12182b,#0a0e1a);border:1px solid rgba(255,255,255,0.08);border-radius:10px;overflow:hidden;color:inherit}
+.card:hover{border-color:rgba(0,255,136,0.4);text-decoration:none}
+.preview{width:100%;aspect-ratio:4/3;background:#080b14;display:flex;align-items:center;justify-content:center;overflow:hidden;color:rgba(255,255,255,0.25);font-size:12px}
+.preview img{width:100%;height:100%;object-fit:cover}
+.card-info{padding:10px 12px}
+.card-name{font-size:13px;font-weight:600;color:#fff;white-space:nowrap;overflow:hidden;text-overflow:ellipsis}
+.card-meta{font-size:11px;color:rgba(255,255,255,0.45);margin-top:3px}
+.badge{display:inline-block;font-size:10px;padding:1px 7px;border-radius:10px;background:rgba(0,255,136,0.1);color:#00ff88;margin:4px 4px 0 0}
+.detail{display:grid;grid-template-columns:minmax(0,3fr) minmax(0,2fr);gap:24px}
+.detail .preview{border:1px solid rgba(255,255,255,0.08);border-radius:10px}
+.detail dl{display:grid;grid-template-columns:auto 1fr;gap:8px 16px;font-size:13px}
+.detail dt{color:rgba(255,255,255,0.45)}
+.detail p{margin:16px 0;color:rgba(255,255,255,0.8)}
+.downloads a{display:inline-block;border:1px solid rgba(0,255,136,0.3);padding:7px 14px;border-radius:6px;margin:4px 8px 0 0;font-size:13px}
+.creators{list-style:none;font-size:14px}
+.creators li{padding:6px 0;border-bottom:1px solid rgba(255,255,255,0.06)}
+.count{color:rgba(255,255,255,0.45);font-size:12px}
+.empty{color:rgba(255,255,255,0.45);font-size:13px}
+footer{padding:24px;color:rgba(255,255,255,0.3);font-size:11px;text-align:center}
+@media (max-width:700px){.detail{grid-template-columns:1fr}header input{width:100%}}
+`;
+
+// Filters the index page's cards as the header search box is typed into;
+// on other pages the box is a plain form that opens index.html?q=…
+const SEARCH_JS = `(function () {
+  var grid = document.getElementById('catalogue');
+  var input = document.getElementById('q');
+  if (!grid || !input) return;
+  var cards = Array.prototype.slice.call(grid.querySelectorAll('.card'));
+  var count = document.getElementById('resultCount');
+  var empty = document.getElementById('noResults');
+  function apply() {
+    var words = input.value.toLowerCase().split(/\\s+/).filter(Boolean);
+    var shown = 0;
+    cards.forEach(function (card) {
+      var text = card.getAttribute('data-search');
+      var match = words.every(function (w) { return text.indexOf(w) !== -1; });
+      card.hidden = !match;
+      if (match) shown++;
+    });
+    count.textContent = shown + ' of ' + cards.length + ' assets';
+    empty.hidden = shown > 0;
+    var url = new URL(location.href);
+    if (input.value) url.searchParams.set('q', input.value);
+    else url.searchParams.delete('q');
+    history.replaceState(null, '', url);
+  }
+  input.form.addEventListener('submit', function (e) { e.preventDefault(); apply(); });
+  input.addEventListener('input', apply);
+  input.value = new URLSearchParams(location.search).get('q') || '';
+  apply();
+})();
+`;
+
+function escapeHtml(value) {
+	return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+function formatSize(bytes) {
+	if (bytes < 1024) return bytes + ' B';
+	if (bytes < 1048576) return (bytes / 1024).toFixed(1) + ' KB';
+	return (bytes / 1048576).toFixed(1) + ' MB';
+}
+
+// Raw URL of a store file: `baseUrl` plus the path, each segment encoded
+function fileUrl(baseUrl, file) {
+	return baseUrl + file.split('/').map(encodeURIComponent).join('/');
+}
+
+// Lowercase, dash-separated file stem; `taken` keeps stems unique
+function slugFor(text, taken) {
+	const base = String(text).normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+		.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'page';
+	let slug = base;
+	for (let n = 2; taken.has(slug); n++) slug = base + '-' + n;
+	taken.add(slug);
+	return slug;
+}
+
+const hasCreator = asset => !!asset.credit && asset.credit !== UNKNOWN_CREDIT;
+const byName = (a, b) => a.name.localeCompare(b.name, 'en', { sensitivity: 'base' });
+
+/**
+ * Renders the storefront for `manifest`. Hidden assets are left out.
+ *
+ * options: { weapons (the catalogue, for weapon names and order), baseUrl
+ * (ends with "/"), hasPreview(path) (whether a preview file exists; missing
+ * ones get a placeholder), title }
+ *
+ * Returns `{ files: [{ path, data }], stats: { assets, weapons, creators } }`
+ * with forward-slash paths relative to the site root.
+ */
+function renderSite(manifest, { weapons, baseUrl, hasPreview = () => true, title = 'Haze Store' }) {
+	const assets = manifest.assets.filter(a => !a.hidden).sort(byName);
+
+	// Weapons in catalogue order, then any only the manifest knows
+	const weaponIds = [...new Set(weapons.map(w => w.id).concat(assets.map(a => a.weapon).filter(Boolean)))]
+		.filter(id => assets.some(a => a.weapon === id));
+	const weaponName = id => (weapons.find(w => w.id === id) || {}).name || id.toUpperCase();
+	const specials = assets.filter(a => a.type === 'special');
+
+	const pageSlugs = new Set();
+	const assetPage = new Map(assets.map(a => [a.id, 'assets/' + slugFor(a.id, pageSlugs) + '.html']));
+	const weaponSlugs = new Set();
+	const weaponPage = new Map(weaponIds.map(id => [id, 'weapons/' + slugFor(id, weaponSlugs) + '.html']));
+	// creators/index.html lists them all
+	const creatorSlugs = new Set(['index']);
+	const creators = [...new Set(assets.filter(hasCreator).map(a => a.credit))]
+		.sort((a, b) => a.localeCompare(b, 'en', { sensitivity: 'base' }));
+	const creatorPage = new Map(creators.map(c => [c, 'creators/' + slugFor(c, creatorSlugs) + '.html']));
+
+	const files = [];
+	const page = (file, heading, body, { active, description } = {}) => {
+		const root = '../'.repeat(file.split('/').length - 1);
+		const navLink = (href, label, key) =>
+			'<a href="' + root + href + '"' + (key === active ? ' class="active"' : '') + '>' + escapeHtml(label) + '</a>';
+		const nav = [navLink('index.html', 'All', 'all')]
+			.concat(weaponIds.map(id => navLink(weaponPage.get(id), weaponName(id), 'weapon:' + id)))
+			.concat(specials.length ? [navLink('specials.html', 'Specials', 'specials')] : [])
+			.concat(creators.length ? [navLink('creators/index.html', 'Creators', 'creators')] : []);
+		const html = '<!DOCTYPE html>\n<html lang="en">\n<head>\n<meta charset="UTF-8">\n' +
+			'<meta name="viewport" content="width=device-width, initial-scale=1.0">\n' +
+			'<title>' + escapeHtml(heading === title ? title : heading + ' — ' + title) + '</title>\n' +
+			(description ? '<meta name="description" content="' + escapeHtml(description) + '">\n' : '') +
+			'<link rel="stylesheet" href="' + root + 'style.css">\n' +
+			'<script src="' + root + 'search.js" defer></script>\n</head>\n<body>\n' +
+			'<header><a class="brand" href="' + root + 'index.html">' + escapeHtml(title) + '</a>\n' +
+			'<nav>' + nav.join('') + '</nav>\n' +
+			'<form action="' + root + 'index.html" role="search"><input id="q" name="q" type="search" placeholder="Search assets, weapons, creators" aria-label="Search"></form></header>\n' +
+			'<main>\n' + body + '\n</main>\n' +
+			'<footer>Catalogue revision ' + escapeHtml(manifest.revision || 0) + ', updated ' + escapeHtml(String(manifest.updated).slice(0, 10)) + '</footer>\n' +
+			'</body>\n</html>\n';
+		files.push({ path: file, data: html });
+	};
+
+	const previewHtml = (asset, root, eager) => asset.preview && hasPreview(asset.preview)
+		? '<div class="preview"><img src="' + escapeHtml(fileUrl(baseUrl, asset.preview)) + '" alt="' + escapeHtml(asset.name) + '"' + (eager ? '' : ' loading="lazy"') + '></div>'
+		: '<div class="preview">No preview</div>';
+
+	const totalSize = asset => (asset.size || 0) + (asset.textureSize || 0);
+
+	const describe = asset => [TYPE_LABELS[asset.type]]
+		.concat(asset.weapon ? weaponName(asset.weapon) : [])
+		.concat(hasCreator(asset) ? 'by ' + asset.credit : []).join(' · ');
+
+	const cards = (list, root) => list.length
+		? '<div class="grid">' + list.map(asset => {
+			const search = [asset.name, asset.id, asset.type, asset.weapon ? weaponName(asset.weapon) : '', hasCreator(asset) ? asset.credit : '',
+				asset.rarity || '', (asset.tags || []).join(' '), asset.description || ''].join(' ').toLowerCase();
+			return '<a class="card" href="' + root + assetPage.get(asset.id) + '" data-search="' + escapeHtml(search) + '">' +
+				previewHtml(asset, root, false) +
+				'<div class="card-info"><div class="card-name">' + escapeHtml(asset.name) + '</div>' +
+				'<div class="card-meta">' + escapeHtml(describe(asset)) + ' · ' + formatSize(totalSize(asset)) + '</div>' +
+				(asset.rarity ? '<span class="badge">' + escapeHtml(asset.rarity) + '</span>' : '') +
+				'</div></a>';
+		}).join('\n') + '</div>'
+		: '<p class="empty">Nothing here yet.</p>';
+
+	const countText = n => n + (n === 1 ? ' asset' : ' assets');
+
+	// Index: every asset; search.js filters these cards
+	page('index.html', title,
+		'<h1>' + escapeHtml(title) + '</h1>\n<p class="subtitle" id="resultCount">' + countText(assets.length) + '</p>\n' +
+		cards(assets, '').replace('<div class="grid">', '<div class="grid" id="catalogue">') +
+		'\n<p class="empty" id="noResults" hidden>No assets match your search.</p>',
+		{ active: 'all', description: 'Skins, models and specials in the ' + title + ': ' + countText(assets.length) });
+
+	for (const id of weaponIds) {
+		const file = weaponPage.get(id);
+		const root = '../';
+		const models = assets.filter(a => a.weapon === id && a.type === 'model');
+		const skins = assets.filter(a => a.weapon === id && a.type === 'skin');
+		page(file, weaponName(id),
+			'<h1>' + escapeHtml(weaponName(id)) + '</h1>\n<p class="subtitle">' + countText(models.length + skins.length) + '</p>\n' +
+			(models.length ? '<h2>Models</h2>\n' + cards(models, root) + '\n' : '') +
+			(skins.length ? '<h2>Skins</h2>\n' + cards(skins, root) : ''),
+			{ active: 'weapon:' + id, description: weaponName(id) + ' skins and models in the ' + title });
+	}
+
+	if (specials.length) {
+		page('specials.html', 'Specials',
+			'<h1>Specials</h1>\n<p class="subtitle">' + countText(specials.length) + ' for every weapon</p>\n' + cards(specials, ''),
+			{ active: 'specials' });
+	}
+
+	for (const asset of assets) {
+		const file = assetPage.get(asset.id);
+		const root = '../';
+		const rows = [['Type', escapeHtml(TYPE_LABELS[asset.type])]];
+		if (asset.weapon) {
+			rows.push(['Weapon', weaponPage.has(asset.weapon) ? '<a href="' + root + weaponPage.get(asset.weapon) + '">' + escapeHtml(weaponName(asset.weapon)) + '</a>' : escapeHtml(weaponName(asset.weapon))]);
+		}
+		rows.push(['Creator', hasCreator(asset) ? '<a href="' + root + creatorPage.get(asset.credit) + '">' + escapeHtml(asset.credit) + '</a>' : 'Unknown']);
+		if (asset.rarity) rows.push(['Rarity', escapeHtml(asset.rarity)]);
+		if (asset.releaseDate) rows.push(['Released', escapeHtml(asset.releaseDate)]);
+		rows.push(['Size', formatSize(totalSize(asset)) + (asset.textureSize ? ' <span class="count">(model ' + formatSize(asset.size) + ', texture ' + formatSize(asset.textureSize) + ')</span>' : '')]);
+		if (asset.tags && asset.tags.length) rows.push(['Tags', asset.tags.map(t => '<span class="badge">' + escapeHtml(t) + '</span>').join('')]);
+		rows.push(['ID', '<code>' + escapeHtml(asset.id) + '</code>']);
+
+		const downloads = ['<a href="' + escapeHtml(fileUrl(baseUrl, asset.file)) + '">Download ' + escapeHtml(asset.type === 'model' ? 'model' : 'texture') + '</a>'];
+		if (asset.texture) downloads.push('<a href="' + escapeHtml(fileUrl(baseUrl, asset.texture)) + '">Download texture</a>');
+
+		page(file, asset.name,
+			'<h1>' + escapeHtml(asset.name) + '</h1>\n<p class="subtitle">' + escapeHtml(describe(asset)) + '</p>\n' +
+			'<div class="detail">' + previewHtml(asset, root, true) +
+			'<div><dl>' + rows.map(([k, v]) => '<dt>' + k + '</dt><dd>' + v + '</dd>').join('') + '</dl>' +
+			(asset.description ? '<p>' + escapeHtml(asset.description) + '</p>' : '') +
+			'<div class="downloads">' + downloads.join('') + '</div></div></div>',
+			{ active: asset.type === 'special' ? 'specials' : 'weapon:' + asset.weapon, description: asset.description || describe(asset) });
+	}
+
+	page('creators/index.html', 'Creators',
+		'<h1>Creators</h1>\n<p class="subtitle">The people behind the ' + escapeHtml(title) + '</p>\n' +
+		(creators.length
+			? '<ul class="creators">' + creators.map(c =>
+				'<li><a href="../' + creatorPage.get(c) + '">' + escapeHtml(c) + '</a> <span class="count">' + countText(assets.filter(a => a.credit === c).length) + '</span></li>').join('') + '</ul>'
+			: '<p class="empty">No credited creators yet.</p>'),
+		{ active: 'creators' });
+
+	for (const creator of creators) {
+		const own = assets.filter(a => a.credit === creator);
+		page(creatorPage.get(creator), creator,
+			'<h1>' + escapeHtml(creator) + '</h1>\n<p class="subtitle">' + countText(own.length) + '</p>\n' + cards(own, '../'),
+			{ active: 'creators', description: 'Assets by ' + creator + ' in the ' + title });
+	}
+
+	files.push({ path: 'style.css', data: CSS });
+	files.push({ path: 'search.js', data: SEARCH_JS });
+	// GitHub Pages would otherwise run the output through Jekyll
+	files.push({ path: '.nojekyll', data: '' });
+
+	return { files, stats: { assets: assets.length, weapons: weaponIds.length, creators: creators.length } };
+}
+
+module.exports = { renderSite, fileUrl };
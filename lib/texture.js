@@ -0,0 +1,91 @@
+/**
+ * Texture checks for uploaded skins and specials.
+ *
+ * Reads only the image header to compare dimensions and file size with the
+ * configured limits, and can produce a normalized copy (power-of-two, within
+ * the size limit, optionally WebP). Reports have the same
+ * `{ ok, errors, warnings, stats }` shape as validateGlb in ./glb.
+ */
+
+const { ImageError, readImageInfo, decodeImage, resizeImage, encodePng, encodeWebp } = require('./image');
+
+const WEBP_QUALITY = 90;
+// Relative difference in width/height ratio tolerated before warning
+const ASPECT_TOLERANCE = 0.02;
+
+const isPowerOfTwo = n => n > 0 && (n & (n - 1)) === 0;
+
+function formatBytes(bytes) {
+	if (bytes < 1048576) return (bytes / 1024).toFixed(1) + ' KB';
+	return (bytes / 1048576).toFixed(1) + ' MB';
+}
+
+/** Nearest power of two to `n` (in log scale), no larger than `max`. */
+function nearestPowerOfTwo(n, max) {
+	const cap = Math.pow(2, Math.floor(Math.log2(max)));
+	return Math.min(cap, Math.pow(2, Math.round(Math.log2(n))));
+}
+
+/** Dimensions a `width`x`height` texture is converted to under `limits`. */
+function targetSize(width, height, limits) {
+	const scale = Math.min(1, limits.maxDimension / Math.max(width, height));
+	let w = Math.max(1, Math.round(width * scale));
+	let h = Math.max(1, Math.round(height * scale));
+	if (limits.powerOfTwo) {
+		w = nearestPowerOfTwo(w, limits.maxDimension);
+		h = nearestPowerOfTwo(h, limits.maxDimension);
+	}
+	return { width: w, height: h };
+}
+
+/**
+ * Checks an encoded image against `limits` ({ maxDimension, maxBytes,
+ * powerOfTwo }). `aspect` (width / height), when given, is the ratio the
+ * weapon's UV layout expects; a mismatch is only a warning. Failing but
+ * readable textures are `convertible`, with the target size in
+ * `stats.suggested`.
+ */
+function checkTexture(buf, { limits, aspect = null }) {
+	const errors = [];
+	const warnings = [];
+	let info;
+	try {
+		info = readImageInfo(buf);
+	} catch (err) {
+		if (!(err instanceof ImageError)) throw err;
+		errors.push('Not a readable PNG, JPEG or WebP image: ' + err.message);
+		return { ok: false, errors, warnings, stats: null, convertible: false };
+	}
+	const { format, width, height, hasAlpha } = info;
+	const stats = { format, width, height, hasAlpha, bytes: buf.length, suggested: null };
+	const dims = width + 'x' + height;
+
+	if (Math.max(width, height) > limits.maxDimension) errors.push(dims + ' exceeds the ' + limits.maxDimension + ' px limit');
+	if (limits.powerOfTwo && !(isPowerOfTwo(width) && isPowerOfTwo(height))) errors.push(dims + ' is not a power of two on both sides');
+	if (buf.length > limits.maxBytes) errors.push(formatBytes(buf.length) + ' exceeds the ' + formatBytes(limits.maxBytes) + ' file size limit');
+	if (aspect && Math.abs(width / height - aspect) / aspect > ASPECT_TOLERANCE) {
+		warnings.push('Aspect ratio ' + (width / height).toFixed(2) + ' does not match the weapon\'s UV layout (' + aspect + ':1); the texture will look stretched');
+	}
+	if (errors.length) stats.suggested = targetSize(width, height, limits);
+	return { ok: errors.length === 0, errors, warnings, stats, convertible: errors.length > 0 };
+}
+
+/**
+ * Re-encodes a texture to fit `limits`: resized to the target size and
+ * written as PNG, or WebP when `format` is 'webp' or the source already was.
+ * Returns `{ data, ext, width, height }`.
+ */
+function normalizeTexture(buf, { limits, format = null }) {
+	let img = decodeImage(buf);
+	const target = targetSize(img.width, img.height, limits);
+	if (target.width !== img.width || target.height !== img.height) img = resizeImage(img, target.width, target.height);
+	const asWebp = format === 'webp' || (format === null && readImageInfo(buf).format === 'webp');
+	return {
+		data: asWebp ? encodeWebp(img, WEBP_QUALITY) : encodePng(img),
+		ext: asWebp ? '.webp' : '.png',
+		width: img.width,
+		height: img.height,
+	};
+}
+
+module.exports = { checkTexture, normalizeTexture, isPowerOfTwo };
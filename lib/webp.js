@@ -0,0 +1,2086 @@
+/**
+ * WebP codec in plain JavaScript.
+ *
+ * Encodes RGBA images as lossy WebP (VP8 key frame, 16x16 intra prediction,
+ * alpha carried in a lossless ALPH chunk) and decodes lossy, lossless (VP8L)
+ * and alpha WebP files. Images are `{ width, height, data }` with `data` an
+ * RGBA Uint8Array, the same shape lib/image.js uses.
+ *
+ * The VP8 side follows RFC 6386; the sub-block mode numbering follows libwebp
+ * so KF_BMODE_PROBS can be indexed directly.
+ */
+
+const {
+	COEFF_PROBS, COEFF_UPDATE_PROBS, KF_BMODE_PROBS, DC_QUANT, AC_QUANT, DISTANCE_MAP,
+} = require('./webp-tables');
+
+class WebpError extends Error {}
+
+const ZIGZAG = [0, 1, 4, 8, 5, 2, 3, 6, 9, 12, 13, 10, 7, 11, 14, 15];
+const BANDS = [0, 1, 2, 3, 6, 4, 5, 6, 6, 6, 6, 6, 6, 6, 6, 7, 0];
+const CAT_PROBS = [
+	[159],
+	[165, 145],
+	[173, 148, 140],
+	[176, 155, 140, 135],
+	[180, 157, 141, 134, 130],
+	[254, 254, 243, 230, 196, 177, 153, 140, 133, 130, 129],
+];
+const CAT_BASE = [5, 7, 11, 19, 35, 67];
+
+// Prediction modes. 16x16 modes share numbers with their 4x4 counterparts so a
+// macroblock's mode doubles as the implied sub-block context.
+const DC_PRED = 0, TM_PRED = 1, V_PRED = 2, H_PRED = 3;
+const B_DC_PRED = 0, B_TM_PRED = 1, B_VE_PRED = 2, B_HE_PRED = 3, B_RD_PRED = 4;
+const B_VR_PRED = 5, B_LD_PRED = 6, B_VL_PRED = 7, B_HD_PRED = 8, B_HU_PRED = 9;
+const B_PRED = 10;
+
+// Token types used to index the coefficient probabilities.
+const TYPE_Y_AFTER_Y2 = 0, TYPE_Y2 = 1, TYPE_CHROMA = 2, TYPE_Y_WITH_DC = 3;
+
+const clamp255 = v => (v < 0 ? 0 : v > 255 ? 255 : v);
+
+// ─── Boolean entropy coder (RFC 6386 §7) ─────────────────────────────────
+
+class BoolEncoder {
+	constructor(sizeHint) {
+		this.buf = new Uint8Array(Math.max(1024, sizeHint || 0));
+		this.pos = 0;
+		this.range = 255;
+		this.bottom = 0;
+		this.bitCount = 24;
+	}
+
+	carry() {
+		let i = this.pos - 1;
+		while (i >= 0 && this.buf[i] === 255) this.buf[i--] = 0;
+		this.buf[i]++;
+	}
+
+	putByte(b) {
+		if (this.pos === this.buf.length) {
+			const grown = new Uint8Array(this.buf.length * 2);
+			grown.set(this.buf);
+			this.buf = grown;
+		}
+		this.buf[this.pos++] = b;
+	}
+
+	put(bit, prob) {
+		const split = 1 + (((this.range - 1) * prob) >> 8);
+		if (bit) {
+			this.bottom = (this.bottom + split) >>> 0;
+			this.range -= split;
+		} else {
+			this.range = split;
+		}
+		while (this.range < 128) {
+			this.range <<= 1;
+			if (this.bottom & 0x80000000) this.carry();
+			this.bottom = (this.bottom << 1) >>> 0;
+			if (--this.bitCount === 0) {
+				this.putByte(this.bottom >>> 24);
+				this.bottom &= 0xffffff;
+				this.bitCount = 8;
+			}
+		}
+	}
+
+	putLiteral(value, bits) {
+		for (let i = bits - 1; i >= 0; i--) this.put((value >> i) & 1, 128);
+	}
+
+	finish() {
+		for (let i = 0; i < 32; i++) this.put(0, 128);
+		return Buffer.from(this.buf.buffer, 0, this.pos);
+	}
+}
+
+class BoolDecoder {
+	constructor(buf, start, end) {
+		this.buf = buf;
+		this.pos = start;
+		this.end = end;
+		this.value = (this.next() << 8) | this.next();
+		this.range = 255;
+		this.bitCount = 0;
+	}
+
+	next() {
+		return this.pos < this.end ? this.buf[this.pos++] : 0;
+	}
+
+	get(prob) {
+		const split = 1 + (((this.range - 1) * prob) >> 8);
+		const bigSplit = split << 8;
+		let bit;
+		if (this.value >= bigSplit) {
+			bit = 1;
+			this.range -= split;
+			this.value -= bigSplit;
+		} else {
+			bit = 0;
+			this.range = split;
+		}
+		while (this.range < 128) {
+			this.value <<= 1;
+			this.range <<= 1;
+			if (++this.bitCount === 8) {
+				this.bitCount = 0;
+				this.value |= this.next();
+			}
+		}
+		return bit;
+	}
+
+	literal(bits) {
+		let v = 0;
+		while (bits-- > 0) v = (v << 1) | this.get(128);
+		return v;
+	}
+
+	signedLiteral(bits) {
+		const v = this.literal(bits);
+		return this.get(128) ? -v : v;
+	}
+
+	optionalSigned(bits) {
+		return this.get(128) ? this.signedLiteral(bits) : 0;
+	}
+}
+
+// ─── Transforms (RFC 6386 §14) ───────────────────────────────────────────
+
+/** Forward 4x4 DCT of `input` (row pitch 4) into `out`, matching libvpx. */
+function forwardDct(input, out) {
+	for (let i = 0; i < 4; i++) {
+		const o = i * 4;
+		const a1 = (input[o] + input[o + 3]) * 8;
+		const b1 = (input[o + 1] + input[o + 2]) * 8;
+		const c1 = (input[o + 1] - input[o + 2]) * 8;
+		const d1 = (input[o] - input[o + 3]) * 8;
+		out[o] = a1 + b1;
+		out[o + 2] = a1 - b1;
+		out[o + 1] = (c1 * 2217 + d1 * 5352 + 14500) >> 12;
+		out[o + 3] = (d1 * 2217 - c1 * 5352 + 7500) >> 12;
+	}
+	for (let i = 0; i < 4; i++) {
+		const a1 = out[i] + out[12 + i];
+		const b1 = out[4 + i] + out[8 + i];
+		const c1 = out[4 + i] - out[8 + i];
+		const d1 = out[i] - out[12 + i];
+		out[i] = (a1 + b1 + 7) >> 4;
+		out[8 + i] = (a1 - b1 + 7) >> 4;
+		out[4 + i] = ((c1 * 2217 + d1 * 5352 + 12000) >> 16) + (d1 !== 0 ? 1 : 0);
+		out[12 + i] = (d1 * 2217 - c1 * 5352 + 51000) >> 16;
+	}
+}
+
+/** Inverse DCT of `coeffs`, added to the 4x4 block of `plane` at `offset`. */
+function inverseDctAdd(coeffs, plane, offset, stride) {
+	const tmp = IDCT_TMP;
+	for (let i = 0; i < 4; i++) {
+		const a1 = coeffs[i] + coeffs[8 + i];
+		const b1 = coeffs[i] - coeffs[8 + i];
+		let temp1 = (coeffs[4 + i] * 35468) >> 16;
+		let temp2 = coeffs[12 + i] + ((coeffs[12 + i] * 20091) >> 16);
+		const c1 = temp1 - temp2;
+		temp1 = coeffs[4 + i] + ((coeffs[4 + i] * 20091) >> 16);
+		temp2 = (coeffs[12 + i] * 35468) >> 16;
+		const d1 = temp1 + temp2;
+		tmp[i] = a1 + d1;
+		tmp[12 + i] = a1 - d1;
+		tmp[4 + i] = b1 + c1;
+		tmp[8 + i] = b1 - c1;
+	}
+	for (let i = 0; i < 4; i++) {
+		const r = i * 4;
+		const a1 = tmp[r] + tmp[r + 2];
+		const b1 = tmp[r] - tmp[r + 2];
+		let temp1 = (tmp[r + 1] * 35468) >> 16;
+		let temp2 = tmp[r + 3] + ((tmp[r + 3] * 20091) >> 16);
+		const c1 = temp1 - temp2;
+		temp1 = tmp[r + 1] + ((tmp[r + 1] * 20091) >> 16);
+		temp2 = (tmp[r + 3] * 35468) >> 16;
+		const d1 = temp1 + temp2;
+		const o = offset + i * stride;
+		plane[o] = clamp255(plane[o] + ((a1 + d1 + 4) >> 3));
+		plane[o + 3] = clamp255(plane[o + 3] + ((a1 - d1 + 4) >> 3));
+		plane[o + 1] = clamp255(plane[o + 1] + ((b1 + c1 + 4) >> 3));
+		plane[o + 2] = clamp255(plane[o + 2] + ((b1 - c1 + 4) >> 3));
+	}
+}
+const IDCT_TMP = new Int32Array(16);
+
+/** Forward Walsh-Hadamard transform of the 16 luma DC values, matching libvpx. */
+function forwardWht(input, out) {
+	for (let i = 0; i < 4; i++) {
+		const o = i * 4;
+		const a1 = (input[o] + input[o + 2]) * 4;
+		const d1 = (input[o + 1] + input[o + 3]) * 4;
+		const c1 = (input[o + 1] - input[o + 3]) * 4;
+		const b1 = (input[o] - input[o + 2]) * 4;
+		out[o] = a1 + d1 + (a1 !== 0 ? 1 : 0);
+		out[o + 1] = b1 + c1;
+		out[o + 2] = b1 - c1;
+		out[o + 3] = a1 - d1;
+	}
+	for (let i = 0; i < 4; i++) {
+		const a1 = out[i] + out[8 + i];
+		const d1 = out[4 + i] + out[12 + i];
+		const c1 = out[4 + i] - out[12 + i];
+		const b1 = out[i] - out[8 + i];
+		let a2 = a1 + d1;
+		let b2 = b1 + c1;
+		let c2 = b1 - c1;
+		let d2 = a1 - d1;
+		a2 += a2 < 0 ? 1 : 0;
+		b2 += b2 < 0 ? 1 : 0;
+		c2 += c2 < 0 ? 1 : 0;
+		d2 += d2 < 0 ? 1 : 0;
+		out[i] = (a2 + 3) >> 3;
+		out[4 + i] = (b2 + 3) >> 3;
+		out[8 + i] = (c2 + 3) >> 3;
+		out[12 + i] = (d2 + 3) >> 3;
+	}
+}
+
+/** Inverse Walsh-Hadamard transform; writes the DC of block i to out[i]. */
+function inverseWht(input, out) {
+	const tmp = IDCT_TMP;
+	for (let i = 0; i < 4; i++) {
+		const a1 = input[i] + input[12 + i];
+		const b1 = input[4 + i] + input[8 + i];
+		const c1 = input[4 + i] - input[8 + i];
+		const d1 = input[i] - input[12 + i];
+		tmp[i] = a1 + b1;
+		tmp[4 + i] = c1 + d1;
+		tmp[8 + i] = a1 - b1;
+		tmp[12 + i] = d1 - c1;
+	}
+	for (let i = 0; i < 4; i++) {
+		const r = i * 4;
+		const a1 = tmp[r] + tmp[r + 3];
+		const b1 = tmp[r + 1] + tmp[r + 2];
+		const c1 = tmp[r + 1] - tmp[r + 2];
+		const d1 = tmp[r] - tmp[r + 3];
+		out[r] = (a1 + b1 + 3) >> 3;
+		out[r + 1] = (c1 + d1 + 3) >> 3;
+		out[r + 2] = (a1 - b1 + 3) >> 3;
+		out[r + 3] = (d1 - c1 + 3) >> 3;
+	}
+}
+
+// ─── Quantizer ───────────────────────────────────────────────────────────
+
+const clampQ = q => (q < 0 ? 0 : q > 127 ? 127 : q);
+
+/** Dequantization factors for one quantizer index plus the header deltas. */
+function quantFactors(q, deltas) {
+	const d = deltas || [0, 0, 0, 0, 0];
+	const y2ac = Math.floor(AC_QUANT[clampQ(q + d[2])] * 155 / 100);
+	return {
+		y1: [DC_QUANT[clampQ(q + d[0])], AC_QUANT[clampQ(q)]],
+		y2: [DC_QUANT[clampQ(q + d[1])] * 2, y2ac < 8 ? 8 : y2ac],
+		uv: [Math.min(DC_QUANT[clampQ(q + d[3])], 132), AC_QUANT[clampQ(q + d[4])]],
+	};
+}
+
+// ─── Intra prediction ────────────────────────────────────────────────────
+
+/**
+ * Gathers the row above and the column left of a block from a reconstructed
+ * plane, applying the frame-edge conventions: 127 above the first row, 129
+ * left of the first column.
+ */
+function blockEdges(plane, stride, x, y, size, edges) {
+	const above = edges.above;
+	const left = edges.left;
+	if (y === 0) {
+		above.fill(127, 0, size);
+		edges.aboveLeft = 127;
+	} else {
+		const row = (y - 1) * stride + x;
+		for (let i = 0; i < size; i++) above[i] = plane[row + i];
+		edges.aboveLeft = x === 0 ? 129 : plane[row - 1];
+	}
+	if (x === 0) {
+		left.fill(129, 0, size);
+	} else {
+		for (let i = 0; i < size; i++) left[i] = plane[(y + i) * stride + x - 1];
+	}
+	edges.hasAbove = y > 0;
+	edges.hasLeft = x > 0;
+	return edges;
+}
+
+function makeEdges() {
+	return { above: new Int32Array(16), left: new Int32Array(16), aboveLeft: 0, hasAbove: false, hasLeft: false };
+}
+
+/** Fills `out` (size x size) with the whole-block prediction for `mode`. */
+function predictBlock(mode, edges, size, out) {
+	const { above, left, aboveLeft } = edges;
+	if (mode === DC_PRED) {
+		const shift = size === 16 ? 4 : 3;
+		let sum = 0, dc;
+		if (edges.hasAbove && edges.hasLeft) {
+			for (let i = 0; i < size; i++) sum += above[i] + left[i];
+			dc = (sum + size) >> (shift + 1);
+		} else if (edges.hasAbove) {
+			for (let i = 0; i < size; i++) sum += above[i];
+			dc = (sum + (size >> 1)) >> shift;
+		} else if (edges.hasLeft) {
+			for (let i = 0; i < size; i++) sum += left[i];
+			dc = (sum + (size >> 1)) >> shift;
+		} else {
+			dc = 128;
+		}
+		out.fill(dc, 0, size * size);
+	} else if (mode === V_PRED) {
+		for (let y = 0; y < size; y++) for (let x = 0; x < size; x++) out[y * size + x] = above[x];
+	} else if (mode === H_PRED) {
+		for (let y = 0; y < size; y++) out.fill(left[y], y * size, (y + 1) * size);
+	} else {
+		for (let y = 0; y < size; y++) {
+			for (let x = 0; x < size; x++) out[y * size + x] = clamp255(left[y] + above[x] - aboveLeft);
+		}
+	}
+}
+
+const avg2 = (a, b) => (a + b + 1) >> 1;
+const avg3 = (a, b, c) => (a + 2 * b + c + 2) >> 2;
+
+/**
+ * 4x4 sub-block prediction. `top` holds the above-left pixel at index 0, the
+ * eight pixels above (four plus four above-right) at 1..8; `left` holds four.
+ */
+function predictSubblock(mode, top, left, out) {
+	const X = top[0], A = top[1], B = top[2], C = top[3], D = top[4];
+	const E = top[5], F = top[6], G = top[7], H = top[8];
+	const I = left[0], J = left[1], K = left[2], L = left[3];
+	const set = (x, y, v) => { out[y * 4 + x] = v; };
+	switch (mode) {
+		case B_DC_PRED: {
+			const dc = (A + B + C + D + I + J + K + L + 4) >> 3;
+			out.fill(dc, 0, 16);
+			break;
+		}
+		case B_TM_PRED:
+			for (let y = 0; y < 4; y++) for (let x = 0; x < 4; x++) set(x, y, clamp255(left[y] + top[x + 1] - X));
+			break;
+		case B_VE_PRED: {
+			const v = [avg3(X, A, B), avg3(A, B, C), avg3(B, C, D), avg3(C, D, E)];
+			for (let y = 0; y < 4; y++) for (let x = 0; x < 4; x++) set(x, y, v[x]);
+			break;
+		}
+		case B_HE_PRED: {
+			const v = [avg3(X, I, J), avg3(I, J, K), avg3(J, K, L), avg3(K, L, L)];
+			for (let y = 0; y < 4; y++) for (let x = 0; x < 4; x++) set(x, y, v[y]);
+			break;
+		}
+		case B_RD_PRED:
+			set(0, 3, avg3(J, K, L));
+			set(1, 3, avg3(I, J, K)); set(0, 2, avg3(I, J, K));
+			set(2, 3, avg3(X, I, J)); set(1, 2, avg3(X, I, J)); set(0, 1, avg3(X, I, J));
+			set(3, 3, avg3(A, X, I)); set(2, 2, avg3(A, X, I)); set(1, 1, avg3(A, X, I)); set(0, 0, avg3(A, X, I));
+			set(3, 2, avg3(B, A, X)); set(2, 1, avg3(B, A, X)); set(1, 0, avg3(B, A, X));
+			set(3, 1, avg3(C, B, A)); set(2, 0, avg3(C, B, A));
+			set(3, 0, avg3(D, C, B));
+			break;
+		case B_LD_PRED:
+			set(0, 0, avg3(A, B, C));
+			set(1, 0, avg3(B, C, D)); set(0, 1, avg3(B, C, D));
+			set(2, 0, avg3(C, D, E)); set(1, 1, avg3(C, D, E)); set(0, 2, avg3(C, D, E));
+			set(3, 0, avg3(D, E, F)); set(2, 1, avg3(D, E, F)); set(1, 2, avg3(D, E, F)); set(0, 3, avg3(D, E, F));
+			set(3, 1, avg3(E, F, G)); set(2, 2, avg3(E, F, G)); set(1, 3, avg3(E, F, G));
+			set(3, 2, avg3(F, G, H)); set(2, 3, avg3(F, G, H));
+			set(3, 3, avg3(G, H, H));
+			break;
+		case B_VR_PRED:
+			set(0, 0, avg2(X, A)); set(1, 2, avg2(X, A));
+			set(1, 0, avg2(A, B)); set(2, 2, avg2(A, B));
+			set(2, 0, avg2(B, C)); set(3, 2, avg2(B, C));
+			set(3, 0, avg2(C, D));
+			set(0, 3, avg3(K, J, I));
+			set(0, 2, avg3(J, I, X));
+			set(0, 1, avg3(I, X, A)); set(1, 3, avg3(I, X, A));
+			set(1, 1, avg3(X, A, B)); set(2, 3, avg3(X, A, B));
+			set(2, 1, avg3(A, B, C)); set(3, 3, avg3(A, B, C));
+			set(3, 1, avg3(B, C, D));
+			break;
+		case B_VL_PRED:
+			set(0, 0, avg2(A, B));
+			set(1, 0, avg2(B, C)); set(0, 2, avg2(B, C));
+			set(2, 0, avg2(C, D)); set(1, 2, avg2(C, D));
+			set(3, 0, avg2(D, E)); set(2, 2, avg2(D, E));
+			set(0, 1, avg3(A, B, C));
+			set(1, 1, avg3(B, C, D)); set(0, 3, avg3(B, C, D));
+			set(2, 1, avg3(C, D, E)); set(1, 3, avg3(C, D, E));
+			set(3, 1, avg3(D, E, F)); set(2, 3, avg3(D, E, F));
+			set(3, 2, avg3(E, F, G));
+			set(3, 3, avg3(F, G, H));
+			break;
+		case B_HD_PRED:
+			set(0, 0, avg2(I, X)); set(2, 1, avg2(I, X));
+			set(0, 1, avg2(J, I)); set(2, 2, avg2(J, I));
+			set(0, 2, avg2(K, J)); set(2, 3, avg2(K, J));
+			set(0, 3, avg2(L, K));
+			set(3, 0, avg3(A, B, C));
+			set(2, 0, avg3(X, A, B));
+			set(1, 0, avg3(I, X, A)); set(3, 1, avg3(I, X, A));
+			set(1, 1, avg3(J, I, X)); set(3, 2, avg3(J, I, X));
+			set(1, 2, avg3(K, J, I)); set(3, 3, avg3(K, J, I));
+			set(1, 3, avg3(L, K, J));
+			break;
+		case B_HU_PRED:
+			set(0, 0, avg2(I, J));
+			set(2, 0, avg2(J, K)); set(0, 1, avg2(J, K));
+			set(2, 1, avg2(K, L)); set(0, 2, avg2(K, L));
+			set(1, 0, avg3(I, J, K));
+			set(3, 0, avg3(J, K, L)); set(1, 1, avg3(J, K, L));
+			set(3, 1, avg3(K, L, L)); set(1, 2, avg3(K, L, L));
+			set(3, 2, L); set(2, 2, L); set(0, 3, L); set(1, 3, L); set(2, 3, L); set(3, 3, L);
+			break;
+		default:
+			throw new WebpError('Invalid sub-block prediction mode ' + mode);
+	}
+}
+
+// ─── Colour conversion ───────────────────────────────────────────────────
+
+/** Splits RGBA into padded Y/U/V planes (BT.601 studio range, 2x2 chroma averaging). */
+function rgbaToYuv(img, mbw, mbh) {
+	const { width, height, data } = img;
+	const yStride = mbw * 16, uvStride = mbw * 8;
+	const Y = new Uint8Array(yStride * mbh * 16);
+	const U = new Uint8Array(uvStride * mbh * 8);
+	const V = new Uint8Array(uvStride * mbh * 8);
+	const px = (x, y) => ((y < height ? y : height - 1) * width + (x < width ? x : width - 1)) * 4;
+	for (let y = 0; y < mbh * 16; y++) {
+		for (let x = 0; x < yStride; x++) {
+			const p = px(x, y);
+			Y[y * yStride + x] = (16839 * data[p] + 33059 * data[p + 1] + 6420 * data[p + 2] + (16 << 16) + 32768) >> 16;
+		}
+	}
+	for (let y = 0; y < mbh * 8; y++) {
+		for (let x = 0; x < uvStride; x++) {
+			let r = 0, g = 0, b = 0;
+			for (let k = 0; k < 4; k++) {
+				const p = px(2 * x + (k & 1), 2 * y + (k >> 1));
+				r += data[p]; g += data[p + 1]; b += data[p + 2];
+			}
+			U[y * uvStride + x] = clamp255((-9719 * r - 19081 * g + 28800 * b + (128 << 18) + (1 << 17)) >> 18);
+			V[y * uvStride + x] = clamp255((28800 * r - 24116 * g - 4684 * b + (128 << 18) + (1 << 17)) >> 18);
+		}
+	}
+	return { Y, U, V, yStride, uvStride };
+}
+
+/** Converts decoded planes back to RGBA with bilinear chroma upsampling. */
+function yuvToRgba(planes, width, height) {
+	const { Y, U, V, yStride, uvStride, uvHeight } = planes;
+	const uvWidth = (width + 1) >> 1;
+	const out = new Uint8Array(width * height * 4);
+	const chroma = (plane, x, y) => {
+		// Chroma sample centres sit between luma pixels: interpolate the four nearest.
+		const fx = (x - 0.5) / 2, fy = (y - 0.5) / 2;
+		let x0 = Math.floor(fx), y0 = Math.floor(fy);
+		const ax = fx - x0, ay = fy - y0;
+		const cx = v => (v < 0 ? 0 : v >= uvWidth ? uvWidth - 1 : v);
+		const cy = v => (v < 0 ? 0 : v >= uvHeight ? uvHeight - 1 : v);
+		const x1 = cx(x0 + 1), y1 = cy(y0 + 1);
+		x0 = cx(x0); y0 = cy(y0);
+		return (plane[y0 * uvStride + x0] * (1 - ax) + plane[y0 * uvStride + x1] * ax) * (1 - ay) +
+			(plane[y1 * uvStride + x0] * (1 - ax) + plane[y1 * uvStride + x1] * ax) * ay;
+	};
+	for (let y = 0; y < height; y++) {
+		for (let x = 0; x < width; x++) {
+			const yy = 1.164 * (Y[y * yStride + x] - 16);
+			const u = chroma(U, x, y) - 128;
+			const v = chroma(V, x, y) - 128;
+			const o = (y * width + x) * 4;
+			out[o] = clamp255(Math.round(yy + 1.596 * v));
+			out[o + 1] = clamp255(Math.round(yy - 0.391 * u - 0.813 * v));
+			out[o + 2] = clamp255(Math.round(yy + 2.018 * u));
+			out[o + 3] = 255;
+		}
+	}
+	return out;
+}
+
+// ─── VP8 encoder ─────────────────────────────────────────────────────────
+
+const probIndex = (type, band, ctx) => ((type * 8 + band) * 3 + ctx) * 11;
+
+function flatCoeffProbs() {
+	const probs = new Uint8Array(4 * 8 * 3 * 11);
+	for (let t = 0; t < 4; t++) for (let b = 0; b < 8; b++) for (let c = 0; c < 3; c++) {
+		probs.set(COEFF_PROBS[t][b][c], probIndex(t, b, c));
+	}
+	return probs;
+}
+
+/**
+ * Walks the token tree for one block of quantized coefficients (zigzag
+ * order), reporting every adaptive branch through `put(bit, probIndex)`.
+ * Extra bits of large values use fixed probabilities and go to `putFixed`.
+ * Returns whether the block had any non-zero coefficient.
+ */
+function writeBlockTokens(coeffs, type, first, ctx, put, putFixed) {
+	let last = -1;
+	for (let i = 15; i >= first; i--) {
+		if (coeffs[i] !== 0) { last = i; break; }
+	}
+	if (last < 0) {
+		put(0, probIndex(type, BANDS[first], ctx));
+		return false;
+	}
+	let skipEob = false;
+	for (let i = first; i <= last; i++) {
+		const p = probIndex(type, BANDS[i], ctx);
+		if (!skipEob) put(1, p);
+		const v = Math.abs(coeffs[i]);
+		if (v === 0) {
+			put(0, p + 1);
+			ctx = 0;
+			skipEob = true;
+			continue;
+		}
+		put(1, p + 1);
+		if (v === 1) {
+			put(0, p + 2);
+		} else {
+			put(1, p + 2);
+			if (v <= 4) {
+				put(0, p + 3);
+				if (v === 2) {
+					put(0, p + 4);
+				} else {
+					put(1, p + 4);
+					put(v === 4 ? 1 : 0, p + 5);
+				}
+			} else if (v <= 10) {
+				put(1, p + 3);
+				put(0, p + 6);
+				if (v <= 6) {
+					put(0, p + 7);
+					putFixed(v - 5, CAT_PROBS[0]);
+				} else {
+					put(1, p + 7);
+					putFixed(v - 7, CAT_PROBS[1]);
+				}
+			} else {
+				put(1, p + 3);
+				put(1, p + 6);
+				let cat;
+				if (v < 19) cat = 2;
+				else if (v < 35) cat = 3;
+				else if (v < 67) cat = 4;
+				else cat = 5;
+				put(cat >= 4 ? 1 : 0, p + 8);
+				put(cat & 1, p + (cat >= 4 ? 10 : 9));
+				putFixed(v - CAT_BASE[cat], CAT_PROBS[cat]);
+			}
+		}
+		putFixed(coeffs[i] < 0 ? 1 : 0, null);
+		ctx = v === 1 ? 1 : 2;
+		skipEob = false;
+	}
+	if (last < 15) put(0, probIndex(type, BANDS[last + 1], ctx));
+	return true;
+}
+
+function writeExtraBits(enc, value, probs) {
+	if (!probs) {
+		enc.put(value, 128);
+		return;
+	}
+	for (let i = 0; i < probs.length; i++) enc.put((value >> (probs.length - 1 - i)) & 1, probs[i]);
+}
+
+/** Cost in 1/256 bit of coding `bit` with probability `prob` of a zero. */
+function bitCost(bit, prob) {
+	const p = bit ? 256 - prob : prob;
+	return -Math.log2(p / 256) * 256;
+}
+
+function quantize(value, q, bias) {
+	const sign = value < 0 ? -1 : 1;
+	const level = Math.floor((Math.abs(value) + q * bias) / q);
+	return sign * (level > 2048 ? 2048 : level);
+}
+
+/**
+ * Encodes an RGBA image into a raw VP8 key frame (the `VP8 ` chunk payload).
+ * Alpha is ignored here; see encodeWebp.
+ */
+function encodeVp8(img, quality) {
+	const { width, height } = img;
+	if (width < 1 || height < 1 || width > 16383 || height > 16383) {
+		throw new WebpError('Image dimensions ' + width + 'x' + height + ' are outside the WebP range');
+	}
+	const mbw = (width + 15) >> 4, mbh = (height + 15) >> 4;
+	const src = rgbaToYuv(img, mbw, mbh);
+	const q = Math.max(0, Math.min(127, Math.round((100 - quality) * 1.27)));
+	const quant = quantFactors(q);
+	const filterLevel = Math.min(63, q >> 1);
+
+	const recY = new Uint8Array(src.Y.length);
+	const recU = new Uint8Array(src.U.length);
+	const recV = new Uint8Array(src.V.length);
+	const mbCount = mbw * mbh;
+	const yModes = new Uint8Array(mbCount);
+	const uvModes = new Uint8Array(mbCount);
+	// Per macroblock: 1 Y2 block, 16 Y, 4 U, 4 V — 25 blocks of 16 coefficients in zigzag order.
+	const levels = new Int16Array(mbCount * 25 * 16);
+
+	const edges = makeEdges();
+	const pred = new Int32Array(256);
+	const best = new Int32Array(256);
+	const resid = new Int32Array(16);
+	const coeffs = new Int32Array(16);
+	const dcs = new Int32Array(16);
+	const y2 = new Int32Array(16);
+	const deq = new Int32Array(16);
+	const deqDc = new Int32Array(16);
+
+	const choose = (plane, rec, stride, x, y, size, planes2) => {
+		let bestMode = DC_PRED, bestCost = Infinity;
+		for (const mode of [DC_PRED, V_PRED, H_PRED, TM_PRED]) {
+			let cost = 0;
+			for (const [s, r] of planes2 || [[plane, rec]]) {
+				blockEdges(r, stride, x, y, size, edges);
+				predictBlock(mode, edges, size, pred);
+				for (let j = 0; j < size; j++) {
+					const row = (y + j) * stride + x;
+					for (let i = 0; i < size; i++) {
+						const d = s[row + i] - pred[j * size + i];
+						cost += d * d;
+					}
+				}
+			}
+			// Nudge towards DC: it is the cheapest mode to signal.
+			if (mode !== DC_PRED) cost += size * size;
+			if (cost < bestCost) { bestCost = cost; bestMode = mode; }
+		}
+		return bestMode;
+	};
+
+	// Transforms and quantizes one block, reconstructing it in `rec`.
+	const codeBlock = (s, rec, stride, ox, oy, predBuf, size, bx, by, q2, out, first) => {
+		for (let j = 0; j < 4; j++) {
+			for (let i = 0; i < 4; i++) {
+				resid[j * 4 + i] = s[(oy + j) * stride + ox + i] - predBuf[(by + j) * size + bx + i];
+			}
+		}
+		forwardDct(resid, coeffs);
+		for (let i = first; i < 16; i++) {
+			const n = ZIGZAG[i];
+			const qf = q2[i === 0 ? 0 : 1];
+			const level = quantize(coeffs[n], qf, i === 0 ? 0.5 : 0.35);
+			out[i] = level;
+		}
+		return coeffs[0];
+	};
+
+	const reconstruct = (out, q2, dc, rec, stride, ox, oy, predBuf, size, bx, by) => {
+		deq.fill(0);
+		for (let i = 1; i < 16; i++) deq[ZIGZAG[i]] = out[i] * q2[1];
+		deq[0] = dc === null ? out[0] * q2[0] : dc;
+		for (let j = 0; j < 4; j++) {
+			for (let i = 0; i < 4; i++) rec[(oy + j) * stride + ox + i] = predBuf[(by + j) * size + bx + i];
+		}
+		inverseDctAdd(deq, rec, oy * stride + ox, stride);
+	};
+
+	for (let my = 0; my < mbh; my++) {
+		for (let mx = 0; mx < mbw; mx++) {
+			const mb = my * mbw + mx;
+			const base = mb * 400;
+			const x0 = mx * 16, y0 = my * 16;
+
+			const ymode = choose(src.Y, recY, src.yStride, x0, y0, 16);
+			yModes[mb] = ymode;
+			blockEdges(recY, src.yStride, x0, y0, 16, edges);
+			predictBlock(ymode, edges, 16, best);
+			for (let b = 0; b < 16; b++) {
+				const bx = (b & 3) * 4, by = (b >> 2) * 4;
+				const out = levels.subarray(base + (1 + b) * 16, base + (2 + b) * 16);
+				dcs[b] = codeBlock(src.Y, recY, src.yStride, x0 + bx, y0 + by, best, 16, bx, by, quant.y1, out, 1);
+			}
+			forwardWht(dcs, y2);
+			const y2out = levels.subarray(base, base + 16);
+			for (let i = 0; i < 16; i++) {
+				y2out[i] = quantize(y2[ZIGZAG[i]], quant.y2[i === 0 ? 0 : 1], i === 0 ? 0.5 : 0.35);
+			}
+			deq.fill(0);
+			for (let i = 0; i < 16; i++) deq[ZIGZAG[i]] = y2out[i] * quant.y2[i === 0 ? 0 : 1];
+			inverseWht(deq, deqDc);
+			for (let b = 0; b < 16; b++) {
+				const bx = (b & 3) * 4, by = (b >> 2) * 4;
+				const out = levels.subarray(base + (1 + b) * 16, base + (2 + b) * 16);
+				reconstruct(out, quant.y1, deqDc[b], recY, src.yStride, x0 + bx, y0 + by, best, 16, bx, by);
+			}
+
+			const cx = mx * 8, cy = my * 8;
+			const uvmode = choose(null, null, src.uvStride, cx, cy, 8, [[src.U, recU], [src.V, recV]]);
+			uvModes[mb] = uvmode;
+			[[src.U, recU, 17], [src.V, recV, 21]].forEach(([s, rec, firstBlock]) => {
+				blockEdges(rec, src.uvStride, cx, cy, 8, edges);
+				predictBlock(uvmode, edges, 8, best);
+				for (let b = 0; b < 4; b++) {
+					const bx = (b & 1) * 4, by = (b >> 1) * 4;
+					const out = levels.subarray(base + (firstBlock + b) * 16, base + (firstBlock + b + 1) * 16);
+					codeBlock(s, rec, src.uvStride, cx + bx, cy + by, best, 8, bx, by, quant.uv, out, 0);
+					reconstruct(out, quant.uv, null, rec, src.uvStride, cx + bx, cy + by, best, 8, bx, by);
+				}
+			});
+		}
+	}
+
+	// Token pass, run twice: once to gather branch statistics for the
+	// probability updates, once for real with the updated probabilities.
+	const skip = new Uint8Array(mbCount);
+	for (let mb = 0; mb < mbCount; mb++) {
+		const blk = levels.subarray(mb * 400, mb * 400 + 400);
+		skip[mb] = blk.every(v => v === 0) ? 1 : 0;
+	}
+	const runTokens = (put, putFixed) => {
+		const aboveCtx = new Uint8Array(mbw * 9);
+		const leftCtx = new Uint8Array(9);
+		for (let my = 0; my < mbh; my++) {
+			leftCtx.fill(0);
+			for (let mx = 0; mx < mbw; mx++) {
+				const mb = my * mbw + mx;
+				const above = aboveCtx.subarray(mx * 9, mx * 9 + 9);
+				if (skip[mb]) {
+					above.fill(0);
+					leftCtx.fill(0);
+					continue;
+				}
+				const base = mb * 400;
+				const block = i => levels.subarray(base + i * 16, base + i * 16 + 16);
+				let nz = writeBlockTokens(block(0), TYPE_Y2, 0, above[8] + leftCtx[8], put, putFixed);
+				above[8] = leftCtx[8] = nz ? 1 : 0;
+				for (let b = 0; b < 16; b++) {
+					const bx = b & 3, by = b >> 2;
+					nz = writeBlockTokens(block(1 + b), TYPE_Y_AFTER_Y2, 1, above[bx] + leftCtx[by], put, putFixed);
+					above[bx] = leftCtx[by] = nz ? 1 : 0;
+				}
+				for (let plane = 0; plane < 2; plane++) {
+					for (let b = 0; b < 4; b++) {
+						const bx = 4 + plane * 2 + (b & 1), by = 4 + plane * 2 + (b >> 1);
+						nz = writeBlockTokens(block(17 + plane * 4 + b), TYPE_CHROMA, 0, above[bx] + leftCtx[by], put, putFixed);
+						above[bx] = leftCtx[by] = nz ? 1 : 0;
+					}
+				}
+			}
+		}
+	};
+
+	const counts = new Uint32Array(4 * 8 * 3 * 11 * 2);
+	runTokens((bit, p) => { counts[p * 2 + bit]++; }, () => {});
+	const probs = flatCoeffProbs();
+	const updates = new Int16Array(probs.length).fill(-1);
+	for (let t = 0; t < 4; t++) for (let b = 0; b < 8; b++) for (let c = 0; c < 3; c++) for (let n = 0; n < 11; n++) {
+		const p = probIndex(t, b, c) + n;
+		const c0 = counts[p * 2], c1 = counts[p * 2 + 1];
+		if (c0 + c1 === 0) continue;
+		const np = Math.max(1, Math.min(255, Math.round(255 * c0 / (c0 + c1))));
+		const upd = COEFF_UPDATE_PROBS[t][b][c][n];
+		const oldCost = c0 * bitCost(0, probs[p]) + c1 * bitCost(1, probs[p]) + bitCost(0, upd);
+		const newCost = c0 * bitCost(0, np) + c1 * bitCost(1, np) + bitCost(1, upd) + 8 * 256;
+		if (newCost < oldCost) updates[p] = np;
+	}
+
+	let coded = 0;
+	for (let mb = 0; mb < mbCount; mb++) coded += skip[mb] ? 0 : 1;
+	const skipProb = Math.max(1, Math.min(255, Math.round(255 * coded / mbCount)));
+
+	const hdr = new BoolEncoder(mbCount * 2);
+	hdr.putLiteral(0, 1); // colour space
+	hdr.putLiteral(0, 1); // clamping type
+	hdr.putLiteral(0, 1); // segmentation
+	hdr.putLiteral(0, 1); // normal loop filter
+	hdr.putLiteral(filterLevel, 6);
+	hdr.putLiteral(0, 3); // sharpness
+	hdr.putLiteral(0, 1); // no filter deltas
+	hdr.putLiteral(0, 2); // one token partition
+	hdr.putLiteral(q, 7);
+	for (let i = 0; i < 5; i++) hdr.putLiteral(0, 1); // no quantizer deltas
+	hdr.putLiteral(0, 1); // refresh entropy probs
+	for (let t = 0; t < 4; t++) for (let b = 0; b < 8; b++) for (let c = 0; c < 3; c++) for (let n = 0; n < 11; n++) {
+		const p = probIndex(t, b, c) + n;
+		const upd = COEFF_UPDATE_PROBS[t][b][c][n];
+		if (updates[p] >= 0) {
+			hdr.put(1, upd);
+			hdr.putLiteral(updates[p], 8);
+			probs[p] = updates[p];
+		} else {
+			hdr.put(0, upd);
+		}
+	}
+	hdr.putLiteral(1, 1);
+	hdr.putLiteral(skipProb, 8);
+	for (let mb = 0; mb < mbCount; mb++) {
+		hdr.put(skip[mb], skipProb);
+		const ym = yModes[mb];
+		hdr.put(1, 145);
+		if (ym === DC_PRED || ym === V_PRED) {
+			hdr.put(0, 156);
+			hdr.put(ym === V_PRED ? 1 : 0, 163);
+		} else {
+			hdr.put(1, 156);
+			hdr.put(ym === TM_PRED ? 1 : 0, 128);
+		}
+		const uvm = uvModes[mb];
+		if (uvm === DC_PRED) {
+			hdr.put(0, 142);
+		} else {
+			hdr.put(1, 142);
+			if (uvm === V_PRED) {
+				hdr.put(0, 114);
+			} else {
+				hdr.put(1, 114);
+				hdr.put(uvm === TM_PRED ? 1 : 0, 183);
+			}
+		}
+	}
+	const first = hdr.finish();
+
+	const tok = new BoolEncoder(mbCount * 64);
+	runTokens((bit, p) => tok.put(bit, probs[p]), (value, catProbs) => writeExtraBits(tok, value, catProbs));
+	const tokens = tok.finish();
+
+	const frame = Buffer.alloc(10 + first.length + tokens.length);
+	const tag = (first.length << 5) | (1 << 4);
+	frame[0] = tag & 0xff;
+	frame[1] = (tag >> 8) & 0xff;
+	frame[2] = (tag >> 16) & 0xff;
+	frame[3] = 0x9d; frame[4] = 0x01; frame[5] = 0x2a;
+	frame.writeUInt16LE(width, 6);
+	frame.writeUInt16LE(height, 8);
+	first.copy(frame, 10);
+	tokens.copy(frame, 10 + first.length);
+	return frame;
+}
+
+// ─── VP8 decoder ─────────────────────────────────────────────────────────
+
+function readSegmentHeader(br) {
+	const seg = { enabled: br.get(128) === 1, updateMap: false, absolute: false, quant: [0, 0, 0, 0], filter: [0, 0, 0, 0], probs: [255, 255, 255] };
+	if (!seg.enabled) return seg;
+	seg.updateMap = br.get(128) === 1;
+	if (br.get(128)) {
+		seg.absolute = br.get(128) === 1;
+		for (let i = 0; i < 4; i++) seg.quant[i] = br.optionalSigned(7);
+		for (let i = 0; i < 4; i++) seg.filter[i] = br.optionalSigned(6);
+	}
+	if (seg.updateMap) {
+		for (let i = 0; i < 3; i++) seg.probs[i] = br.get(128) ? br.literal(8) : 255;
+	}
+	return seg;
+}
+
+function readTokenValue(br, p, probs) {
+	// Called after the "not zero" branch; returns the magnitude.
+	if (!br.get(probs[p + 2])) return 1;
+	if (!br.get(probs[p + 3])) {
+		if (!br.get(probs[p + 4])) return 2;
+		return br.get(probs[p + 5]) ? 4 : 3;
+	}
+	let cat;
+	if (!br.get(probs[p + 6])) {
+		cat = br.get(probs[p + 7]) ? 1 : 0;
+	} else if (!br.get(probs[p + 8])) {
+		cat = br.get(probs[p + 9]) ? 3 : 2;
+	} else {
+		cat = br.get(probs[p + 10]) ? 5 : 4;
+	}
+	let extra = 0;
+	for (const prob of CAT_PROBS[cat]) extra = (extra << 1) | br.get(prob);
+	return CAT_BASE[cat] + extra;
+}
+
+/** Reads one block's tokens into natural-order, dequantized `out`; returns whether any were coded. */
+function readBlockTokens(br, probs, type, first, ctx, dq, out) {
+	out.fill(0);
+	let i = first;
+	let p = probIndex(type, BANDS[i], ctx);
+	if (!br.get(probs[p])) return false;
+	for (;;) {
+		while (!br.get(probs[p + 1])) {
+			if (++i === 16) return true;
+			p = probIndex(type, BANDS[i], 0);
+		}
+		const v = readTokenValue(br, p, probs);
+		const signed = br.get(128) ? -v : v;
+		out[ZIGZAG[i]] = signed * dq[i === 0 ? 0 : 1];
+		if (++i === 16) return true;
+		p = probIndex(type, BANDS[i], v === 1 ? 1 : 2);
+		if (!br.get(probs[p])) return true;
+	}
+}
+
+/** Decodes a raw VP8 key frame into padded Y/U/V planes. */
+function decodeVp8Planes(buf) {
+	if (buf.length < 10) throw new WebpError('VP8 frame is truncated');
+	const tag = buf[0] | (buf[1] << 8) | (buf[2] << 16);
+	if (tag & 1) throw new WebpError('VP8 frame is not a key frame');
+	const firstSize = tag >> 5;
+	if (buf[3] !== 0x9d || buf[4] !== 0x01 || buf[5] !== 0x2a) throw new WebpError('VP8 start code missing');
+	const width = buf.readUInt16LE(6) & 0x3fff;
+	const height = buf.readUInt16LE(8) & 0x3fff;
+	if (!width || !height) throw new WebpError('VP8 frame has zero dimensions');
+	if (10 + firstSize > buf.length) throw new WebpError('VP8 first partition exceeds the frame');
+
+	const br = new BoolDecoder(buf, 10, 10 + firstSize);
+	br.literal(1); // colour space
+	br.literal(1); // clamping type
+	const seg = readSegmentHeader(br);
+	const filterType = br.literal(1);
+	const filterLevel = br.literal(6);
+	const sharpness = br.literal(3);
+	const lfDelta = { enabled: br.get(128) === 1, ref: [0, 0, 0, 0], mode: [0, 0, 0, 0] };
+	if (lfDelta.enabled && br.get(128)) {
+		for (let i = 0; i < 4; i++) lfDelta.ref[i] = br.optionalSigned(6);
+		for (let i = 0; i < 4; i++) lfDelta.mode[i] = br.optionalSigned(6);
+	}
+	const numPartitions = 1 << br.literal(2);
+	const baseQ = br.literal(7);
+	const qDeltas = [];
+	for (let i = 0; i < 5; i++) qDeltas.push(br.optionalSigned(4));
+	br.literal(1); // refresh entropy probs
+
+	const probs = flatCoeffProbs();
+	for (let t = 0; t < 4; t++) for (let b = 0; b < 8; b++) for (let c = 0; c < 3; c++) for (let n = 0; n < 11; n++) {
+		if (br.get(COEFF_UPDATE_PROBS[t][b][c][n])) probs[probIndex(t, b, c) + n] = br.literal(8);
+	}
+	const useSkip = br.literal(1) === 1;
+	const skipProb = useSkip ? br.literal(8) : 0;
+
+	// Token partitions follow the first partition, preceded by their 3-byte sizes.
+	let pos = 10 + firstSize;
+	const sizesStart = pos;
+	pos += 3 * (numPartitions - 1);
+	const partitions = [];
+	for (let i = 0; i < numPartitions; i++) {
+		let size;
+		if (i < numPartitions - 1) {
+			const o = sizesStart + i * 3;
+			size = buf[o] | (buf[o + 1] << 8) | (buf[o + 2] << 16);
+		} else {
+			size = buf.length - pos;
+		}
+		if (size < 0 || pos + size > buf.length) throw new WebpError('VP8 token partition exceeds the frame');
+		partitions.push(new BoolDecoder(buf, pos, pos + size));
+		pos += size;
+	}
+
+	const segQuant = [];
+	const segFilter = [];
+	for (let s = 0; s < 4; s++) {
+		let q = baseQ;
+		let level = filterLevel;
+		if (seg.enabled) {
+			q = seg.absolute ? seg.quant[s] : baseQ + seg.quant[s];
+			level = seg.absolute ? seg.filter[s] : filterLevel + seg.filter[s];
+		}
+		segQuant.push(quantFactors(clampQ(q), qDeltas));
+		segFilter.push([0, 1].map(i4x4 => {
+			let lv = level;
+			if (lfDelta.enabled) {
+				lv += lfDelta.ref[0];
+				if (i4x4) lv += lfDelta.mode[0];
+			}
+			lv = lv < 0 ? 0 : lv > 63 ? 63 : lv;
+			if (lv === 0) return { limit: 0 };
+			let ilevel = lv;
+			if (sharpness > 0) {
+				ilevel >>= sharpness > 4 ? 2 : 1;
+				if (ilevel > 9 - sharpness) ilevel = 9 - sharpness;
+			}
+			if (ilevel < 1) ilevel = 1;
+			return { limit: 2 * lv + ilevel, ilevel, hevThresh: lv >= 40 ? 2 : lv >= 15 ? 1 : 0 };
+		}));
+	}
+
+	const mbw = (width + 15) >> 4, mbh = (height + 15) >> 4;
+	const yStride = mbw * 16, uvStride = mbw * 8;
+	const Y = new Uint8Array(yStride * mbh * 16);
+	const U = new Uint8Array(uvStride * mbh * 8);
+	const V = new Uint8Array(uvStride * mbh * 8);
+	const filterInfo = new Array(mbw * mbh);
+
+	const aboveModes = new Uint8Array(mbw * 4);
+	const leftModes = new Uint8Array(4);
+	const aboveCtx = new Uint8Array(mbw * 9);
+	const leftCtx = new Uint8Array(9);
+	const edges = makeEdges();
+	const pred = new Int32Array(256);
+	const y2 = new Int32Array(16);
+	const dcs = new Int32Array(16);
+	const topRight = new Int32Array(4);
+	const subModes = new Uint8Array(16);
+	const top = new Int32Array(9);
+	const left4 = new Int32Array(4);
+	const sub = new Int32Array(16);
+
+	for (let my = 0; my < mbh; my++) {
+		const tokens = partitions[my % numPartitions];
+		leftModes.fill(B_DC_PRED);
+		leftCtx.fill(0);
+		for (let mx = 0; mx < mbw; mx++) {
+			const segment = seg.updateMap ? (br.get(seg.probs[0]) ? 2 + br.get(seg.probs[2]) : br.get(seg.probs[1])) : 0;
+			const skip = useSkip ? br.get(skipProb) : 0;
+			let ymode;
+			if (!br.get(145)) {
+				ymode = B_PRED;
+				for (let b = 0; b < 16; b++) {
+					const bx = b & 3, by = b >> 2;
+					const p = KF_BMODE_PROBS[aboveModes[mx * 4 + bx]][leftModes[by]];
+					let m;
+					if (!br.get(p[0])) m = B_DC_PRED;
+					else if (!br.get(p[1])) m = B_TM_PRED;
+					else if (!br.get(p[2])) m = B_VE_PRED;
+					else if (!br.get(p[3])) {
+						if (!br.get(p[4])) m = B_HE_PRED;
+						else m = br.get(p[5]) ? B_VR_PRED : B_RD_PRED;
+					} else if (!br.get(p[6])) m = B_LD_PRED;
+					else if (!br.get(p[7])) m = B_VL_PRED;
+					else m = br.get(p[8]) ? B_HU_PRED : B_HD_PRED;
+					subModes[b] = m;
+					aboveModes[mx * 4 + bx] = m;
+					leftModes[by] = m;
+				}
+			} else {
+				if (!br.get(156)) ymode = br.get(163) ? V_PRED : DC_PRED;
+				else ymode = br.get(128) ? TM_PRED : H_PRED;
+				aboveModes.fill(ymode, mx * 4, mx * 4 + 4);
+				leftModes.fill(ymode);
+			}
+			const uvmode = !br.get(142) ? DC_PRED : !br.get(114) ? V_PRED : br.get(183) ? TM_PRED : H_PRED;
+
+			// Residuals
+			const quant = segQuant[segment];
+			const above = aboveCtx.subarray(mx * 9, mx * 9 + 9);
+			const blocks = [];
+			let anyCoeffs = false;
+			if (!skip) {
+				let firstY = 0, yType = TYPE_Y_WITH_DC;
+				if (ymode !== B_PRED) {
+					const nz = readBlockTokens(tokens, probs, TYPE_Y2, 0, above[8] + leftCtx[8], quant.y2, y2);
+					above[8] = leftCtx[8] = nz ? 1 : 0;
+					inverseWht(y2, dcs);
+					firstY = 1;
+					yType = TYPE_Y_AFTER_Y2;
+				}
+				for (let b = 0; b < 16; b++) {
+					const bx = b & 3, by = b >> 2;
+					const out = new Int32Array(16);
+					const nz = readBlockTokens(tokens, probs, yType, firstY, above[bx] + leftCtx[by], quant.y1, out);
+					above[bx] = leftCtx[by] = nz ? 1 : 0;
+					if (firstY) out[0] = dcs[b];
+					anyCoeffs = anyCoeffs || nz || out[0] !== 0;
+					blocks.push(out);
+				}
+				for (let plane = 0; plane < 2; plane++) {
+					for (let b = 0; b < 4; b++) {
+						const bx = 4 + plane * 2 + (b & 1), by = 4 + plane * 2 + (b >> 1);
+						const out = new Int32Array(16);
+						const nz = readBlockTokens(tokens, probs, TYPE_CHROMA, 0, above[bx] + leftCtx[by], quant.uv, out);
+						above[bx] = leftCtx[by] = nz ? 1 : 0;
+						anyCoeffs = anyCoeffs || nz;
+						blocks.push(out);
+					}
+				}
+			} else {
+				above.fill(0, 0, 8);
+				leftCtx.fill(0, 0, 8);
+				if (ymode !== B_PRED) above[8] = leftCtx[8] = 0;
+			}
+
+			// Luma reconstruction
+			const x0 = mx * 16, y0 = my * 16;
+			if (ymode === B_PRED) {
+				// Sub-blocks in the right column all take their above-right pixels from
+				// the row above the macroblock, even below the first sub-row.
+				for (let i = 0; i < 4; i++) {
+					if (y0 === 0) topRight[i] = 127;
+					else if (mx === mbw - 1) topRight[i] = Y[(y0 - 1) * yStride + x0 + 15];
+					else topRight[i] = Y[(y0 - 1) * yStride + x0 + 16 + i];
+				}
+				for (let b = 0; b < 16; b++) {
+					const bx = (b & 3) * 4, by = (b >> 2) * 4;
+					const px = x0 + bx, py = y0 + by;
+					const row = (py - 1) * yStride + px;
+					for (let i = 0; i < 8; i++) {
+						if (i >= 4 && bx === 12) top[1 + i] = topRight[i - 4];
+						else top[1 + i] = py === 0 ? 127 : Y[row + i];
+					}
+					top[0] = py === 0 ? 127 : px === 0 ? 129 : Y[row - 1];
+					for (let j = 0; j < 4; j++) left4[j] = px === 0 ? 129 : Y[(py + j) * yStride + px - 1];
+					predictSubblock(subModes[b], top, left4, sub);
+					for (let j = 0; j < 4; j++) for (let i = 0; i < 4; i++) Y[(py + j) * yStride + px + i] = sub[j * 4 + i];
+					if (blocks.length) inverseDctAdd(blocks[b], Y, py * yStride + px, yStride);
+				}
+			} else {
+				blockEdges(Y, yStride, x0, y0, 16, edges);
+				predictBlock(ymode, edges, 16, pred);
+				for (let j = 0; j < 16; j++) for (let i = 0; i < 16; i++) Y[(y0 + j) * yStride + x0 + i] = pred[j * 16 + i];
+				if (blocks.length) {
+					for (let b = 0; b < 16; b++) {
+						inverseDctAdd(blocks[b], Y, (y0 + (b >> 2) * 4) * yStride + x0 + (b & 3) * 4, yStride);
+					}
+				}
+			}
+
+			// Chroma reconstruction
+			const cx = mx * 8, cy = my * 8;
+			[U, V].forEach((plane, pi) => {
+				blockEdges(plane, uvStride, cx, cy, 8, edges);
+				predictBlock(uvmode, edges, 8, pred);
+				for (let j = 0; j < 8; j++) for (let i = 0; i < 8; i++) plane[(cy + j) * uvStride + cx + i] = pred[j * 8 + i];
+				if (!blocks.length) return;
+				for (let b = 0; b < 4; b++) {
+					const off = (cy + (b >> 1) * 4) * uvStride + cx + (b & 1) * 4;
+					inverseDctAdd(blocks[16 + pi * 4 + b], plane, off, uvStride);
+				}
+			});
+
+			const f = segFilter[segment][ymode === B_PRED ? 1 : 0];
+			filterInfo[my * mbw + mx] = { ...f, inner: ymode === B_PRED || anyCoeffs };
+		}
+	}
+
+	if (filterLevel > 0 || seg.enabled) {
+		loopFilter({ Y, U, V, yStride, uvStride }, mbw, mbh, filterInfo, filterType === 1);
+	}
+	return { width, height, Y, U, V, yStride, uvStride, uvHeight: mbh * 8 };
+}
+
+// ─── Loop filter (RFC 6386 §15) ──────────────────────────────────────────
+
+const sclamp = v => (v < -128 ? -128 : v > 127 ? 127 : v);
+const sclamp16 = v => (v < -16 ? -16 : v > 15 ? 15 : v);
+
+function filter2(p, o, step) {
+	const p1 = p[o - 2 * step], p0 = p[o - step], q0 = p[o], q1 = p[o + step];
+	const a = 3 * (q0 - p0) + sclamp(p1 - q1);
+	const a1 = sclamp16((a + 4) >> 3);
+	const a2 = sclamp16((a + 3) >> 3);
+	p[o - step] = clamp255(p0 + a2);
+	p[o] = clamp255(q0 - a1);
+}
+
+function filter4(p, o, step) {
+	const p1 = p[o - 2 * step], p0 = p[o - step], q0 = p[o], q1 = p[o + step];
+	const a = 3 * (q0 - p0);
+	const a1 = sclamp16((a + 4) >> 3);
+	const a2 = sclamp16((a + 3) >> 3);
+	const a3 = (a1 + 1) >> 1;
+	p[o - 2 * step] = clamp255(p1 + a3);
+	p[o - step] = clamp255(p0 + a2);
+	p[o] = clamp255(q0 - a1);
+	p[o + step] = clamp255(q1 - a3);
+}
+
+function filter6(p, o, step) {
+	const p2 = p[o - 3 * step], p1 = p[o - 2 * step], p0 = p[o - step];
+	const q0 = p[o], q1 = p[o + step], q2 = p[o + 2 * step];
+	const a = sclamp(3 * (q0 - p0) + sclamp(p1 - q1));
+	const a1 = (27 * a + 63) >> 7;
+	const a2 = (18 * a + 63) >> 7;
+	const a3 = (9 * a + 63) >> 7;
+	p[o - 3 * step] = clamp255(p2 + a3);
+	p[o - 2 * step] = clamp255(p1 + a2);
+	p[o - step] = clamp255(p0 + a1);
+	p[o] = clamp255(q0 - a1);
+	p[o + step] = clamp255(q1 - a2);
+	p[o + 2 * step] = clamp255(q2 - a3);
+}
+
+function needsFilter(p, o, step, t) {
+	return 4 * Math.abs(p[o - step] - p[o]) + Math.abs(p[o - 2 * step] - p[o + step]) <= t;
+}
+
+function needsFilter2(p, o, step, t, it) {
+	const p3 = p[o - 4 * step], p2 = p[o - 3 * step], p1 = p[o - 2 * step], p0 = p[o - step];
+	const q0 = p[o], q1 = p[o + step], q2 = p[o + 2 * step], q3 = p[o + 3 * step];
+	if (4 * Math.abs(p0 - q0) + Math.abs(p1 - q1) > t) return false;
+	return Math.abs(p3 - p2) <= it && Math.abs(p2 - p1) <= it && Math.abs(p1 - p0) <= it &&
+		Math.abs(q3 - q2) <= it && Math.abs(q2 - q1) <= it && Math.abs(q1 - q0) <= it;
+}
+
+function hev(p, o, step, thresh) {
+	return Math.abs(p[o - 2 * step] - p[o - step]) > thresh || Math.abs(p[o + step] - p[o]) > thresh;
+}
+
+// `step` crosses the edge, `along` moves along it.
+function filterEdge(p, o, step, along, count, thresh, ithresh, hevThresh, macroblockEdge) {
+	const t = 2 * thresh + 1;
+	for (let i = 0; i < count; i++, o += along) {
+		if (!needsFilter2(p, o, step, t, ithresh)) continue;
+		if (hev(p, o, step, hevThresh)) filter2(p, o, step);
+		else if (macroblockEdge) filter6(p, o, step);
+		else filter4(p, o, step);
+	}
+}
+
+function simpleEdge(p, o, step, along, count, thresh) {
+	const t = 2 * thresh + 1;
+	for (let i = 0; i < count; i++, o += along) {
+		if (needsFilter(p, o, step, t)) filter2(p, o, step);
+	}
+}
+
+function loopFilter(planes, mbw, mbh, filterInfo, simple) {
+	const { Y, U, V, yStride, uvStride } = planes;
+	for (let my = 0; my < mbh; my++) {
+		for (let mx = 0; mx < mbw; mx++) {
+			const f = filterInfo[my * mbw + mx];
+			if (!f.limit) continue;
+			const yo = my * 16 * yStride + mx * 16;
+			const uvo = my * 8 * uvStride + mx * 8;
+			if (simple) {
+				if (mx > 0) simpleEdge(Y, yo, 1, yStride, 16, f.limit + 4);
+				if (f.inner) for (let k = 4; k < 16; k += 4) simpleEdge(Y, yo + k, 1, yStride, 16, f.limit);
+				if (my > 0) simpleEdge(Y, yo, yStride, 1, 16, f.limit + 4);
+				if (f.inner) for (let k = 4; k < 16; k += 4) simpleEdge(Y, yo + k * yStride, yStride, 1, 16, f.limit);
+				continue;
+			}
+			const { ilevel, hevThresh } = f;
+			if (mx > 0) {
+				filterEdge(Y, yo, 1, yStride, 16, f.limit + 4, ilevel, hevThresh, true);
+				filterEdge(U, uvo, 1, uvStride, 8, f.limit + 4, ilevel, hevThresh, true);
+				filterEdge(V, uvo, 1, uvStride, 8, f.limit + 4, ilevel, hevThresh, true);
+			}
+			if (f.inner) {
+				for (let k = 4; k < 16; k += 4) filterEdge(Y, yo + k, 1, yStride, 16, f.limit, ilevel, hevThresh, false);
+				filterEdge(U, uvo + 4, 1, uvStride, 8, f.limit, ilevel, hevThresh, false);
+				filterEdge(V, uvo + 4, 1, uvStride, 8, f.limit, ilevel, hevThresh, false);
+			}
+			if (my > 0) {
+				filterEdge(Y, yo, yStride, 1, 16, f.limit + 4, ilevel, hevThresh, true);
+				filterEdge(U, uvo, uvStride, 1, 8, f.limit + 4, ilevel, hevThresh, true);
+				filterEdge(V, uvo, uvStride, 1, 8, f.limit + 4, ilevel, hevThresh, true);
+			}
+			if (f.inner) {
+				for (let k = 4; k < 16; k += 4) filterEdge(Y, yo + k * yStride, yStride, 1, 16, f.limit, ilevel, hevThresh, false);
+				filterEdge(U, uvo + 4 * uvStride, uvStride, 1, 8, f.limit, ilevel, hevThresh, false);
+				filterEdge(V, uvo + 4 * uvStride, uvStride, 1, 8, f.limit, ilevel, hevThresh, false);
+			}
+		}
+	}
+}
+
+function decodeVp8(buf) {
+	const planes = decodeVp8Planes(buf);
+	return { width: planes.width, height: planes.height, data: yuvToRgba(planes, planes.width, planes.height) };
+}
+
+// ─── VP8L lossless bitstream ─────────────────────────────────────────────
+
+const CODE_LENGTH_ORDER = [17, 18, 0, 1, 2, 3, 4, 5, 16, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15];
+const NUM_LENGTH_CODES = 24;
+const NUM_DISTANCE_CODES = 40;
+const HUFFMAN_TABLE_BITS = 8;
+
+class LosslessReader {
+	constructor(buf, start, end) {
+		this.buf = buf;
+		this.pos = start;
+		this.end = end;
+		this.bits = 0;
+		this.nbits = 0;
+	}
+
+	fill() {
+		while (this.nbits <= 24) {
+			const b = this.pos < this.end ? this.buf[this.pos] : 0;
+			this.pos++;
+			this.bits = (this.bits | (b << this.nbits)) >>> 0;
+			this.nbits += 8;
+		}
+	}
+
+	read(n) {
+		if (n === 0) return 0;
+		this.fill();
+		const v = this.bits & ((1 << n) - 1);
+		this.bits >>>= n;
+		this.nbits -= n;
+		return v;
+	}
+
+	peek(n) {
+		this.fill();
+		return this.bits & ((1 << n) - 1);
+	}
+
+	skip(n) {
+		this.bits >>>= n;
+		this.nbits -= n;
+	}
+
+	get overrun() {
+		return this.pos - ((this.nbits + 7) >> 3) > this.end;
+	}
+}
+
+/**
+ * Canonical Huffman decoder. A code with a single symbol consumes no bits,
+ * as the format requires.
+ */
+class HuffmanCode {
+	constructor(lengths) {
+		const symbols = [];
+		for (let s = 0; s < lengths.length; s++) if (lengths[s]) symbols.push(s);
+		if (symbols.length === 0) throw new WebpError('Huffman code has no symbols');
+		if (symbols.length === 1) {
+			this.single = symbols[0];
+			return;
+		}
+		const maxLen = Math.max(...symbols.map(s => lengths[s]));
+		const blCount = new Int32Array(maxLen + 1);
+		for (const s of symbols) blCount[lengths[s]]++;
+		const nextCode = new Int32Array(maxLen + 2);
+		let code = 0;
+		for (let len = 1; len <= maxLen; len++) {
+			code = (code + blCount[len - 1]) << 1;
+			nextCode[len] = code;
+		}
+		// Check the code is complete; an over-subscribed or incomplete tree is malformed.
+		let space = 0;
+		for (let len = 1; len <= maxLen; len++) space += blCount[len] / (1 << len);
+		if (Math.abs(space - 1) > 1e-9) throw new WebpError('Huffman code is not complete');
+
+		this.table = new Int32Array(1 << HUFFMAN_TABLE_BITS).fill(-1);
+		this.long = new Map();
+		for (const s of symbols) {
+			const len = lengths[s];
+			const c = nextCode[len]++;
+			let rev = 0;
+			for (let i = 0; i < len; i++) rev |= ((c >> i) & 1) << (len - 1 - i);
+			if (len <= HUFFMAN_TABLE_BITS) {
+				for (let fill = rev; fill < (1 << HUFFMAN_TABLE_BITS); fill += 1 << len) this.table[fill] = (len << 16) | s;
+			} else {
+				this.long.set(len * 65536 + rev, s);
+			}
+		}
+		this.maxLen = maxLen;
+	}
+
+	read(br) {
+		if (this.single !== undefined) return this.single;
+		const entry = this.table[br.peek(HUFFMAN_TABLE_BITS)];
+		if (entry >= 0) {
+			br.skip(entry >> 16);
+			return entry & 0xffff;
+		}
+		const bits = br.peek(this.maxLen);
+		for (let len = HUFFMAN_TABLE_BITS + 1; len <= this.maxLen; len++) {
+			const s = this.long.get(len * 65536 + (bits & ((1 << len) - 1)));
+			if (s !== undefined) {
+				br.skip(len);
+				return s;
+			}
+		}
+		throw new WebpError('Invalid Huffman code in lossless stream');
+	}
+}
+
+function readHuffmanCode(br, alphabetSize) {
+	const lengths = new Uint8Array(alphabetSize);
+	if (br.read(1)) {
+		const numSymbols = br.read(1) + 1;
+		const first = br.read(br.read(1) ? 8 : 1);
+		if (first >= alphabetSize) throw new WebpError('Huffman symbol out of range');
+		lengths[first] = 1;
+		if (numSymbols === 2) {
+			const second = br.read(8);
+			if (second >= alphabetSize) throw new WebpError('Huffman symbol out of range');
+			lengths[second] = 1;
+		}
+		return new HuffmanCode(lengths);
+	}
+	const codeLengthLengths = new Uint8Array(19);
+	const numCodes = br.read(4) + 4;
+	for (let i = 0; i < numCodes; i++) codeLengthLengths[CODE_LENGTH_ORDER[i]] = br.read(3);
+	const lengthCode = new HuffmanCode(codeLengthLengths);
+	let maxSymbol = alphabetSize;
+	if (br.read(1)) {
+		const nbits = 2 + 2 * br.read(3);
+		maxSymbol = 2 + br.read(nbits);
+		if (maxSymbol > alphabetSize) throw new WebpError('Huffman code length count out of range');
+	}
+	let prev = 8;
+	let symbol = 0;
+	while (symbol < alphabetSize) {
+		if (maxSymbol-- === 0) break;
+		const len = lengthCode.read(br);
+		if (len < 16) {
+			lengths[symbol++] = len;
+			if (len !== 0) prev = len;
+			continue;
+		}
+		const extraBits = [2, 3, 7][len - 16];
+		const offset = [3, 3, 11][len - 16];
+		const repeat = br.read(extraBits) + offset;
+		if (symbol + repeat > alphabetSize) throw new WebpError('Huffman code lengths overflow the alphabet');
+		lengths.fill(len === 16 ? prev : 0, symbol, symbol + repeat);
+		symbol += repeat;
+	}
+	return new HuffmanCode(lengths);
+}
+
+function prefixValue(br, code) {
+	if (code < 4) return code + 1;
+	const extraBits = (code - 2) >> 1;
+	const offset = (2 + (code & 1)) << extraBits;
+	return offset + br.read(extraBits) + 1;
+}
+
+const subSample = (size, bits) => (size + (1 << bits) - 1) >> bits;
+
+/** Decodes an entropy-coded ARGB image (VP8L §5) of the given size. */
+function decodeEntropyImage(br, width, height, topLevel) {
+	let cacheBits = 0;
+	if (br.read(1)) {
+		cacheBits = br.read(4);
+		if (cacheBits < 1 || cacheBits > 11) throw new WebpError('Invalid colour cache size');
+	}
+	let metaBits = 0, metaImage = null, metaWidth = 0, groupCount = 1;
+	if (topLevel && br.read(1)) {
+		metaBits = br.read(3) + 2;
+		metaWidth = subSample(width, metaBits);
+		metaImage = decodeEntropyImage(br, metaWidth, subSample(height, metaBits), false);
+		for (let i = 0; i < metaImage.length; i++) {
+			metaImage[i] = (metaImage[i] >> 8) & 0xffff;
+			if (metaImage[i] + 1 > groupCount) groupCount = metaImage[i] + 1;
+		}
+	}
+	const cacheSize = cacheBits ? 1 << cacheBits : 0;
+	const groups = [];
+	for (let g = 0; g < groupCount; g++) {
+		groups.push([
+			readHuffmanCode(br, 256 + NUM_LENGTH_CODES + cacheSize),
+			readHuffmanCode(br, 256),
+			readHuffmanCode(br, 256),
+			readHuffmanCode(br, 256),
+			readHuffmanCode(br, NUM_DISTANCE_CODES),
+		]);
+	}
+	const cache = cacheSize ? new Uint32Array(cacheSize) : null;
+	const cacheShift = 32 - cacheBits;
+	const total = width * height;
+	const out = new Uint32Array(total);
+	let pos = 0, cached = 0;
+	let group = groups[0];
+	while (pos < total) {
+		const x = pos % width;
+		if (metaImage && (x & ((1 << metaBits) - 1)) === 0) {
+			const y = (pos / width) | 0;
+			group = groups[metaImage[(y >> metaBits) * metaWidth + (x >> metaBits)]];
+		}
+		const code = group[0].read(br);
+		if (code < 256) {
+			const red = group[1].read(br);
+			const blue = group[2].read(br);
+			const alpha = group[3].read(br);
+			out[pos++] = ((alpha << 24) | (red << 16) | (code << 8) | blue) >>> 0;
+		} else if (code < 256 + NUM_LENGTH_CODES) {
+			const length = prefixValue(br, code - 256);
+			const distCode = prefixValue(br, group[4].read(br));
+			let dist;
+			if (distCode > 120) {
+				dist = distCode - 120;
+			} else {
+				const d = DISTANCE_MAP[distCode - 1];
+				dist = (d >> 4) * width + (8 - (d & 0xf));
+				if (dist < 1) dist = 1;
+			}
+			if (dist > pos || pos + length > total) throw new WebpError('Lossless back-reference out of range');
+			for (let i = 0; i < length; i++, pos++) out[pos] = out[pos - dist];
+		} else {
+			if (!cache) throw new WebpError('Colour cache symbol without a cache');
+			out[pos++] = cache[code - 256 - NUM_LENGTH_CODES];
+		}
+		if (cache) {
+			for (; cached < pos; cached++) cache[Math.imul(out[cached], 0x1e35a7bd) >>> cacheShift] = out[cached];
+		}
+		if (br.overrun) throw new WebpError('Lossless stream is truncated');
+	}
+	return out;
+}
+
+const channelAdd = (a, b) => ((((a & 0xff00ff00) + (b & 0xff00ff00)) & 0xff00ff00) | (((a & 0x00ff00ff) + (b & 0x00ff00ff)) & 0x00ff00ff)) >>> 0;
+
+function average2(a, b) {
+	return ((((a ^ b) & 0xfefefefe) >>> 1) + (a & b)) >>> 0;
+}
+
+function channels(p) {
+	return [p >>> 24, (p >> 16) & 0xff, (p >> 8) & 0xff, p & 0xff];
+}
+
+function fromChannels(c) {
+	return ((c[0] << 24) | (c[1] << 16) | (c[2] << 8) | c[3]) >>> 0;
+}
+
+function select(L, T, TL) {
+	const l = channels(L), t = channels(T), tl = channels(TL);
+	let pL = 0, pT = 0;
+	for (let i = 0; i < 4; i++) {
+		const est = l[i] + t[i] - tl[i];
+		pL += Math.abs(est - l[i]);
+		pT += Math.abs(est - t[i]);
+	}
+	return pL < pT ? L : T;
+}
+
+function clampAddSubtractFull(a, b, c) {
+	const x = channels(a), y = channels(b), z = channels(c);
+	return fromChannels(x.map((v, i) => clamp255(v + y[i] - z[i])));
+}
+
+function clampAddSubtractHalf(a, b) {
+	const x = channels(a), y = channels(b);
+	return fromChannels(x.map((v, i) => clamp255(v + Math.trunc((v - y[i]) / 2))));
+}
+
+function predictPixel(mode, px, pos, width) {
+	const L = px[pos - 1], T = px[pos - width], TL = px[pos - width - 1], TR = px[pos - width + 1];
+	switch (mode) {
+		case 0: return 0xff000000;
+		case 1: return L;
+		case 2: return T;
+		case 3: return TR;
+		case 4: return TL;
+		case 5: return average2(average2(L, TR), T);
+		case 6: return average2(L, TL);
+		case 7: return average2(L, T);
+		case 8: return average2(TL, T);
+		case 9: return average2(T, TR);
+		case 10: return average2(average2(L, TL), average2(T, TR));
+		case 11: return select(L, T, TL);
+		case 12: return clampAddSubtractFull(L, T, TL);
+		case 13: return clampAddSubtractHalf(average2(L, T), TL);
+		default: return 0;
+	}
+}
+
+const colorDelta = (t, c) => (((t << 24) >> 24) * ((c << 24) >> 24)) >> 5;
+
+function inverseTransform(t, px, width, height) {
+	if (t.type === 0) {
+		const bw = subSample(width, t.bits);
+		for (let y = 0; y < height; y++) {
+			for (let x = 0; x < width; x++) {
+				const pos = y * width + x;
+				let pred;
+				if (y === 0) pred = x === 0 ? 0xff000000 : px[pos - 1];
+				else if (x === 0) pred = px[pos - width];
+				else pred = predictPixel((t.data[(y >> t.bits) * bw + (x >> t.bits)] >> 8) & 0xf, px, pos, width);
+				px[pos] = channelAdd(px[pos], pred);
+			}
+		}
+	} else if (t.type === 1) {
+		const bw = subSample(width, t.bits);
+		for (let y = 0; y < height; y++) {
+			for (let x = 0; x < width; x++) {
+				const m = t.data[(y >> t.bits) * bw + (x >> t.bits)];
+				const p = px[y * width + x];
+				const green = (p >> 8) & 0xff;
+				let red = (p >> 16) & 0xff;
+				let blue = p & 0xff;
+				red = (red + colorDelta(m & 0xff, green)) & 0xff;
+				blue = (blue + colorDelta((m >> 8) & 0xff, green)) & 0xff;
+				blue = (blue + colorDelta((m >> 16) & 0xff, red)) & 0xff;
+				px[y * width + x] = ((p & 0xff00ff00) | (red << 16) | blue) >>> 0;
+			}
+		}
+	} else if (t.type === 2) {
+		for (let i = 0; i < px.length; i++) {
+			const p = px[i];
+			const green = (p >> 8) & 0xff;
+			px[i] = ((p & 0xff00ff00) | ((((p >> 16) + green) & 0xff) << 16) | (((p & 0xff) + green) & 0xff)) >>> 0;
+		}
+	}
+}
+
+function expandColorIndex(t, packed, width, height) {
+	const out = new Uint32Array(width * height);
+	const perByte = 1 << t.bits;
+	const bitsPer = 8 >> t.bits;
+	const mask = (1 << bitsPer) - 1;
+	const packedWidth = subSample(width, t.bits);
+	for (let y = 0; y < height; y++) {
+		for (let x = 0; x < width; x++) {
+			const g = (packed[y * packedWidth + (x >> t.bits)] >> 8) & 0xff;
+			const idx = (g >> ((x & (perByte - 1)) * bitsPer)) & mask;
+			out[y * width + x] = idx < t.palette.length ? t.palette[idx] : 0;
+		}
+	}
+	return out;
+}
+
+/** Decodes a VP8L image stream (after the header) into ARGB pixels. */
+function decodeLosslessStream(br, width, height) {
+	const transforms = [];
+	const seen = new Set();
+	let codedWidth = width;
+	while (br.read(1)) {
+		const type = br.read(2);
+		if (seen.has(type)) throw new WebpError('Lossless transform repeated');
+		seen.add(type);
+		const t = { type, width: codedWidth };
+		if (type === 0 || type === 1) {
+			t.bits = br.read(3) + 2;
+			t.data = decodeEntropyImage(br, subSample(codedWidth, t.bits), subSample(height, t.bits), false);
+		} else if (type === 3) {
+			const size = br.read(8) + 1;
+			t.bits = size > 16 ? 0 : size > 4 ? 1 : size > 2 ? 2 : 3;
+			const palette = decodeEntropyImage(br, size, 1, false);
+			for (let i = 1; i < size; i++) palette[i] = channelAdd(palette[i], palette[i - 1]);
+			t.palette = palette;
+			codedWidth = subSample(codedWidth, t.bits);
+		}
+		transforms.push(t);
+	}
+	let px = decodeEntropyImage(br, codedWidth, height, true);
+	for (let i = transforms.length - 1; i >= 0; i--) {
+		const t = transforms[i];
+		if (t.type === 3) px = expandColorIndex(t, px, t.width, height);
+		else inverseTransform(t, px, t.width, height);
+	}
+	return px;
+}
+
+function decodeVp8l(buf) {
+	if (buf.length < 5 || buf[0] !== 0x2f) throw new WebpError('VP8L signature missing');
+	const br = new LosslessReader(buf, 1, buf.length);
+	const width = br.read(14) + 1;
+	const height = br.read(14) + 1;
+	br.read(1); // alpha hint
+	if (br.read(3) !== 0) throw new WebpError('Unsupported VP8L version');
+	const px = decodeLosslessStream(br, width, height);
+	const data = new Uint8Array(width * height * 4);
+	for (let i = 0; i < px.length; i++) {
+		const p = px[i];
+		data[i * 4] = (p >> 16) & 0xff;
+		data[i * 4 + 1] = (p >> 8) & 0xff;
+		data[i * 4 + 2] = p & 0xff;
+		data[i * 4 + 3] = p >>> 24;
+	}
+	return { width, height, data };
+}
+
+// ─── VP8L encoder (used for the alpha plane) ─────────────────────────────
+
+class LosslessWriter {
+	constructor() {
+		this.buf = new Uint8Array(4096);
+		this.pos = 0;
+		this.bits = 0;
+		this.nbits = 0;
+	}
+
+	write(value, n) {
+		// n is at most 16 here, so the accumulator never exceeds 32 bits.
+		this.bits |= value << this.nbits;
+		this.nbits += n;
+		while (this.nbits >= 8) {
+			if (this.pos === this.buf.length) {
+				const grown = new Uint8Array(this.buf.length * 2);
+				grown.set(this.buf);
+				this.buf = grown;
+			}
+			this.buf[this.pos++] = this.bits & 0xff;
+			this.bits >>>= 8;
+			this.nbits -= 8;
+		}
+	}
+
+	finish() {
+		if (this.nbits > 0) this.write(0, 8 - this.nbits);
+		return Buffer.from(this.buf.buffer, 0, this.pos);
+	}
+}
+
+/** Length-limited Huffman code lengths for `counts` (limit 15, or 7 for the code-length code). */
+function huffmanLengths(counts, limit) {
+	const n = counts.length;
+	let work = Array.from(counts);
+	for (;;) {
+		const nodes = [];
+		for (let s = 0; s < n; s++) if (work[s] > 0) nodes.push({ w: work[s], s });
+		const lengths = new Uint8Array(n);
+		if (nodes.length === 0) return lengths;
+		if (nodes.length === 1) {
+			lengths[nodes[0].s] = 1;
+			return lengths;
+		}
+		// Simple O(n log n) Huffman with a sorted queue; alphabets here are small.
+		let queue = nodes.map(x => ({ w: x.w, syms: [x.s] }));
+		queue.sort((a, b) => a.w - b.w);
+		while (queue.length > 1) {
+			const a = queue.shift(), b = queue.shift();
+			for (const s of a.syms) lengths[s]++;
+			for (const s of b.syms) lengths[s]++;
+			const merged = { w: a.w + b.w, syms: a.syms.concat(b.syms) };
+			let i = 0;
+			while (i < queue.length && queue[i].w <= merged.w) i++;
+			queue.splice(i, 0, merged);
+		}
+		if (Math.max(...lengths) <= limit) return lengths;
+		work = work.map(w => (w > 0 ? Math.max(1, w >> 1) : 0));
+	}
+}
+
+function canonicalCodes(lengths) {
+	const maxLen = Math.max(0, ...lengths);
+	const blCount = new Int32Array(maxLen + 1);
+	for (const l of lengths) if (l) blCount[l]++;
+	const next = new Int32Array(maxLen + 2);
+	let code = 0;
+	for (let len = 1; len <= maxLen; len++) {
+		code = (code + blCount[len - 1]) << 1;
+		next[len] = code;
+	}
+	const codes = new Int32Array(lengths.length);
+	for (let s = 0; s < lengths.length; s++) {
+		const len = lengths[s];
+		if (!len) continue;
+		const c = next[len]++;
+		let rev = 0;
+		for (let i = 0; i < len; i++) rev |= ((c >> i) & 1) << (len - 1 - i);
+		codes[s] = rev;
+	}
+	return codes;
+}
+
+/** Writes a Huffman code for `counts` and returns a symbol writer. */
+function writeHuffmanCode(bw, counts) {
+	const used = [];
+	for (let s = 0; s < counts.length; s++) if (counts[s] > 0) used.push(s);
+	if (used.length === 0) used.push(0);
+	if (used.length <= 2 && used.every(s => s < 256)) {
+		bw.write(1, 1);
+		bw.write(used.length - 1, 1);
+		if (used[0] < 2) {
+			bw.write(0, 1);
+			bw.write(used[0], 1);
+		} else {
+			bw.write(1, 1);
+			bw.write(used[0], 8);
+		}
+		if (used.length === 2) bw.write(used[1], 8);
+		if (used.length === 1) return () => {};
+		return (s) => bw.write(s === used[0] ? 0 : 1, 1);
+	}
+	const lengths = huffmanLengths(counts, 15);
+	const single = used.length === 1;
+	// Code lengths as a run-length coded stream of 0..18 symbols.
+	const tokens = [];
+	for (let i = 0; i < lengths.length;) {
+		const l = lengths[i];
+		let run = 1;
+		while (i + run < lengths.length && lengths[i + run] === l) run++;
+		if (l === 0 && run >= 3) {
+			const r = Math.min(run, 138);
+			tokens.push(r >= 11 ? [18, r - 11, 7] : [17, r - 3, 3]);
+			i += r;
+		} else {
+			tokens.push([l]);
+			i++;
+			let rest = run - 1;
+			while (rest >= 3) {
+				const r = Math.min(rest, 6);
+				tokens.push([16, r - 3, 2]);
+				rest -= r;
+				i += r;
+			}
+		}
+	}
+	const clCounts = new Int32Array(19);
+	for (const t of tokens) clCounts[t[0]]++;
+	let clLengths = huffmanLengths(clCounts, 7);
+	if (clLengths.filter(Boolean).length === 1) {
+		// A lone code-length symbol still needs a one-bit code so the decoder's tree is complete.
+		clLengths = Uint8Array.from(clLengths);
+		const other = clLengths[0] ? 1 : 0;
+		clLengths[other] = 1;
+	}
+	const clCodes = canonicalCodes(clLengths);
+	let numCodes = 19;
+	while (numCodes > 4 && clLengths[CODE_LENGTH_ORDER[numCodes - 1]] === 0) numCodes--;
+	bw.write(0, 1);
+	bw.write(numCodes - 4, 4);
+	for (let i = 0; i < numCodes; i++) bw.write(clLengths[CODE_LENGTH_ORDER[i]], 3);
+	bw.write(0, 1); // code lengths cover the whole alphabet
+	for (const t of tokens) {
+		bw.write(clCodes[t[0]], clLengths[t[0]]);
+		if (t.length > 1) bw.write(t[1], t[2]);
+	}
+	if (single) return () => {};
+	const codes = canonicalCodes(lengths);
+	return (s) => bw.write(codes[s], lengths[s]);
+}
+
+function prefixEncode(value) {
+	const x = value - 1;
+	if (x < 4) return { code: x, extraBits: 0, extra: 0 };
+	const hb = 31 - Math.clz32(x);
+	const second = (x >> (hb - 1)) & 1;
+	const extraBits = hb - 1;
+	return { code: 2 * hb + second, extraBits, extra: x & ((1 << extraBits) - 1) };
+}
+
+/**
+ * Encodes ARGB pixels as a VP8L entropy-coded image with LZ77 back-references
+ * (no transforms, no colour cache). `withHeader` adds the VP8L signature and
+ * size fields; the ALPH chunk uses the bare stream.
+ */
+function encodeLossless(px, width, height, withHeader, hasAlpha) {
+	const total = width * height;
+	// LZ77 tokens: literals as pixel values, copies as [length, distance code].
+	const tokens = [];
+	const HASH_SIZE = 1 << 16;
+	const head = new Int32Array(HASH_SIZE).fill(-1);
+	const prev = new Int32Array(total);
+	const hash = i => (Math.imul(px[i], 0x1e35a7bd) ^ Math.imul(px[i + 1], 0x9e3779b1)) >>> 16;
+	const matchLength = (a, b, max) => {
+		let l = 0;
+		while (l < max && px[a + l] === px[b + l]) l++;
+		return l;
+	};
+	const distanceCodes = new Map();
+	DISTANCE_MAP.forEach((d, i) => {
+		const dist = (d >> 4) * width + (8 - (d & 0xf));
+		if (dist >= 1 && !distanceCodes.has(dist)) distanceCodes.set(dist, i + 1);
+	});
+	for (let i = 0; i < total;) {
+		const max = Math.min(4096, total - i);
+		let bestLen = 0, bestDist = 0;
+		if (max >= 3) {
+			for (const d of [1, width]) {
+				if (d <= i) {
+					const l = matchLength(i, i - d, max);
+					if (l > bestLen) { bestLen = l; bestDist = d; }
+				}
+			}
+			if (i + 1 < total) {
+				let cand = head[hash(i)];
+				for (let depth = 0; cand >= 0 && depth < 16 && bestLen < max; depth++, cand = prev[cand]) {
+					const l = matchLength(i, cand, max);
+					if (l > bestLen) { bestLen = l; bestDist = i - cand; }
+				}
+			}
+		}
+		const advance = bestLen >= 3 ? bestLen : 1;
+		if (bestLen >= 3) tokens.push([bestLen, distanceCodes.get(bestDist) || bestDist + 120]);
+		else tokens.push(px[i]);
+		for (let k = 0; k < advance; k++, i++) {
+			if (i + 1 < total) {
+				const h = hash(i);
+				prev[i] = head[h];
+				head[h] = i;
+			}
+		}
+	}
+
+	const green = new Int32Array(256 + NUM_LENGTH_CODES);
+	const red = new Int32Array(256), blue = new Int32Array(256), alpha = new Int32Array(256);
+	const dist = new Int32Array(NUM_DISTANCE_CODES);
+	for (const t of tokens) {
+		if (typeof t === 'number') {
+			green[(t >> 8) & 0xff]++;
+			red[(t >> 16) & 0xff]++;
+			blue[t & 0xff]++;
+			alpha[t >>> 24]++;
+		} else {
+			green[256 + prefixEncode(t[0]).code]++;
+			dist[prefixEncode(t[1]).code]++;
+		}
+	}
+
+	const bw = new LosslessWriter();
+	if (withHeader) {
+		bw.write(0x2f, 8);
+		bw.write(width - 1, 14);
+		bw.write(height - 1, 14);
+		bw.write(hasAlpha ? 1 : 0, 1);
+		bw.write(0, 3);
+	}
+	bw.write(0, 1); // no transforms
+	bw.write(0, 1); // no colour cache
+	bw.write(0, 1); // no meta prefix codes
+	const putGreen = writeHuffmanCode(bw, green);
+	const putRed = writeHuffmanCode(bw, red);
+	const putBlue = writeHuffmanCode(bw, blue);
+	const putAlpha = writeHuffmanCode(bw, alpha);
+	const putDist = writeHuffmanCode(bw, dist);
+	for (const t of tokens) {
+		if (typeof t === 'number') {
+			putGreen((t >> 8) & 0xff);
+			putRed((t >> 16) & 0xff);
+			putBlue(t & 0xff);
+			putAlpha(t >>> 24);
+		} else {
+			const l = prefixEncode(t[0]);
+			putGreen(256 + l.code);
+			if (l.extraBits) bw.write(l.extra, l.extraBits);
+			const d = prefixEncode(t[1]);
+			putDist(d.code);
+			if (d.extraBits) bw.write(d.extra, d.extraBits);
+		}
+	}
+	return bw.finish();
+}
+
+// ─── Alpha (ALPH chunk) ──────────────────────────────────────────────────
+
+function decodeAlpha(chunk, width, height) {
+	if (chunk.length < 1) throw new WebpError('ALPH chunk is empty');
+	const method = chunk[0] & 3;
+	const filter = (chunk[0] >> 2) & 3;
+	let alpha;
+	if (method === 0) {
+		if (chunk.length - 1 < width * height) throw new WebpError('ALPH chunk is truncated');
+		alpha = Uint8Array.from(chunk.subarray(1, 1 + width * height));
+	} else if (method === 1) {
+		const px = decodeLosslessStream(new LosslessReader(chunk, 1, chunk.length), width, height);
+		alpha = new Uint8Array(width * height);
+		for (let i = 0; i < px.length; i++) alpha[i] = (px[i] >> 8) & 0xff;
+	} else {
+		throw new WebpError('Unsupported ALPH compression ' + method);
+	}
+	if (filter) {
+		for (let y = 0; y < height; y++) {
+			for (let x = 0; x < width; x++) {
+				const i = y * width + x;
+				let pred;
+				if (y === 0) pred = x === 0 ? 0 : alpha[i - 1];
+				else if (x === 0) pred = alpha[i - width];
+				else if (filter === 1) pred = alpha[i - 1];
+				else if (filter === 2) pred = alpha[i - width];
+				else pred = clamp255(alpha[i - 1] + alpha[i - width] - alpha[i - width - 1]);
+				alpha[i] = (alpha[i] + pred) & 0xff;
+			}
+		}
+	}
+	return alpha;
+}
+
+function encodeAlpha(img) {
+	const { width, height, data } = img;
+	const px = new Uint32Array(width * height);
+	for (let i = 0; i < px.length; i++) px[i] = data[i * 4 + 3] << 8;
+	return Buffer.concat([Buffer.from([1]), encodeLossless(px, width, height, false, false)]);
+}
+
+// ─── RIFF container ──────────────────────────────────────────────────────
+
+function riffChunk(fourcc, payload) {
+	const header = Buffer.alloc(8);
+	header.write(fourcc, 0, 'ascii');
+	header.writeUInt32LE(payload.length, 4);
+	const parts = [header, payload];
+	if (payload.length & 1) parts.push(Buffer.alloc(1));
+	return Buffer.concat(parts);
+}
+
+function readChunks(buf) {
+	if (buf.length < 12 || buf.toString('ascii', 0, 4) !== 'RIFF' || buf.toString('ascii', 8, 12) !== 'WEBP') {
+		throw new WebpError('Not a WebP file');
+	}
+	const end = Math.min(buf.length, 8 + buf.readUInt32LE(4));
+	const chunks = [];
+	for (let pos = 12; pos + 8 <= end;) {
+		const fourcc = buf.toString('ascii', pos, pos + 4);
+		const size = buf.readUInt32LE(pos + 4);
+		if (pos + 8 + size > end) throw new WebpError('WebP chunk ' + fourcc.trim() + ' is truncated');
+		chunks.push({ fourcc, data: buf.subarray(pos + 8, pos + 8 + size) });
+		pos += 8 + size + (size & 1);
+	}
+	return chunks;
+}
+
+function hasTransparency(img) {
+	for (let i = 3; i < img.data.length; i += 4) if (img.data[i] !== 255) return true;
+	return false;
+}
+
+/**
+ * Encodes an RGBA image as a lossy WebP file. Quality runs 0-100 like the
+ * canvas `toBlob(..., 'image/webp', q)` quality the dashboard uses (0.75 there
+ * is 75 here).
+ */
+function encodeWebp(img, quality = 75) {
+	const vp8 = riffChunk('VP8 ', encodeVp8(img, quality));
+	let body;
+	if (hasTransparency(img)) {
+		const vp8x = Buffer.alloc(10);
+		vp8x[0] = 0x10; // alpha flag
+		vp8x.writeUIntLE(img.width - 1, 4, 3);
+		vp8x.writeUIntLE(img.height - 1, 7, 3);
+		body = Buffer.concat([riffChunk('VP8X', vp8x), riffChunk('ALPH', encodeAlpha(img)), vp8]);
+	} else {
+		body = vp8;
+	}
+	const header = Buffer.alloc(12);
+	header.write('RIFF', 0, 'ascii');
+	header.writeUInt32LE(4 + body.length, 4);
+	header.write('WEBP', 8, 'ascii');
+	return Buffer.concat([header, body]);
+}
+
+/** Decodes a still WebP file (lossy, lossless or lossy with alpha) to RGBA. */
+function decodeWebp(buf) {
+	const chunks = readChunks(buf);
+	const find = fourcc => chunks.find(c => c.fourcc === fourcc);
+	if (find('ANIM')) throw new WebpError('Animated WebP is not supported');
+	const lossless = find('VP8L');
+	if (lossless) return decodeVp8l(lossless.data);
+	const lossy = find('VP8 ');
+	if (!lossy) throw new WebpError('WebP file has no image data');
+	const img = decodeVp8(lossy.data);
+	const alph = find('ALPH');
+	if (alph) {
+		const alpha = decodeAlpha(alph.data, img.width, img.height);
+		for (let i = 0; i < alpha.length; i++) img.data[i * 4 + 3] = alpha[i];
+	}
+	return img;
+}
+
+/** Reads dimensions and format flags from a WebP header without decoding pixels. */
+function readWebpInfo(buf) {
+	const chunks = readChunks(buf);
+	const first = chunks[0];
+	if (!first) throw new WebpError('WebP file has no chunks');
+	if (first.fourcc === 'VP8X') {
+		const d = first.data;
+		return {
+			width: d.readUIntLE(4, 3) + 1,
+			height: d.readUIntLE(7, 3) + 1,
+			hasAlpha: (d[0] & 0x10) !== 0,
+			lossless: chunks.some(c => c.fourcc === 'VP8L'),
+			animated: (d[0] & 0x02) !== 0,
+		};
+	}
+	if (first.fourcc === 'VP8L') {
+		const d = first.data;
+		const bits = d.readUInt32LE(1);
+		return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1, hasAlpha: ((bits >> 28) & 1) === 1, lossless: true, animated: false };
+	}
+	if (first.fourcc === 'VP8 ') {
+		const d = first.data;
+		if (d.length < 10) throw new WebpError('VP8 frame is truncated');
+		return { width: d.readUInt16LE(6) & 0x3fff, height: d.readUInt16LE(8) & 0x3fff, hasAlpha: false, lossless: false, animated: false };
+	}
+	throw new WebpError('Unknown WebP chunk ' + first.fourcc);
+}
+
+module.exports = { WebpError, encodeWebp, decodeWebp, readWebpInfo };
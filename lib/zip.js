@@ -0,0 +1,147 @@
+/**
+ * Minimal zip reading and writing for asset packs.
+ *
+ * Writes stored or deflated entries (whichever is smaller) with UTF-8 names.
+ * Reads the same subset back: no encryption, no zip64, no multi-disk
+ * archives. The reader checks every entry's CRC and refuses archives whose
+ * entries would unpack beyond `maxBytes` in total.
+ */
+
+const zlib = require('zlib');
+const { crc32 } = require('./crc32');
+
+class ZipError extends Error {}
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIR = 0x06054b50;
+const UTF8_FLAG = 0x0800;
+const STORED = 0;
+const DEFLATED = 8;
+const VERSION = 20;
+
+// MS-DOS date and time fields of `date` (local time, 2 s resolution)
+function dosDateTime(date) {
+	return {
+		time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+		date: ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+	};
+}
+
+/** Builds a zip archive from `[{ name, data }]`. */
+function writeZip(entries, { date = new Date() } = {}) {
+	const { time, date: day } = dosDateTime(date);
+	const locals = [];
+	const centrals = [];
+	let offset = 0;
+	for (const { name, data } of entries) {
+		const nameBuf = Buffer.from(name, 'utf-8');
+		const deflated = zlib.deflateRawSync(data);
+		const method = deflated.length < data.length ? DEFLATED : STORED;
+		const body = method === DEFLATED ? deflated : data;
+		const crc = crc32(data);
+
+		const local = Buffer.alloc(30);
+		local.writeUInt32LE(LOCAL_HEADER, 0);
+		local.writeUInt16LE(VERSION, 4);
+		local.writeUInt16LE(UTF8_FLAG, 6);
+		local.writeUInt16LE(method, 8);
+		local.writeUInt16LE(time, 10);
+		local.writeUInt16LE(day, 12);
+		local.writeUInt32LE(crc, 14);
+		local.writeUInt32LE(body.length, 18);
+		local.writeUInt32LE(data.length, 22);
+		local.writeUInt16LE(nameBuf.length, 26);
+		local.writeUInt16LE(0, 28);
+
+		const central = Buffer.alloc(46);
+		central.writeUInt32LE(CENTRAL_HEADER, 0);
+		central.writeUInt16LE(VERSION, 4);
+		central.writeUInt16LE(VERSION, 6);
+		central.writeUInt16LE(UTF8_FLAG, 8);
+		central.writeUInt16LE(method, 10);
+		central.writeUInt16LE(time, 12);
+		central.writeUInt16LE(day, 14);
+		central.writeUInt32LE(crc, 16);
+		central.writeUInt32LE(body.length, 20);
+		central.writeUInt32LE(data.length, 24);
+		central.writeUInt16LE(nameBuf.length, 28);
+		central.writeUInt32LE(offset, 42);
+
+		locals.push(local, nameBuf, body);
+		centrals.push(central, nameBuf);
+		offset += local.length + nameBuf.length + body.length;
+	}
+	const centralDir = Buffer.concat(centrals);
+	const end = Buffer.alloc(22);
+	end.writeUInt32LE(END_OF_CENTRAL_DIR, 0);
+	end.writeUInt16LE(entries.length, 8);
+	end.writeUInt16LE(entries.length, 10);
+	end.writeUInt32LE(centralDir.length, 12);
+	end.writeUInt32LE(offset, 16);
+	return Buffer.concat([...locals, centralDir, end]);
+}
+
+function findEndOfCentralDir(buf) {
+	// The end record is 22 bytes plus a comment of up to 65535
+	for (let i = buf.length - 22; i >= Math.max(0, buf.length - 22 - 0xffff); i--) {
+		if (buf.readUInt32LE(i) === END_OF_CENTRAL_DIR) return i;
+	}
+	throw new ZipError('Not a zip archive');
+}
+
+/**
+ * Reads a zip archive into `[{ name, data }]` (directories left out).
+ * `maxEntries` and `maxBytes` (total unpacked size) guard against archives
+ * built to exhaust memory.
+ */
+function readZip(buf, { maxEntries = 1000, maxBytes = 512 * 1024 * 1024 } = {}) {
+	if (buf.length < 22) throw new ZipError('Not a zip archive');
+	const end = findEndOfCentralDir(buf);
+	const count = buf.readUInt16LE(end + 10);
+	let pos = buf.readUInt32LE(end + 16);
+	if (count === 0xffff || pos === 0xffffffff) throw new ZipError('zip64 archives are not supported');
+	if (count > maxEntries) throw new ZipError('Archive has ' + count + ' entries; at most ' + maxEntries + ' are allowed');
+
+	const entries = [];
+	const names = new Set();
+	let total = 0;
+	for (let n = 0; n < count; n++) {
+		if (pos + 46 > buf.length || buf.readUInt32LE(pos) !== CENTRAL_HEADER) throw new ZipError('Corrupt central directory');
+		const flags = buf.readUInt16LE(pos + 8);
+		const method = buf.readUInt16LE(pos + 10);
+		const crc = buf.readUInt32LE(pos + 16);
+		const packedSize = buf.readUInt32LE(pos + 20);
+		const size = buf.readUInt32LE(pos + 24);
+		const nameLength = buf.readUInt16LE(pos + 28);
+		const extraLength = buf.readUInt16LE(pos + 30);
+		const commentLength = buf.readUInt16LE(pos + 32);
+		const localOffset = buf.readUInt32LE(pos + 42);
+		const name = buf.toString(flags & UTF8_FLAG ? 'utf-8' : 'latin1', pos + 46, pos + 46 + nameLength);
+		pos += 46 + nameLength + extraLength + commentLength;
+
+		if (name.endsWith('/')) continue;
+		if (flags & 1) throw new ZipError(name + ' is encrypted');
+		if (method !== STORED && method !== DEFLATED) throw new ZipError(name + ' uses an unsupported compression method (' + method + ')');
+		if (names.has(name)) throw new ZipError('Duplicate entry ' + name);
+		total += size;
+		if (total > maxBytes) throw new ZipError('Archive unpacks to more than ' + maxBytes + ' bytes');
+
+		if (localOffset + 30 > buf.length || buf.readUInt32LE(localOffset) !== LOCAL_HEADER) throw new ZipError('Corrupt local header for ' + name);
+		const start = localOffset + 30 + buf.readUInt16LE(localOffset + 26) + buf.readUInt16LE(localOffset + 28);
+		if (start + packedSize > buf.length) throw new ZipError(name + ' is truncated');
+		const body = buf.subarray(start, start + packedSize);
+		let data;
+		try {
+			data = method === STORED ? Buffer.from(body) : zlib.inflateRawSync(body, { maxOutputLength: Math.max(1, size) });
+		} catch (err) {
+			throw new ZipError('Cannot unpack ' + name + ': ' + err.message);
+		}
+		if (data.length !== size || crc32(data) !== crc) throw new ZipError(name + ' is corrupt (size or CRC mismatch)');
+		names.add(name);
+		entries.push({ name, data });
+	}
+	return entries;
+}
+
+module.exports = { ZipError, writeZip, readZip };
@@ -8,42 +8,91 @@
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const os = require('os');
 const { execSync } = require('child_process');
+const { renderPreviewWebp } = require('./lib/render');
+const { validateGlb } = require('./lib/glb');
+const { checkTexture, normalizeTexture } = require('./lib/texture');
+const { decodeImage, readImageInfo, readImageSize, IMAGE_HEADER_BYTES, fitWithin, encodePng, encodeWebp } = require('./lib/image');
+const { PathError, resolveWithin, slugifyFilename, isInside } = require('./lib/safe-path');
+const { diffManifests, hasChanges } = require('./lib/manifest-diff');
+const { GitError, runGit, parseStatus } = require('./lib/git');
+const { ForgeError, createPullRequest } = require('./lib/forge');
+const { createMockForge } = require('./lib/mock-forge');
+const { ZipError, writeZip, readZip } = require('./lib/zip');
+const { planUploads } = require('./lib/bulk-plan');
+const { renderSite } = require('./lib/site');
+const { MultipartError, parseBoundary, parseMultipartStream, formatBytes } = require('./lib/multipart');
+const { MANIFEST_VERSION, validateManifest } = require('./lib/manifest-validator');
+const { MigrationError, migrateManifest } = require('./lib/manifest-migrations');
+const {
+	ROLES, roleAtLeast, randomToken, safeEqual, hashPassword, verifyPassword,
+	createApiToken, hashApiToken, parseCookies, createSessionStore, createLoginLimiter,
+} = require('./lib/auth');
 
 const PORT = 3456;
 const ROOT = __dirname;
 const MANIFEST_PATH = path.join(ROOT, 'manifest.json');
 
 // ─── Folder scanning config ───────────────────────────────────────────────────
-const SKIN_FOLDERS = {
-	ar: 'AR',
-	awp: 'AWP',
-	shotgun: 'Shotgun',
-	smg: 'SMG',
-};
+// The weapon catalogue lives in store-config.json; see getWeapons().
+const CONFIG_PATH = path.join(ROOT, 'store-config.json');
 const SPECIAL_FOLDER = 'Special';
-const MODEL_FOLDERS = {
-	ar: 'Models/AR',
-	awp: 'Models/AWP',
-	smg: 'Models/SMG',
-	shotgun: 'Models/Shotgun',
-};
 const IMAGE_EXTS = ['.png', '.jpg', '.jpeg', '.webp'];
 const MODEL_EXTS = ['.glb'];
 const PREVIEW_FOLDER = 'Previews';
+const VARIANTS_FOLDER = 'Variants';
 const DEFAULT_MODELS_FOLDER = 'DefaultModels';
 
+// Local working state (caches etc.) — never published, see .gitignore
+const STATE_FOLDER = '.store';
+const HASH_CACHE_PATH = path.join(ROOT, STATE_FOLDER, 'hash-cache.json');
+
 // ─── Helpers ──────────────────────────────────────────────────────────────────
 
+// Expected failure (bad input, missing file...). `status` is the HTTP status the
+// server answers with; the CLI prints the message and exits non-zero. `details`
+// (optional) is merged into the JSON error response, e.g. a validation report.
+class StoreError extends Error {
+	constructor(message, status = 400, details = null) {
+		super(message);
+		this.status = status;
+		this.details = details;
+	}
+}
+
+function emptyManifest() {
+	return { version: MANIFEST_VERSION, updated: new Date().toISOString(), previewBaseUrl: '', assets: [] };
+}
+
+// manifest.json upgraded to the current version (lib/manifest-migrations.js).
+// A missing file is an empty store; one that cannot be read is an error whose
+// details.reason is 'invalid-json' (regenerating replaces it) or
+// 'unsupported-version' (left alone: it may come from a newer store manager).
 function readManifest() {
+	if (!fs.existsSync(MANIFEST_PATH)) return emptyManifest();
+	let manifest;
 	try {
-		return JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf-8'));
-	} catch {
-		return { version: 3, updated: new Date().toISOString(), previewBaseUrl: '', assets: [] };
+		manifest = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf-8'));
+	} catch (err) {
+		throw new StoreError('manifest.json is not valid JSON: ' + err.message, 500, { reason: 'invalid-json' });
+	}
+	try {
+		return migrateManifest(manifest).manifest;
+	} catch (err) {
+		if (err instanceof MigrationError) throw new StoreError('manifest.json: ' + err.message, 500, { reason: 'unsupported-version' });
+		throw err;
 	}
 }
 
+// Refuses to write a manifest that breaks schema/manifest.schema.json
 function writeManifest(manifest) {
+	const { ok, errors } = validateManifest(manifest);
+	if (!ok) {
+		throw new StoreError('Refusing to write an invalid manifest.json: ' + errors.slice(0, 3).join('; ') +
+			(errors.length > 3 ? ' (and ' + (errors.length - 3) + ' more)' : ''), 500, { errors });
+	}
 	fs.writeFileSync(MANIFEST_PATH, JSON.stringify(manifest, null, 2) + '\n', 'utf-8');
 }
 
@@ -58,41 +107,350 @@ function writeCredits(credits) {
 	fs.writeFileSync(CREDITS_PATH, JSON.stringify(credits, null, 2) + '\n', 'utf-8');
 }
 
-function regenerateManifestFile() {
+// ─── Store config & weapon catalogue ──────────────────────────────────────────
+// store-config.json → { weapons: [{ id, name, skinFolder, modelFolder, defaultModel,
+// textureAspect? }], textureLimits?: { skin, special }, variants?: { format, quality, levels } }
+
+function readConfig() {
+	let raw;
+	try { raw = fs.readFileSync(CONFIG_PATH, 'utf-8'); }
+	catch { return { weapons: [] }; }
+	try { return JSON.parse(raw); }
+	catch (err) { throw new StoreError('store-config.json is not valid JSON: ' + err.message, 500); }
+}
+
+function writeConfig(config) {
+	fs.writeFileSync(CONFIG_PATH, JSON.stringify(config, null, 2) + '\n', 'utf-8');
+}
+
+function getWeapons() {
+	return readConfig().weapons || [];
+}
+
+function getWeapon(id) {
+	return getWeapons().find(w => w.id === id) || null;
+}
+
+// Upload limits per texture type; store-config.json "textureLimits" overrides
+// any field. Skins are mapped onto weapon UVs, so they must be power-of-two.
+const TEXTURE_LIMITS = {
+	skin: { maxDimension: 2048, maxBytes: 4 * 1048576, powerOfTwo: true },
+	special: { maxDimension: 4096, maxBytes: 4 * 1048576, powerOfTwo: false },
+};
+
+function getTextureLimits(type) {
+	const overrides = readConfig().textureLimits || {};
+	return { ...TEXTURE_LIMITS[type], ...overrides[type] };
+}
+
+// Width / height a weapon's skins are expected to have (its default model's
+// UV layout); square unless the catalogue says otherwise.
+function getTextureAspect(weapon) {
+	const w = getWeapon(weapon);
+	return (w && w.textureAspect) || 1;
+}
+
+// Catalogue entries plus what the dashboard needs to show their state
+function describeWeapons() {
+	return getWeapons().map(w => ({
+		...w,
+		hasDefaultModel: fs.existsSync(path.join(ROOT, w.defaultModel)),
+	}));
+}
+
+const WEAPON_ID_RE = /^[a-z0-9][a-z0-9_-]*$/;
+const FOLDER_RE = /^[A-Za-z0-9][A-Za-z0-9 _-]*(\/[A-Za-z0-9][A-Za-z0-9 _-]*)*$/;
+
+// Adds a weapon to the catalogue. `defaultModelData` (optional) is written to
+// the default model path first; the weapon is only added once that GLB exists.
+// An existing GLB at that path (possibly shared with other weapons) is a 409
+// unless `replaceDefaultModel` is set.
+function addWeapon({ id, name, skinFolder, modelFolder, defaultModel, defaultModelData, replaceDefaultModel }) {
+	id = (id || '').trim().toLowerCase();
+	if (!WEAPON_ID_RE.test(id)) throw new StoreError('Weapon id must be lowercase letters, digits, - or _');
+	const weapons = getWeapons();
+	if (weapons.some(w => w.id === id)) throw new StoreError('Weapon already exists: ' + id, 409);
+
+	const weapon = {
+		id,
+		name: (name || '').trim() || id.toUpperCase(),
+		skinFolder: (skinFolder || '').trim() || id.toUpperCase(),
+		modelFolder: (modelFolder || '').trim() || 'Models/' + id.toUpperCase(),
+		defaultModel: (defaultModel || '').trim() || DEFAULT_MODELS_FOLDER + '/' + id + '.glb',
+	};
+	for (const key of ['skinFolder', 'modelFolder']) {
+		if (!FOLDER_RE.test(weapon[key])) throw new StoreError('Invalid ' + key + ': ' + weapon[key]);
+	}
+	if (!FOLDER_RE.test(path.dirname(weapon.defaultModel)) || path.extname(weapon.defaultModel) !== '.glb') {
+		throw new StoreError('Default model must be a .glb path such as ' + DEFAULT_MODELS_FOLDER + '/' + id + '.glb');
+	}
+	const used = weapons.flatMap(w => [w.skinFolder, w.modelFolder]).concat(SPECIAL_FOLDER, PREVIEW_FOLDER, VARIANTS_FOLDER, DEFAULT_MODELS_FOLDER);
+	for (const key of ['skinFolder', 'modelFolder']) {
+		if (used.includes(weapon[key])) throw new StoreError(key + ' ' + weapon[key] + ' is already in use');
+	}
+
+	const defaultAbs = storePath(weapon.defaultModel);
+	if (defaultModelData && defaultModelData.length > 0) {
+		const usedBy = weapons.filter(w => w.defaultModel === weapon.defaultModel).map(w => w.id);
+		if ((usedBy.length || fs.existsSync(defaultAbs)) && !replaceDefaultModel) {
+			throw new StoreError(weapon.defaultModel + ' already exists' + (usedBy.length ? ' (default model of ' + usedBy.join(', ') + ')' : '') +
+				'; leave out the GLB to use it, or replace it', 409, { defaultModelExists: { existing: weapon.defaultModel, usedBy } });
+		}
+		fs.mkdirSync(path.dirname(defaultAbs), { recursive: true });
+		fs.writeFileSync(defaultAbs, defaultModelData);
+	}
+	if (!fs.existsSync(defaultAbs)) {
+		throw new StoreError('Default model ' + weapon.defaultModel + ' not found — upload it with the weapon');
+	}
+
+	for (const folder of [weapon.skinFolder, weapon.modelFolder]) {
+		const abs = storePath(folder);
+		fs.mkdirSync(abs, { recursive: true });
+		if (fs.readdirSync(abs).length === 0) fs.writeFileSync(path.join(abs, '.gitkeep'), '');
+	}
+
+	const config = readConfig();
+	config.weapons = weapons.concat(weapon);
+	writeConfig(config);
+	return weapon;
+}
+
+// Derives the manifest id of an asset from its file path, e.g.
+// Models/AR/AK.glb → model-ar-ak. Returns null for files outside asset folders.
+function assetIdForFile(file) {
+	const dir = path.posix.dirname(file);
+	const base = path.posix.basename(file, path.posix.extname(file)).toLowerCase();
+	if (dir === SPECIAL_FOLDER) return 'special-' + base;
+	for (const w of getWeapons()) {
+		if (dir === w.skinFolder) return 'skin-' + w.id + '-' + base;
+		if (dir === w.modelFolder) return 'model-' + w.id + '-' + base;
+	}
+	return null;
+}
+
+function setCredit(id, credit) {
+	const credits = readCredits();
+	if (credit && credit !== 'Unknown') {
+		credits[id] = credit;
+	} else {
+		delete credits[id];
+	}
+	writeCredits(credits);
+}
+
+// Rewrites manifest.json from disk. When the assets changed, the revision goes
+// up and the change is added to the feed (recordChanges); either way the
+// result is kept in the history (recordVersion). `restoredFrom` notes a
+// version that was just restored.
+function regenerateManifestFile({ restoredFrom = null } = {}) {
 	const items = scanAll();
 	const credits = readCredits();
+	const metadata = readMetadata();
 	for (const item of items) {
+		const meta = metadata[item.id] || {};
+		for (const field of METADATA_FIELDS) {
+			if (meta[field] !== undefined) item[field] = meta[field];
+		}
 		item.credit = credits[item.id] || 'Unknown';
 	}
-	const manifest = readManifest();
-	manifest.version = 3;
+	let previous;
+	try {
+		previous = readManifest();
+	} catch (err) {
+		if (!(err instanceof StoreError) || err.details.reason !== 'invalid-json') throw err;
+		// Rebuilt from disk; the revision carries on from the change feed
+		console.error('[Store Manager] ' + err.message + ' — rebuilding it from disk');
+		previous = { ...emptyManifest(), revision: readChanges().revision || 0 };
+	}
+	const aliases = liveAliases(items);
+	const diff = diffManifests(previous, { assets: items, aliases });
+	const changed = hasChanges(diff);
+	const manifest = { version: MANIFEST_VERSION, revision: 0, ...previous };
+	manifest.version = MANIFEST_VERSION;
+	manifest.revision = (previous.revision || 0) + (changed ? 1 : 0);
 	manifest.updated = new Date().toISOString();
 	manifest.previewBaseUrl = manifest.previewBaseUrl || 'https://raw.githubusercontent.com/iydebu/haze-client-assets/main/';
 	manifest.assets = items;
+	manifest.aliases = aliases;
+	if (!versionIds().length && previous.assets.length) seedHistory(previous);
 	writeManifest(manifest);
+	if (changed) recordChanges(manifest, diff);
+	recordVersion(manifest, { restoredFrom });
 	return items;
 }
 
+// ─── Asset metadata ───────────────────────────────────────────────────────────
+// metadata.json holds hand-edited fields per asset id. They override (name,
+// description) or add to (tags, rarity, releaseDate, hidden) what scanAll
+// derives from the file name; credits stay in credits.json.
+
+const METADATA_PATH = path.join(ROOT, 'metadata.json');
+const METADATA_FIELDS = ['name', 'description', 'tags', 'rarity', 'releaseDate', 'hidden'];
+const RARITY_DEFAULTS = ['common', 'uncommon', 'rare', 'epic', 'legendary'];
+const MAX_NAME_LENGTH = 80;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_TAGS = 20;
+const TAG_RE = /^[a-z0-9][a-z0-9-]{0,31}$/;
+
+function readMetadata() {
+	try { return JSON.parse(fs.readFileSync(METADATA_PATH, 'utf-8')); }
+	catch { return {}; }
+}
+
+function writeMetadata(metadata) {
+	fs.writeFileSync(METADATA_PATH, JSON.stringify(metadata, null, 2) + '\n', 'utf-8');
+}
+
+// Rarity tiers, lowest first (store-config.json → rarities)
+function getRarities() {
+	return readConfig().rarities || RARITY_DEFAULTS;
+}
+
+// Validates one field; returns the value to store, or undefined to clear it.
+function normalizeMetadataField(field, value) {
+	if (value === null || value === undefined || value === '') return undefined;
+	switch (field) {
+		case 'name':
+		case 'description': {
+			const max = field === 'name' ? MAX_NAME_LENGTH : MAX_DESCRIPTION_LENGTH;
+			const text = String(value).replace(/\s+/g, ' ').trim();
+			if (text.length > max) throw new StoreError(field + ' is longer than ' + max + ' characters');
+			return text || undefined;
+		}
+		case 'tags': {
+			const list = Array.isArray(value) ? value : String(value).split(',');
+			const tags = [...new Set(list.map(t => String(t).trim().toLowerCase().replace(/\s+/g, '-')).filter(Boolean))];
+			const bad = tags.find(t => !TAG_RE.test(t));
+			if (bad) throw new StoreError('Invalid tag "' + bad + '" (letters, digits and dashes)');
+			if (tags.length > MAX_TAGS) throw new StoreError('At most ' + MAX_TAGS + ' tags');
+			return tags.length ? tags : undefined;
+		}
+		case 'rarity': {
+			const rarities = getRarities();
+			if (!rarities.includes(value)) throw new StoreError('Invalid rarity "' + value + '" (expected ' + rarities.join(', ') + ')');
+			return value;
+		}
+		case 'releaseDate': {
+			const date = String(value).trim();
+			// 2024-13-45 is an invalid Date; 2024-02-30 rolls over to another day
+			const parsed = new Date(date + 'T00:00:00Z');
+			if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(parsed.getTime()) || parsed.toISOString().slice(0, 10) !== date) {
+				throw new StoreError('Invalid release date "' + date + '" (expected YYYY-MM-DD)');
+			}
+			return date;
+		}
+		case 'hidden':
+			if (typeof value !== 'boolean') throw new StoreError('hidden must be true or false');
+			return value || undefined;
+	}
+	throw new StoreError('Unknown metadata field: ' + field);
+}
+
+// Updates the fields present in `fields` for asset `id`; an empty value
+// clears the override. Returns the asset's stored metadata. `added` skips the
+// manifest lookup for an asset just written and not regenerated yet.
+function setMetadata(id, fields, { added = false } = {}) {
+	if (!added && !readManifest().assets.some(a => a.id === id)) throw new StoreError('No asset with id ' + id, 404);
+	const unknown = Object.keys(fields).filter(f => !METADATA_FIELDS.includes(f));
+	if (unknown.length) throw new StoreError('Unknown metadata field: ' + unknown.join(', '));
+
+	const metadata = readMetadata();
+	const entry = { ...metadata[id] };
+	if (!Object.keys(fields).length) return entry;
+	for (const field of Object.keys(fields)) {
+		const value = normalizeMetadataField(field, fields[field]);
+		if (value === undefined) delete entry[field];
+		else entry[field] = value;
+	}
+	if (Object.keys(entry).length) metadata[id] = entry;
+	else delete metadata[id];
+	writeMetadata(metadata);
+	return entry;
+}
+
+function removeMetadata(id) {
+	const metadata = readMetadata();
+	if (!metadata[id]) return;
+	delete metadata[id];
+	writeMetadata(metadata);
+}
+
+// ─── Content hashing ──────────────────────────────────────────────────────────
+// SHA-256 of every published file, cached by mtime + size so rescans only
+// re-read files that actually changed.
+
+let hashCache = null;
+let hashCacheDirty = false;
+
+function loadHashCache() {
+	if (hashCache) return hashCache;
+	try { hashCache = JSON.parse(fs.readFileSync(HASH_CACHE_PATH, 'utf-8')); }
+	catch { hashCache = {}; }
+	return hashCache;
+}
+
+function saveHashCache() {
+	if (!hashCacheDirty) return;
+	for (const rel of Object.keys(hashCache)) {
+		if (!fs.existsSync(path.join(ROOT, rel))) delete hashCache[rel];
+	}
+	fs.mkdirSync(path.dirname(HASH_CACHE_PATH), { recursive: true });
+	fs.writeFileSync(HASH_CACHE_PATH, JSON.stringify(hashCache) + '\n', 'utf-8');
+	hashCacheDirty = false;
+}
+
+// Returns { size, sha256 } for a file relative to ROOT, or null if it is missing.
+function fileIntegrity(relPath) {
+	const abs = path.join(ROOT, relPath);
+	let stat;
+	try { stat = fs.statSync(abs); } catch { return null; }
+	const cache = loadHashCache();
+	const cached = cache[relPath];
+	if (cached && cached.size === stat.size && cached.mtimeMs === stat.mtimeMs) {
+		return { size: stat.size, sha256: cached.sha256 };
+	}
+	const sha256 = crypto.createHash('sha256').update(fs.readFileSync(abs)).digest('hex');
+	cache[relPath] = { size: stat.size, mtimeMs: stat.mtimeMs, sha256 };
+	hashCacheDirty = true;
+	return { size: stat.size, sha256 };
+}
+
+// Companion integrity fields for a texture or preview, keyed with a prefix
+// (e.g. textureSize/textureSha256). Empty when there is no companion file.
+function companionIntegrity(prefix, relPath) {
+	const info = relPath ? fileIntegrity(relPath) : null;
+	if (!info) return {};
+	return { [prefix + 'Size']: info.size, [prefix + 'Sha256']: info.sha256 };
+}
+
 function scanFolder(folderRelative, extensions) {
 	const abs = path.join(ROOT, folderRelative);
 	if (!fs.existsSync(abs)) return [];
 	return fs.readdirSync(abs)
 		.filter(f => extensions.includes(path.extname(f).toLowerCase()))
-		.map(f => ({
-			file: folderRelative + '/' + f,
-			name: path.basename(f, path.extname(f)),
-			size: fs.statSync(path.join(abs, f)).size,
-		}));
+		.map(f => {
+			const file = folderRelative + '/' + f;
+			const info = fileIntegrity(file);
+			return {
+				file,
+				name: path.basename(f, path.extname(f)),
+				size: info.size,
+				sha256: info.sha256,
+			};
+		});
 }
 
 function scanAll() {
 	const items = [];
+	const weapons = getWeapons();
+	const variantNames = readVariantFolder();
 
 	// Skins
-	for (const [weapon, folder] of Object.entries(SKIN_FOLDERS)) {
+	for (const { id: weapon, skinFolder: folder } of weapons) {
 		for (const f of scanFolder(folder, IMAGE_EXTS)) {
 			const previewFile = PREVIEW_FOLDER + '/skin-' + weapon + '-' + f.name.toLowerCase() + '.webp';
 			const hasPreview = fs.existsSync(path.join(ROOT, previewFile));
+			const preview = hasPreview ? previewFile : f.file;
 			items.push({
 				id: 'skin-' + weapon + '-' + f.name.toLowerCase(),
 				type: 'skin',
@@ -100,8 +458,11 @@ function scanAll() {
 				name: f.name + ' ' + weapon.toUpperCase(),
 				description: f.name + '-themed ' + weapon.toUpperCase() + ' skin',
 				file: f.file,
-				preview: hasPreview ? previewFile : f.file,
+				preview,
 				size: f.size,
+				sha256: f.sha256,
+				...companionIntegrity('preview', preview),
+				...variantEntries('skin-' + weapon + '-' + f.name.toLowerCase(), f.sha256, variantNames),
 				required: false,
 			});
 		}
@@ -111,20 +472,24 @@ function scanAll() {
 	for (const f of scanFolder(SPECIAL_FOLDER, IMAGE_EXTS)) {
 		const previewFile = PREVIEW_FOLDER + '/special-' + f.name.toLowerCase() + '.webp';
 		const hasPreview = fs.existsSync(path.join(ROOT, previewFile));
+		const preview = hasPreview ? previewFile : f.file;
 		items.push({
 			id: 'special-' + f.name.toLowerCase(),
 			type: 'special',
 			name: f.name,
 			description: f.name + ' special skin for all weapons',
 			file: f.file,
-			preview: hasPreview ? previewFile : f.file,
+			preview,
 			size: f.size,
+			sha256: f.sha256,
+			...companionIntegrity('preview', preview),
+			...variantEntries('special-' + f.name.toLowerCase(), f.sha256, variantNames),
 			required: false,
 		});
 	}
 
 	// Models
-	for (const [weapon, folder] of Object.entries(MODEL_FOLDERS)) {
+	for (const { id: weapon, modelFolder: folder } of weapons) {
 		for (const f of scanFolder(folder, MODEL_EXTS)) {
 			const folderAbs = path.join(ROOT, folder);
 
@@ -154,6 +519,8 @@ function scanAll() {
 				}
 			}
 
+			const preview = hasPreview ? previewFile : legacyPreview;
+			const textureInfo = texture ? fileIntegrity(texture) : null;
 			items.push({
 				id: 'model-' + weapon + '-' + f.name.toLowerCase(),
 				type: 'model',
@@ -162,16 +529,645 @@ function scanAll() {
 				description: 'Custom ' + f.name + ' weapon model',
 				file: f.file,
 				texture: texture,
-				preview: hasPreview ? previewFile : legacyPreview,
+				preview,
 				size: f.size,
+				sha256: f.sha256,
+				...companionIntegrity('texture', texture),
+				...companionIntegrity('preview', preview),
+				...(textureInfo ? variantEntries('model-' + weapon + '-' + f.name.toLowerCase(), textureInfo.sha256, variantNames) : {}),
 				required: false,
 			});
 		}
 	}
 
+	saveHashCache();
 	return items;
 }
 
+// ─── Consistency check ────────────────────────────────────────────────────────
+// Compares manifest.json and credits.json with what is actually on disk.
+// Issues flagged `repairable` are fixed by regenerating the manifest; the rest
+// need a human decision (delete the orphan, or restore the missing asset).
+
+const ISSUE_LABELS = {
+	'missing-file': 'Listed in manifest but missing on disk',
+	'unlisted-asset': 'On disk but not in manifest',
+	'size-mismatch': 'Size differs from manifest',
+	'hash-mismatch': 'Content differs from manifest hash',
+	'orphan-preview': 'Preview with no matching asset',
+	'orphan-texture': 'Model texture with no matching .glb',
+	'orphan-variant': 'Texture variant with no matching asset',
+	'stale-variant': 'Texture variant built from an older texture (rebuild variants)',
+	'orphan-credit': 'Credit for an asset that does not exist',
+	'orphan-metadata': 'Metadata for an asset that does not exist',
+	'orphan-alias': 'Alias pointing at an asset that does not exist',
+	'missing-default-model': 'Weapon without its default model',
+	'unreadable-manifest': 'manifest.json cannot be read',
+	'schema-error': 'Manifest does not match schema/manifest.schema.json',
+};
+
+function verifyStore() {
+	const issues = [];
+	const issue = (kind, fields, repairable) => issues.push({ kind, label: ISSUE_LABELS[kind], ...fields, repairable });
+	let manifest;
+	try {
+		manifest = readManifest();
+		for (const error of validateManifest(manifest).errors) issue('schema-error', { path: 'manifest.json', detail: error }, true);
+	} catch (err) {
+		if (!(err instanceof StoreError)) throw err;
+		issue('unreadable-manifest', { path: 'manifest.json', detail: err.message }, err.details.reason === 'invalid-json');
+		manifest = emptyManifest();
+	}
+	const scanned = scanAll();
+	const credits = readCredits();
+	const scannedById = new Map(scanned.map(a => [a.id, a]));
+	const listedIds = new Set(manifest.assets.map(a => a.id));
+
+	for (const asset of manifest.assets) {
+		for (const field of ['file', 'texture', 'preview']) {
+			const rel = asset[field];
+			if (field === 'preview' && rel === asset.file) continue;
+			if (rel && !fs.existsSync(path.join(ROOT, rel))) {
+				issue('missing-file', { id: asset.id, path: rel, detail: field }, true);
+			}
+		}
+		const actual = scannedById.get(asset.id);
+		if (!actual || actual.file !== asset.file) continue;
+		if (asset.size !== actual.size) {
+			issue('size-mismatch', { id: asset.id, path: asset.file, detail: asset.size + ' → ' + actual.size + ' bytes' }, true);
+		} else if (asset.sha256 && asset.sha256 !== actual.sha256) {
+			issue('hash-mismatch', { id: asset.id, path: asset.file, detail: asset.sha256.slice(0, 12) + ' → ' + actual.sha256.slice(0, 12) }, true);
+		}
+	}
+
+	for (const asset of scanned) {
+		if (!listedIds.has(asset.id)) issue('unlisted-asset', { id: asset.id, path: asset.file }, true);
+	}
+
+	// Previews/ files nothing points at
+	const usedPreviews = new Set(scanned.map(a => a.preview).filter(Boolean));
+	for (const f of scanFolder(PREVIEW_FOLDER, IMAGE_EXTS)) {
+		if (!usedPreviews.has(f.file)) issue('orphan-preview', { path: f.file }, false);
+	}
+
+	// Variants/ files for deleted assets, or left over from an older texture
+	const usedVariants = new Set(scanned.flatMap(a => Object.values(a.variants || {}).map(v => v.file)));
+	for (const f of scanFolder(VARIANTS_FOLDER, IMAGE_EXTS)) {
+		if (usedVariants.has(f.file)) continue;
+		const at = f.name.lastIndexOf('@');
+		const owner = at > 0 ? f.name.slice(0, at) : null;
+		if (owner && scannedById.has(owner)) issue('stale-variant', { id: owner, path: f.file }, false);
+		else issue('orphan-variant', { path: f.file }, false);
+	}
+
+	// {name}_tex.{ext} next to no {name}.glb
+	for (const { modelFolder: folder } of getWeapons()) {
+		for (const f of scanFolder(folder, IMAGE_EXTS)) {
+			if (!f.name.endsWith('_tex')) continue;
+			const modelName = f.name.slice(0, -'_tex'.length);
+			if (!fs.existsSync(path.join(ROOT, folder, modelName + '.glb'))) {
+				issue('orphan-texture', { path: f.file }, false);
+			}
+		}
+	}
+
+	for (const [id, credit] of Object.entries(credits)) {
+		if (!scannedById.has(id)) issue('orphan-credit', { id, path: 'credits.json', detail: credit }, false);
+	}
+	for (const id of Object.keys(readMetadata())) {
+		if (!scannedById.has(id)) issue('orphan-metadata', { id, path: 'metadata.json' }, false);
+	}
+	for (const [id, target] of Object.entries(readAliases())) {
+		if (!scannedById.has(target)) issue('orphan-alias', { id, path: 'aliases.json', detail: '→ ' + target }, false);
+	}
+
+	for (const w of getWeapons()) {
+		if (!fs.existsSync(path.join(ROOT, w.defaultModel))) {
+			issue('missing-default-model', { id: w.id, path: w.defaultModel }, false);
+		}
+	}
+
+	return {
+		ok: issues.length === 0,
+		manifestCount: manifest.assets.length,
+		diskCount: scanned.length,
+		issues,
+	};
+}
+
+// Fixes every repairable issue and reports what was fixed and what is left.
+function repairStore() {
+	const before = verifyStore();
+	if (before.issues.some(i => i.repairable)) regenerateManifestFile();
+	const after = verifyStore();
+	const key = i => i.kind + '|' + (i.id || '') + '|' + i.path;
+	const remaining = new Set(after.issues.map(key));
+	return {
+		fixed: before.issues.filter(i => !remaining.has(key(i))),
+		remaining: after.issues,
+	};
+}
+
+// ─── Server-side previews ─────────────────────────────────────────────────────
+// Renders Previews/*.webp without a browser (lib/render.js mirrors the
+// dashboard's PreviewRenderer). Used by the CLI, by uploads that arrive
+// without a client-rendered preview, and by dashboards without WebGL.
+
+// The GLB to draw and the texture to put on it: a skin goes on its weapon's
+// default model, a custom model is drawn with its own _tex companion.
+function previewSources(type, weapon, name) {
+	const w = getWeapon(weapon);
+	if (!w) throw new StoreError('Invalid weapon: ' + weapon);
+	const folder = type === 'skin' ? w.skinFolder : w.modelFolder;
+	const exts = type === 'skin' ? IMAGE_EXTS : MODEL_EXTS;
+	const folderAbs = path.join(ROOT, folder);
+	const file = fs.existsSync(folderAbs) && fs.readdirSync(folderAbs).find(f =>
+		exts.includes(path.extname(f).toLowerCase()) && path.basename(f, path.extname(f)).toLowerCase() === name);
+	if (!file) throw new StoreError('No ' + type + ' named "' + name + '" for ' + weapon, 404);
+
+	if (type === 'skin') {
+		if (!fs.existsSync(path.join(ROOT, w.defaultModel))) {
+			throw new StoreError('Weapon ' + weapon + ' has no default model (' + w.defaultModel + ')', 409);
+		}
+		return { glb: w.defaultModel, texture: folder + '/' + file };
+	}
+	const modelName = path.basename(file, path.extname(file));
+	const texExt = IMAGE_EXTS.find(ext => fs.existsSync(path.join(folderAbs, modelName + '_tex' + ext)));
+	return { glb: folder + '/' + file, texture: texExt ? folder + '/' + modelName + '_tex' + texExt : null };
+}
+
+// Renders the 400x300 WebP preview of a skin or model and returns its bytes.
+function renderAssetPreview({ type, weapon, name }) {
+	if (type !== 'skin' && type !== 'model') throw new StoreError('Only skins and models have rendered previews');
+	const { glb, texture } = previewSources(type, weapon, name);
+	try {
+		return renderPreviewWebp({
+			glb: fs.readFileSync(path.join(ROOT, glb)),
+			texture: texture ? fs.readFileSync(path.join(ROOT, texture)) : null,
+		});
+	} catch (err) {
+		// Malformed GLBs and undecodable textures come back as the libs' own error classes
+		throw new StoreError('Cannot render preview from ' + glb + (texture ? ' + ' + texture : '') + ': ' + err.message, 422);
+	}
+}
+
+// Writes the client's preview, or renders one when it sent none. A failed
+// render leaves the asset without a preview instead of failing the upload.
+function storePreview(type, weapon, name, preview) {
+	const previewName = type + '-' + weapon + '-' + name + '.webp';
+	if (preview && preview.length > 0) {
+		writePreview(previewName, preview);
+		return 'client';
+	}
+	try {
+		writePreview(previewName, renderAssetPreview({ type, weapon, name }));
+		return 'server';
+	} catch (err) {
+		console.error('[Store Manager] Preview render failed for ' + previewName + ': ' + err.message);
+		return null;
+	}
+}
+
+// Renders a skin or model's preview into Previews/; returns its path
+function renderStoredPreview(asset) {
+	const name = asset.id.slice((asset.type + '-' + asset.weapon + '-').length);
+	return writePreview(asset.id + '.webp', renderAssetPreview({ type: asset.type, weapon: asset.weapon, name }));
+}
+
+// Renders previews for every skin and model (or only those in `ids`, or only
+// those still without a Previews/ file when `missingOnly`).
+function renderPreviews({ ids = [], missingOnly = false } = {}) {
+	let assets = scanAll().filter(a => a.type === 'skin' || a.type === 'model');
+	if (ids.length) {
+		const unknown = ids.filter(id => !assets.some(a => a.id === id));
+		if (unknown.length) throw new StoreError('Unknown skin/model id: ' + unknown.join(', '), 404);
+		assets = assets.filter(a => ids.includes(a.id));
+	}
+	if (missingOnly) assets = assets.filter(a => !a.preview || !a.preview.startsWith(PREVIEW_FOLDER + '/'));
+
+	const rendered = [];
+	const failed = [];
+	for (const asset of assets) {
+		try {
+			rendered.push({ id: asset.id, preview: renderStoredPreview(asset) });
+		} catch (err) {
+			failed.push({ id: asset.id, error: err.message });
+		}
+	}
+	if (rendered.length) regenerateManifestFile();
+	return { rendered, failed };
+}
+
+// ─── Texture variants ─────────────────────────────────────────────────────────
+// low/medium/high copies of every skin, special and model texture so the client
+// can download what its quality setting needs. Files are named
+// Variants/<asset-id>@<longest side>-<source hash prefix>.<ext>: a variant whose
+// hash prefix no longer matches its source is stale and left out of the
+// manifest. Sources are never upscaled, so levels may share a file.
+
+const VARIANT_DEFAULTS = { format: 'webp', quality: 85, levels: { low: 512, medium: 1024, high: 2048 } };
+
+// store-config.json "variants" overrides the defaults ("levels" replaces them whole)
+function getVariantConfig() {
+	const cfg = readConfig().variants || {};
+	return { ...VARIANT_DEFAULTS, ...cfg, levels: cfg.levels || VARIANT_DEFAULTS.levels };
+}
+
+// File names in Variants/; scanAll reads them once and passes them to each
+// listVariantFiles call instead of listing the folder per asset.
+function readVariantFolder() {
+	const dir = path.join(ROOT, VARIANTS_FOLDER);
+	return fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+}
+
+// Variant files on disk for an asset id → [{ file, side, hash }]
+function listVariantFiles(id, names = readVariantFolder()) {
+	const out = [];
+	for (const f of names) {
+		const base = path.basename(f, path.extname(f));
+		const at = base.lastIndexOf('@');
+		if (at < 0 || base.slice(0, at) !== id || !IMAGE_EXTS.includes(path.extname(f).toLowerCase())) continue;
+		const m = /^(\d+)-([0-9a-f]+)$/.exec(base.slice(at + 1));
+		if (m) out.push({ file: VARIANTS_FOLDER + '/' + f, side: Number(m[1]), hash: m[2] });
+	}
+	return out;
+}
+
+// Width and height of an image file, read from its first bytes only
+function readImageDimensions(relPath) {
+	const head = Buffer.alloc(IMAGE_HEADER_BYTES);
+	const fd = fs.openSync(path.join(ROOT, relPath), 'r');
+	let length;
+	try { length = fs.readSync(fd, head, 0, head.length, 0); }
+	finally { fs.closeSync(fd); }
+	try {
+		const { width, height } = readImageSize(head.subarray(0, length));
+		return { width, height };
+	} catch {
+		// A JPEG frame header can sit past the first bytes
+		const { width, height } = readImageInfo(fs.readFileSync(path.join(ROOT, relPath)));
+		return { width, height };
+	}
+}
+
+// Manifest fields for an asset's variants: { variants: { low: { file, width,
+// height, size, sha256 }, ... } }, or nothing when none match `sourceSha256`.
+// Size and hash come from the hash cache and dimensions from the file header,
+// so a rescan does not read variants whole.
+function variantEntries(id, sourceSha256, names) {
+	const fresh = listVariantFiles(id, names)
+		.filter(v => sourceSha256.startsWith(v.hash))
+		.sort((a, b) => a.side - b.side);
+	if (!fresh.length) return {};
+	const variants = {};
+	for (const [level, maxSide] of Object.entries(getVariantConfig().levels)) {
+		const pick = fresh.filter(v => v.side <= maxSide).pop();
+		if (!pick) continue;
+		const info = fileIntegrity(pick.file);
+		const { width, height } = readImageDimensions(pick.file);
+		variants[level] = { file: pick.file, width, height, size: info.size, sha256: info.sha256 };
+	}
+	return Object.keys(variants).length ? { variants } : {};
+}
+
+function removeVariants(id) {
+	for (const v of listVariantFiles(id)) fs.unlinkSync(path.join(ROOT, v.file));
+}
+
+// (Re)writes the variants of one texture. `source` is relative to ROOT.
+function buildAssetVariants(id, source) {
+	const config = getVariantConfig();
+	const data = fs.readFileSync(path.join(ROOT, source));
+	const hash = crypto.createHash('sha256').update(data).digest('hex').slice(0, 8);
+	let img;
+	try {
+		img = decodeImage(data);
+	} catch (err) {
+		throw new StoreError('Cannot build variants of ' + source + ': ' + err.message, 422);
+	}
+	removeVariants(id);
+	const ext = config.format === 'png' ? '.png' : '.webp';
+	const files = [];
+	for (const maxSide of new Set(Object.values(config.levels))) {
+		const side = Math.min(maxSide, Math.max(img.width, img.height));
+		const file = VARIANTS_FOLDER + '/' + id + '@' + side + '-' + hash + ext;
+		if (files.includes(file)) continue;
+		const out = fitWithin(img, side);
+		writeAssetFile(file, ext === '.png' ? encodePng(out) : encodeWebp(out, config.quality));
+		files.push(file);
+	}
+	return files;
+}
+
+// Variants for a freshly uploaded asset; like storePreview, a failure is
+// logged rather than failing the upload.
+function storeVariants(id, source) {
+	try {
+		return buildAssetVariants(id, source);
+	} catch (err) {
+		console.error('[Store Manager] Variant build failed for ' + id + ': ' + err.message);
+		return [];
+	}
+}
+
+// Builds variants for every asset with a texture (or only `ids`, or with
+// `missingOnly` only those whose variants are missing, stale or incomplete).
+function buildVariants({ ids = [], missingOnly = false } = {}) {
+	let assets = scanAll().filter(a => a.type !== 'model' || a.texture);
+	if (ids.length) {
+		const unknown = ids.filter(id => !assets.some(a => a.id === id));
+		if (unknown.length) throw new StoreError('Unknown asset id (or model without texture): ' + unknown.join(', '), 404);
+		assets = assets.filter(a => ids.includes(a.id));
+	}
+	const levelCount = Object.keys(getVariantConfig().levels).length;
+	if (missingOnly) assets = assets.filter(a => !a.variants || Object.keys(a.variants).length < levelCount);
+
+	const built = [];
+	const failed = [];
+	for (const asset of assets) {
+		try {
+			built.push({ id: asset.id, files: buildAssetVariants(asset.id, asset.type === 'model' ? asset.texture : asset.file) });
+		} catch (err) {
+			failed.push({ id: asset.id, error: err.message });
+		}
+	}
+	if (built.length) regenerateManifestFile();
+	return { built, failed };
+}
+
+// ─── Safe paths ───────────────────────────────────────────────────────────────
+// Every path that comes from a request or the CLI goes through here
+// (lib/safe-path.js): no `..`, no absolute paths, and writes only land in the
+// store's asset folders.
+
+// Folders uploads may create files in.
+function contentFolders() {
+	return getWeapons().flatMap(w => [w.skinFolder, w.modelFolder]).concat(SPECIAL_FOLDER);
+}
+
+// Every folder the store manages, including generated previews and variants.
+function assetFolders() {
+	return contentFolders().concat(PREVIEW_FOLDER, VARIANTS_FOLDER, DEFAULT_MODELS_FOLDER,
+		getWeapons().map(w => path.posix.dirname(w.defaultModel)));
+}
+
+// Absolute path of `rel` (relative to ROOT), without a folder restriction.
+function storePath(rel) {
+	try {
+		return resolveWithin(ROOT, rel);
+	} catch (err) {
+		if (err instanceof PathError) throw new StoreError('Invalid path: ' + err.message, 403);
+		throw err;
+	}
+}
+
+// Absolute path of `rel`, which must lie inside one of `folders`.
+function assetPath(rel, folders = assetFolders()) {
+	const abs = storePath(rel);
+	const inFolder = folders.some(folder => {
+		const dir = path.join(ROOT, folder) + path.sep;
+		return abs.startsWith(dir);
+	});
+	if (!inFolder) throw new StoreError('Invalid path: ' + rel + ' is not inside an asset folder', 403);
+	return abs;
+}
+
+function writeAssetFile(rel, data) {
+	const abs = assetPath(rel);
+	fs.mkdirSync(path.dirname(abs), { recursive: true });
+	fs.writeFileSync(abs, data);
+	return abs;
+}
+
+function safeFilename(filename) {
+	try {
+		return slugifyFilename(filename);
+	} catch (err) {
+		if (err instanceof PathError) throw new StoreError(err.message);
+		throw err;
+	}
+}
+
+// Files in `folder` that an upload named `stem` would collide with: same name
+// (case-insensitive) with any of `exts`, as the manifest id ignores both.
+function findCollisions(folder, stem, exts) {
+	const abs = path.join(ROOT, folder);
+	if (!fs.existsSync(abs)) return [];
+	return fs.readdirSync(abs).filter(f =>
+		exts.includes(path.extname(f).toLowerCase()) &&
+		path.basename(f, path.extname(f)).toLowerCase() === stem.toLowerCase());
+}
+
+// Picks the stored name for an upload into `folder`. The name is slugified;
+// if an asset of the same name exists, `onConflict` decides: 'replace'
+// overwrites it (dropping copies with another extension), 'rename' appends
+// -2, -3... and anything else is a 409 whose details carry the existing file
+// and a free name to suggest.
+function claimAssetName(folder, filename, exts, onConflict) {
+	const name = safeFilename(filename);
+	const ext = path.extname(name);
+	const stem = path.basename(name, ext);
+	const existing = findCollisions(folder, stem, exts);
+	if (!existing.length) return name;
+
+	let n = 2;
+	while (findCollisions(folder, stem + '-' + n, exts).length) n++;
+	const suggested = stem + '-' + n + ext;
+	if (onConflict === 'rename') return suggested;
+	if (onConflict === 'replace') {
+		for (const f of existing) if (f !== name) fs.unlinkSync(assetPath(folder + '/' + f));
+		return name;
+	}
+	throw new StoreError(folder + '/' + existing[0] + ' already exists', 409, {
+		conflict: { existing: folder + '/' + existing[0], suggested: folder + '/' + suggested },
+	});
+}
+
+// ─── Asset operations ─────────────────────────────────────────────────────────
+// Shared by the HTTP routes and the CLI. Each takes plain values (file name +
+// Buffer), writes into the asset folders and regenerates the manifest.
+
+function writePreview(previewName, data) {
+	if (path.basename(previewName) !== previewName) throw new StoreError('Invalid preview name: ' + previewName, 403);
+	writeAssetFile(PREVIEW_FOLDER + '/' + previewName, data);
+	return PREVIEW_FOLDER + '/' + previewName;
+}
+
+function requireExt(filename, extensions, what) {
+	const ext = path.extname(filename).toLowerCase();
+	if (!extensions.includes(ext)) {
+		throw new StoreError('Unsupported ' + what + ' type "' + ext + '" (expected ' + extensions.join(', ') + ')');
+	}
+}
+
+// Checks an uploaded skin/special texture against its type's limits (lib/texture.js).
+function inspectTexture(type, data, weapon) {
+	return checkTexture(data, { limits: getTextureLimits(type), aspect: type === 'skin' ? getTextureAspect(weapon) : null });
+}
+
+// Returns the file name and bytes to store for an uploaded texture. A texture
+// over the limits is rejected, or converted when `normalize` is set;
+// `format: 'webp'` re-encodes it as WebP either way.
+function prepareTexture(type, { filename, data, weapon, normalize, format }) {
+	const report = inspectTexture(type, data, weapon);
+	const reject = (prefix, r) => new StoreError(prefix + r.errors.join('; '), 422, { report: r });
+	const wantsWebp = format === 'webp' && report.stats && report.stats.format !== 'webp';
+	if (report.ok && !wantsWebp) return { filename, data, warnings: report.warnings, converted: false };
+	if (!report.ok && !(normalize && report.convertible)) throw reject('Texture rejected: ', report);
+
+	const out = normalizeTexture(data, { limits: getTextureLimits(type), format: format === 'webp' ? 'webp' : null });
+	const after = inspectTexture(type, out.data, weapon);
+	if (!after.ok) throw reject('Texture still over the limits after conversion' + (wantsWebp ? '' : ' (try WebP)') + ': ', after);
+	return {
+		filename: path.basename(filename, path.extname(filename)) + out.ext,
+		data: out.data,
+		warnings: after.warnings,
+		converted: true,
+	};
+}
+
+function saveSkin({ weapon, filename, data, preview, credit, normalize, format, onConflict, regenerate = true }) {
+	const w = getWeapon(weapon);
+	if (!w) throw new StoreError('Invalid weapon: ' + weapon);
+	const skinFolder = w.skinFolder;
+	requireExt(filename, IMAGE_EXTS, 'texture');
+	const texture = prepareTexture('skin', { filename, data, weapon, normalize, format });
+	filename = claimAssetName(skinFolder, texture.filename, IMAGE_EXTS, onConflict);
+	data = texture.data;
+
+	const skinName = path.basename(filename, path.extname(filename));
+	writeAssetFile(skinFolder + '/' + filename, data);
+
+	const id = 'skin-' + weapon + '-' + skinName.toLowerCase();
+	const previewSource = storePreview('skin', weapon, skinName.toLowerCase(), preview);
+	const variants = storeVariants(id, skinFolder + '/' + filename);
+	if (credit) setCredit(id, credit);
+
+	if (regenerate) regenerateManifestFile();
+	return { id, file: skinFolder + '/' + filename, previewSource, variants, converted: texture.converted, warnings: texture.warnings };
+}
+
+// Parses a GLB and checks it against the weapon's default model (lib/glb.js).
+function validateModel(weapon, data) {
+	const w = getWeapon(weapon);
+	if (!w) throw new StoreError('Invalid weapon: ' + weapon);
+	const refPath = storePath(w.defaultModel);
+	return validateGlb(data, { reference: fs.existsSync(refPath) ? fs.readFileSync(refPath) : null });
+}
+
+function saveModel({ weapon, model, texture, preview, credit, onConflict, regenerate = true }) {
+	const w = getWeapon(weapon);
+	if (!w) throw new StoreError('Invalid weapon: ' + weapon);
+	const modelFolder = w.modelFolder;
+	requireExt(model.filename, MODEL_EXTS, 'model');
+	if (texture) requireExt(texture.filename, IMAGE_EXTS, 'texture');
+	const report = validateModel(weapon, model.data);
+	if (!report.ok) throw new StoreError('Model rejected: ' + report.errors.join('; '), 422, { report });
+
+	// Save GLB model
+	const modelFile = claimAssetName(modelFolder, model.filename, MODEL_EXTS, onConflict);
+	const modelName = path.basename(modelFile, path.extname(modelFile));
+	writeAssetFile(modelFolder + '/' + modelFile, model.data);
+
+	// Save texture as {modelName}_tex.{ext}, replacing the companion of a model
+	// uploaded under the same name
+	const id = 'model-' + weapon + '-' + modelName.toLowerCase();
+	let variants = [];
+	if (texture) {
+		for (const old of findCollisions(modelFolder, modelName + '_tex', IMAGE_EXTS)) fs.unlinkSync(assetPath(modelFolder + '/' + old));
+		const texName = modelName + '_tex' + path.extname(safeFilename(texture.filename));
+		writeAssetFile(modelFolder + '/' + texName, texture.data);
+		variants = storeVariants(id, modelFolder + '/' + texName);
+	}
+
+	const previewSource = storePreview('model', weapon, modelName.toLowerCase(), preview);
+	if (credit) setCredit(id, credit);
+
+	if (regenerate) regenerateManifestFile();
+	return { id, file: modelFolder + '/' + modelFile, previewSource, variants, warnings: report.warnings };
+}
+
+function saveSpecial({ filename, data, preview, credit, normalize, format, onConflict, regenerate = true }) {
+	requireExt(filename, IMAGE_EXTS, 'image');
+	const texture = prepareTexture('special', { filename, data, normalize, format });
+	filename = claimAssetName(SPECIAL_FOLDER, texture.filename, IMAGE_EXTS, onConflict);
+	data = texture.data;
+
+	const specialName = path.basename(filename, path.extname(filename));
+	writeAssetFile(SPECIAL_FOLDER + '/' + filename, data);
+
+	const id = 'special-' + specialName.toLowerCase();
+	if (preview && preview.length > 0) writePreview(id + '.webp', preview);
+	const variants = storeVariants(id, SPECIAL_FOLDER + '/' + filename);
+	if (credit) setCredit(id, credit);
+
+	if (regenerate) regenerateManifestFile();
+	return { id, file: SPECIAL_FOLDER + '/' + filename, variants, converted: texture.converted, warnings: texture.warnings };
+}
+
+// Stores a preview for an existing skin/model; without `data` it is rendered here.
+function savePreview({ type, weapon, name, data }) {
+	if (type !== 'skin' && type !== 'model') throw new StoreError('Invalid type: ' + type);
+	if (!getWeapon(weapon)) throw new StoreError('Invalid weapon: ' + weapon);
+	const rendered = !data || data.length === 0;
+	if (rendered) data = renderAssetPreview({ type, weapon, name });
+	const preview = writePreview(type + '-' + weapon + '-' + name + '.webp', data);
+	regenerateManifestFile();
+	return { preview, rendered };
+}
+
+// The files deleting `file` removes, relative to ROOT: the asset, a model's
+// _tex texture, its preview and its texture variants (those that exist).
+function assetDeletionFiles(file) {
+	if (!file) throw new StoreError('No file specified');
+
+	const absPath = assetPath(file, contentFolders());
+	if (!fs.existsSync(absPath) || !fs.statSync(absPath).isFile()) throw new StoreError('File not found', 404);
+
+	const files = [file];
+	const ext = path.extname(file).toLowerCase();
+	const baseName = path.basename(file, path.extname(file));
+
+	// Companion texture for models ({name}_tex.{ext})
+	if (ext === '.glb') {
+		for (const texExt of IMAGE_EXTS) {
+			const tex = path.posix.dirname(file) + '/' + baseName + '_tex' + texExt;
+			if (fs.existsSync(path.join(ROOT, tex))) files.push(tex);
+		}
+	}
+
+	// Matching preview in Previews/ (Models/AR/AK.glb → model-ar-ak.webp) and the texture variants
+	const id = assetIdForFile(file);
+	if (id) {
+		const preview = PREVIEW_FOLDER + '/' + id + '.webp';
+		if (fs.existsSync(path.join(ROOT, preview))) files.push(preview);
+		files.push(...listVariantFiles(id).map(v => v.file));
+	}
+	return files;
+}
+
+// Deletes an asset file together with its _tex companion, preview, variants,
+// credit and metadata. Everything goes to the trash (see "Trash" below), so
+// it can be restored. Returns the files removed and the trash entry's id.
+function removeAsset(file, { regenerate = true } = {}) {
+	const files = assetDeletionFiles(file);
+	const trashId = moveToTrash(file, files);
+
+	// Remove credit and metadata entries
+	const manifest = readManifest();
+	const asset = manifest.assets.find(a => a.file === file);
+	if (asset) {
+		const credits = readCredits();
+		delete credits[asset.id];
+		writeCredits(credits);
+		removeMetadata(asset.id);
+		removeAliasesTo(asset.id);
+	}
+
+	if (regenerate) regenerateManifestFile();
+	return { files, trashId };
+}
+
 function getMimeType(filePath) {
 	const ext = path.extname(filePath).toLowerCase();
 	const map = {
@@ -188,776 +1184,3898 @@ function getMimeType(filePath) {
 	return map[ext] || 'application/octet-stream';
 }
 
-function parseBody(req) {
-	return new Promise((resolve, reject) => {
-		const chunks = [];
-		req.on('data', c => chunks.push(c));
-		req.on('end', () => resolve(Buffer.concat(chunks)));
+// Request size limits (store-config.json → uploads). JSON bodies are read
+// into memory, multipart file parts are streamed to temp files (lib/multipart.js).
+const UPLOAD_LIMIT_DEFAULTS = {
+	maxFileSize: 256 * 1048576,
+	maxTotalSize: 300 * 1048576,
+	maxFieldSize: 1048576,
+	maxFiles: 20,
+	maxFields: 100,
+	maxJsonSize: 1048576,
+};
+
+function getUploadLimits() {
+	return { ...UPLOAD_LIMIT_DEFAULTS, ...readConfig().uploads };
+}
+
+function tooLarge(what, limit) {
+	return new StoreError(what + ' is larger than ' + formatBytes(limit), 413);
+}
+
+function parseBody(req) {
+	const limit = getUploadLimits().maxJsonSize;
+	if (Number(req.headers['content-length']) > limit) return Promise.reject(tooLarge('Request body', limit));
+	return new Promise((resolve, reject) => {
+		const chunks = [];
+		let size = 0;
+		const onData = c => {
+			size += c.length;
+			if (size > limit) {
+				req.removeListener('data', onData);
+				req.resume();
+				return reject(tooLarge('Request body', limit));
+			}
+			chunks.push(c);
+		};
+		req.on('data', onData);
+		req.on('end', () => resolve(Buffer.concat(chunks)));
 		req.on('error', reject);
 	});
 }
 
-function parseMultipart(buf, boundary) {
-	const parts = [];
-	const sep = Buffer.from('--' + boundary);
-	let start = 0;
-	while (true) {
-		const idx = buf.indexOf(sep, start);
-		if (idx === -1) break;
-		if (start > 0) {
-			const chunk = buf.slice(start, idx);
-			const headerEnd = chunk.indexOf('\r\n\r\n');
-			if (headerEnd !== -1) {
-				const headers = chunk.slice(0, headerEnd).toString();
-				const body = chunk.slice(headerEnd + 4, chunk.length - 2);
-				const nameMatch = headers.match(/name="([^"]+)"/);
-				const fileMatch = headers.match(/filename="([^"]+)"/);
-				parts.push({
-					name: nameMatch ? nameMatch[1] : '',
-					filename: fileMatch ? fileMatch[1] : null,
-					data: body,
-				});
-			}
-		}
-		start = idx + sep.length + 2;
-		if (buf.slice(idx + sep.length, idx + sep.length + 2).toString() === '--') break;
+// Parts of a multipart request as [{ name, filename, data }]. File parts are
+// kept in a temp folder (req.uploadDir) that goes away with the response.
+async function readMultipart(req) {
+	const limits = getUploadLimits();
+	try {
+		const boundary = parseBoundary(req.headers['content-type']);
+		if (Number(req.headers['content-length']) > limits.maxTotalSize) throw tooLarge('Upload', limits.maxTotalSize);
+		req.uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'haze-upload-'));
+		return await parseMultipartStream(req, boundary, {
+			dir: req.uploadDir,
+			limits: {
+				fileSize: limits.maxFileSize,
+				fieldSize: limits.maxFieldSize,
+				totalSize: limits.maxTotalSize,
+				files: limits.maxFiles,
+				fields: limits.maxFields,
+			},
+		});
+	} catch (err) {
+		if (err instanceof MultipartError) throw new StoreError(err.message, err.status);
+		throw err;
 	}
-	return parts;
+}
+
+function removeUploadDir(req) {
+	if (req.uploadDir) fs.rmSync(req.uploadDir, { recursive: true, force: true });
+}
+
+// Trimmed text value of a form field ('' when absent)
+function fieldText(parts, name) {
+	const part = parts.find(p => p.name === name);
+	return part ? part.data.toString().trim() : '';
 }
 
 function json(res, data, status = 200) {
-	res.writeHead(status, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+	res.writeHead(status, { 'Content-Type': 'application/json' });
 	res.end(JSON.stringify(data));
 }
 
-// ─── Dashboard HTML ───────────────────────────────────────────────────────────
-function getDashboardHTML() {
-	return `<!DOCTYPE html>
-<html lang="en">
-<head>
-<meta charset="UTF-8">
-<meta name="viewport" content="width=device-width, initial-scale=1.0">
-<title>Haze Store Manager</title>
-<script type="importmap">
-{ "imports": {
-    "three": "https://cdn.jsdelivr.net/npm/three@0.169.0/build/three.module.js",
-    "three/addons/": "https://cdn.jsdelivr.net/npm/three@0.169.0/examples/jsm/"
-}}
-</script>
-<style>
-*{box-sizing:border-box;margin:0;padding:0}
-body{background:#0a0e1a;color:#e0e0e0;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;padding:20px}
-h1{color:#00ff88;margin-bottom:6px;font-size:24px}
-.subtitle{color:rgba(255,255,255,0.4);font-size:13px;margin-bottom:24px}
-.toolbar{display:flex;gap:10px;margin-bottom:20px;flex-wrap:wrap;align-items:center}
-.toolbar button{background:linear-gradient(145deg,#1a2240,#12182b);border:1px solid rgba(0,255,136,0.2);color:#00ff88;padding:8px 16px;border-radius:6px;cursor:pointer;font-size:13px;transition:all 0.2s}
-.toolbar button:hover{background:linear-gradient(145deg,#1e2850,#161d30);border-color:#00ff88}
-.toolbar button.danger{color:#ff6b8a;border-color:rgba(255,107,138,0.2)}
-.toolbar button.danger:hover{border-color:#ff6b8a}
-.filters{display:flex;gap:6px;margin-bottom:16px;flex-wrap:wrap}
-.filters button{background:rgba(255,255,255,0.05);border:1px solid rgba(255,255,255,0.1);color:rgba(255,255,255,0.6);padding:6px 14px;border-radius:20px;cursor:pointer;font-size:12px;transition:all 0.2s}
-.filters button.active{background:rgba(0,255,136,0.15);border-color:#00ff88;color:#00ff88}
-.grid{display:grid;grid-template-columns:repeat(auto-fill,minmax(200px,1fr));gap:14px}
-.card{background:linear-gradient(145deg,#12182b,#0a0e1a);border:1px solid rgba(255,255,255,0.08);border-radius:10px;overflow:hidden;transition:all 0.2s;position:relative}
-.card:hover{border-color:rgba(0,255,136,0.3);transform:translateY(-2px)}
-.card-preview{width:100%;aspect-ratio:4/3;background:#080b14;display:flex;align-items:center;justify-content:center;overflow:hidden}
-.card-preview img{width:100%;height:100%;object-fit:cover}
-.card-preview .placeholder{font-size:40px;opacity:0.3}
-.card-info{padding:10px 12px}
-.card-name{font-size:13px;font-weight:600;color:#fff;margin-bottom:4px;white-space:nowrap;overflow:hidden;text-overflow:ellipsis}
-.card-meta{font-size:11px;color:rgba(255,255,255,0.4);display:flex;justify-content:space-between;align-items:center}
-.card-type{background:rgba(0,255,136,0.1);color:#00ff88;padding:2px 8px;border-radius:10px;font-size:10px;text-transform:uppercase}
-.card-type.model{background:rgba(138,107,255,0.1);color:#8a6bff}
-.card-type.special{background:rgba(255,200,50,0.1);color:#ffc832}
-.card-credit{font-size:10px;color:rgba(0,255,136,0.6);margin-top:2px;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;cursor:pointer}
-.card-credit:hover{color:rgba(0,255,136,0.9)}
-.card-credit svg{width:10px;height:10px;vertical-align:-1px;margin-right:3px;fill:rgba(0,255,136,0.5)}
-.card-credit-text{cursor:pointer}
-.credit-input{background:#080b14;border:1px solid rgba(255,255,255,0.1);color:#e0e0e0;padding:4px 8px;border-radius:4px;font-size:11px;width:120px}
-.credit-input::placeholder{color:rgba(255,255,255,0.2)}
-.card-delete{position:absolute;top:6px;right:6px;background:rgba(255,50,50,0.8);border:none;color:#fff;width:22px;height:22px;border-radius:50%;cursor:pointer;font-size:12px;display:none;align-items:center;justify-content:center;line-height:1}
-.card:hover .card-delete{display:flex}
-.status{padding:12px 16px;border-radius:8px;margin-bottom:16px;font-size:13px;display:none}
-.status.success{display:block;background:rgba(0,255,136,0.1);border:1px solid rgba(0,255,136,0.2);color:#00ff88}
-.status.error{display:block;background:rgba(255,107,138,0.1);border:1px solid rgba(255,107,138,0.2);color:#ff6b8a}
-.drop-zone{border:2px dashed rgba(0,255,136,0.2);border-radius:10px;padding:40px;text-align:center;color:rgba(255,255,255,0.3);margin-bottom:20px;transition:all 0.2s;display:none}
-.drop-zone.visible{display:block}
-.drop-zone.dragover{border-color:#00ff88;background:rgba(0,255,136,0.05);color:#00ff88}
-.stats{display:flex;gap:20px;margin-bottom:20px}
-.stat{background:linear-gradient(145deg,#12182b,#0a0e1a);border:1px solid rgba(255,255,255,0.08);border-radius:8px;padding:12px 16px;flex:1}
-.stat-value{font-size:22px;font-weight:700;color:#00ff88}
-.stat-label{font-size:11px;color:rgba(255,255,255,0.4);margin-top:2px}
-.upload-section{display:none;margin-bottom:20px;background:linear-gradient(145deg,#12182b,#0a0e1a);border:1px solid rgba(255,255,255,0.08);border-radius:10px;padding:16px}
-.upload-section.visible{display:block}
-.upload-section h3{color:#00ff88;margin-bottom:12px;font-size:14px}
-.upload-row{display:flex;gap:10px;align-items:center;flex-wrap:wrap;margin-bottom:12px}
-.upload-row select,.upload-row input[type=file]{background:#080b14;border:1px solid rgba(255,255,255,0.1);color:#e0e0e0;padding:8px 12px;border-radius:6px;font-size:13px}
-.upload-row select{min-width:140px}
-.upload-row label{font-size:12px;color:rgba(255,255,255,0.5)}
-.upload-tabs{display:flex;gap:4px;margin-bottom:16px}
-.upload-tab{background:rgba(255,255,255,0.05);border:1px solid rgba(255,255,255,0.1);color:rgba(255,255,255,0.5);padding:8px 20px;border-radius:8px 8px 0 0;cursor:pointer;font-size:13px;transition:all 0.2s}
-.upload-tab.active{background:rgba(0,255,136,0.1);border-color:rgba(0,255,136,0.3);color:#00ff88}
-.tab-content{display:none}
-.tab-content.active{display:block}
-.preview-area{position:relative;width:400px;height:300px;background:#080b14;border:1px solid rgba(255,255,255,0.08);border-radius:8px;overflow:hidden;margin-top:8px}
-.preview-area canvas{display:block}
-.loading-overlay{position:absolute;top:0;left:0;width:100%;height:100%;background:rgba(8,11,20,0.85);display:none;align-items:center;justify-content:center;color:rgba(255,255,255,0.5);font-size:13px}
-.loading-overlay.visible{display:flex}
-.webgl-warning{background:rgba(255,200,50,0.1);border:1px solid rgba(255,200,50,0.3);color:#ffc832;padding:12px 16px;border-radius:8px;margin-bottom:16px;font-size:13px}
-.upload-btn{background:linear-gradient(145deg,#1a2240,#12182b);border:1px solid rgba(0,255,136,0.2);color:#00ff88;padding:8px 16px;border-radius:6px;cursor:pointer;font-size:13px;transition:all 0.2s}
-.upload-btn:hover{background:linear-gradient(145deg,#1e2850,#161d30);border-color:#00ff88}
-.upload-btn:disabled{opacity:0.4;cursor:not-allowed}
-.viewer-modal{position:fixed;top:0;left:0;width:100%;height:100%;background:rgba(0,0,0,0.9);z-index:1000;display:none;align-items:center;justify-content:center}
-.viewer-modal.visible{display:flex}
-.viewer-content{background:#0a0e1a;border:1px solid rgba(255,255,255,0.1);border-radius:12px;max-width:90vw;max-height:90vh;display:flex;flex-direction:column;overflow:hidden;min-width:500px}
-.viewer-header{display:flex;justify-content:space-between;align-items:center;padding:12px 16px;border-bottom:1px solid rgba(255,255,255,0.08)}
-.viewer-header span{color:#fff;font-size:14px;font-weight:600}
-.viewer-close{background:none;border:none;color:rgba(255,255,255,0.5);font-size:24px;cursor:pointer;padding:0 4px;line-height:1}
-.viewer-close:hover{color:#ff6b8a}
-#viewerCanvas{display:block;width:100%;background:#080b14}
-.viewer-footer{display:flex;justify-content:space-between;align-items:center;padding:12px 16px;border-top:1px solid rgba(255,255,255,0.08)}
-.viewer-info{color:rgba(255,255,255,0.4);font-size:12px}
-.view3d-link{color:#00ff88;font-size:12px;cursor:pointer;margin-top:6px;display:none;text-decoration:underline}
-.view3d-link:hover{color:#33ffaa}
-.gen-progress{color:rgba(255,255,255,0.5);font-size:12px;margin-left:8px}
-</style>
-</head>
-<body>
+// ─── Rename & move ────────────────────────────────────────────────────────────
+// Asset ids come from file names, so renaming or moving an asset changes its
+// id. Everything keyed by the id moves along, and aliases.json remembers the
+// old id so clients holding it can still resolve the asset (manifest.aliases).
 
-<h1>Haze Store Manager</h1>
-<p class="subtitle">Manage skins, models, and special assets for haze-client-assets</p>
+const ALIASES_PATH = path.join(ROOT, 'aliases.json');
 
-<div class="stats" id="stats"></div>
-<div id="webglWarning" class="webgl-warning" style="display:none">
-  &#9888; WebGL not available. 3D previews disabled &mdash; uploads still work without preview generation.
-</div>
-<div class="status" id="status"></div>
+function readAliases() {
+	try { return JSON.parse(fs.readFileSync(ALIASES_PATH, 'utf-8')); }
+	catch { return {}; }
+}
 
-<div class="toolbar">
-  <button onclick="toggleUpload()">+ Add Asset</button>
-  <button onclick="regenerateManifest()">Save Manifest</button>
-  <button onclick="gitPush()" class="danger">Push to Git</button>
-  <button onclick="loadAssets()">Refresh</button>
-  <button onclick="generateAllPreviews()">Generate All Previews</button>
-</div>
+function writeAliases(aliases) {
+	fs.writeFileSync(ALIASES_PATH, JSON.stringify(aliases, null, 2) + '\n', 'utf-8');
+}
 
-<div class="upload-section" id="uploadSection">
-  <h3>Upload New Asset</h3>
-  <div class="upload-tabs">
-    <button class="upload-tab active" onclick="switchTab('skin')">Skin</button>
-    <button class="upload-tab" onclick="switchTab('model')">Model</button>
-    <button class="upload-tab" onclick="switchTab('special')">Special</button>
-  </div>
+// Records that `fromId` is now `toId`. Older aliases of `fromId` follow it,
+// and `toId` stops being an alias now that it is a live id again.
+function addAlias(fromId, toId) {
+	const aliases = readAliases();
+	for (const [oldId, target] of Object.entries(aliases)) {
+		if (target === fromId) aliases[oldId] = toId;
+	}
+	aliases[fromId] = toId;
+	delete aliases[toId];
+	writeAliases(aliases);
+}
 
-  <!-- Skin Tab -->
-  <div class="tab-content active" id="tab-skin">
-    <div class="upload-row">
-      <label>Weapon:</label>
-      <select id="skinWeapon">
-        <option value="ar">AR</option>
-        <option value="awp">AWP</option>
-        <option value="shotgun">Shotgun</option>
-        <option value="smg">SMG</option>
-      </select>
-      <label>Texture:</label>
-      <input type="file" id="skinFile" accept=".png,.jpg,.jpeg,.webp">
-      <label>Creator:</label>
-      <input type="text" id="skinCreator" class="credit-input" placeholder="Creator name">
-      <button class="upload-btn" id="skinUploadBtn" onclick="uploadSkin()" disabled>Upload Skin</button>
-    </div>
-    <div class="preview-area">
-      <canvas id="skinCanvas" width="400" height="300"></canvas>
-      <div class="loading-overlay" id="skinLoading">Rendering 3D preview...</div>
-    </div>
-    <div class="view3d-link" id="skinView3d" onclick="viewUploadedSkin3D()">View in 3D &rarr;</div>
-  </div>
+function removeAliasesTo(id) {
+	const aliases = readAliases();
+	const kept = Object.fromEntries(Object.entries(aliases).filter(([, target]) => target !== id));
+	if (Object.keys(kept).length !== Object.keys(aliases).length) writeAliases(kept);
+}
 
-  <!-- Model Tab -->
-  <div class="tab-content" id="tab-model">
-    <div class="upload-row">
-      <label>Weapon:</label>
-      <select id="modelWeapon">
-        <option value="ar">AR</option>
-        <option value="awp">AWP</option>
-        <option value="shotgun">Shotgun</option>
-        <option value="smg">SMG</option>
-      </select>
-      <label>Model (.glb):</label>
-      <input type="file" id="modelFile" accept=".glb">
-      <label>Texture:</label>
-      <input type="file" id="modelTexture" accept=".png,.jpg,.jpeg,.webp">
-      <label>Creator:</label>
-      <input type="text" id="modelCreator" class="credit-input" placeholder="Creator name">
-      <button class="upload-btn" id="modelUploadBtn" onclick="uploadModel()" disabled>Upload Model</button>
-    </div>
-    <div class="preview-area">
-      <canvas id="modelCanvas" width="400" height="300"></canvas>
-      <div class="loading-overlay" id="modelLoading">Rendering 3D preview...</div>
-    </div>
-    <div class="view3d-link" id="modelView3d" onclick="viewUploadedModel3D()">View in 3D &rarr;</div>
-  </div>
+// Aliases for the manifest: only those pointing at a live asset and not
+// shadowed by a newer asset that took the old id.
+function liveAliases(items) {
+	const ids = new Set(items.map(a => a.id));
+	return Object.fromEntries(Object.entries(readAliases()).filter(([oldId, target]) => ids.has(target) && !ids.has(oldId)));
+}
 
-  <!-- Special Tab -->
-  <div class="tab-content" id="tab-special">
-    <div class="upload-row">
-      <label>Image:</label>
-      <input type="file" id="specialFile" accept=".png,.jpg,.jpeg,.webp">
-      <label>Creator:</label>
-      <input type="text" id="specialCreator" class="credit-input" placeholder="Creator name">
-      <button class="upload-btn" id="specialUploadBtn" onclick="uploadSpecial()" disabled>Upload Special</button>
-    </div>
-    <div class="preview-area">
-      <canvas id="specialCanvas" width="400" height="300"></canvas>
-      <div class="loading-overlay" id="specialLoading">Processing preview...</div>
-    </div>
-  </div>
-</div>
+function moveFile(fromRel, toRel) {
+	const to = assetPath(toRel);
+	fs.mkdirSync(path.dirname(to), { recursive: true });
+	fs.renameSync(assetPath(fromRel), to);
+}
 
-<div class="drop-zone visible" id="dropZone">
-  Drop skin textures here (uses weapon selected in Skin tab)
-</div>
+function moveKey(read, write, fromId, toId) {
+	const data = read();
+	if (!(fromId in data)) return;
+	data[toId] = data[fromId];
+	delete data[fromId];
+	write(data);
+}
 
-<div class="filters" id="filters"></div>
-<div class="grid" id="grid"></div>
+// Renames an asset to `name` (extension optional) and/or moves a skin or
+// model to `weapon`'s folder. Its _tex texture, preview, variants, credit and
+// metadata follow; the old id becomes an alias. `onConflict: 'rename'` picks
+// a free name when the target is taken (replacing is not offered here).
+// `regenerate: false` leaves rewriting the manifest to the caller.
+function renameAsset({ file, name, weapon, onConflict, regenerate = true }) {
+	if (!file) throw new StoreError('No file specified');
+	const absPath = assetPath(file, contentFolders());
+	if (!fs.existsSync(absPath) || !fs.statSync(absPath).isFile()) throw new StoreError('File not found', 404);
+	const fromId = assetIdForFile(file);
+	if (!fromId) throw new StoreError(file + ' is not an asset', 400);
+	const type = fromId.slice(0, fromId.indexOf('-'));
+	const ext = path.extname(file);
+	const fromFolder = path.posix.dirname(file);
+	const fromName = path.basename(file, ext);
+	if (onConflict === 'replace') throw new StoreError('Renaming cannot replace another asset; delete it first');
+
+	let folder = fromFolder;
+	if (weapon) {
+		if (type === 'special') throw new StoreError('Specials are not tied to a weapon');
+		const w = getWeapon(weapon);
+		if (!w) throw new StoreError('Invalid weapon: ' + weapon);
+		folder = type === 'skin' ? w.skinFolder : w.modelFolder;
+	}
+	let newName = String(name || fromName).trim();
+	if (path.extname(newName).toLowerCase() === ext.toLowerCase()) newName = newName.slice(0, -ext.length);
+	const slug = safeFilename(newName + ext);
+	// A change of case only keeps the id, so it cannot collide with anything but itself
+	const sameId = folder === fromFolder && path.basename(slug, path.extname(slug)).toLowerCase() === fromName.toLowerCase();
+	const filename = sameId ? slug : claimAssetName(folder, slug, type === 'model' ? MODEL_EXTS : IMAGE_EXTS, onConflict);
+	const toFile = folder + '/' + filename;
+	if (toFile === file) throw new StoreError('Nothing to change: ' + file + ' already has that name');
+	const toName = path.basename(filename, path.extname(filename));
+	const toId = assetIdForFile(toFile);
+
+	moveFile(file, toFile);
+	if (type === 'model') {
+		// {name}_tex.{ext} texture, and the legacy {name}.{ext} preview next to the model
+		for (const imgExt of IMAGE_EXTS) {
+			for (const suffix of ['_tex', '']) {
+				const from = fromFolder + '/' + fromName + suffix + imgExt;
+				if (fs.existsSync(path.join(ROOT, from))) moveFile(from, folder + '/' + toName + suffix + imgExt);
+			}
+		}
+	}
+	if (toId !== fromId) {
+		const preview = PREVIEW_FOLDER + '/' + fromId + '.webp';
+		if (fs.existsSync(path.join(ROOT, preview))) moveFile(preview, PREVIEW_FOLDER + '/' + toId + '.webp');
+		for (const v of listVariantFiles(fromId)) {
+			moveFile(v.file, VARIANTS_FOLDER + '/' + toId + '@' + v.side + '-' + v.hash + path.extname(v.file));
+		}
+		moveKey(readCredits, writeCredits, fromId, toId);
+		moveKey(readMetadata, writeMetadata, fromId, toId);
+		addAlias(fromId, toId);
+	}
 
-<div id="viewerModal" class="viewer-modal">
-  <div class="viewer-content">
-    <div class="viewer-header">
-      <span id="viewerTitle">3D Viewer</span>
-      <button class="viewer-close" onclick="closeViewer()">&times;</button>
-    </div>
-    <canvas id="viewerCanvas" width="800" height="600"></canvas>
-    <div class="viewer-footer">
-      <span id="viewerInfo" class="viewer-info">Drag to rotate &middot; Scroll to zoom</span>
-      <button class="upload-btn" id="genPreviewBtn" onclick="generatePreview()">Generate Preview</button>
-    </div>
-  </div>
-</div>
+	if (regenerate) regenerateManifestFile();
+	return { from: file, file: toFile, fromId, id: toId };
+}
 
-<script type="module">
-import * as THREE from 'three';
-import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
-import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+// ─── Trash ────────────────────────────────────────────────────────────────────
+// Deleted assets are moved to .store/trash/<trash-id>/ rather than unlinked:
+// their files under files/ (at their store paths) and, in entry.json, the
+// manifest entry, credit, metadata and the aliases that pointed at the asset.
+// Restoring puts all of it back. Entries older than store-config.json
+// "trash.retentionDays" (0 keeps them until purged by hand) are purged
+// whenever the trash is touched and when the server starts.
+
+const TRASH_PATH = path.join(ROOT, STATE_FOLDER, 'trash');
+const TRASH_ENTRY = 'entry.json';
+const TRASH_DEFAULTS = { retentionDays: 30 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function getTrashConfig() {
+	return { ...TRASH_DEFAULTS, ...readConfig().trash };
+}
 
-// ─── WebGL Detection ──────────────────────────────────────────────────────────
-var hasWebGL = false;
-try {
-  var tc = document.createElement('canvas');
-  hasWebGL = !!(tc.getContext('webgl2') || tc.getContext('webgl'));
-} catch(e) {}
-if (!hasWebGL) document.getElementById('webglWarning').style.display = 'block';
+// Trash ids have the history's YYYYMMDD-HHMMSSmmm form
+function trashDir(trashId) {
+	if (typeof trashId !== 'string' || !HISTORY_ID_RE.test(trashId)) throw new StoreError('Invalid trash id: ' + trashId);
+	return path.join(TRASH_PATH, trashId);
+}
 
-// ─── Gradient Background Helper ──────────────────────────────────────────────
-function createGradientBackground() {
-  var c = document.createElement('canvas');
-  c.width = 2; c.height = 256;
-  var ctx = c.getContext('2d');
-  var grad = ctx.createLinearGradient(0, 0, 0, 256);
-  grad.addColorStop(0, '#1a2240');
-  grad.addColorStop(0.5, '#12182b');
-  grad.addColorStop(1, '#0a0e1a');
-  ctx.fillStyle = grad;
-  ctx.fillRect(0, 0, 2, 256);
-  var tex = new THREE.CanvasTexture(c);
-  tex.colorSpace = THREE.SRGBColorSpace;
-  return tex;
+function readTrashEntry(trashId) {
+	const file = path.join(trashDir(trashId), TRASH_ENTRY);
+	if (!fs.existsSync(file)) throw new StoreError('Nothing in the trash with id ' + trashId, 404);
+	return JSON.parse(fs.readFileSync(file, 'utf-8'));
 }
 
-// ─── PreviewRenderer ─────────────────────────────────────────────────────────
-class PreviewRenderer {
-  constructor(canvas) {
-    this.canvas = canvas;
-    this.renderer = new THREE.WebGLRenderer({
-      canvas: canvas, alpha: true, antialias: true, preserveDrawingBuffer: true
-    });
-    this.renderer.setSize(400, 300);
-    this.renderer.setPixelRatio(1);
-    this.renderer.outputColorSpace = THREE.SRGBColorSpace;
-  }
+function trashIds() {
+	if (!fs.existsSync(TRASH_PATH)) return [];
+	return fs.readdirSync(TRASH_PATH)
+		.filter(id => HISTORY_ID_RE.test(id) && fs.existsSync(path.join(TRASH_PATH, id, TRASH_ENTRY)))
+		.sort();
+}
 
-  async render(glbSource, textureSource) {
-    var scene = new THREE.Scene();
-    scene.background = createGradientBackground();
-    var camera = new THREE.PerspectiveCamera(45, 400 / 300, 0.1, 100);
+// Moves `files` (the asset `file` and its companions) into a new trash
+// entry; returns its id
+function moveToTrash(file, files) {
+	const id = assetIdForFile(file);
+	const trashId = newTimeId(candidate => fs.existsSync(path.join(TRASH_PATH, candidate)));
+	const dir = trashDir(trashId);
+	fs.mkdirSync(path.join(dir, 'files'), { recursive: true });
+	const metadata = readMetadata();
+	const aliases = readAliases();
+	fs.writeFileSync(path.join(dir, TRASH_ENTRY), JSON.stringify({
+		trashId,
+		id,
+		file,
+		files,
+		asset: readManifest().assets.find(a => a.file === file) || null,
+		credit: readCredits()[id] || null,
+		metadata: metadata[id] || null,
+		aliases: Object.keys(aliases).filter(oldId => aliases[oldId] === id),
+		deletedAt: new Date().toISOString(),
+	}, null, 2) + '\n', 'utf-8');
+	for (const rel of files) {
+		const to = path.join(dir, 'files', ...rel.split('/'));
+		fs.mkdirSync(path.dirname(to), { recursive: true });
+		fs.renameSync(path.join(ROOT, rel), to);
+	}
+	purgeExpiredTrash();
+	return trashId;
+}
 
-    // Lights: strong for dark background — ambient 1.0, key 1.5, fill 0.8, rim 0.5
-    scene.add(new THREE.AmbientLight(0xffffff, 1.0));
+// Trash entries, newest first, with when each will be purged (null: never)
+function listTrash() {
+	purgeExpiredTrash();
+	const { retentionDays } = getTrashConfig();
+	return trashIds().reverse().map(trashId => {
+		const entry = readTrashEntry(trashId);
+		const asset = entry.asset || {};
+		return {
+			trashId,
+			id: entry.id,
+			name: asset.name || path.posix.basename(entry.file),
+			type: asset.type || null,
+			weapon: asset.weapon || null,
+			file: entry.file,
+			files: entry.files,
+			credit: entry.credit,
+			deletedAt: entry.deletedAt,
+			purgeAt: retentionDays > 0 ? new Date(Date.parse(entry.deletedAt) + retentionDays * DAY_MS).toISOString() : null,
+		};
+	});
+}
+
+// Puts a trash entry's files, credit, metadata and aliases back. Refuses
+// while another asset has taken its id or one of its paths.
+function restoreFromTrash(trashId, { regenerate = true } = {}) {
+	const entry = readTrashEntry(trashId);
+	const dir = trashDir(trashId);
+	if (readManifest().assets.some(a => a.id === entry.id)) {
+		throw new StoreError('Cannot restore ' + entry.file + ': an asset with id ' + entry.id + ' exists; rename or delete it first', 409);
+	}
+	const taken = entry.files.filter(rel => fs.existsSync(assetPath(rel)));
+	if (taken.length) throw new StoreError('Cannot restore ' + entry.file + ': ' + taken.join(', ') + (taken.length === 1 ? ' already exists' : ' already exist'), 409);
+
+	for (const rel of entry.files) {
+		const to = assetPath(rel);
+		fs.mkdirSync(path.dirname(to), { recursive: true });
+		fs.renameSync(path.join(dir, 'files', ...rel.split('/')), to);
+	}
+	if (entry.credit) setCredit(entry.id, entry.credit);
+	if (entry.metadata) {
+		const metadata = readMetadata();
+		metadata[entry.id] = entry.metadata;
+		writeMetadata(metadata);
+	}
+	if (entry.aliases.length) {
+		const aliases = readAliases();
+		for (const oldId of entry.aliases) if (!(oldId in aliases)) aliases[oldId] = entry.id;
+		writeAliases(aliases);
+	}
+	fs.rmSync(dir, { recursive: true, force: true });
+	if (regenerate) regenerateManifestFile();
+	return { trashId, id: entry.id, file: entry.file, files: entry.files };
+}
+
+// Restores several trash entries (e.g. an undone bulk delete), each on its
+// own: `[{ trashId, status, message }]`, regenerating once
+function restoreTrashEntries(ids) {
+	if (!Array.isArray(ids) || !ids.length || !ids.every(id => typeof id === 'string')) throw new StoreError('ids must be a non-empty list of trash ids');
+	const results = ids.map(trashId => {
+		try {
+			const restored = restoreFromTrash(trashId, { regenerate: false });
+			return { trashId, id: restored.id, status: 'done', message: 'Restored ' + restored.files.join(', ') };
+		} catch (err) {
+			if (err instanceof StoreError || err instanceof PathError) return { trashId, status: 'failed', message: err.message };
+			throw err;
+		}
+	});
+	if (results.some(r => r.status === 'done')) regenerateManifestFile();
+	return results;
+}
+
+// Deletes trash entries for good; returns the ids purged
+function purgeTrash(ids) {
+	if (!Array.isArray(ids) || !ids.every(id => typeof id === 'string')) throw new StoreError('ids must be a list of trash ids');
+	// Every id must exist before anything is removed
+	ids.forEach(readTrashEntry);
+	for (const trashId of ids) fs.rmSync(trashDir(trashId), { recursive: true, force: true });
+	return ids;
+}
+
+function purgeExpiredTrash() {
+	const { retentionDays } = getTrashConfig();
+	if (!(retentionDays > 0)) return [];
+	const cutoff = Date.now() - retentionDays * DAY_MS;
+	const expired = trashIds().filter(trashId => {
+		try { return !(Date.parse(readTrashEntry(trashId).deletedAt) > cutoff); }
+		catch { return false; } // unreadable entry.json: left for a purge by hand
+	});
+	return purgeTrash(expired);
+}
+
+// ─── Bulk actions ─────────────────────────────────────────────────────────────
+// Actions on a selection of assets from the grid. Every asset is handled on
+// its own and gets its own result (done, skipped or failed), so one bad asset
+// does not stop the rest; the manifest is regenerated once at the end.
+// Exporting a selection goes through the asset pack routes.
+
+const BULK_ACTIONS = ['delete', 'credit', 'tag', 'previews', 'move'];
+const MAX_BULK_IDS = 500;
+
+function bulkIds(ids) {
+	if (!Array.isArray(ids) || !ids.length || !ids.every(id => typeof id === 'string' && id)) throw new StoreError('ids must be a non-empty list of asset ids');
+	if (ids.length > MAX_BULK_IDS) throw new StoreError('At most ' + MAX_BULK_IDS + ' assets per bulk action');
+	return [...new Set(ids)];
+}
+
+// What deleting `ids` would remove: `[{ id, file, files }]`, or `error` for
+// assets that cannot be deleted
+function bulkDeletePlan(ids) {
+	const byId = new Map(readManifest().assets.map(a => [a.id, a]));
+	return bulkIds(ids).map(id => {
+		const asset = byId.get(id);
+		if (!asset) return { id, error: 'No asset with id ' + id };
+		try {
+			return { id, file: asset.file, files: assetDeletionFiles(asset.file) };
+		} catch (err) {
+			if (err instanceof StoreError) return { id, file: asset.file, error: err.message };
+			throw err;
+		}
+	});
+}
+
+/**
+ * Runs `action` on every asset in `ids`. Options per action: credit
+ * `{ credit }` (empty clears it), tag `{ addTags, removeTags }`, move
+ * `{ weapon, onConflict }`. Returns `{ action, results: [{ id, status,
+ * message }] }` with status 'done', 'skipped' or 'failed'; deleted assets
+ * also carry the `trashId` to restore them from.
+ */
+function runBulkAction(action, ids, options = {}) {
+	if (!BULK_ACTIONS.includes(action)) throw new StoreError('Unknown bulk action "' + action + '" (expected ' + BULK_ACTIONS.join(', ') + ')');
+	ids = bulkIds(ids);
+	const credit = String(options.credit || '').trim();
+	const addTags = action === 'tag' ? normalizeMetadataField('tags', options.addTags) || [] : [];
+	const removeTags = action === 'tag' ? normalizeMetadataField('tags', options.removeTags) || [] : [];
+	if (action === 'tag' && !addTags.length && !removeTags.length) throw new StoreError('No tags to add or remove');
+	if (action === 'move' && !getWeapon(options.weapon)) throw new StoreError('Invalid weapon: ' + options.weapon);
+
+	const byId = new Map(readManifest().assets.map(a => [a.id, a]));
+	const metadata = readMetadata();
+	const one = asset => {
+		switch (action) {
+			case 'delete': {
+				const { files, trashId } = removeAsset(asset.file, { regenerate: false });
+				return { status: 'done', message: 'Moved to the trash: ' + files.join(', '), trashId };
+			}
+			case 'credit':
+				if ((asset.credit || 'Unknown') === (credit || 'Unknown')) return { status: 'skipped', message: 'Already credited to ' + (credit || 'Unknown') };
+				setCredit(asset.id, credit);
+				return { status: 'done', message: 'Credit set to ' + (credit || 'Unknown') };
+			case 'tag': {
+				const before = (metadata[asset.id] && metadata[asset.id].tags) || [];
+				const tags = before.filter(t => !removeTags.includes(t)).concat(addTags.filter(t => !before.includes(t)));
+				if (tags.length === before.length && tags.every(t => before.includes(t))) return { status: 'skipped', message: 'Tags unchanged' };
+				setMetadata(asset.id, { tags });
+				return { status: 'done', message: tags.length ? 'Tags: ' + tags.join(', ') : 'Tags cleared' };
+			}
+			case 'previews':
+				if (asset.type === 'special') return { status: 'skipped', message: 'Specials have no rendered preview' };
+				// Like renderPreviews: any rendering failure is this asset's alone
+				try { return { status: 'done', message: 'Rendered ' + renderStoredPreview(asset) }; }
+				catch (err) { return { status: 'failed', message: err.message }; }
+			case 'move': {
+				if (asset.type === 'special') return { status: 'skipped', message: 'Specials are not tied to a weapon' };
+				if (asset.weapon === options.weapon) return { status: 'skipped', message: 'Already on ' + options.weapon };
+				const moved = renameAsset({ file: asset.file, weapon: options.weapon, onConflict: options.onConflict, regenerate: false });
+				return { status: 'done', message: 'Moved to ' + moved.file + ' (' + moved.id + ')' };
+			}
+		}
+	};
+
+	const results = ids.map(id => {
+		const asset = byId.get(id);
+		if (!asset) return { id, status: 'failed', message: 'No asset with id ' + id };
+		try {
+			return { id, ...one(asset) };
+		} catch (err) {
+			if (err instanceof StoreError || err instanceof PathError) return { id, status: 'failed', message: err.message };
+			throw err;
+		}
+	});
+	if (results.some(r => r.status === 'done')) regenerateManifestFile();
+	return { action, results };
+}
+
+// ─── Asset packs ──────────────────────────────────────────────────────────────
+// A pack is a zip (lib/zip.js) of assets with their _tex textures and
+// previews, plus pack.json listing each asset's type, weapon, credit,
+// metadata and the size and SHA-256 of every file. An import checks the whole
+// pack first (hashes, the upload checks, name conflicts) and only then adds
+// each asset through saveSkin/saveModel/saveSpecial, like an upload.
+
+const PACK_MANIFEST = 'pack.json';
+const PACK_FORMAT = 'haze-asset-pack';
+const PACK_VERSION = 1;
+const PACK_FILE_ROLES = ['main', 'texture', 'preview'];
+const PACK_LIMITS = { maxEntries: 1000, maxBytes: 512 * 1024 * 1024 };
+// onConflict values an import accepts; 'skip' leaves existing assets alone
+const PACK_CONFLICT_MODES = ['replace', 'rename', 'skip'];
+
+const sha256Hex = data => crypto.createHash('sha256').update(data).digest('hex');
+
+function packFilename(ids) {
+	return (ids.length === 1 ? ids[0] : 'haze-pack-' + new Date().toISOString().slice(0, 10)) + '.zip';
+}
+
+// Zip of the assets `ids` with their textures, previews and pack.json
+function exportPack(ids) {
+	if (!ids.length) throw new StoreError('No assets selected for the pack');
+	const assets = scanAll();
+	const unknown = ids.filter(id => !assets.some(a => a.id === id));
+	if (unknown.length) throw new StoreError('Unknown asset id: ' + unknown.join(', '), 404, { unknown });
+	const credits = readCredits();
+	const metadata = readMetadata();
+	const entries = [];
+	const packAssets = [];
+	for (const a of assets.filter(a => ids.includes(a.id))) {
+		const files = {};
+		const add = (role, rel) => {
+			const data = fs.readFileSync(path.join(ROOT, rel));
+			entries.push({ name: rel, data });
+			files[role] = { path: rel, size: data.length, sha256: sha256Hex(data) };
+		};
+		add('main', a.file);
+		if (a.texture) add('texture', a.texture);
+		if (a.preview && a.preview !== a.file) add('preview', a.preview);
+		packAssets.push({ id: a.id, type: a.type, weapon: a.weapon || null, credit: credits[a.id] || null, metadata: metadata[a.id] || {}, files });
+	}
+	const manifest = { format: PACK_FORMAT, version: PACK_VERSION, created: new Date().toISOString(), assets: packAssets };
+	return writeZip([{ name: PACK_MANIFEST, data: Buffer.from(JSON.stringify(manifest, null, 2) + '\n', 'utf-8') }].concat(entries));
+}
+
+// Unzips a pack → { manifest, files: Map(path → data) }
+function readPack(buf) {
+	const invalid = reason => new StoreError('Not a valid pack: ' + reason, 422);
+	let entries;
+	try {
+		entries = readZip(buf, PACK_LIMITS);
+	} catch (err) {
+		if (err instanceof ZipError) throw invalid(err.message);
+		throw err;
+	}
+	const files = new Map(entries.map(e => [e.name, e.data]));
+	if (!files.has(PACK_MANIFEST)) throw invalid(PACK_MANIFEST + ' is missing');
+	let manifest;
+	try { manifest = JSON.parse(files.get(PACK_MANIFEST).toString('utf-8')); }
+	catch { throw invalid(PACK_MANIFEST + ' is not valid JSON'); }
+	if (manifest.format !== PACK_FORMAT || manifest.version !== PACK_VERSION || !Array.isArray(manifest.assets)) {
+		throw invalid('unknown format (expected ' + PACK_FORMAT + ' version ' + PACK_VERSION + ')');
+	}
+	return { manifest, files };
+}
+
+function isPlainObject(value) {
+	return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Checks one pack.json entry like an upload of it would be. Returns the id,
+// file and conflict it would get, with its own errors and warnings.
+function checkPackAsset(entry, files) {
+	const errors = [];
+	const warnings = [];
+	const out = { id: typeof entry.id === 'string' ? entry.id : null, type: entry.type, weapon: entry.weapon || null, file: null, credit: entry.credit || null, conflict: null, errors, warnings };
+	if (!['skin', 'model', 'special'].includes(entry.type)) {
+		errors.push('Unknown asset type "' + entry.type + '"');
+		return out;
+	}
+	const weapon = entry.type === 'special' ? null : getWeapon(entry.weapon);
+	if (entry.type !== 'special' && !weapon) {
+		errors.push('Unknown weapon "' + entry.weapon + '"');
+		return out;
+	}
+	if (!isPlainObject(entry.files)) {
+		errors.push('The files entry must map each role to { path, sha256 }');
+		return out;
+	}
+	if (entry.metadata != null && !isPlainObject(entry.metadata)) {
+		errors.push('The metadata entry must be an object');
+		return out;
+	}
+	const listed = entry.files;
+	if (!listed.main) errors.push('No main file listed');
+	const data = {};
+	for (const [role, f] of Object.entries(listed)) {
+		if (!PACK_FILE_ROLES.includes(role)) {
+			warnings.push('Ignoring unknown file role "' + role + '"');
+		} else if (!isPlainObject(f) || typeof f.path !== 'string' || typeof f.sha256 !== 'string') {
+			errors.push('The ' + role + ' file must have a string path and sha256');
+		} else if (!files.has(f.path)) {
+			errors.push(f.path + ' is listed but not in the archive');
+		} else if (sha256Hex(files.get(f.path)) !== f.sha256) {
+			errors.push(f.path + ' does not match its SHA-256 in ' + PACK_MANIFEST);
+		} else {
+			data[role] = files.get(f.path);
+		}
+	}
+	for (const [field, value] of Object.entries(entry.metadata || {})) {
+		if (!METADATA_FIELDS.includes(field)) {
+			warnings.push('Ignoring unknown metadata field "' + field + '"');
+			continue;
+		}
+		try { normalizeMetadataField(field, value); } catch (err) { errors.push('Metadata: ' + err.message); }
+	}
+	if (errors.length) return out;
+
+	const exts = entry.type === 'model' ? MODEL_EXTS : IMAGE_EXTS;
+	const folder = entry.type === 'special' ? SPECIAL_FOLDER : entry.type === 'skin' ? weapon.skinFolder : weapon.modelFolder;
+	try {
+		const filename = safeFilename(path.posix.basename(listed.main.path));
+		requireExt(filename, exts, entry.type === 'model' ? 'model' : 'texture');
+		if (data.texture) requireExt(listed.texture.path, IMAGE_EXTS, 'texture');
+		const stem = path.basename(filename, path.extname(filename)).toLowerCase();
+		out.id = entry.type === 'special' ? 'special-' + stem : entry.type + '-' + weapon.id + '-' + stem;
+		out.file = folder + '/' + filename;
+		claimAssetName(folder, filename, exts, null);
+	} catch (err) {
+		if (!(err instanceof StoreError)) throw err;
+		if (err.details && err.details.conflict) out.conflict = err.details.conflict;
+		else errors.push(err.message);
+	}
+	if (errors.length) return out;
+
+	const report = entry.type === 'model' ? validateModel(weapon.id, data.main) : inspectTexture(entry.type, data.main, weapon && weapon.id);
+	errors.push(...report.errors);
+	warnings.push(...report.warnings);
+	return out;
+}
+
+// Checks a whole pack without writing anything. Report in the usual
+// { ok, errors, warnings, stats } shape plus `assets`, one entry per pack asset.
+function checkPack(buf) {
+	const { manifest, files } = readPack(buf);
+	const assets = manifest.assets.map(entry => checkPackAsset(entry || {}, files));
+	const seen = new Set();
+	for (const a of assets) {
+		if (a.id && seen.has(a.id)) a.errors.push('The pack holds ' + a.id + ' more than once');
+		seen.add(a.id);
+	}
+	const label = (a, i) => a.id || 'asset ' + (i + 1);
+	const report = {
+		ok: assets.every(a => !a.errors.length),
+		errors: assets.flatMap((a, i) => a.errors.map(e => label(a, i) + ': ' + e)),
+		warnings: assets.flatMap((a, i) => a.warnings.map(w => label(a, i) + ': ' + w)),
+		stats: { assets: assets.length, conflicts: assets.filter(a => a.conflict).length, bytes: buf.length, created: manifest.created || null },
+		assets,
+	};
+	return { report, manifest, files };
+}
+
+function inspectPack(buf) {
+	return checkPack(buf).report;
+}
+
+// Adds every asset of a pack. Nothing is written unless the whole pack passes
+// checkPack; names that are taken make it a 409 (with the report) unless
+// `onConflict` is 'replace', 'rename' or 'skip'.
+function importPack(buf, { onConflict = null } = {}) {
+	const { report, manifest, files } = checkPack(buf);
+	if (!report.ok) throw new StoreError('Pack rejected: ' + report.errors.join('; '), 422, { report });
+	const conflicts = report.assets.filter(a => a.conflict);
+	if (conflicts.length && !PACK_CONFLICT_MODES.includes(onConflict)) {
+		throw new StoreError(conflicts.length + ' asset(s) of the pack already exist: ' + conflicts.map(a => a.id).join(', '), 409, { report });
+	}
+
+	// Like runBulkAction, the assets are saved without regenerating and the
+	// manifest is regenerated once at the end (also when an asset fails)
+	const imported = [];
+	const skipped = [];
+	let written = false;
+	try {
+		manifest.assets.forEach((entry, i) => {
+			const checked = report.assets[i];
+			if (checked.conflict && onConflict === 'skip') {
+				skipped.push(checked.id);
+				return;
+			}
+			const file = role => entry.files[role] && { filename: path.posix.basename(entry.files[role].path), data: files.get(entry.files[role].path) };
+			const main = file('main');
+			// Previews are stored as WebP; anything else is rendered again here
+			const preview = file('preview') && /\.webp$/i.test(file('preview').filename) ? file('preview').data : null;
+			const common = { preview, credit: entry.credit || undefined, onConflict: checked.conflict ? onConflict : null, regenerate: false };
+			written = true;
+			const result = entry.type === 'model'
+				? saveModel({ weapon: entry.weapon, model: main, texture: file('texture') || null, ...common })
+				: entry.type === 'skin'
+					? saveSkin({ weapon: entry.weapon, filename: main.filename, data: main.data, ...common })
+					: saveSpecial({ filename: main.filename, data: main.data, ...common });
+			const fields = Object.fromEntries(Object.entries(entry.metadata || {}).filter(([f]) => METADATA_FIELDS.includes(f)));
+			if (Object.keys(fields).length) setMetadata(result.id, fields, { added: true });
+			imported.push({ id: result.id, file: result.file, warnings: result.warnings });
+		});
+	} finally {
+		if (written) regenerateManifestFile();
+	}
+	return { imported, skipped };
+}
+
+// ─── Bulk upload ──────────────────────────────────────────────────────────────
+// A mixed drop of files and folders is planned from its paths (lib/bulk-plan.js)
+// against the weapon catalogue; each planned asset is then uploaded on its own
+// through the usual upload routes (dashboard) or save* functions (CLI).
+
+const MAX_BULK_PATHS = 1000;
+
+function planBulkUpload(paths) {
+	if (!Array.isArray(paths) || !paths.every(p => typeof p === 'string' && p)) throw new StoreError('paths must be a list of file paths');
+	if (paths.length > MAX_BULK_PATHS) throw new StoreError('At most ' + MAX_BULK_PATHS + ' files per bulk upload');
+	return planUploads(paths.map(p => p.replace(/\\/g, '/')), { weapons: getWeapons(), specialFolder: SPECIAL_FOLDER });
+}
+
+// ─── Storefront site ──────────────────────────────────────────────────────────
+// build-site renders manifest.json (credits and metadata are already merged
+// into it) into a static catalogue (lib/site.js) for players. Images and
+// downloads are linked from previewBaseUrl, so only HTML is written. The
+// output folder gets a site.json listing the files it wrote; a rebuild
+// removes the ones no longer generated and leaves anything else (a CNAME,
+// say) alone, and a non-empty folder without site.json is never written to.
+
+const SITE_INDEX = 'site.json';
+const SITE_FORMAT = 'haze-store-site';
+
+function readSiteIndex(outDir) {
+	const file = path.join(outDir, SITE_INDEX);
+	if (!fs.existsSync(file)) return null;
+	try {
+		const index = JSON.parse(fs.readFileSync(file, 'utf-8'));
+		return index && index.format === SITE_FORMAT && Array.isArray(index.files) ? index : null;
+	} catch {
+		return null;
+	}
+}
+
+function buildSite(outDir, { baseUrl } = {}) {
+	const manifest = readManifest();
+	let base = baseUrl || manifest.previewBaseUrl;
+	if (!base) throw new StoreError('manifest.json has no previewBaseUrl; pass the URL the asset files are served from');
+	if (!/^https?:\/\//i.test(base)) throw new StoreError('The base URL must start with http:// or https:// (got ' + base + ')');
+	if (!base.endsWith('/')) base += '/';
+
+	const out = path.resolve(outDir);
+	if (isInside(out, ROOT)) throw new StoreError('The site cannot be built into the store folder or one of its parents');
+	const previous = readSiteIndex(out);
+	if (!previous && fs.existsSync(out) && fs.readdirSync(out).length) {
+		throw new StoreError(outDir + ' is not empty and was not written by build-site; pick an empty or new folder', 409);
+	}
+
+	const { files, stats } = renderSite(manifest, {
+		weapons: getWeapons(),
+		baseUrl: base,
+		hasPreview: rel => fs.existsSync(path.join(ROOT, rel)),
+	});
+	const written = new Set(files.map(f => f.path));
+	const removed = [];
+	for (const rel of previous ? previous.files : []) {
+		if (written.has(rel)) continue;
+		let abs;
+		try { abs = resolveWithin(out, rel); }
+		catch (err) { if (err instanceof PathError) continue; throw err; }
+		if (!fs.existsSync(abs)) continue;
+		fs.rmSync(abs);
+		removed.push(rel);
+		// Drop folders the removal emptied, up to the site root
+		for (let dir = path.dirname(abs); dir !== out && !fs.readdirSync(dir).length; dir = path.dirname(dir)) fs.rmdirSync(dir);
+	}
+	for (const file of files) {
+		const abs = path.join(out, ...file.path.split('/'));
+		fs.mkdirSync(path.dirname(abs), { recursive: true });
+		fs.writeFileSync(abs, file.data, 'utf-8');
+	}
+	fs.writeFileSync(path.join(out, SITE_INDEX), JSON.stringify({
+		format: SITE_FORMAT,
+		revision: manifest.revision || 0,
+		built: new Date().toISOString(),
+		baseUrl: base,
+		files: [...written],
+	}, null, 2) + '\n', 'utf-8');
+	return { dir: out, baseUrl: base, files: files.length, removed, ...stats };
+}
+
+// ─── Change feed ──────────────────────────────────────────────────────────────
+// manifest.revision goes up by one with every regeneration that changes the
+// assets. changes.json lists the asset ids each revision added, updated and
+// removed (a rename removes the old id and adds the new one) and revision.json
+// holds only the latest revision, so clients polling the static host can sync
+// incrementally. /api/changes-since answers the same from the server.
+
+const CHANGES_PATH = path.join(ROOT, 'changes.json');
+const REVISION_PATH = path.join(ROOT, 'revision.json');
+// Revisions listed in changes.json; clients further behind fetch the whole manifest
+const CHANGES_KEEP = 500;
+
+function readChanges() {
+	try { return JSON.parse(fs.readFileSync(CHANGES_PATH, 'utf-8')); }
+	catch { return { revision: 0, changes: [] }; }
+}
+
+function recordChanges(manifest, diff) {
+	const changes = readChanges().changes.concat({
+		revision: manifest.revision,
+		date: manifest.updated,
+		added: diff.added.map(a => a.id).concat(diff.renamed.map(r => r.id)),
+		updated: diff.changed.map(c => c.id),
+		removed: diff.removed.map(a => a.id).concat(diff.renamed.map(r => r.from)),
+	}).slice(-CHANGES_KEEP);
+	const head = { revision: manifest.revision, updated: manifest.updated };
+	fs.writeFileSync(CHANGES_PATH, JSON.stringify({ ...head, changes }, null, 2) + '\n', 'utf-8');
+	fs.writeFileSync(REVISION_PATH, JSON.stringify(head, null, 2) + '\n', 'utf-8');
+}
+
+// Net changes after revision `rev`: ids added, updated or removed since then
+// (an asset added and removed again in between is left out). `full` is set
+// when `rev` is older than the feed reaches or newer than the store; the
+// client should then fetch the whole manifest.
+function changesSince(rev) {
+	const since = Number(rev);
+	if (rev === null || rev === '' || !Number.isInteger(since) || since < 0) throw new StoreError('rev must be a revision number');
+	const revision = readManifest().revision || 0;
+	const feed = readChanges().changes;
+	const out = { revision, since, full: false, added: [], updated: [], removed: [] };
+	const oldest = feed.length ? feed[0].revision - 1 : revision;
+	if (since < oldest || since > revision) return { ...out, full: true };
+
+	const existed = new Map(); // id → whether it existed at `since`
+	const present = new Map(); // id → whether it exists now
+	const touch = (id, before, now) => {
+		if (!existed.has(id)) existed.set(id, before);
+		present.set(id, now);
+	};
+	for (const entry of feed.filter(c => c.revision > since)) {
+		for (const id of entry.removed) touch(id, true, false);
+		for (const id of entry.added) touch(id, false, true);
+		for (const id of entry.updated) touch(id, true, true);
+	}
+	for (const [id, now] of present) {
+		if (now) (existed.get(id) ? out.updated : out.added).push(id);
+		else if (existed.get(id)) out.removed.push(id);
+	}
+	return out;
+}
+
+// When each asset was added: the date of the latest revision that added its
+// id, or for assets older than the feed, its file's modification time
+function assetAddedDates(manifest) {
+	const dates = {};
+	for (const entry of readChanges().changes) {
+		for (const id of entry.added) dates[id] = entry.date;
+	}
+	for (const asset of manifest.assets) {
+		if (dates[asset.id]) continue;
+		try { dates[asset.id] = fs.statSync(path.join(ROOT, asset.file)).mtime.toISOString(); }
+		catch { /* file missing: verify reports it */ }
+	}
+	return dates;
+}
+
+// ─── Manifest history ─────────────────────────────────────────────────────────
+// Every regeneration that changes the manifest is kept as a version in
+// .store/history/<id>.json: the manifest, its diff from the version before
+// (lib/manifest-diff.js) and the credits, metadata and aliases it was built
+// from. The files it references are copied once into .store/history/blobs/,
+// named by their SHA-256, so restoring a version brings back its exact files.
+// Only the newest store-config.json "history.keep" versions are kept.
+
+const HISTORY_PATH = path.join(ROOT, STATE_FOLDER, 'history');
+const BLOBS_PATH = path.join(HISTORY_PATH, 'blobs');
+const HISTORY_ID_RE = /^\d{8}-\d{9}$/;
+const HISTORY_DEFAULTS = { keep: 50 };
+
+function getHistoryConfig() {
+	return { ...HISTORY_DEFAULTS, ...readConfig().history };
+}
+
+function versionPath(id) {
+	if (!HISTORY_ID_RE.test(id || '')) throw new StoreError('Invalid version id: ' + id);
+	return path.join(HISTORY_PATH, id + '.json');
+}
+
+function readVersion(id) {
+	const file = versionPath(id);
+	if (!fs.existsSync(file)) throw new StoreError('No manifest version ' + id, 404);
+	return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+// Version ids, oldest first (ids sort by time)
+function versionIds() {
+	if (!fs.existsSync(HISTORY_PATH)) return [];
+	return fs.readdirSync(HISTORY_PATH)
+		.map(f => f.slice(0, -'.json'.length))
+		.filter(id => HISTORY_ID_RE.test(id) && fs.existsSync(path.join(HISTORY_PATH, id + '.json')))
+		.sort();
+}
+
+// YYYYMMDD-HHMMSSmmm, one millisecond later while `taken(id)`
+function newTimeId(taken) {
+	const idAt = ms => new Date(ms).toISOString().replace(/[-:.]/g, '').replace('T', '-').slice(0, 18);
+	let ms = Date.now();
+	while (taken(idAt(ms))) ms++;
+	return idAt(ms);
+}
+
+function newVersionId() {
+	return newTimeId(id => fs.existsSync(path.join(HISTORY_PATH, id + '.json')));
+}
+
+// Every file a manifest references (asset, texture, preview, variants) → [{ file, sha256 }]
+function manifestFiles(manifest) {
+	const files = new Map();
+	const add = (file, sha256) => { if (file && sha256) files.set(file, sha256); };
+	for (const a of manifest.assets || []) {
+		add(a.file, a.sha256);
+		add(a.texture, a.textureSha256);
+		add(a.preview, a.previewSha256);
+		for (const v of Object.values(a.variants || {})) add(v.file, v.sha256);
+	}
+	return [...files].map(([file, sha256]) => ({ file, sha256 }));
+}
+
+function blobPath(sha256) {
+	return path.join(BLOBS_PATH, sha256);
+}
+
+// Keeps `manifest` as a new version unless nothing changed since the last one.
+// Called by regenerateManifestFile; returns the version or null. Files that no
+// longer match the manifest get no stored copy (restoring reports them).
+function recordVersion(manifest, { restoredFrom = null } = {}) {
+	const ids = versionIds();
+	const previous = ids.length ? readVersion(ids[ids.length - 1]) : null;
+	const diff = diffManifests(previous && previous.manifest, manifest);
+	if (previous && !hasChanges(diff)) return null;
+
+	fs.mkdirSync(BLOBS_PATH, { recursive: true });
+	for (const { file, sha256 } of manifestFiles(manifest)) {
+		if (fs.existsSync(blobPath(sha256)) || (fileIntegrity(file) || {}).sha256 !== sha256) continue;
+		fs.copyFileSync(path.join(ROOT, file), blobPath(sha256));
+	}
+	const version = {
+		id: newVersionId(),
+		created: manifest.updated,
+		previous: previous ? previous.id : null,
+		restoredFrom,
+		summary: diff.summary,
+		diff,
+		manifest,
+		sources: { credits: readCredits(), metadata: readMetadata(), aliases: readAliases() },
+	};
+	fs.writeFileSync(versionPath(version.id), JSON.stringify(version) + '\n', 'utf-8');
+	pruneHistory();
+	return version;
+}
+
+// With an empty history, records `manifest` (by default manifest.json as it
+// is on disk) as the first version, so the first change after it can be
+// undone. The server and CLI call this before they change anything, while the
+// files, credits, metadata and aliases still match manifest.json — so hashes
+// an older manifest lacks are taken from the files. regenerateManifestFile
+// calls it as a fallback with the manifest it replaces.
+function seedHistory(manifest = null) {
+	if (versionIds().length) return null;
+	if (!manifest) {
+		if (!fs.existsSync(MANIFEST_PATH)) return null;
+		try {
+			manifest = readManifest();
+		} catch (err) {
+			if (err instanceof StoreError) return null;
+			throw err;
+		}
+		const hashed = (file, sha256) => sha256 || (file && (fileIntegrity(file) || {}).sha256) || undefined;
+		manifest.assets = manifest.assets.map(a => ({
+			...a,
+			sha256: hashed(a.file, a.sha256),
+			...(a.texture ? { textureSha256: hashed(a.texture, a.textureSha256) } : {}),
+			...(a.preview ? { previewSha256: hashed(a.preview, a.previewSha256) } : {}),
+		}));
+	}
+	return recordVersion(manifest);
+}
+
+// Drops the oldest versions beyond the limit, then blobs no kept version uses
+function pruneHistory() {
+	const ids = versionIds();
+	const keep = Math.max(1, getHistoryConfig().keep);
+	if (ids.length <= keep) return;
+	for (const id of ids.slice(0, -keep)) fs.unlinkSync(versionPath(id));
+	const used = new Set();
+	for (const id of ids.slice(-keep)) {
+		for (const f of manifestFiles(readVersion(id).manifest)) used.add(f.sha256);
+	}
+	for (const blob of fs.readdirSync(BLOBS_PATH)) {
+		if (!used.has(blob)) fs.unlinkSync(blobPath(blob));
+	}
+}
+
+// Newest first, without the manifests and diffs
+function listHistory() {
+	return versionIds().reverse().map(id => {
+		const { manifest, diff, sources, ...entry } = readVersion(id);
+		return entry;
+	});
+}
+
+// The changes version `id` recorded, or with `from` (a version id or
+// 'current') the diff from that manifest to version `id` — what restoring
+// `id` would change.
+function historyDiff(id, from = null) {
+	const version = readVersion(id);
+	if (!from) return { id, from: version.previous, diff: version.diff };
+	const base = from === 'current' ? readManifest() : readVersion(from).manifest;
+	return { id, from, diff: diffManifests(base, version.manifest) };
+}
+
+// Puts version `id` back: its files from the blob store, its credits,
+// metadata and aliases. Files of assets that version did not have are
+// deleted. The current state is recorded first, so a restore can be undone
+// by restoring that version in turn.
+function restoreVersion(id) {
+	const version = readVersion(id);
+	const target = manifestFiles(version.manifest);
+	for (const { file } of target) assetPath(file);
+
+	// Check every stored copy before touching anything
+	const stale = target.filter(f => (fileIntegrity(f.file) || {}).sha256 !== f.sha256);
+	const missing = stale.filter(f => {
+		if (!fs.existsSync(blobPath(f.sha256))) return true;
+		return crypto.createHash('sha256').update(fs.readFileSync(blobPath(f.sha256))).digest('hex') !== f.sha256;
+	}).map(f => f.file);
+	// A manifest written before hashes were recorded (a seeded first version)
+	// does not say which bytes its files had
+	for (const a of version.manifest.assets || []) {
+		if (a.file && !a.sha256) missing.push(a.file);
+	}
+	if (missing.length) {
+		throw new StoreError('Version ' + id + ' cannot be restored: no intact copy of ' + missing.join(', '), 409, { missing });
+	}
+
+	const current = manifestFiles({ assets: regenerateManifestFile() });
+	const wanted = new Set(target.map(f => f.file));
+	const removed = [];
+	for (const { file } of current) {
+		if (wanted.has(file)) continue;
+		const abs = assetPath(file);
+		if (fs.existsSync(abs)) {
+			fs.unlinkSync(abs);
+			removed.push(file);
+		}
+	}
+	for (const { file, sha256 } of stale) writeAssetFile(file, fs.readFileSync(blobPath(sha256)));
+
+	writeCredits(version.sources.credits);
+	writeMetadata(version.sources.metadata);
+	writeAliases(version.sources.aliases);
+	const items = regenerateManifestFile({ restoredFrom: id });
+	return { id, written: stale.map(f => f.file), removed, count: items.length };
+}
+
+// ─── Git ──────────────────────────────────────────────────────────────────────
+// The git panel and `push`: working-tree status grouped by asset, commit
+// messages written from the manifest diff, pull --rebase before every push
+// and branch switching. git runs through lib/git.js with argument arrays.
+
+// Group of changed files that belong to no asset (manifest.json, config...)
+const STORE_GROUP = 'store';
+
+function git(...args) {
+	try {
+		return runGit(ROOT, args);
+	} catch (err) {
+		if (err instanceof GitError) throw new StoreError('git ' + args[0] + ': ' + err.message, 500);
+		throw err;
+	}
+}
+
+function gitChanges() {
+	return parseStatus(git('status', '--porcelain=v1', '-z', '--untracked-files=all'));
+}
+
+// manifest.json as last committed, or an empty one
+function headManifest() {
+	try { return JSON.parse(runGit(ROOT, ['show', 'HEAD:manifest.json'])); }
+	catch { return { assets: [] }; }
+}
+
+// Asset id a file belongs to (the asset itself, its _tex texture, legacy
+// preview, preview or variants), or null for store files
+function gitAssetId(file) {
+	const dir = path.posix.dirname(file);
+	const base = path.posix.basename(file, path.posix.extname(file));
+	if (dir === PREVIEW_FOLDER) return base.toLowerCase();
+	if (dir === VARIANTS_FOLDER) return base.includes('@') ? base.slice(0, base.lastIndexOf('@')) : null;
+	const modelWeapon = getWeapons().find(w => w.modelFolder === dir);
+	if (modelWeapon) return 'model-' + modelWeapon.id + '-' + base.replace(/_tex$/i, '').toLowerCase();
+	return assetIdForFile(file);
+}
+
+// Branch, upstream, ahead/behind and the changed files grouped by asset
+function gitStatus() {
+	const branch = git('rev-parse', '--abbrev-ref', 'HEAD').trim();
+	const upstream = gitUpstream(branch);
+	let ahead = 0;
+	let behind = 0;
+	if (upstream) [behind, ahead] = git('rev-list', '--left-right', '--count', upstream.ref + '...HEAD').trim().split(/\s+/).map(Number);
+
+	const names = new Map(headManifest().assets.concat(readManifest().assets).map(a => [a.id, a.name]));
+	const groups = new Map();
+	const files = gitChanges();
+	for (const f of files) {
+		const id = gitAssetId(f.path) || STORE_GROUP;
+		if (!groups.has(id)) groups.set(id, { id, name: id === STORE_GROUP ? 'Store files' : names.get(id) || id, files: [] });
+		groups.get(id).files.push(f);
+	}
+	return {
+		branch,
+		upstream: upstream && upstream.ref,
+		ahead,
+		behind,
+		clean: files.length === 0,
+		conflicts: files.filter(f => f.change === 'conflict').map(f => f.path),
+		groups: [...groups.values()].sort((a, b) => (a.id === STORE_GROUP) - (b.id === STORE_GROUP) || a.id.localeCompare(b.id)),
+	};
+}
+
+// { remote, ref } the branch tracks, or null
+function gitUpstream(branch) {
+	try {
+		const remote = runGit(ROOT, ['config', 'branch.' + branch + '.remote']).trim();
+		const ref = runGit(ROOT, ['rev-parse', '--abbrev-ref', '--symbolic-full-name', '@{u}']).trim();
+		return remote && ref ? { remote, ref } : null;
+	} catch {
+		return null;
+	}
+}
+
+const ASSET_KINDS = { skin: 'skin', model: 'model', special: 'special skin' };
+// Manifest fields → what a commit message calls them
+const CHANGE_WORDS = {
+	size: 'file', sha256: 'file', file: 'file',
+	texture: 'texture', textureSize: 'texture', textureSha256: 'texture',
+	preview: 'preview', previewSize: 'preview', previewSha256: 'preview',
+	releaseDate: 'release date',
+};
+
+// "Rever AWP skin", "KurunamiAR AR model", "Blood special skin"
+function describeAsset(a) {
+	const name = a.type === 'model' && a.weapon ? a.name + ' ' + a.weapon.toUpperCase() : a.name;
+	return name + ' ' + (ASSET_KINDS[a.type] || 'asset');
+}
+
+// Commit message for the manifest changes since HEAD, e.g. "Add Rever AWP skin
+// (Dev)". Several changes get a counting subject and a line each in the body.
+// `ids` limits the message to those assets.
+function commitMessage(ids = null) {
+	const manifest = readManifest();
+	const diff = diffManifests(headManifest(), manifest);
+	const byId = new Map(manifest.assets.map(a => [a.id, a]));
+	const wanted = id => !ids || ids.includes(id);
+	const lines = [];
+	const counts = { added: 0, renamed: 0, changed: 0, removed: 0 };
+	for (const a of diff.added.filter(a => wanted(a.id))) {
+		lines.push('Add ' + describeAsset(a) + ' (' + (byId.get(a.id).credit || 'Unknown') + ')');
+		counts.added++;
+	}
+	for (const r of diff.renamed.filter(r => wanted(r.id) || wanted(r.from))) {
+		lines.push('Rename ' + r.from + ' to ' + r.id);
+		counts.renamed++;
+	}
+	for (const c of diff.changed.filter(c => wanted(c.id))) {
+		const what = [...new Set(Object.keys(c.changes).map(f => CHANGE_WORDS[f] || f))];
+		lines.push('Update ' + describeAsset(byId.get(c.id)) + ' (' + what.join(', ') + ')');
+		counts.changed++;
+	}
+	for (const a of diff.removed.filter(a => wanted(a.id))) {
+		lines.push('Remove ' + describeAsset(a));
+		counts.removed++;
+	}
+	if (!lines.length) return 'Update store files';
+	if (lines.length === 1) return lines[0];
+	const subject = Object.entries(counts).filter(([, n]) => n).map(([what, n]) => n + ' ' + what).join(', ');
+	return 'Update store assets: ' + subject + '\n\n' + lines.map(l => '- ' + l).join('\n');
+}
+
+// What commitChanges would commit for `groups` (every change when empty):
+// the files and the generated message
+function gitPreview(groups = []) {
+	const status = gitStatus();
+	const unknown = groups.filter(id => !status.groups.some(g => g.id === id));
+	if (unknown.length) throw new StoreError('No changes for ' + unknown.join(', '), 404);
+	const selected = groups.length ? status.groups.filter(g => groups.includes(g.id)) : status.groups;
+	const ids = groups.length ? selected.map(g => g.id).filter(id => id !== STORE_GROUP) : null;
+	return { branch: status.branch, files: selected.flatMap(g => g.files), message: commitMessage(ids) };
+}
+
+// Stages and commits the files of `groups` (every change when empty) with
+// `message`, or the generated one when it is blank
+function commitChanges({ groups = [], message = '' } = {}) {
+	const preview = gitPreview(groups);
+	if (!preview.files.length) throw new StoreError('Nothing to commit', 409);
+	const conflicts = preview.files.filter(f => f.change === 'conflict').map(f => f.path);
+	if (conflicts.length) throw new StoreError('Resolve the merge conflicts first', 409, { conflicts });
+	const text = String(message || '').trim() || preview.message;
+	if (groups.length) {
+		const paths = preview.files.flatMap(f => f.from ? [f.from, f.path] : [f.path]);
+		git('add', '-A', '--', ...paths);
+		git('commit', '-m', text, '--', ...paths);
+	} else {
+		git('add', '-A');
+		git('commit', '-m', text);
+	}
+	return { commit: git('rev-parse', '--short', 'HEAD').trim(), message: text, files: preview.files.length };
+}
+
+// pull --rebase from the upstream, then push (setting the upstream on the
+// first push of a branch). A conflicting rebase is aborted, leaving the local
+// commits as they were, and the conflicting files come back in a 409.
+function pushChanges() {
+	const branch = git('rev-parse', '--abbrev-ref', 'HEAD').trim();
+	if (branch === 'HEAD') throw new StoreError('Not on a branch; switch to one before pushing', 409);
+	assertDirectPush(branch);
+	const upstream = gitUpstream(branch);
+	if (upstream) {
+		try {
+			runGit(ROOT, ['pull', '--rebase', '--autostash']);
+		} catch (err) {
+			if (!(err instanceof GitError)) throw err;
+			const conflicts = gitChanges().filter(f => f.change === 'conflict').map(f => f.path);
+			if (!conflicts.length) throw new StoreError('git pull: ' + err.message, 500);
+			git('rebase', '--abort');
+			throw new StoreError('Pulling ' + upstream.ref + ' conflicts with your commits in ' + conflicts.join(', ') +
+				'; the rebase was aborted and nothing was pushed', 409, { conflicts });
+		}
+		git('push');
+		return { branch, upstream: upstream.ref };
+	}
+	const remote = gitRemote();
+	git('push', '-u', remote, branch);
+	return { branch, upstream: remote + '/' + branch };
+}
+
+// 'origin', or the only remote there is
+function gitRemote() {
+	const remotes = git('remote').split('\n').filter(Boolean);
+	if (!remotes.length) throw new StoreError('No git remote to push to', 409);
+	return remotes.includes('origin') ? 'origin' : remotes[0];
+}
+
+// Direct publishing: commit every change with the generated message (if there
+// is any), then pull and push. See publishChanges for the pull-request mode.
+function gitPublish({ message = '' } = {}) {
+	const status = gitStatus();
+	if (status.clean && status.upstream && !status.ahead) throw new StoreError('Nothing to commit or push', 409);
+	const commit = status.clean ? null : commitChanges({ message });
+	return { commit, ...pushChanges() };
+}
+
+function listBranches() {
+	const lines = (...args) => git(...args).split('\n').filter(Boolean);
+	return {
+		current: git('rev-parse', '--abbrev-ref', 'HEAD').trim(),
+		local: lines('branch', '--format=%(refname:short)'),
+		remote: lines('branch', '-r', '--format=%(refname:short)').filter(b => b.includes('/') && !b.endsWith('/HEAD')),
+	};
+}
+
+// Switches to `branch` (a local one, or one a remote has), or creates it
+// from the current commit. Uncommitted changes come along when git allows it.
+function switchBranch({ branch, create = false }) {
+	const name = String(branch || '').trim();
+	let valid = !!name && !name.startsWith('-');
+	try { if (valid) runGit(ROOT, ['check-ref-format', '--branch', name]); } catch { valid = false; }
+	if (!valid) throw new StoreError('Invalid branch name: ' + name);
+	git('switch', ...(create ? ['-c'] : []), name);
+	return listBranches();
+}
+
+// ─── Publishing ───────────────────────────────────────────────────────────────
+// store-config.json "publish.mode" is "direct" (the default: commit and push
+// the current branch) or "pull-request": then nothing is pushed to the base
+// branch. Changes are committed on a new branch instead, which is pushed and
+// opened as a pull request through the forge API in "publish.forge", and the
+// working tree goes back to the branch it was on. Pull-request mode needs an
+// API token in the environment variable named by forge.tokenEnv
+// (HAZE_FORGE_TOKEN), never in the config; forge.apiUrl can point at
+// `node store-manager.js mock-forge` for testing.
+//
+// Every store pull request also moves the change feed on (manifest revision
+// and updated, changes.json, revision.json), so two opened from the same base
+// conflict in those files once either is merged. A pull request branch is
+// therefore brought up to date with the base before it is pushed, and one
+// that was already open when another got merged is updated with
+// `refresh-pull-request <branch>`: both merge the base in with its feed files
+// and regenerate the manifest on top, which numbers the branch's changes
+// after the base's latest revision.
+
+const PUBLISH_DEFAULTS = {
+	mode: 'direct',
+	baseBranch: 'main',
+	branchPrefix: 'store/',
+	forge: {
+		apiUrl: 'https://api.github.com',
+		repo: 'iydebu/haze-client-assets',
+		tokenEnv: 'HAZE_FORGE_TOKEN',
+		// Where previews of a branch can be viewed, for the pull request summary
+		rawUrl: 'https://raw.githubusercontent.com/{repo}/{ref}/{path}',
+	},
+};
+const PUBLISH_MODES = ['direct', 'pull-request'];
+const MOCK_FORGE_PORT = 4010;
+
+function getPublishConfig() {
+	const cfg = readConfig().publish || {};
+	const publish = { ...PUBLISH_DEFAULTS, ...cfg, forge: { ...PUBLISH_DEFAULTS.forge, ...cfg.forge } };
+	if (!PUBLISH_MODES.includes(publish.mode)) throw new StoreError('publish.mode must be ' + PUBLISH_MODES.join(' or '), 500);
+	return publish;
+}
+
+// In pull-request mode the base branch only changes through merged pull requests
+function assertDirectPush(branch) {
+	const { mode, baseBranch } = getPublishConfig();
+	if (mode === 'pull-request' && branch === baseBranch) {
+		throw new StoreError('Pushing to ' + baseBranch + ' is disabled in pull-request mode; publish a pull request instead', 403);
+	}
+}
+
+// manifest.json at `ref`, or null when it has none
+function manifestAt(ref) {
+	try { return JSON.parse(runGit(ROOT, ['show', ref + ':manifest.json'])); }
+	catch { return null; }
+}
+
+// "store/20261019-153012"
+function pullRequestBranch(prefix) {
+	const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+	let branch = prefix + stamp;
+	for (let n = 2; runGit(ROOT, ['branch', '--list', branch]).trim(); n++) branch = prefix + stamp + '-' + n;
+	return branch;
+}
+
+// Markdown body of a pull request: the assets it adds, removes, renames and
+// changes against the base, with previews (of removed assets from the base)
+function pullRequestSummary(diff, { manifest, baseManifest, head, base }) {
+	const { forge } = getPublishConfig();
+	const rawUrl = (ref, file) => forge.rawUrl.replace('{repo}', forge.repo).replace('{ref}', ref)
+		.replace('{path}', file.split('/').map(encodeURIComponent).join('/'));
+	const cell = text => String(text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+	const table = (assets, ref) => ['| Preview | Name | Id | Credit | Size |', '|---|---|---|---|---|'].concat(assets.map(a =>
+		'| ' + (a.preview ? '<img src="' + rawUrl(ref, a.preview) + '" width="96">' : '') + ' | ' + cell(a.name) + ' | `' + a.id + '` | ' +
+		cell(a.credit || 'Unknown') + ' | ' + formatCliSize((a.size || 0) + (a.textureSize || 0)) + ' |'));
+
+	const byId = new Map(manifest.assets.map(a => [a.id, a]));
+	const oldById = new Map(((baseManifest && baseManifest.assets) || []).map(a => [a.id, a]));
+	const sections = [];
+	if (diff.added.length) sections.push('### Added (' + diff.added.length + ')', ...table(diff.added.map(a => byId.get(a.id)), head), '');
+	if (diff.removed.length) sections.push('### Removed (' + diff.removed.length + ')', ...table(diff.removed.map(a => oldById.get(a.id)), base), '');
+	if (diff.renamed.length) sections.push('### Renamed (' + diff.renamed.length + ')', ...diff.renamed.map(r => '- `' + r.from + '` → `' + r.id + '`'), '');
+	if (diff.changed.length) {
+		sections.push('### Changed (' + diff.changed.length + ')', ...diff.changed.map(c =>
+			'- ' + cell(byId.get(c.id).name) + ' (`' + c.id + '`): ' + [...new Set(Object.keys(c.changes).map(f => CHANGE_WORDS[f] || f))].join(', ')), '');
+	}
+	const s = diff.summary;
+	return [
+		'Store update from the Haze Store Manager: ' + s.assets.from + ' → ' + s.assets.to + ' assets, ' + formatCliDelta(s.bytes.delta) +
+			' (manifest revision ' + ((baseManifest && baseManifest.revision) || 0) + ' → ' + (manifest.revision || 0) + ').',
+		'',
+	].concat(sections.length ? sections : ['No asset changes; only store files changed.']).join('\n');
+}
+
+// Files every regeneration that changes the assets rewrites
+const FEED_FILES = ['manifest.json', 'changes.json', 'revision.json'];
+
+// Merges `baseRef` into the checked-out branch, which must have no
+// uncommitted changes. Conflicts in the feed files are settled by taking the
+// base's copies and regenerating the manifest over them; any other conflict
+// aborts the merge with a 409 listing the files, and a merge git refuses to
+// start is a 500. Returns the merge commit, or null when the branch already
+// contains the base.
+function mergeBaseWithFeed(baseRef) {
+	try {
+		runGit(ROOT, ['merge-base', '--is-ancestor', baseRef, 'HEAD']);
+		return null;
+	} catch (err) {
+		if (!(err instanceof GitError)) throw err;
+	}
+	const dirty = gitChanges().map(f => f.path);
+	if (dirty.length) throw new StoreError('Cannot merge ' + baseRef + ' with uncommitted changes in ' + dirty.join(', '), 409);
+	try {
+		runGit(ROOT, ['merge', '--no-commit', '--no-ff', baseRef]);
+	} catch (err) {
+		if (!(err instanceof GitError)) throw err;
+		// Without MERGE_HEAD git never started the merge; there is nothing to resolve
+		if (!gitRevExists('MERGE_HEAD')) throw new StoreError('git merge: ' + err.message, 500);
+		const conflicts = gitChanges().filter(f => f.change === 'conflict' && !FEED_FILES.includes(f.path)).map(f => f.path);
+		if (conflicts.length) {
+			git('merge', '--abort');
+			throw new StoreError(baseRef + ' conflicts with ' + conflicts.join(', ') + '; the merge was aborted', 409, { conflicts });
+		}
+	}
+	git('checkout', baseRef, '--', ...FEED_FILES.filter(f => gitRevExists(baseRef + ':' + f)));
+	regenerateManifestFile();
+	// git merge staged everything else; only the regenerated feed is new
+	git('add', '--', ...FEED_FILES.filter(f => fs.existsSync(path.join(ROOT, f))));
+	git('commit', '-m', 'Merge ' + baseRef + ' into ' + git('rev-parse', '--abbrev-ref', 'HEAD').trim());
+	return git('rev-parse', '--short', 'HEAD').trim();
+}
+
+// Whether `rev` (a ref, or ref:path) names something
+function gitRevExists(rev) {
+	try {
+		runGit(ROOT, ['rev-parse', '--verify', '--quiet', rev]);
+		return true;
+	} catch {
+		return false;
+	}
+}
+
+// Commits the changes of `groups` (every change when empty) on a new branch,
+// brings it up to date with the base, pushes it and opens a pull request into
+// the base branch. Changes outside `groups` are stashed meanwhile; they and
+// the working tree return to the current branch afterwards.
+async function publishPullRequest({ groups = [], message = '' } = {}) {
+	const cfg = getPublishConfig();
+	const token = process.env[cfg.forge.tokenEnv];
+	if (!token) throw new StoreError('Set ' + cfg.forge.tokenEnv + ' to a token for ' + cfg.forge.apiUrl + ' to open pull requests', 409);
+	const remote = gitRemote();
+	const status = gitStatus();
+	if (status.branch === 'HEAD') throw new StoreError('Not on a branch; switch to one before publishing', 409);
+	git('fetch', remote, cfg.baseBranch);
+	const baseRef = remote + '/' + cfg.baseBranch;
+	const unpublished = Number(git('rev-list', '--count', baseRef + '..HEAD').trim());
+	if (status.clean && !unpublished) throw new StoreError('Nothing to publish: ' + status.branch + ' has no changes against ' + baseRef, 409);
+
+	const branch = pullRequestBranch(cfg.branchPrefix);
+	git('switch', '-c', branch);
+	let commit = null;
+	let pushed = false;
+	let stashed = false;
+	try {
+		if (!status.clean) commit = commitChanges({ groups, message });
+		if (gitChanges().length) {
+			git('stash', 'push', '--include-untracked', '-m', 'Changes left out of ' + branch);
+			stashed = true;
+		}
+		mergeBaseWithFeed(baseRef);
+		const manifest = headManifest();
+		const baseManifest = manifestAt(baseRef);
+		const diff = diffManifests(baseManifest, manifest);
+		git('push', '-u', remote, branch);
+		pushed = true;
+		const title = commit ? commit.message.split('\n')[0] : commitMessage().split('\n')[0];
+		const body = pullRequestSummary(diff, { manifest, baseManifest, head: branch, base: cfg.baseBranch });
+		let pullRequest;
+		try {
+			pullRequest = await createPullRequest(cfg.forge, token, { title, body, head: branch, base: cfg.baseBranch });
+		} catch (err) {
+			if (err instanceof ForgeError) throw new StoreError(err.message, 502);
+			throw err;
+		}
+		return { branch, base: cfg.baseBranch, commit, pullRequest };
+	} catch (err) {
+		if ((commit || pushed) && err instanceof StoreError) {
+			err.message += ' — the changes are on branch ' + branch + (pushed ? ' (pushed)' : '') + ', which is kept';
+			err.details = { ...err.details, branch };
+		}
+		throw err;
+	} finally {
+		git('switch', status.branch);
+		if (!commit && !pushed) git('branch', '-D', branch);
+		if (stashed) {
+			try {
+				runGit(ROOT, ['stash', 'pop']);
+			} catch (err) {
+				if (!(err instanceof GitError)) throw err;
+				throw new StoreError('The changes left out of the pull request could not be put back on ' + status.branch +
+					' (' + err.message + '); they are kept in the git stash — run git stash pop', 409);
+			}
+		}
+	}
+}
+
+// Updates the open pull request branch `branch` after other store pull
+// requests were merged into the base (see the section comment): merges the
+// base in, regenerates the feed and pushes. Needs a clean working tree, which
+// goes back to the current branch afterwards.
+function refreshPullRequest(branch) {
+	const cfg = getPublishConfig();
+	const name = String(branch || '').trim();
+	if (!name || name.startsWith('-') || name === cfg.baseBranch) throw new StoreError('Invalid pull request branch: ' + name);
+	const status = gitStatus();
+	if (!status.clean) throw new StoreError('Commit or discard the changes on ' + status.branch + ' before refreshing a pull request branch', 409);
+	const remote = gitRemote();
+	git('fetch', remote, cfg.baseBranch, name);
+	const baseRef = remote + '/' + cfg.baseBranch;
+
+	if (name !== status.branch) git('switch', name);
+	try {
+		if (gitRevExists(remote + '/' + name)) git('merge', '--ff-only', remote + '/' + name);
+		const merge = mergeBaseWithFeed(baseRef);
+		if (merge) git('push', ...(gitUpstream(name) ? [] : ['-u']), remote, name);
+		return { branch: name, base: cfg.baseBranch, merge, revision: readManifest().revision || 0 };
+	} finally {
+		if (name !== status.branch) git('switch', status.branch);
+	}
+}
+
+// What `push` and /api/git-push do: a pull request in pull-request mode,
+// otherwise commit everything and push the current branch
+async function publishChanges({ message = '' } = {}) {
+	if (getPublishConfig().mode === 'pull-request') return { mode: 'pull-request', ...await publishPullRequest({ message }) };
+	return { mode: 'direct', ...gitPublish({ message }) };
+}
+
+// ─── Submissions ──────────────────────────────────────────────────────────────
+// Uploads from contributors are staged in .store/submissions/<id>/ next to a
+// submission.json, checked like a direct upload, and only reach the asset
+// folders when an admin approves them (through saveSkin/saveModel/saveSpecial).
+
+const SUBMISSIONS_PATH = path.join(ROOT, STATE_FOLDER, 'submissions');
+const SUBMISSION_FILE = 'submission.json';
+const SUBMISSION_ROLES = ['main', 'texture', 'preview'];
+const SUBMISSION_ID_RE = /^\d{8}-[0-9a-f]{8}$/;
+const MAX_COMMENT_LENGTH = 2000;
+
+function submissionDir(id) {
+	if (!SUBMISSION_ID_RE.test(id || '')) throw new StoreError('Invalid submission id: ' + id);
+	return path.join(SUBMISSIONS_PATH, id);
+}
+
+function readSubmission(id) {
+	const file = path.join(submissionDir(id), SUBMISSION_FILE);
+	if (!fs.existsSync(file)) throw new StoreError('No submission ' + id, 404);
+	return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+function writeSubmission(sub) {
+	const dir = submissionDir(sub.id);
+	fs.mkdirSync(dir, { recursive: true });
+	fs.writeFileSync(path.join(dir, SUBMISSION_FILE), JSON.stringify(sub, null, 2) + '\n', 'utf-8');
+}
+
+// Oldest first. `status` is pending, approved, rejected or all; `submittedBy`
+// limits the list to one contributor.
+function listSubmissions({ status = 'pending', submittedBy = null } = {}) {
+	if (!fs.existsSync(SUBMISSIONS_PATH)) return [];
+	return fs.readdirSync(SUBMISSIONS_PATH)
+		.filter(id => SUBMISSION_ID_RE.test(id) && fs.existsSync(path.join(SUBMISSIONS_PATH, id, SUBMISSION_FILE)))
+		.map(readSubmission)
+		.filter(s => (status === 'all' || s.status === status) && (!submittedBy || s.submittedBy === submittedBy))
+		.sort((a, b) => a.submittedAt.localeCompare(b.submittedAt));
+}
+
+// Absolute path of one of a submission's staged files ('main', 'texture' or 'preview')
+function submissionFilePath(sub, role) {
+	const entry = SUBMISSION_ROLES.includes(role) && sub.files[role];
+	if (!entry) throw new StoreError('Submission ' + sub.id + ' has no ' + role + ' file', 404);
+	return path.join(submissionDir(sub.id), entry.stored);
+}
+
+// Stages an upload for review. `files` maps main/texture/preview to
+// { filename, data } (texture and preview optional); `options` holds the
+// texture normalize/format choices applied on approval.
+function createSubmission({ type, weapon, files, credit, options = {}, submittedBy }) {
+	const { main, texture } = files;
+	let warnings;
+	if (type === 'skin' || type === 'special') {
+		if (type === 'skin' && !getWeapon(weapon)) throw new StoreError('Invalid weapon: ' + weapon);
+		requireExt(main.filename, IMAGE_EXTS, 'texture');
+		warnings = prepareTexture(type, { filename: main.filename, data: main.data, weapon, ...options }).warnings;
+	} else if (type === 'model') {
+		requireExt(main.filename, MODEL_EXTS, 'model');
+		if (texture) requireExt(texture.filename, IMAGE_EXTS, 'texture');
+		const report = validateModel(weapon, main.data);
+		if (!report.ok) throw new StoreError('Model rejected: ' + report.errors.join('; '), 422, { report });
+		warnings = report.warnings;
+	} else {
+		throw new StoreError('Invalid type: ' + type);
+	}
+
+	const id = new Date().toISOString().slice(0, 10).replace(/-/g, '') + '-' + crypto.randomBytes(4).toString('hex');
+	const sub = {
+		id,
+		type,
+		weapon: type === 'special' ? null : weapon,
+		name: path.parse(safeFilename(main.filename)).name,
+		credit: credit || submittedBy,
+		options,
+		files: {},
+		submittedBy,
+		submittedAt: new Date().toISOString(),
+		status: 'pending',
+		warnings,
+		comments: [],
+	};
+	const dir = submissionDir(id);
+	fs.mkdirSync(dir, { recursive: true });
+	for (const [role, file] of Object.entries(files)) {
+		if (!file || !file.data || !file.data.length) continue;
+		// Stored under fixed names; the uploaded name is only kept as data
+		const stored = role === 'preview' ? 'preview.webp' : role + path.extname(safeFilename(file.filename));
+		fs.writeFileSync(path.join(dir, stored), file.data);
+		sub.files[role] = { name: file.filename, stored, size: file.data.length };
+	}
+	writeSubmission(sub);
+	return sub;
+}
+
+function pendingSubmission(id) {
+	const sub = readSubmission(id);
+	if (sub.status !== 'pending') throw new StoreError('Submission ' + id + ' was already ' + sub.status, 409);
+	return sub;
+}
+
+// Marks a submission as reviewed and drops its staged files; the record stays.
+function closeSubmission(sub, status, reviewer, extra = {}) {
+	for (const role of Object.keys(sub.files)) {
+		const file = submissionFilePath(sub, role);
+		if (fs.existsSync(file)) fs.unlinkSync(file);
+	}
+	Object.assign(sub, { status, reviewedBy: reviewer, reviewedAt: new Date().toISOString() }, extra);
+	writeSubmission(sub);
+	return sub;
+}
+
+// Moves a submission into the asset folders. A name clash surfaces as the
+// usual 409 from claimAssetName; retry with `onConflict`.
+function approveSubmission(id, { reviewer, onConflict }) {
+	const sub = pendingSubmission(id);
+	const load = role => sub.files[role] && { filename: sub.files[role].name, data: fs.readFileSync(submissionFilePath(sub, role)) };
+	const main = load('main');
+	const preview = load('preview');
+	const common = { preview: preview && preview.data, credit: sub.credit, onConflict };
+	let result;
+	if (sub.type === 'skin') {
+		result = saveSkin({ weapon: sub.weapon, filename: main.filename, data: main.data, ...sub.options, ...common });
+	} else if (sub.type === 'model') {
+		result = saveModel({ weapon: sub.weapon, model: main, texture: load('texture') || null, ...common });
+	} else {
+		result = saveSpecial({ filename: main.filename, data: main.data, ...sub.options, ...common });
+	}
+	closeSubmission(sub, 'approved', reviewer, { file: result.file, assetId: result.id });
+	return { submission: sub, result };
+}
+
+function rejectSubmission(id, { reviewer, reason }) {
+	const sub = pendingSubmission(id);
+	if (reason) sub.comments.push({ by: reviewer, at: new Date().toISOString(), text: String(reason).slice(0, MAX_COMMENT_LENGTH) });
+	return closeSubmission(sub, 'rejected', reviewer);
+}
+
+function commentSubmission(id, { by, text }) {
+	text = String(text || '').trim();
+	if (!text) throw new StoreError('Empty comment');
+	const sub = readSubmission(id);
+	sub.comments.push({ by, at: new Date().toISOString(), text: text.slice(0, MAX_COMMENT_LENGTH) });
+	writeSubmission(sub);
+	return sub;
+}
+
+// ─── Accounts & access control ────────────────────────────────────────────────
+// Accounts live in .store/accounts.json (never published): users sign in with
+// a password and get a session cookie, scripts send an API token as
+// `Authorization: Bearer …`. Roles are viewer < contributor < admin.
+
+const ACCOUNTS_PATH = path.join(ROOT, STATE_FOLDER, 'accounts.json');
+const SESSION_COOKIE = 'haze_session';
+const SERVER_DEFAULTS = {
+	// Extra origins (besides the dashboard itself) allowed to call the API from a browser
+	allowedOrigins: [],
+	sessionHours: 12,
+};
+const USER_NAME_RE = /^[A-Za-z0-9][A-Za-z0-9._-]{0,31}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Minimum role per route. Routes not listed here need admin.
+const ROUTE_ROLES = {
+	'GET /': 'viewer',
+	'GET /api/session': 'viewer',
+	'POST /api/logout': 'viewer',
+	'GET /api/assets': 'viewer',
+	'GET /api/scan': 'viewer',
+	'GET /api/weapons': 'viewer',
+	'GET /api/rarities': 'viewer',
+	'GET /api/verify': 'viewer',
+	'GET /api/changes-since': 'viewer',
+	'GET /api/history': 'viewer',
+	'GET /api/history/diff': 'viewer',
+	'GET /api/pack/export': 'viewer',
+	'POST /api/pack/inspect': 'viewer',
+	'POST /api/check-texture': 'viewer',
+	'POST /api/validate-model': 'viewer',
+	// Below admin these stage a submission instead of writing the asset folders
+	'POST /api/upload-skin': 'contributor',
+	'POST /api/upload-model': 'contributor',
+	'POST /api/upload-special': 'contributor',
+	'POST /api/bulk/plan': 'contributor',
+	// Contributors only see and comment on their own submissions
+	'GET /api/submissions': 'contributor',
+	'GET /api/submission-file': 'contributor',
+	'POST /api/submissions/comment': 'contributor',
+};
+// Reachable without signing in
+const PUBLIC_ROUTES = ['GET /login', 'POST /api/login'];
+
+function getServerConfig() {
+	return { ...SERVER_DEFAULTS, ...readConfig().server };
+}
+
+function readAccounts() {
+	if (!fs.existsSync(ACCOUNTS_PATH)) return { users: {}, tokens: [] };
+	try {
+		const accounts = JSON.parse(fs.readFileSync(ACCOUNTS_PATH, 'utf-8'));
+		return { users: accounts.users || {}, tokens: accounts.tokens || [] };
+	} catch (err) {
+		throw new StoreError(STATE_FOLDER + '/accounts.json is not valid JSON: ' + err.message, 500);
+	}
+}
+
+function writeAccounts(accounts) {
+	fs.mkdirSync(path.dirname(ACCOUNTS_PATH), { recursive: true });
+	fs.writeFileSync(ACCOUNTS_PATH, JSON.stringify(accounts, null, 2) + '\n', { encoding: 'utf-8', mode: 0o600 });
+}
+
+function requireRole(role) {
+	if (!ROLES.includes(role)) throw new StoreError('Invalid role "' + role + '" (expected ' + ROLES.join(', ') + ')');
+}
+
+// Creates or updates a user. Without a password one is generated and returned.
+function addUser({ name, role, password }) {
+	if (!USER_NAME_RE.test(name || '')) throw new StoreError('Invalid user name: ' + name);
+	requireRole(role);
+	const generated = !password;
+	if (generated) password = randomToken(12);
+	if (password.length < MIN_PASSWORD_LENGTH) throw new StoreError('Password must be at least ' + MIN_PASSWORD_LENGTH + ' characters');
+	const accounts = readAccounts();
+	const existed = !!accounts.users[name];
+	accounts.users[name] = { role, password: hashPassword(password) };
+	writeAccounts(accounts);
+	sessions.destroyUser(name);
+	return { name, role, existed, password: generated ? password : undefined };
+}
+
+function removeUser(name) {
+	const accounts = readAccounts();
+	if (!accounts.users[name]) throw new StoreError('No user named ' + name, 404);
+	delete accounts.users[name];
+	writeAccounts(accounts);
+	sessions.destroyUser(name);
+}
+
+// Issues an API token for scripts. The token is only ever shown here.
+function addToken({ name, role }) {
+	if (!USER_NAME_RE.test(name || '')) throw new StoreError('Invalid token name: ' + name);
+	requireRole(role);
+	const { token, hash } = createApiToken();
+	const accounts = readAccounts();
+	const entry = { id: hash.slice(0, 8), name, role, hash, created: new Date().toISOString() };
+	accounts.tokens.push(entry);
+	writeAccounts(accounts);
+	return { id: entry.id, name, role, token };
+}
+
+function revokeToken(id) {
+	const accounts = readAccounts();
+	const tokens = accounts.tokens.filter(t => t.id !== id);
+	if (tokens.length === accounts.tokens.length) throw new StoreError('No token with id ' + id, 404);
+	accounts.tokens = tokens;
+	writeAccounts(accounts);
+}
+
+function listAccounts() {
+	const accounts = readAccounts();
+	return {
+		users: Object.entries(accounts.users).map(([name, u]) => ({ name, role: u.role })),
+		tokens: accounts.tokens.map(({ id, name, role, created }) => ({ id, name, role, created })),
+	};
+}
+
+const sessions = createSessionStore({ ttlMs: getServerConfig().sessionHours * 3600000 });
+const loginLimiter = createLoginLimiter({ max: 10, windowMs: 15 * 60000 });
+// Admin token printed at startup while no accounts exist; valid until restart
+let setupToken = null;
+
+function findToken(token) {
+	if (setupToken && safeEqual(hashApiToken(token), setupToken.hash)) return { name: 'setup', role: 'admin' };
+	const hash = hashApiToken(token);
+	const entry = readAccounts().tokens.find(t => safeEqual(t.hash, hash));
+	return entry ? { name: entry.name, role: entry.role } : null;
+}
+
+// → { user: { name, role }, session } for a signed-in request, null otherwise.
+// `session` is null for bearer-token requests.
+function authenticate(req) {
+	const header = req.headers.authorization || '';
+	if (header.startsWith('Bearer ')) {
+		const user = findToken(header.slice(7).trim());
+		return user ? { user, session: null } : null;
+	}
+	const session = sessions.get(parseCookies(req.headers.cookie)[SESSION_COOKIE]);
+	if (!session) return null;
+	// Role changes and removed accounts take effect on the next request
+	const account = session.user.name === 'setup' ? session.user : readAccounts().users[session.user.name];
+	if (!account) {
+		sessions.destroy(session.id);
+		return null;
+	}
+	session.user.role = account.role;
+	return { user: session.user, session };
+}
+
+function login(req, { name, password, token }) {
+	const key = req.socket.remoteAddress || '';
+	if (loginLimiter.blocked(key)) throw new StoreError('Too many failed sign-ins — try again later', 429);
+	let user = null;
+	if (token) {
+		user = findToken(token);
+	} else if (name && password) {
+		const account = readAccounts().users[name];
+		if (account && verifyPassword(password, account.password)) user = { name, role: account.role };
+	}
+	if (!user) {
+		loginLimiter.fail(key);
+		throw new StoreError('Wrong user name, password or token', 401);
+	}
+	loginLimiter.clear(key);
+	return sessions.create(user);
+}
+
+function sessionCookie(value, maxAgeSeconds) {
+	return SESSION_COOKIE + '=' + value + '; Path=/; HttpOnly; SameSite=Strict; Max-Age=' + maxAgeSeconds;
+}
+
+// The dashboard's own origin, or one listed in store-config.json → server.allowedOrigins
+function isAllowedOrigin(req, origin) {
+	return origin === 'http://' + req.headers.host || getServerConfig().allowedOrigins.includes(origin);
+}
+
+function routeRole(method, pathname) {
+	if (method === 'GET' && pathname.startsWith('/file/')) return 'viewer';
+	return ROUTE_ROLES[method + ' ' + pathname] || 'admin';
+}
+
+// Throws unless the request may use the route: signed in with a high enough
+// role, and for cookie sessions, mutating requests must echo the session's
+// CSRF token. Returns authenticate()'s result (null on public routes).
+function authorize(req, pathname) {
+	const mutating = req.method !== 'GET' && req.method !== 'HEAD';
+	const origin = req.headers.origin;
+	if (mutating && origin && !isAllowedOrigin(req, origin)) throw new StoreError('Origin ' + origin + ' is not allowed', 403);
+	if (PUBLIC_ROUTES.includes(req.method + ' ' + pathname)) return null;
+
+	const auth = authenticate(req);
+	if (!auth) throw new StoreError('Sign in required', 401);
+	if (mutating && auth.session && !safeEqual(req.headers['x-csrf-token'] || '', auth.session.csrf)) {
+		throw new StoreError('Missing or invalid CSRF token', 403);
+	}
+	const needed = routeRole(req.method, pathname);
+	if (!roleAtLeast(auth.user.role, needed)) throw new StoreError('This needs the ' + needed + ' role', 403);
+	return auth;
+}
+
+// ─── Dashboard HTML ───────────────────────────────────────────────────────────
+function getDashboardHTML() {
+	return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>Haze Store Manager</title>
+<script type="importmap">
+{ "imports": {
+    "three": "https://cdn.jsdelivr.net/npm/three@0.169.0/build/three.module.js",
+    "three/addons/": "https://cdn.jsdelivr.net/npm/three@0.169.0/examples/jsm/"
+}}
+</script>
+<style>
+*{box-sizing:border-box;margin:0;padding:0}
+body{background:#0a0e1a;color:#e0e0e0;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;padding:20px}
+h1{color:#00ff88;margin-bottom:6px;font-size:24px}
+.subtitle{color:rgba(255,255,255,0.4);font-size:13px;margin-bottom:24px}
+.toolbar{display:flex;gap:10px;margin-bottom:20px;flex-wrap:wrap;align-items:center}
+.toolbar button{background:linear-gradient(145deg,#1a2240,#12182b);border:1px solid rgba(0,255,136,0.2);color:#00ff88;padding:8px 16px;border-radius:6px;cursor:pointer;font-size:13px;transition:all 0.2s}
+.toolbar button:hover{background:linear-gradient(145deg,#1e2850,#161d30);border-color:#00ff88}
+.toolbar button.danger{color:#ff6b8a;border-color:rgba(255,107,138,0.2)}
+.toolbar button.danger:hover{border-color:#ff6b8a}
+.filters{display:flex;gap:6px;margin-bottom:16px;flex-wrap:wrap;align-items:center}
+.filters button{background:rgba(255,255,255,0.05);border:1px solid rgba(255,255,255,0.1);color:rgba(255,255,255,0.6);padding:6px 14px;border-radius:20px;cursor:pointer;font-size:12px;transition:all 0.2s}
+.filters button.active{background:rgba(0,255,136,0.15);border-color:#00ff88;color:#00ff88}
+.filters input[type=search],.filters select{background:#080b14;border:1px solid rgba(255,255,255,0.1);color:#e0e0e0;padding:6px 10px;border-radius:6px;font-size:12px}
+.filters input[type=search]{width:240px}
+.filters label{font-size:12px;color:rgba(255,255,255,0.6);display:flex;align-items:center;gap:4px}
+.filter-types{display:flex;gap:6px}
+.filter-count{font-size:12px;color:rgba(255,255,255,0.4);margin-left:auto}
+.grid{display:grid;grid-template-columns:repeat(auto-fill,minmax(200px,1fr));gap:14px}
+.card{background:linear-gradient(145deg,#12182b,#0a0e1a);border:1px solid rgba(255,255,255,0.08);border-radius:10px;overflow:hidden;transition:all 0.2s;position:relative}
+.card:hover{border-color:rgba(0,255,136,0.3);transform:translateY(-2px)}
+.card-preview{width:100%;aspect-ratio:4/3;background:#080b14;display:flex;align-items:center;justify-content:center;overflow:hidden}
+.card-preview img{width:100%;height:100%;object-fit:cover}
+.card-preview .placeholder{font-size:40px;opacity:0.3}
+.card-info{padding:10px 12px}
+.card-name{font-size:13px;font-weight:600;color:#fff;margin-bottom:4px;white-space:nowrap;overflow:hidden;text-overflow:ellipsis}
+.card-meta{font-size:11px;color:rgba(255,255,255,0.4);display:flex;justify-content:space-between;align-items:center}
+.card-type{background:rgba(0,255,136,0.1);color:#00ff88;padding:2px 8px;border-radius:10px;font-size:10px;text-transform:uppercase}
+.card-type.model{background:rgba(138,107,255,0.1);color:#8a6bff}
+.card-type.special{background:rgba(255,200,50,0.1);color:#ffc832}
+.card-credit{font-size:10px;color:rgba(0,255,136,0.6);margin-top:2px;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;cursor:pointer}
+.card-credit:hover{color:rgba(0,255,136,0.9)}
+.card-credit svg{width:10px;height:10px;vertical-align:-1px;margin-right:3px;fill:rgba(0,255,136,0.5)}
+.card-credit-text{cursor:pointer}
+.card.hidden-asset{opacity:0.55}
+.card-edit{position:absolute;top:6px;right:32px;background:rgba(0,255,136,0.8);border:none;color:#0a0e1a;width:22px;height:22px;border-radius:50%;cursor:pointer;font-size:12px;display:none;align-items:center;justify-content:center;line-height:1}
+.card:hover .card-edit{display:flex}
+.card-badges{display:flex;gap:4px;flex-wrap:wrap;margin-top:4px;font-size:10px;color:rgba(255,255,255,0.4)}
+.card-rarity{padding:1px 6px;border-radius:8px;background:rgba(255,255,255,0.08);text-transform:uppercase}
+.card-rarity.rarity-uncommon{color:#6bff9e}
+.card-rarity.rarity-rare{color:#6bb8ff}
+.card-rarity.rarity-epic{color:#b86bff}
+.card-rarity.rarity-legendary{color:#ffc832}
+.card-editor{display:flex;flex-direction:column;gap:5px}
+.card-editor input,.card-editor textarea,.card-editor select{background:#080b14;border:1px solid rgba(255,255,255,0.1);color:#e0e0e0;padding:4px 6px;border-radius:4px;font-size:11px;width:100%;font-family:inherit}
+.card-editor textarea{resize:vertical;min-height:40px}
+.card-editor label{font-size:11px;color:rgba(255,255,255,0.5);display:flex;gap:6px;align-items:center}
+.card-editor label input{width:auto}
+.card-editor-actions{display:flex;gap:6px}
+.card-editor-actions button{flex:1;padding:4px 8px;font-size:11px}
+.credit-input{background:#080b14;border:1px solid rgba(255,255,255,0.1);color:#e0e0e0;padding:4px 8px;border-radius:4px;font-size:11px;width:120px}
+.credit-input::placeholder{color:rgba(255,255,255,0.2)}
+.card-delete{position:absolute;top:6px;right:6px;background:rgba(255,50,50,0.8);border:none;color:#fff;width:22px;height:22px;border-radius:50%;cursor:pointer;font-size:12px;display:none;align-items:center;justify-content:center;line-height:1}
+.card:hover .card-delete{display:flex}
+.card-select{position:absolute;top:8px;left:8px;width:16px;height:16px;cursor:pointer;display:none;z-index:1;accent-color:#00ff88}
+.card:hover .card-select,.grid.selecting .card-select{display:block}
+.card.selected{border-color:#00ff88;box-shadow:0 0 0 1px #00ff88}
+body:not(.role-admin) .admin-only{display:none!important}
+body.role-viewer .contributor-only{display:none!important}
+.user-info{margin-left:auto;font-size:12px;color:rgba(255,255,255,0.4)}
+.status{padding:12px 16px;border-radius:8px;margin-bottom:16px;font-size:13px;display:none}
+.status.success{display:block;background:rgba(0,255,136,0.1);border:1px solid rgba(0,255,136,0.2);color:#00ff88}
+.status.error{display:block;background:rgba(255,107,138,0.1);border:1px solid rgba(255,107,138,0.2);color:#ff6b8a}
+.status-action{color:inherit;font-weight:600;margin-left:12px;text-decoration:underline}
+.drop-zone{border:2px dashed rgba(0,255,136,0.2);border-radius:10px;padding:40px;text-align:center;color:rgba(255,255,255,0.3);margin-bottom:20px;transition:all 0.2s;display:none}
+.drop-zone.visible{display:block}
+.drop-zone.dragover{border-color:#00ff88;background:rgba(0,255,136,0.05);color:#00ff88}
+.stats{display:flex;gap:20px;margin-bottom:20px}
+.stat{background:linear-gradient(145deg,#12182b,#0a0e1a);border:1px solid rgba(255,255,255,0.08);border-radius:8px;padding:12px 16px;flex:1}
+.stat-value{font-size:22px;font-weight:700;color:#00ff88}
+.stat-label{font-size:11px;color:rgba(255,255,255,0.4);margin-top:2px}
+.upload-section{display:none;margin-bottom:20px;background:linear-gradient(145deg,#12182b,#0a0e1a);border:1px solid rgba(255,255,255,0.08);border-radius:10px;padding:16px}
+.upload-section.visible{display:block}
+.upload-section h3{color:#00ff88;margin-bottom:12px;font-size:14px}
+.upload-row{display:flex;gap:10px;align-items:center;flex-wrap:wrap;margin-bottom:12px}
+.upload-row select,.upload-row input[type=file]{background:#080b14;border:1px solid rgba(255,255,255,0.1);color:#e0e0e0;padding:8px 12px;border-radius:6px;font-size:13px}
+.upload-row select{min-width:140px}
+.upload-row label{font-size:12px;color:rgba(255,255,255,0.5)}
+.upload-tabs{display:flex;gap:4px;margin-bottom:16px}
+.upload-tab{background:rgba(255,255,255,0.05);border:1px solid rgba(255,255,255,0.1);color:rgba(255,255,255,0.5);padding:8px 20px;border-radius:8px 8px 0 0;cursor:pointer;font-size:13px;transition:all 0.2s}
+.upload-tab.active{background:rgba(0,255,136,0.1);border-color:rgba(0,255,136,0.3);color:#00ff88}
+.tab-content{display:none}
+.tab-content.active{display:block}
+.preview-area{position:relative;width:400px;height:300px;background:#080b14;border:1px solid rgba(255,255,255,0.08);border-radius:8px;overflow:hidden;margin-top:8px}
+.preview-area canvas{display:block}
+.loading-overlay{position:absolute;top:0;left:0;width:100%;height:100%;background:rgba(8,11,20,0.85);display:none;align-items:center;justify-content:center;color:rgba(255,255,255,0.5);font-size:13px}
+.loading-overlay.visible{display:flex}
+.webgl-warning{background:rgba(255,200,50,0.1);border:1px solid rgba(255,200,50,0.3);color:#ffc832;padding:12px 16px;border-radius:8px;margin-bottom:16px;font-size:13px}
+.upload-btn{background:linear-gradient(145deg,#1a2240,#12182b);border:1px solid rgba(0,255,136,0.2);color:#00ff88;padding:8px 16px;border-radius:6px;cursor:pointer;font-size:13px;transition:all 0.2s}
+.upload-btn.danger{color:#ff6b8a;border-color:rgba(255,107,138,0.2)}
+.upload-btn:hover{background:linear-gradient(145deg,#1e2850,#161d30);border-color:#00ff88}
+.upload-btn:disabled{opacity:0.4;cursor:not-allowed}
+.viewer-modal{position:fixed;top:0;left:0;width:100%;height:100%;background:rgba(0,0,0,0.9);z-index:1000;display:none;align-items:center;justify-content:center}
+.viewer-modal.visible{display:flex}
+.viewer-content{background:#0a0e1a;border:1px solid rgba(255,255,255,0.1);border-radius:12px;max-width:90vw;max-height:90vh;display:flex;flex-direction:column;overflow:hidden;min-width:500px}
+.viewer-header{display:flex;justify-content:space-between;align-items:center;padding:12px 16px;border-bottom:1px solid rgba(255,255,255,0.08)}
+.viewer-header span{color:#fff;font-size:14px;font-weight:600}
+.viewer-close{background:none;border:none;color:rgba(255,255,255,0.5);font-size:24px;cursor:pointer;padding:0 4px;line-height:1}
+.viewer-close:hover{color:#ff6b8a}
+#viewerCanvas{display:block;width:100%;background:#080b14}
+.viewer-footer{display:flex;justify-content:space-between;align-items:center;padding:12px 16px;border-top:1px solid rgba(255,255,255,0.08)}
+.viewer-info{color:rgba(255,255,255,0.4);font-size:12px}
+.view3d-link{color:#00ff88;font-size:12px;cursor:pointer;margin-top:6px;display:none;text-decoration:underline}
+.view3d-link:hover{color:#33ffaa}
+.gen-progress{color:rgba(255,255,255,0.5);font-size:12px;margin-left:8px}
+.panel{display:none;margin-bottom:20px;background:linear-gradient(145deg,#12182b,#0a0e1a);border:1px solid rgba(255,255,255,0.08);border-radius:10px;padding:16px}
+.panel.visible{display:block}
+.panel h3{color:#00ff88;margin-bottom:12px;font-size:14px;display:flex;justify-content:space-between;align-items:center}
+.verify-summary{font-size:13px;color:rgba(255,255,255,0.6);margin-bottom:12px}
+.issue-group{margin-bottom:12px}
+.issue-group-title{font-size:12px;color:#ffc832;margin-bottom:4px}
+.issue-group-title.repairable{color:#00ff88}
+.issue-list{list-style:none;font-size:12px;color:rgba(255,255,255,0.6);font-family:monospace}
+.issue-list li{padding:2px 0}
+.issue-list .issue-detail{color:rgba(255,255,255,0.35);margin-left:8px}
+.panel-select{background:#080b14;border:1px solid rgba(255,255,255,0.1);color:#e0e0e0;padding:4px 8px;border-radius:6px;font-size:12px}
+.submission{display:flex;gap:14px;padding:12px 0;border-top:1px solid rgba(255,255,255,0.06)}
+.submission .card-preview{width:160px;flex-shrink:0;border-radius:6px}
+.submission-body{flex:1;min-width:0}
+.submission-title{font-size:14px;color:#fff;margin-bottom:4px}
+.submission-status{font-size:11px;padding:1px 8px;border-radius:10px;background:rgba(255,255,255,0.08);color:rgba(255,255,255,0.6)}
+.submission-status.approved{color:#00ff88}
+.submission-status.rejected{color:#ff6b8a}
+.submission-comments{margin:6px 0;font-family:inherit}
+.git-group{padding:6px 0;border-top:1px solid rgba(255,255,255,0.06)}
+.git-group label.option{display:flex;align-items:center;gap:6px;font-size:13px;color:#fff;cursor:pointer;margin-bottom:4px}
+.git-change{display:inline-block;width:64px;color:rgba(255,255,255,0.4)}
+.git-change.added{color:#00ff88}
+.git-change.deleted,.git-change.conflict{color:#ff6b8a}
+.git-message{width:100%;margin:10px 0 8px;background:#080b14;border:1px solid rgba(255,255,255,0.1);color:#e0e0e0;padding:8px;border-radius:6px;font-family:monospace;font-size:12px;resize:vertical}
+.history-version{padding:8px 0;border-top:1px solid rgba(255,255,255,0.06)}
+.history-head{display:flex;align-items:center;gap:10px;flex-wrap:wrap}
+.history-head .verify-summary{flex:1;margin:0}
+.history-date{font-family:monospace;font-size:12px;color:#fff}
+.history-diff{display:none;margin-top:8px}
+.history-diff.visible{display:block}
+.issue-list .diff-added{color:#00ff88}
+.issue-list .diff-removed{color:#ff6b8a}
+.diff-fields{margin-left:16px}
+.bulk-table{width:100%;border-collapse:collapse;font-size:12px;margin:8px 0}
+.bulk-table th{text-align:left;font-weight:normal;color:rgba(255,255,255,0.4);padding:4px 6px}
+.bulk-table td{padding:4px 6px;border-top:1px solid rgba(255,255,255,0.06);vertical-align:middle}
+.bulk-table progress{width:100px}
+.bulk-path{font-family:monospace;color:#fff}
+.bulk-note{display:block;font-size:11px;color:rgba(255,255,255,0.35)}
+.bulk-status.done{color:#00ff88}
+.bulk-status.failed,.bulk-status.conflict{color:#ff6b8a}
+.upload-report{display:none;font-size:12px;margin-bottom:8px;padding:8px 12px;border-radius:6px;background:#080b14;border:1px solid rgba(255,255,255,0.08);color:rgba(255,255,255,0.6)}
+.upload-report.visible{display:block}
+.upload-report.ok{border-color:rgba(0,255,136,0.3)}
+.upload-report.rejected{border-color:rgba(255,107,138,0.4)}
+.upload-report div{padding:1px 0}
+.upload-report .report-error{color:#ff6b8a}
+.upload-report .report-warning{color:#ffc832}
+.upload-report .report-stats{color:rgba(255,255,255,0.4)}
+.upload-row label.option{display:flex;align-items:center;gap:4px;cursor:pointer}
+</style>
+</head>
+<body>
+
+<h1>Haze Store Manager</h1>
+<p class="subtitle">Manage skins, models, and special assets for haze-client-assets</p>
+
+<div class="stats" id="stats"></div>
+<div id="webglWarning" class="webgl-warning" style="display:none">
+  &#9888; WebGL not available. 3D viewer disabled &mdash; previews are rendered on the server instead.
+</div>
+<div class="status" id="status"></div>
+
+<div class="toolbar">
+  <button onclick="toggleUpload()" class="contributor-only">+ Add Asset</button>
+  <button onclick="regenerateManifest()" class="admin-only">Save Manifest</button>
+  <button onclick="toggleGit()" class="danger admin-only">Git</button>
+  <button onclick="loadAssets()">Refresh</button>
+  <button onclick="generateAllPreviews()" class="admin-only">Generate All Previews</button>
+  <button onclick="verifyStore()">Verify</button>
+  <button onclick="toggleWeapons()">Weapons</button>
+  <button onclick="toggleHistory()">History</button>
+  <button onclick="toggleTrash()" class="admin-only">Trash</button>
+  <button onclick="togglePacks()">Packs</button>
+  <button onclick="toggleSubmissions()" class="contributor-only">Submissions<span id="submissionCount"></span></button>
+  <span class="user-info" id="userInfo"></span>
+  <button onclick="logout()">Sign out</button>
+</div>
+
+<div class="panel" id="weaponsSection">
+  <h3><span>Weapon Catalogue</span></h3>
+  <ul class="issue-list" id="weaponList"></ul>
+  <div class="upload-row admin-only" style="margin-top:12px">
+    <label>Id:</label>
+    <input type="text" id="weaponId" class="credit-input" placeholder="pistol">
+    <label>Name:</label>
+    <input type="text" id="weaponName" class="credit-input" placeholder="Pistol">
+    <label>Skin folder:</label>
+    <input type="text" id="weaponSkinFolder" class="credit-input" placeholder="PISTOL">
+    <label>Model folder:</label>
+    <input type="text" id="weaponModelFolder" class="credit-input" placeholder="Models/PISTOL">
+  </div>
+  <div class="upload-row admin-only">
+    <label>Default model:</label>
+    <input type="text" id="weaponDefaultModel" class="credit-input" style="width:200px" placeholder="DefaultModels/pistol.glb">
+    <label>Upload GLB (if missing):</label>
+    <input type="file" id="weaponDefaultFile" accept=".glb">
+    <button class="upload-btn" onclick="addWeapon()">Add Weapon</button>
+  </div>
+</div>
+
+<div class="panel" id="submissionsSection">
+  <h3><span>Submissions</span>
+    <select id="submissionStatus" class="panel-select" onchange="loadSubmissions()">
+      <option value="pending">Pending</option>
+      <option value="approved">Approved</option>
+      <option value="rejected">Rejected</option>
+      <option value="all">All</option>
+    </select>
+  </h3>
+  <div id="submissionList"></div>
+</div>
+
+<div class="panel" id="verifySection">
+  <h3><span>Manifest / Disk Check</span><button class="upload-btn admin-only" id="repairBtn" onclick="repairStore()">Repair</button></h3>
+  <div class="verify-summary" id="verifySummary"></div>
+  <div id="verifyIssues"></div>
+</div>
+
+<div class="panel" id="gitSection">
+  <h3><span>Git</span>
+    <span>
+      <select id="gitBranch" class="panel-select" onchange="switchBranch(false)"></select>
+      <button class="upload-btn" onclick="switchBranch(true)">New branch</button>
+    </span>
+  </h3>
+  <div class="verify-summary" id="gitSummary"></div>
+  <div id="gitConflicts"></div>
+  <div id="gitGroups"></div>
+  <textarea id="gitMessage" class="git-message" rows="4" placeholder="Commit message"></textarea>
+  <div class="upload-row">
+    <button class="upload-btn" onclick="gitCommit(false)">Commit</button>
+    <button class="upload-btn git-direct" onclick="gitCommit(true)">Commit &amp; Push</button>
+    <button class="upload-btn git-direct" onclick="gitPushOnly()">Pull &amp; Push</button>
+    <button class="upload-btn" onclick="gitPublishPR()">Open Pull Request</button>
+    <button class="upload-btn git-pr" onclick="gitRefreshPR()">Update PR Branch</button>
+    <span class="gen-progress" id="gitPreview"></span>
+  </div>
+</div>
+
+<div class="panel" id="trashSection">
+  <h3><span>Trash</span><button class="upload-btn danger" onclick="purgeTrash(null)">Empty trash</button></h3>
+  <div class="verify-summary" id="trashInfo"></div>
+  <ul class="issue-list" id="trashList"></ul>
+</div>
+
+<div class="panel" id="historySection">
+  <h3><span>Manifest History</span></h3>
+  <div id="historyList"></div>
+</div>
+
+<div class="panel" id="packsSection">
+  <h3><span>Asset Packs</span><button class="upload-btn" onclick="exportPack()">Export shown assets</button></h3>
+  <div class="verify-summary" id="packExportInfo"></div>
+  <div class="upload-row admin-only" style="margin-top:12px">
+    <label>Import pack:</label>
+    <input type="file" id="packFile" accept=".zip" onchange="checkPack()">
+    <label>Existing assets:</label>
+    <select id="packConflict" class="panel-select">
+      <option value="">Stop and ask</option>
+      <option value="skip">Skip them</option>
+      <option value="rename">Import under a free name</option>
+      <option value="replace">Replace them</option>
+    </select>
+    <button class="upload-btn" onclick="importPack()">Import</button>
+  </div>
+  <div id="packReport"></div>
+</div>
+
+<div class="upload-section" id="uploadSection">
+  <h3>Upload New Asset</h3>
+  <div class="upload-tabs">
+    <button class="upload-tab active" onclick="switchTab('skin')">Skin</button>
+    <button class="upload-tab" onclick="switchTab('model')">Model</button>
+    <button class="upload-tab" onclick="switchTab('special')">Special</button>
+  </div>
+
+  <!-- Skin Tab -->
+  <div class="tab-content active" id="tab-skin">
+    <div class="upload-row">
+      <label>Weapon:</label>
+      <select id="skinWeapon" class="weapon-select"></select>
+      <label>Texture:</label>
+      <input type="file" id="skinFile" accept=".png,.jpg,.jpeg,.webp">
+      <label>Creator:</label>
+      <input type="text" id="skinCreator" class="credit-input" placeholder="Creator name">
+      <button class="upload-btn" id="skinUploadBtn" onclick="uploadSkin()" disabled>Upload Skin</button>
+    </div>
+    <div class="upload-row">
+      <label class="option"><input type="checkbox" id="skinNormalize"> Convert if over the limits</label>
+      <label class="option"><input type="checkbox" id="skinWebp"> Store as WebP</label>
+    </div>
+    <div class="upload-report" id="skinReport"></div>
+    <div class="preview-area">
+      <canvas id="skinCanvas" width="400" height="300"></canvas>
+      <div class="loading-overlay" id="skinLoading">Rendering 3D preview...</div>
+    </div>
+    <div class="view3d-link" id="skinView3d" onclick="viewUploadedSkin3D()">View in 3D &rarr;</div>
+  </div>
+
+  <!-- Model Tab -->
+  <div class="tab-content" id="tab-model">
+    <div class="upload-row">
+      <label>Weapon:</label>
+      <select id="modelWeapon" class="weapon-select"></select>
+      <label>Model (.glb):</label>
+      <input type="file" id="modelFile" accept=".glb">
+      <label>Texture:</label>
+      <input type="file" id="modelTexture" accept=".png,.jpg,.jpeg,.webp">
+      <label>Creator:</label>
+      <input type="text" id="modelCreator" class="credit-input" placeholder="Creator name">
+      <button class="upload-btn" id="modelUploadBtn" onclick="uploadModel()" disabled>Upload Model</button>
+    </div>
+    <div class="upload-report" id="modelReport"></div>
+    <div class="preview-area">
+      <canvas id="modelCanvas" width="400" height="300"></canvas>
+      <div class="loading-overlay" id="modelLoading">Rendering 3D preview...</div>
+    </div>
+    <div class="view3d-link" id="modelView3d" onclick="viewUploadedModel3D()">View in 3D &rarr;</div>
+  </div>
+
+  <!-- Special Tab -->
+  <div class="tab-content" id="tab-special">
+    <div class="upload-row">
+      <label>Image:</label>
+      <input type="file" id="specialFile" accept=".png,.jpg,.jpeg,.webp">
+      <label>Creator:</label>
+      <input type="text" id="specialCreator" class="credit-input" placeholder="Creator name">
+      <button class="upload-btn" id="specialUploadBtn" onclick="uploadSpecial()" disabled>Upload Special</button>
+    </div>
+    <div class="upload-row">
+      <label class="option"><input type="checkbox" id="specialNormalize"> Convert if over the limits</label>
+      <label class="option"><input type="checkbox" id="specialWebp"> Store as WebP</label>
+    </div>
+    <div class="upload-report" id="specialReport"></div>
+    <div class="preview-area">
+      <canvas id="specialCanvas" width="400" height="300"></canvas>
+      <div class="loading-overlay" id="specialLoading">Processing preview...</div>
+    </div>
+  </div>
+</div>
+
+<div class="drop-zone visible contributor-only" id="dropZone">
+  Drop skins, specials, models (.glb with Name_tex textures) or whole folders here
+</div>
+
+<div class="panel contributor-only" id="bulkSection">
+  <h3><span>Bulk Upload</span><span class="gen-progress" id="bulkProgress"></span></h3>
+  <div class="upload-row">
+    <label>Files:</label>
+    <input type="file" id="bulkFiles" multiple accept=".png,.jpg,.jpeg,.webp,.glb">
+    <label>Folder:</label>
+    <input type="file" id="bulkFolder" webkitdirectory>
+    <label>Creator:</label>
+    <input type="text" id="bulkCreator" class="credit-input" placeholder="Creator name">
+  </div>
+  <div class="upload-row">
+    <label class="option"><input type="checkbox" id="bulkNormalize"> Convert if over the limits</label>
+    <label class="option"><input type="checkbox" id="bulkWebp"> Store as WebP</label>
+    <label>Existing names:</label>
+    <select id="bulkConflict" class="panel-select">
+      <option value="">Ask per file</option>
+      <option value="rename">Use a free name</option>
+      <option value="replace">Replace</option>
+    </select>
+  </div>
+  <table class="bulk-table" id="bulkTable"></table>
+  <ul class="issue-list" id="bulkUnused"></ul>
+  <div class="upload-row">
+    <button class="upload-btn" onclick="uploadBulk(false)">Upload</button>
+    <button class="upload-btn" onclick="uploadBulk(true)">Retry failed</button>
+    <button class="upload-btn" onclick="clearBulk()">Clear</button>
+  </div>
+</div>
+
+<div class="filters" id="filters">
+  <input type="search" id="filterSearch" placeholder="Search name, description, id, credit">
+  <span class="filter-types" id="filterTypes"></span>
+  <select id="filterWeapon"></select>
+  <select id="filterCredit"></select>
+  <label><input type="checkbox" id="filterNoPreview"> Missing preview</label>
+  <select id="sortBy">
+    <option value="name">Sort: name</option>
+    <option value="size">Sort: size (largest first)</option>
+    <option value="added">Sort: date added (newest first)</option>
+    <option value="credit">Sort: creator</option>
+  </select>
+  <span class="filter-count" id="filterCount"></span>
+  <button id="filterClear">Clear</button>
+</div>
+<div class="panel" id="selectionSection">
+  <h3><span id="selectionCount"></span><span><button class="upload-btn" onclick="selectAllShown()">Select all shown</button> <button class="upload-btn" onclick="clearSelection()">Clear selection</button></span></h3>
+  <div class="upload-row">
+    <button class="upload-btn" onclick="bulkExport()">Export pack</button>
+    <span class="admin-only">
+      <button class="upload-btn" onclick="bulkPreviews()">Regenerate previews</button>
+      <button class="upload-btn danger" onclick="bulkDelete()">Delete</button>
+    </span>
+  </div>
+  <div class="upload-row admin-only">
+    <label>Credit:</label>
+    <input type="text" id="bulkCredit" class="credit-input" placeholder="Creator (empty = Unknown)">
+    <button class="upload-btn" onclick="bulkSetCredit()">Set credit</button>
+    <label>Tags:</label>
+    <input type="text" id="bulkTags" class="credit-input" placeholder="tag-a, tag-b">
+    <button class="upload-btn" onclick="bulkTag(false)">Add tags</button>
+    <button class="upload-btn" onclick="bulkTag(true)">Remove tags</button>
+    <label>Move to:</label>
+    <select id="bulkWeapon" class="weapon-select panel-select"></select>
+    <button class="upload-btn" onclick="bulkMove()">Move</button>
+  </div>
+  <ul class="issue-list" id="bulkReport"></ul>
+</div>
+<div class="grid" id="grid"></div>
+
+<div id="viewerModal" class="viewer-modal">
+  <div class="viewer-content">
+    <div class="viewer-header">
+      <span id="viewerTitle">3D Viewer</span>
+      <button class="viewer-close" onclick="closeViewer()">&times;</button>
+    </div>
+    <canvas id="viewerCanvas" width="800" height="600"></canvas>
+    <div class="viewer-footer">
+      <span id="viewerInfo" class="viewer-info">Drag to rotate &middot; Scroll to zoom</span>
+      <button class="upload-btn admin-only" id="genPreviewBtn" onclick="generatePreview()">Generate Preview</button>
+    </div>
+  </div>
+</div>
+
+<script type="module">
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+
+// ─── WebGL Detection ──────────────────────────────────────────────────────────
+var hasWebGL = false;
+try {
+  var tc = document.createElement('canvas');
+  hasWebGL = !!(tc.getContext('webgl2') || tc.getContext('webgl'));
+} catch(e) {}
+if (!hasWebGL) document.getElementById('webglWarning').style.display = 'block';
+
+// ─── Gradient Background Helper ──────────────────────────────────────────────
+function createGradientBackground() {
+  var c = document.createElement('canvas');
+  c.width = 2; c.height = 256;
+  var ctx = c.getContext('2d');
+  var grad = ctx.createLinearGradient(0, 0, 0, 256);
+  grad.addColorStop(0, '#1a2240');
+  grad.addColorStop(0.5, '#12182b');
+  grad.addColorStop(1, '#0a0e1a');
+  ctx.fillStyle = grad;
+  ctx.fillRect(0, 0, 2, 256);
+  var tex = new THREE.CanvasTexture(c);
+  tex.colorSpace = THREE.SRGBColorSpace;
+  return tex;
+}
+
+// ─── PreviewRenderer ─────────────────────────────────────────────────────────
+class PreviewRenderer {
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.renderer = new THREE.WebGLRenderer({
+      canvas: canvas, alpha: true, antialias: true, preserveDrawingBuffer: true
+    });
+    this.renderer.setSize(400, 300);
+    this.renderer.setPixelRatio(1);
+    this.renderer.outputColorSpace = THREE.SRGBColorSpace;
+  }
+
+  async render(glbSource, textureSource) {
+    var scene = new THREE.Scene();
+    scene.background = createGradientBackground();
+    var camera = new THREE.PerspectiveCamera(45, 400 / 300, 0.1, 100);
+
+    // Lights: strong for dark background — ambient 1.0, key 1.5, fill 0.8, rim 0.5
+    scene.add(new THREE.AmbientLight(0xffffff, 1.0));
+    var dirLight = new THREE.DirectionalLight(0xffffff, 1.5);
+    dirLight.position.set(5, 5, 5);
+    scene.add(dirLight);
+    var fillLight = new THREE.DirectionalLight(0xffffff, 0.8);
+    fillLight.position.set(-3, 2, -3);
+    scene.add(fillLight);
+    var rimLight = new THREE.DirectionalLight(0xffffff, 0.5);
+    rimLight.position.set(0, 3, -5);
+    scene.add(rimLight);
+
+    // Load GLB
+    var loader = new GLTFLoader();
+    var gltf;
+    if (glbSource instanceof ArrayBuffer) {
+      gltf = await new Promise(function(resolve, reject) {
+        loader.parse(glbSource, '', resolve, reject);
+      });
+    } else {
+      gltf = await loader.loadAsync(glbSource);
+    }
+    var model = gltf.scene;
+
+    // Apply texture if provided
+    if (textureSource) {
+      var texLoader = new THREE.TextureLoader();
+      var texture;
+      if (textureSource instanceof Blob || textureSource instanceof File) {
+        var blobUrl = URL.createObjectURL(textureSource);
+        texture = await texLoader.loadAsync(blobUrl);
+        URL.revokeObjectURL(blobUrl);
+      } else {
+        texture = await texLoader.loadAsync(textureSource);
+      }
+      texture.flipY = false;
+      texture.colorSpace = THREE.SRGBColorSpace;
+      model.traverse(function(child) {
+        if (child.isMesh) {
+          child.material = new THREE.MeshStandardMaterial({ map: texture });
+        }
+      });
+    }
+
+    // Rotate model ~30 degrees on Y axis
+    model.rotation.y = Math.PI / 6;
+    scene.add(model);
+
+    // Auto-fit camera to bounding box
+    var box = new THREE.Box3().setFromObject(model);
+    var center = box.getCenter(new THREE.Vector3());
+    var size = box.getSize(new THREE.Vector3());
+    var maxDim = Math.max(size.x, size.y, size.z);
+    var fov = camera.fov * (Math.PI / 180);
+    var dist = maxDim / (2 * Math.tan(fov / 2)) * 1.1;
+    camera.position.set(center.x + dist, center.y + dist * 0.15, center.z + dist * 0.1);
+    camera.lookAt(center);
+
+    // Render
+    this.renderer.render(scene, camera);
+
+    // Cleanup scene
+    scene.traverse(function(child) {
+      if (child.geometry) child.geometry.dispose();
+      if (child.material) {
+        if (child.material.map) child.material.map.dispose();
+        child.material.dispose();
+      }
+    });
+
+    // Export as WebP 400x300 @ 75%
+    var self = this;
+    return new Promise(function(resolve) {
+      self.canvas.toBlob(function(blob) { resolve(blob); }, 'image/webp', 0.75);
+    });
+  }
+
+  dispose() {
+    this.renderer.dispose();
+  }
+}
+
+// ─── InteractiveViewer ──────────────────────────────────────────────────────
+class InteractiveViewer {
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.renderer = new THREE.WebGLRenderer({
+      canvas: canvas, alpha: true, antialias: true, preserveDrawingBuffer: true
+    });
+    this.renderer.setPixelRatio(window.devicePixelRatio);
+    this.renderer.outputColorSpace = THREE.SRGBColorSpace;
+
+    this.scene = new THREE.Scene();
+    this.scene.background = createGradientBackground();
+    this.camera = new THREE.PerspectiveCamera(45, canvas.width / canvas.height, 0.1, 100);
+
+    this.controls = new OrbitControls(this.camera, canvas);
+    this.controls.enableDamping = true;
+    this.controls.dampingFactor = 0.1;
+
+    // Lighting: strong for dark background — ambient 1.0, key 1.5, fill 0.8, rim 0.5
+    this.scene.add(new THREE.AmbientLight(0xffffff, 1.0));
     var dirLight = new THREE.DirectionalLight(0xffffff, 1.5);
     dirLight.position.set(5, 5, 5);
-    scene.add(dirLight);
+    this.scene.add(dirLight);
     var fillLight = new THREE.DirectionalLight(0xffffff, 0.8);
     fillLight.position.set(-3, 2, -3);
-    scene.add(fillLight);
+    this.scene.add(fillLight);
     var rimLight = new THREE.DirectionalLight(0xffffff, 0.5);
     rimLight.position.set(0, 3, -5);
-    scene.add(rimLight);
+    this.scene.add(rimLight);
+
+    this.model = null;
+    this.animId = null;
+    this.modelCenter = new THREE.Vector3();
+    this.modelDist = 1;
+  }
+
+  async load(glbSource, textureSource) {
+    // Clear previous model
+    if (this.model) {
+      this.scene.remove(this.model);
+      this.model.traverse(function(child) {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) {
+          if (child.material.map) child.material.map.dispose();
+          child.material.dispose();
+        }
+      });
+      this.model = null;
+    }
+
+    // Load GLB
+    var loader = new GLTFLoader();
+    var gltf;
+    if (glbSource instanceof ArrayBuffer) {
+      gltf = await new Promise(function(resolve, reject) {
+        loader.parse(glbSource, '', resolve, reject);
+      });
+    } else {
+      gltf = await loader.loadAsync(glbSource);
+    }
+    var model = gltf.scene;
+
+    // Apply texture if provided
+    if (textureSource) {
+      var texLoader = new THREE.TextureLoader();
+      var texture;
+      if (textureSource instanceof Blob || textureSource instanceof File) {
+        var blobUrl = URL.createObjectURL(textureSource);
+        texture = await texLoader.loadAsync(blobUrl);
+        URL.revokeObjectURL(blobUrl);
+      } else {
+        texture = await texLoader.loadAsync(textureSource);
+      }
+      texture.flipY = false;
+      texture.colorSpace = THREE.SRGBColorSpace;
+      model.traverse(function(child) {
+        if (child.isMesh) {
+          child.material = new THREE.MeshStandardMaterial({ map: texture });
+        }
+      });
+    }
+
+    // Rotate model ~30 degrees on Y axis
+    model.rotation.y = Math.PI / 6;
+    this.scene.add(model);
+    this.model = model;
+
+    // Auto-fit camera to bounding box
+    var box = new THREE.Box3().setFromObject(model);
+    var center = box.getCenter(new THREE.Vector3());
+    var size = box.getSize(new THREE.Vector3());
+    var maxDim = Math.max(size.x, size.y, size.z);
+    var fov = this.camera.fov * (Math.PI / 180);
+    var dist = maxDim / (2 * Math.tan(fov / 2)) * 1.1;
+
+    this.modelCenter = center.clone();
+    this.modelDist = dist;
+
+    this.camera.position.set(center.x + dist, center.y + dist * 0.15, center.z + dist * 0.1);
+    this.camera.lookAt(center);
+    this.controls.target.copy(center);
+    this.controls.update();
+
+    // Start animation loop
+    this.startLoop();
+  }
+
+  startLoop() {
+    if (this.animId) return;
+    var self = this;
+    function animate() {
+      self.animId = requestAnimationFrame(animate);
+      self.controls.update();
+      self.renderer.render(self.scene, self.camera);
+    }
+    animate();
+  }
+
+  async capturePreview() {
+    // Create OFFSCREEN 400x300 canvas + separate renderer
+    var offCanvas = document.createElement('canvas');
+    offCanvas.width = 400;
+    offCanvas.height = 300;
+    var offRenderer = new THREE.WebGLRenderer({
+      canvas: offCanvas, alpha: true, antialias: true, preserveDrawingBuffer: true
+    });
+    offRenderer.setSize(400, 300);
+    offRenderer.setPixelRatio(1);
+    offRenderer.outputColorSpace = THREE.SRGBColorSpace;
+
+    // Clone scene for offscreen render (reuse same scene, just different camera)
+    var offCamera = new THREE.PerspectiveCamera(45, 400 / 300, 0.1, 100);
+    // FIXED STANDARD ANGLE — ignoring current orbit position
+    var center = this.modelCenter;
+    var dist = this.modelDist;
+    offCamera.position.set(center.x + dist, center.y + dist * 0.15, center.z + dist * 0.1);
+    offCamera.lookAt(center);
+
+    // Render single frame
+    offRenderer.render(this.scene, offCamera);
+
+    // Export as WebP 400x300 @ 75%
+    var blob = await new Promise(function(resolve) {
+      offCanvas.toBlob(function(b) { resolve(b); }, 'image/webp', 0.75);
+    });
+
+    // Dispose offscreen renderer
+    offRenderer.dispose();
+    return blob;
+  }
+
+  resize(width, height) {
+    this.renderer.setSize(width, height);
+    this.camera.aspect = width / height;
+    this.camera.updateProjectionMatrix();
+  }
+
+  stop() {
+    if (this.animId) {
+      cancelAnimationFrame(this.animId);
+      this.animId = null;
+    }
+  }
+
+  dispose() {
+    this.stop();
+    if (this.model) {
+      this.scene.remove(this.model);
+      this.model.traverse(function(child) {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) {
+          if (child.material.map) child.material.map.dispose();
+          child.material.dispose();
+        }
+      });
+    }
+    this.controls.dispose();
+    this.renderer.dispose();
+  }
+}
+
+// ─── State ────────────────────────────────────────────────────────────────────
+var weapons = [];
+var allAssets = [];
+var addedDates = {};
+var view = null;
+var selectedIds = new Set();
+var lastSelectedId = null;
+var skinPreviewBlob = null;
+var modelPreviewBlob = null;
+var specialPreviewBlob = null;
+var skinRenderer = null;
+var modelRenderer = null;
+var interactiveViewer = null;
+var currentViewerAsset = null;
+
+if (hasWebGL) {
+  skinRenderer = new PreviewRenderer(document.getElementById('skinCanvas'));
+  modelRenderer = new PreviewRenderer(document.getElementById('modelCanvas'));
+}
+
+// ─── API Helper ───────────────────────────────────────────────────────────────
+var session = { user: null, csrf: null };
+
+// Adds the session's CSRF token to mutating requests; a lapsed session goes
+// back to the sign-in page
+async function api(url, opts) {
+  opts = opts || {};
+  if (opts.method && opts.method !== 'GET') {
+    opts.headers = Object.assign({}, opts.headers, { 'X-CSRF-Token': session.csrf || '' });
+  }
+  var res = await fetch(url, opts);
+  if (res.status === 401) location.href = '/login' + location.search;
+  return res.json();
+}
 
-    // Load GLB
-    var loader = new GLTFLoader();
-    var gltf;
-    if (glbSource instanceof ArrayBuffer) {
-      gltf = await new Promise(function(resolve, reject) {
-        loader.parse(glbSource, '', resolve, reject);
-      });
-    } else {
-      gltf = await loader.loadAsync(glbSource);
-    }
-    var model = gltf.scene;
+// Who is signed in; the body's role-* class hides what the role cannot use
+async function loadSession() {
+  var data = await api('/api/session');
+  if (!data.success) return;
+  session = { user: data.user, csrf: data.csrf };
+  document.body.classList.add('role-' + data.user.role);
+  document.getElementById('userInfo').textContent = data.user.name + ' (' + data.user.role + ')';
+}
 
-    // Apply texture if provided
-    if (textureSource) {
-      var texLoader = new THREE.TextureLoader();
-      var texture;
-      if (textureSource instanceof Blob || textureSource instanceof File) {
-        var blobUrl = URL.createObjectURL(textureSource);
-        texture = await texLoader.loadAsync(blobUrl);
-        URL.revokeObjectURL(blobUrl);
-      } else {
-        texture = await texLoader.loadAsync(textureSource);
+function isAdmin() {
+  return !!session.user && session.user.role === 'admin';
+}
+
+async function logout() {
+  await api('/api/logout', { method: 'POST' });
+  location.href = '/login';
+}
+
+// action ({ label, run }) adds a link after the message, e.g. Undo; the
+// message then stays up longer so there is time to use it
+var statusTimer = null;
+function showStatus(msg, type, action) {
+  var el = document.getElementById('status');
+  el.textContent = msg;
+  if (action) {
+    var link = document.createElement('a');
+    link.href = '#';
+    link.className = 'status-action';
+    link.textContent = action.label;
+    link.addEventListener('click', function(e) {
+      e.preventDefault();
+      el.className = 'status';
+      action.run();
+    });
+    el.appendChild(link);
+  }
+  el.className = 'status ' + type;
+  clearTimeout(statusTimer);
+  statusTimer = setTimeout(function() { el.className = 'status'; }, action ? 10000 : 4000);
+}
+
+function escapeHtml(text) {
+  return String(text == null ? '' : text).replace(/[&<>"']/g, function(c) {
+    return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c];
+  });
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) return bytes + ' B';
+  if (bytes < 1048576) return (bytes / 1024).toFixed(1) + ' KB';
+  return (bytes / 1048576).toFixed(1) + ' MB';
+}
+
+// ─── Weapon Catalogue ────────────────────────────────────────────────────────
+function getWeapon(id) {
+  return weapons.find(function(w) { return w.id === id; }) || null;
+}
+
+function defaultModelPath(weaponId) {
+  var w = getWeapon(weaponId);
+  return w ? w.defaultModel : 'DefaultModels/' + weaponId + '.glb';
+}
+
+async function loadWeapons() {
+  var data = await api('/api/weapons');
+  weapons = data.weapons || [];
+  document.querySelectorAll('.weapon-select').forEach(function(sel) {
+    var current = sel.value;
+    sel.innerHTML = weapons.map(function(w) {
+      return '<option value="' + escapeHtml(w.id) + '">' + escapeHtml(w.name) + '</option>';
+    }).join('');
+    if (getWeapon(current)) sel.value = current;
+  });
+  document.getElementById('weaponList').innerHTML = weapons.map(function(w) {
+    return '<li>' + [w.id, w.name, w.skinFolder, w.modelFolder, w.defaultModel].map(escapeHtml).join(' &middot; ') +
+      '<span class="issue-detail">' + (w.hasDefaultModel ? '&#10003; default model found' : '&#9888; default model missing') + '</span></li>';
+  }).join('');
+  // Weapon filter labels use the catalogue names
+  renderFilters();
+}
+
+function toggleWeapons() {
+  document.getElementById('weaponsSection').classList.toggle('visible');
+}
+
+async function addWeapon() {
+  var form = new FormData();
+  form.append('id', document.getElementById('weaponId').value.trim());
+  form.append('name', document.getElementById('weaponName').value.trim());
+  form.append('skinFolder', document.getElementById('weaponSkinFolder').value.trim());
+  form.append('modelFolder', document.getElementById('weaponModelFolder').value.trim());
+  form.append('defaultModel', document.getElementById('weaponDefaultModel').value.trim());
+  var fileInput = document.getElementById('weaponDefaultFile');
+  if (fileInput.files.length) form.append('defaultModelFile', fileInput.files[0]);
+
+  var data = await api('/api/weapons', { method: 'POST', body: form });
+  if (!data.success && data.defaultModelExists) {
+    var clash = data.defaultModelExists;
+    if (!confirm(clash.existing + ' already exists' + (clash.usedBy.length ? ' and is the default model of ' + clash.usedBy.join(', ') : '') +
+      '.\\n\\nOK to replace it with the uploaded GLB?')) return;
+    form.append('replaceDefaultModel', '1');
+    data = await api('/api/weapons', { method: 'POST', body: form });
+  }
+  if (data.success) {
+    showStatus('Weapon added: ' + data.weapon.name, 'success');
+    ['weaponId', 'weaponName', 'weaponSkinFolder', 'weaponModelFolder', 'weaponDefaultModel', 'weaponDefaultFile'].forEach(function(id) {
+      document.getElementById(id).value = '';
+    });
+    loadWeapons();
+  } else {
+    showStatus('Add weapon failed: ' + (data.error || 'unknown'), 'error');
+  }
+}
+
+// Pre-fill folder/model placeholders from the id as it is typed
+document.getElementById('weaponId').addEventListener('input', function() {
+  var id = this.value.trim().toLowerCase();
+  document.getElementById('weaponName').placeholder = id ? id.toUpperCase() : 'Pistol';
+  document.getElementById('weaponSkinFolder').placeholder = id ? id.toUpperCase() : 'PISTOL';
+  document.getElementById('weaponModelFolder').placeholder = 'Models/' + (id ? id.toUpperCase() : 'PISTOL');
+  document.getElementById('weaponDefaultModel').placeholder = 'DefaultModels/' + (id || 'pistol') + '.glb';
+});
+
+// ─── Tab Switching ────────────────────────────────────────────────────────────
+function switchTab(tab) {
+  document.querySelectorAll('.upload-tab').forEach(function(t) { t.classList.remove('active'); });
+  document.querySelectorAll('.tab-content').forEach(function(t) { t.classList.remove('active'); });
+  var tabs = document.querySelectorAll('.upload-tab');
+  var tabMap = { skin: 0, model: 1, special: 2 };
+  if (tabMap[tab] !== undefined) tabs[tabMap[tab]].classList.add('active');
+  var content = document.getElementById('tab-' + tab);
+  if (content) content.classList.add('active');
+}
+
+function toggleUpload() {
+  document.getElementById('uploadSection').classList.toggle('visible');
+}
+
+// ─── Asset Loading ────────────────────────────────────────────────────────────
+async function loadAssets() {
+  var data = await api('/api/assets');
+  allAssets = data.assets || [];
+  addedDates = data.addedDates || {};
+  // Forget selected assets that are gone (deleted, or renamed by a move)
+  selectedIds.forEach(function(id) {
+    if (!allAssets.some(function(a) { return a.id === id; })) selectedIds.delete(id);
+  });
+  renderStats(data);
+  renderFilters();
+  renderGrid();
+}
+
+function renderStats(manifest) {
+  var skins = allAssets.filter(function(a) { return a.type === 'skin'; }).length;
+  var models = allAssets.filter(function(a) { return a.type === 'model'; }).length;
+  var special = allAssets.filter(function(a) { return a.type === 'special'; }).length;
+  var totalSize = allAssets.reduce(function(s, a) { return s + (a.size || 0); }, 0);
+  document.getElementById('stats').innerHTML = [
+    { v: allAssets.length, l: 'Total Assets' },
+    { v: skins, l: 'Skins' },
+    { v: models, l: 'Models' },
+    { v: special, l: 'Special' },
+    { v: formatSize(totalSize), l: 'Total Size' },
+    { v: 'v' + (manifest.version || '?'), l: 'Manifest Version' },
+    { v: manifest.revision || 0, l: 'Revision' },
+  ].map(function(s) {
+    return '<div class="stat"><div class="stat-value">' + s.v + '</div><div class="stat-label">' + s.l + '</div></div>';
+  }).join('');
+}
+
+// ─── Grid filters ─────────────────────────────────────────────────────────────
+// Search, type, weapon, creator and missing-preview filters combine; the view
+// lives in the query string (?q=&type=&weapon=&credit=&nopreview=1&sort=) so
+// a filtered grid can be shared as a link.
+var SORTS = {
+  name: function(a, b) { return a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }); },
+  size: function(a, b) { return assetSize(b) - assetSize(a); },
+  added: function(a, b) { return (addedDates[b.id] || '').localeCompare(addedDates[a.id] || ''); },
+  credit: function(a, b) { return (a.credit || 'Unknown').localeCompare(b.credit || 'Unknown', undefined, { sensitivity: 'base' }) || SORTS.name(a, b); }
+};
+
+function defaultView() {
+  return { q: '', type: 'all', weapon: '', credit: '', noPreview: false, sort: 'name' };
+}
+
+function assetSize(a) {
+  return (a.size || 0) + (a.textureSize || 0);
+}
+
+// Skins, models and specials without a rendered preview in Previews/
+function missingPreview(a) {
+  return !a.preview || a.preview === a.file;
+}
+
+function readViewFromUrl() {
+  var params = new URLSearchParams(location.search);
+  var v = defaultView();
+  v.q = params.get('q') || '';
+  v.type = params.get('type') || 'all';
+  v.weapon = params.get('weapon') || '';
+  v.credit = params.get('credit') || '';
+  v.noPreview = params.get('nopreview') === '1';
+  v.sort = Object.prototype.hasOwnProperty.call(SORTS, params.get('sort')) ? params.get('sort') : 'name';
+  return v;
+}
+
+function writeViewToUrl() {
+  var params = new URLSearchParams();
+  if (view.q) params.set('q', view.q);
+  if (view.type !== 'all') params.set('type', view.type);
+  if (view.weapon) params.set('weapon', view.weapon);
+  if (view.credit) params.set('credit', view.credit);
+  if (view.noPreview) params.set('nopreview', '1');
+  if (view.sort !== 'name') params.set('sort', view.sort);
+  var query = params.toString();
+  history.replaceState(null, '', location.pathname + (query ? '?' + query : ''));
+}
+
+function optionList(values, selected, allLabel, labelFor) {
+  return '<option value="">' + allLabel + '</option>' + values.map(function(v) {
+    return '<option value="' + escapeHtml(v) + '"' + (v === selected ? ' selected' : '') + '>' + escapeHtml(labelFor ? labelFor(v) : v) + '</option>';
+  }).join('');
+}
+
+function renderFilters() {
+  var types = ['all'];
+  allAssets.forEach(function(a) { if (types.indexOf(a.type) === -1) types.push(a.type); });
+  document.getElementById('filterTypes').innerHTML = types.map(function(t) {
+    return '<button class="' + (view.type === t ? 'active' : '') + '" data-type="' + t + '">' + t.charAt(0).toUpperCase() + t.slice(1) + '</button>';
+  }).join('');
+
+  var assetWeapons = [];
+  var credits = [];
+  allAssets.forEach(function(a) {
+    if (a.weapon && assetWeapons.indexOf(a.weapon) === -1) assetWeapons.push(a.weapon);
+    var credit = a.credit || 'Unknown';
+    if (credits.indexOf(credit) === -1) credits.push(credit);
+  });
+  // Keep a value from a shared link selectable even if no asset has it (any more)
+  if (view.weapon && assetWeapons.indexOf(view.weapon) === -1) assetWeapons.push(view.weapon);
+  if (view.credit && credits.indexOf(view.credit) === -1) credits.push(view.credit);
+  credits.sort(function(a, b) { return a.localeCompare(b, undefined, { sensitivity: 'base' }); });
+  document.getElementById('filterWeapon').innerHTML = optionList(assetWeapons, view.weapon, 'All weapons', function(w) {
+    var weapon = getWeapon(w);
+    return weapon ? weapon.name : w.toUpperCase();
+  });
+  document.getElementById('filterCredit').innerHTML = optionList(credits, view.credit, 'All creators');
+  document.getElementById('filterSearch').value = view.q;
+  document.getElementById('filterNoPreview').checked = view.noPreview;
+  document.getElementById('sortBy').value = view.sort;
+}
+
+function applyView() {
+  writeViewToUrl();
+  renderFilters();
+  renderGrid();
+}
+
+document.getElementById('filterTypes').addEventListener('click', function(e) {
+  var btn = e.target.closest('button');
+  if (!btn) return;
+  view.type = btn.dataset.type;
+  applyView();
+});
+document.getElementById('filterSearch').addEventListener('input', function() {
+  view.q = this.value;
+  writeViewToUrl();
+  renderGrid();
+});
+document.getElementById('filterWeapon').addEventListener('change', function() { view.weapon = this.value; applyView(); });
+document.getElementById('filterCredit').addEventListener('change', function() { view.credit = this.value; applyView(); });
+document.getElementById('filterNoPreview').addEventListener('change', function() { view.noPreview = this.checked; applyView(); });
+document.getElementById('sortBy').addEventListener('change', function() { view.sort = this.value; applyView(); });
+document.getElementById('filterClear').addEventListener('click', function() {
+  view = defaultView();
+  applyView();
+});
+
+// Whether the view narrows the grid at all (sorting does not)
+function isFiltered() {
+  return !!(view.q || view.type !== 'all' || view.weapon || view.credit || view.noPreview);
+}
+
+// The assets the filters let through, in the chosen order
+function shownAssets() {
+  var words = view.q.toLowerCase().split(/\\s+/).filter(Boolean);
+  return allAssets.filter(function(a) {
+    if (view.type !== 'all' && a.type !== view.type) return false;
+    if (view.weapon && a.weapon !== view.weapon) return false;
+    if (view.credit && (a.credit || 'Unknown') !== view.credit) return false;
+    if (view.noPreview && !missingPreview(a)) return false;
+    var text = [a.name, a.description || '', a.id, a.credit || 'Unknown'].join(' ').toLowerCase();
+    return words.every(function(w) { return text.indexOf(w) !== -1; });
+  }).sort(SORTS[view.sort]);
+}
+
+function renderGrid() {
+  var items = shownAssets();
+  document.getElementById('filterCount').textContent = isFiltered() ? items.length + ' of ' + allAssets.length + ' assets' : allAssets.length + ' assets';
+  document.getElementById('grid').innerHTML = items.map(function(a) {
+    var previewSrc = a.preview ? '/file/' + a.preview : '';
+    var typeClass = a.type === 'model' ? 'model' : a.type === 'special' ? 'special' : '';
+    var safeFile = a.file.replace(/"/g, '&quot;');
+    var selected = selectedIds.has(a.id);
+    return '<div class="card' + (a.hidden ? ' hidden-asset' : '') + (selected ? ' selected' : '') + '" data-id="' + a.id + '">' +
+      '<input type="checkbox" class="card-select" title="Select (shift-click for a range)"' + (selected ? ' checked' : '') + '>' +
+      '<button class="card-delete admin-only" data-file="' + safeFile + '" title="Delete">&times;</button>' +
+      '<button class="card-edit admin-only" title="Edit details">&#9998;</button>' +
+      '<div class="card-preview">' +
+        (previewSrc
+          ? '<img src="' + previewSrc + '" onerror="this.outerHTML=\\'<span class=placeholder>&#x1f4e6;</span>\\'">'
+          : '<span class="placeholder">&#x1f4e6;</span>') +
+      '</div>' +
+      '<div class="card-info">' +
+        '<div class="card-name" title="' + escapeHtml(a.description || a.name) + '">' + escapeHtml(a.name) + '</div>' +
+        '<div class="card-meta">' +
+          '<span class="card-type ' + typeClass + '">' + a.type + (a.weapon ? ' / ' + a.weapon : '') + '</span>' +
+          '<span>' + formatSize(a.size) + '</span>' +
+        '</div>' +
+        renderBadges(a) +
+        '<div class="card-credit" data-id="' + a.id + '"><svg viewBox="0 0 16 16"><path d="M8 8a3 3 0 100-6 3 3 0 000 6zm-5 8a5 5 0 0110 0H3z"/></svg><span class="card-credit-text">' + escapeHtml(a.credit || 'Unknown') + '</span></div>' +
+      '</div>' +
+    '</div>';
+  }).join('');
+  renderSelection();
+}
+
+// Rarity, tags, release date and hidden flag under the card name
+function renderBadges(a) {
+  var badges = [];
+  if (a.hidden) badges.push('<span class="card-rarity">hidden</span>');
+  if (a.rarity) badges.push('<span class="card-rarity rarity-' + a.rarity + '">' + a.rarity + '</span>');
+  if (a.releaseDate) badges.push('<span>' + a.releaseDate + '</span>');
+  (a.tags || []).forEach(function(t) { badges.push('<span>#' + escapeHtml(t) + '</span>'); });
+  return badges.length ? '<div class="card-badges">' + badges.join('') + '</div>' : '';
+}
+
+// ─── Card metadata editor ────────────────────────────────────────────────────
+// Swaps a card's info block for a form over every metadata field and the
+// credit; only changed fields are sent, and an emptied field falls back to
+// the name/description derived from the file.
+var rarities = [];
+
+async function loadRarities() {
+  var data = await api('/api/rarities');
+  rarities = data.rarities || [];
+}
+
+function editorValues(a) {
+  return {
+    name: a.name || '',
+    description: a.description || '',
+    tags: (a.tags || []).join(', '),
+    rarity: a.rarity || '',
+    releaseDate: a.releaseDate || '',
+    hidden: !!a.hidden,
+    credit: a.credit && a.credit !== 'Unknown' ? a.credit : ''
+  };
+}
+
+function openCardEditor(card, focusField) {
+  var asset = allAssets.find(function(a) { return a.id === card.dataset.id; });
+  if (!asset || card.querySelector('.card-editor')) return;
+  var v = editorValues(asset);
+  var info = card.querySelector('.card-info');
+  info.innerHTML = '<div class="card-editor">' +
+    '<input data-field="name" placeholder="Display name" value="' + escapeHtml(v.name) + '">' +
+    '<textarea data-field="description" placeholder="Description">' + escapeHtml(v.description) + '</textarea>' +
+    '<input data-field="tags" placeholder="Tags, comma separated" value="' + escapeHtml(v.tags) + '">' +
+    '<select data-field="rarity"><option value="">No rarity</option>' + rarities.map(function(r) {
+      return '<option value="' + r + '"' + (r === v.rarity ? ' selected' : '') + '>' + r + '</option>';
+    }).join('') + '</select>' +
+    '<input data-field="releaseDate" type="date" value="' + v.releaseDate + '">' +
+    '<label><input data-field="hidden" type="checkbox"' + (v.hidden ? ' checked' : '') + '> Hidden from the store</label>' +
+    '<input data-field="credit" placeholder="Creator name" value="' + escapeHtml(v.credit) + '">' +
+    '<div class="card-editor-actions"><button class="upload-btn" data-editor="save">Save</button><button class="upload-btn" data-editor="cancel">Cancel</button></div>' +
+    '<input data-move="name" placeholder="File name" title="File name (changes the asset id)" value="' + escapeHtml(asset.file.split('/').pop().replace(/\.[^.]+$/, '')) + '">' +
+    (asset.weapon ? '<select data-move="weapon">' + weapons.map(function(w) {
+      return '<option value="' + escapeHtml(w.id) + '"' + (w.id === asset.weapon ? ' selected' : '') + '>' + escapeHtml(w.name) + '</option>';
+    }).join('') + '</select>' : '') +
+    '<div class="card-editor-actions"><button class="upload-btn" data-editor="move">Rename / move</button></div>' +
+  '</div>';
+  var focus = info.querySelector('[data-field="' + (focusField || 'name') + '"]');
+  if (focus) focus.focus();
+}
+
+async function saveCardEditor(card) {
+  var asset = allAssets.find(function(a) { return a.id === card.dataset.id; });
+  var before = editorValues(asset);
+  var body = { id: asset.id };
+  card.querySelectorAll('.card-editor [data-field]').forEach(function(el) {
+    var field = el.dataset.field;
+    var value = el.type === 'checkbox' ? el.checked : el.value.trim();
+    if (value !== before[field]) body[field] = field === 'credit' ? (value || 'Unknown') : value;
+  });
+  if (Object.keys(body).length === 1) return renderGrid();
+  var data = await api('/api/set-metadata', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  if (data.success) {
+    showStatus('Saved ' + asset.id, 'success');
+    loadAssets();
+  } else {
+    showStatus('Save failed: ' + (data.error || 'unknown'), 'error');
+  }
+}
+
+// Renames the file and/or moves it to another weapon; the old id stays
+// resolvable through manifest.aliases
+async function moveCardAsset(card) {
+  var asset = allAssets.find(function(a) { return a.id === card.dataset.id; });
+  var weaponSel = card.querySelector('[data-move="weapon"]');
+  var body = { file: asset.file, name: card.querySelector('[data-move="name"]').value.trim() };
+  if (weaponSel && weaponSel.value !== asset.weapon) body.weapon = weaponSel.value;
+  var post = function() {
+    return api('/api/rename', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  };
+  var data = await post();
+  if (!data.success && data.conflict) {
+    if (!confirm(data.conflict.existing + ' already exists. Use ' + data.conflict.suggested + ' instead?')) return;
+    body.onConflict = 'rename';
+    data = await post();
+  }
+  if (data.success) {
+    showStatus('Moved ' + data.from + ' \u2192 ' + data.file, 'success');
+    loadAssets();
+  } else {
+    showStatus('Rename failed: ' + (data.error || 'unknown'), 'error');
+  }
+}
+
+// Enter saves the open editor, Escape drops it
+document.getElementById('grid').addEventListener('keydown', function(e) {
+  var editor = e.target.closest('.card-editor');
+  if (!editor) return;
+  if (e.key === 'Enter' && e.target.tagName === 'INPUT' && e.target.dataset.field) saveCardEditor(editor.closest('.card'));
+  else if (e.key === 'Escape') renderGrid();
+});
+
+// Use event delegation for delete/edit buttons + card click → viewer
+document.getElementById('grid').addEventListener('click', function(e) {
+  // Selection: the checkbox, or shift-click anywhere on a card for a range
+  var selectCard = e.target.closest('.card');
+  if (selectCard && !e.target.closest('.card-editor') && (e.target.classList.contains('card-select') || e.shiftKey)) {
+    if (e.shiftKey) e.preventDefault();
+    toggleSelection(selectCard.dataset.id, e.shiftKey);
+    return;
+  }
+  // Delete handler
+  var btn = e.target.closest('.card-delete');
+  if (btn && btn.dataset.file) {
+    deleteAsset(btn.dataset.file);
+    return;
+  }
+  // Metadata editor — edit button, or click on the credit line
+  var editorBtn = e.target.closest('[data-editor]');
+  if (editorBtn) {
+    if (editorBtn.dataset.editor === 'save') saveCardEditor(editorBtn.closest('.card'));
+    else if (editorBtn.dataset.editor === 'move') moveCardAsset(editorBtn.closest('.card'));
+    else renderGrid();
+    return;
+  }
+  if (e.target.closest('.card-editor')) return;
+  var editBtn = e.target.closest('.card-edit');
+  var creditEl = e.target.closest('.card-credit');
+  if ((editBtn || creditEl) && isAdmin()) {
+    openCardEditor(e.target.closest('.card'), editBtn ? 'name' : 'credit');
+    return;
+  }
+  // Card click → open viewer for skin/model
+  var card = e.target.closest('.card');
+  if (card) {
+    var delBtn = card.querySelector('.card-delete');
+    if (delBtn && delBtn.dataset.file) {
+      var file = delBtn.dataset.file;
+      var asset = allAssets.find(function(a) { return a.file === file; });
+      if (asset && (asset.type === 'skin' || asset.type === 'model')) {
+        openViewer(asset);
       }
-      texture.flipY = false;
-      texture.colorSpace = THREE.SRGBColorSpace;
-      model.traverse(function(child) {
-        if (child.isMesh) {
-          child.material = new THREE.MeshStandardMaterial({ map: texture });
-        }
-      });
     }
+  }
+});
+
+// ─── Selection & bulk actions ────────────────────────────────────────────────
+// Cards are selected with their checkbox; shift-click selects the shown cards
+// between the last one clicked and this one. Each bulk action reports a line
+// per asset (done, skipped or failed) under the selection bar.
+function toggleSelection(id, range) {
+  var ids = shownAssets().map(function(a) { return a.id; });
+  var from = ids.indexOf(lastSelectedId);
+  var to = ids.indexOf(id);
+  if (range && from !== -1 && to !== -1) {
+    // The range takes the state of the card the range starts from
+    var select = selectedIds.has(lastSelectedId);
+    ids.slice(Math.min(from, to), Math.max(from, to) + 1).forEach(function(rangeId) {
+      if (select) selectedIds.add(rangeId);
+      else selectedIds.delete(rangeId);
+    });
+  } else if (selectedIds.has(id)) {
+    selectedIds.delete(id);
+  } else {
+    selectedIds.add(id);
+  }
+  lastSelectedId = id;
+  renderSelection();
+}
+
+function selectAllShown() {
+  shownAssets().forEach(function(a) { selectedIds.add(a.id); });
+  renderSelection();
+}
+
+function clearSelection() {
+  selectedIds.clear();
+  lastSelectedId = null;
+  renderSelection();
+}
+
+// Syncs the cards' checkboxes and the selection bar with selectedIds
+function renderSelection() {
+  document.querySelectorAll('#grid .card').forEach(function(card) {
+    var selected = selectedIds.has(card.dataset.id);
+    card.classList.toggle('selected', selected);
+    var box = card.querySelector('.card-select');
+    if (box) box.checked = selected;
+  });
+  var n = selectedIds.size;
+  document.getElementById('grid').classList.toggle('selecting', n > 0);
+  document.getElementById('selectionSection').classList.toggle('visible', n > 0);
+  var shown = shownAssets().filter(function(a) { return selectedIds.has(a.id); }).length;
+  document.getElementById('selectionCount').textContent = n + ' selected' + (shown < n ? ' (' + (n - shown) + ' not shown by the filters)' : '');
+}
+
+function selectedAssets() {
+  return allAssets.filter(function(a) { return selectedIds.has(a.id); });
+}
+
+function renderBulkReport(label, results) {
+  var counts = { done: 0, skipped: 0, failed: 0 };
+  results.forEach(function(r) { counts[r.status]++; });
+  document.getElementById('bulkReport').innerHTML = '<li>' + escapeHtml(label) + ': ' + counts.done + ' done, ' + counts.skipped + ' skipped, ' + counts.failed + ' failed</li>' +
+    results.map(function(r) {
+      var cls = r.status === 'done' ? 'diff-added' : r.status === 'failed' ? 'diff-removed' : '';
+      return '<li class="' + cls + '">' + escapeHtml(r.id) + ' — ' + r.status + '<span class="issue-detail">' + escapeHtml(r.message) + '</span></li>';
+    }).join('');
+  return counts;
+}
+
+async function runBulk(action, label, options) {
+  var ids = selectedAssets().map(function(a) { return a.id; });
+  if (!ids.length) return showStatus('No assets selected', 'error');
+  var body = Object.assign({ action: action, ids: ids }, options);
+  var data = await api('/api/bulk', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  if (!data.success) return showStatus(label + ' failed: ' + (data.error || 'unknown'), 'error');
+  var counts = renderBulkReport(label, data.results);
+  var trashIds = data.results.map(function(r) { return r.trashId; }).filter(Boolean);
+  showStatus(label + ': ' + counts.done + ' done, ' + counts.skipped + ' skipped, ' + counts.failed + ' failed', counts.failed ? 'error' : 'success',
+    trashIds.length ? undoDelete(trashIds) : null);
+  await loadAssets();
+}
+
+// One confirmation listing every file the deletion removes, companions included
+async function bulkDelete() {
+  var ids = selectedAssets().map(function(a) { return a.id; });
+  if (!ids.length) return showStatus('No assets selected', 'error');
+  var plan = await api('/api/bulk/delete-plan?ids=' + encodeURIComponent(ids.join(',')));
+  if (!plan.success) return showStatus('Delete failed: ' + (plan.error || 'unknown'), 'error');
+  var files = 0;
+  var lines = plan.assets.map(function(a) {
+    if (a.error) return a.id + ' (cannot be deleted: ' + a.error + ')';
+    files += a.files.length;
+    return a.id + '\\n' + a.files.map(function(f) { return '    ' + f; }).join('\\n');
+  });
+  if (!confirm('Move ' + ids.length + ' asset(s) and ' + files + ' file(s) to the trash?\\n\\n' + lines.join('\\n'))) return;
+  await runBulk('delete', 'Delete', {});
+}
+
+function bulkSetCredit() {
+  runBulk('credit', 'Set credit', { credit: document.getElementById('bulkCredit').value.trim() });
+}
+
+function bulkTag(remove) {
+  var tags = document.getElementById('bulkTags').value;
+  if (!tags.trim()) return showStatus('Enter the tags to ' + (remove ? 'remove' : 'add'), 'error');
+  runBulk('tag', remove ? 'Remove tags' : 'Add tags', remove ? { removeTags: tags } : { addTags: tags });
+}
+
+function bulkPreviews() {
+  runBulk('previews', 'Regenerate previews', {});
+}
+
+function bulkMove() {
+  var weapon = document.getElementById('bulkWeapon').value;
+  runBulk('move', 'Move to ' + weapon, { weapon: weapon });
+}
+
+// Exports go through the asset pack download
+// Reports each asset by what the export answered: all in the pack, or the
+// reason none are (an unknown id fails the whole pack)
+async function bulkExport() {
+  var ids = selectedAssets().map(function(a) { return a.id; });
+  if (!ids.length) return showStatus('No assets selected', 'error');
+  showStatus('Building a pack of ' + ids.length + ' asset(s)...', 'success');
+  var result = await downloadPack(ids);
+  var counts = renderBulkReport('Export pack', ids.map(function(id) {
+    if (result.success) return { id: id, status: 'done', message: 'Added to ' + result.filename };
+    if (result.unknown.indexOf(id) !== -1) return { id: id, status: 'failed', message: 'No asset with id ' + id };
+    return { id: id, status: 'failed', message: 'Not exported: ' + result.error };
+  }));
+  showStatus('Export pack: ' + counts.done + ' done, ' + counts.failed + ' failed', counts.failed ? 'error' : 'success');
+}
+
+// ─── Trash ───────────────────────────────────────────────────────────────────
+// Deleted assets wait in the trash until restored, purged by hand or purged
+// automatically after the retention period.
+function undoDelete(trashIds) {
+  return { label: 'Undo', run: function() { restoreTrash(trashIds); } };
+}
+
+function toggleTrash() {
+  var section = document.getElementById('trashSection');
+  section.classList.toggle('visible');
+  if (section.classList.contains('visible')) loadTrash();
+}
 
-    // Rotate model ~30 degrees on Y axis
-    model.rotation.y = Math.PI / 6;
-    scene.add(model);
+async function loadTrash() {
+  var data = await api('/api/trash');
+  if (!data.success) return showStatus('Trash failed: ' + (data.error || 'unknown'), 'error');
+  document.getElementById('trashInfo').textContent = data.entries.length + ' deleted asset(s) · ' +
+    (data.retentionDays > 0 ? 'purged ' + data.retentionDays + ' days after deletion' : 'kept until purged');
+  document.getElementById('trashList').innerHTML = data.entries.map(function(e) {
+    return '<li data-trash-id="' + e.trashId + '">' + escapeHtml(e.name) + ' <span class="issue-detail">' + escapeHtml(e.id) +
+      ' · deleted ' + e.deletedAt.slice(0, 16).replace('T', ' ') + (e.purgeAt ? ' · purged after ' + e.purgeAt.slice(0, 10) : '') +
+      ' · ' + e.files.map(escapeHtml).join(', ') + '</span> ' +
+      '<button class="upload-btn" data-trash="restore">Restore</button> ' +
+      '<button class="upload-btn danger" data-trash="purge">Purge</button></li>';
+  }).join('');
+}
 
-    // Auto-fit camera to bounding box
-    var box = new THREE.Box3().setFromObject(model);
-    var center = box.getCenter(new THREE.Vector3());
-    var size = box.getSize(new THREE.Vector3());
-    var maxDim = Math.max(size.x, size.y, size.z);
-    var fov = camera.fov * (Math.PI / 180);
-    var dist = maxDim / (2 * Math.tan(fov / 2)) * 1.1;
-    camera.position.set(center.x + dist, center.y + dist * 0.15, center.z + dist * 0.1);
-    camera.lookAt(center);
+async function restoreTrash(trashIds) {
+  var data = await api('/api/trash/restore', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ ids: trashIds }) });
+  if (!data.success) return showStatus('Restore failed: ' + (data.error || 'unknown'), 'error');
+  var failed = data.results.filter(function(r) { return r.status === 'failed'; });
+  if (failed.length) showStatus('Restore failed: ' + failed.map(function(r) { return r.message; }).join('; '), 'error');
+  else showStatus('Restored ' + data.results.length + ' asset(s)', 'success');
+  loadAssets();
+  if (document.getElementById('trashSection').classList.contains('visible')) loadTrash();
+}
 
-    // Render
-    this.renderer.render(scene, camera);
+async function purgeTrash(trashIds) {
+  var all = !trashIds;
+  if (!confirm(all ? 'Empty the trash? Its files are deleted for good.' : 'Delete this asset for good?')) return;
+  var data = await api('/api/trash/purge', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(all ? { all: true } : { ids: trashIds }) });
+  if (data.success) showStatus('Purged ' + data.purged.length + ' trash entr' + (data.purged.length === 1 ? 'y' : 'ies'), 'success');
+  else showStatus('Purge failed: ' + (data.error || 'unknown'), 'error');
+  loadTrash();
+}
 
-    // Cleanup scene
-    scene.traverse(function(child) {
-      if (child.geometry) child.geometry.dispose();
-      if (child.material) {
-        if (child.material.map) child.material.map.dispose();
-        child.material.dispose();
-      }
-    });
+document.getElementById('trashList').addEventListener('click', function(e) {
+  var btn = e.target.closest('[data-trash]');
+  if (!btn) return;
+  var id = btn.closest('li').dataset.trashId;
+  if (btn.dataset.trash === 'restore') restoreTrash([id]);
+  else purgeTrash([id]);
+});
 
-    // Export as WebP 400x300 @ 75%
-    var self = this;
-    return new Promise(function(resolve) {
-      self.canvas.toBlob(function(blob) { resolve(blob); }, 'image/webp', 0.75);
-    });
+// ─── Manifest & Git ──────────────────────────────────────────────────────────
+async function regenerateManifest() {
+  var data = await api('/api/regenerate', { method: 'POST' });
+  if (data.success) {
+    showStatus('Manifest regenerated — ' + data.count + ' assets found', 'success');
+    loadAssets();
+  } else {
+    showStatus('Failed: ' + (data.error || 'unknown'), 'error');
   }
+}
 
-  dispose() {
-    this.renderer.dispose();
+async function deleteAsset(filePath) {
+  if (!confirm('Move ' + filePath + ' to the trash?')) return;
+  var data = await api('/api/asset?file=' + encodeURIComponent(filePath), { method: 'DELETE' });
+  if (data.success) {
+    showStatus('Deleted: ' + filePath, 'success', undoDelete([data.trashId]));
+    loadAssets();
+  } else {
+    showStatus('Delete failed: ' + (data.error || 'unknown'), 'error');
   }
 }
 
-// ─── InteractiveViewer ──────────────────────────────────────────────────────
-class InteractiveViewer {
-  constructor(canvas) {
-    this.canvas = canvas;
-    this.renderer = new THREE.WebGLRenderer({
-      canvas: canvas, alpha: true, antialias: true, preserveDrawingBuffer: true
-    });
-    this.renderer.setPixelRatio(window.devicePixelRatio);
-    this.renderer.outputColorSpace = THREE.SRGBColorSpace;
+// ─── Consistency Check ───────────────────────────────────────────────────────
+function renderIssues(issues) {
+  var groups = {};
+  issues.forEach(function(i) {
+    if (!groups[i.kind]) groups[i.kind] = { label: i.label, repairable: i.repairable, items: [] };
+    groups[i.kind].items.push(i);
+  });
+  return Object.keys(groups).map(function(kind) {
+    var g = groups[kind];
+    return '<div class="issue-group">' +
+      '<div class="issue-group-title' + (g.repairable ? ' repairable' : '') + '">' + escapeHtml(g.label) + ' (' + g.items.length + ')' +
+        (g.repairable ? ' &mdash; fixed by Repair' : ' &mdash; needs manual action') + '</div>' +
+      '<ul class="issue-list">' + g.items.map(function(i) {
+        return '<li>' + (i.id ? escapeHtml(i.id) + ' &middot; ' : '') + escapeHtml(i.path) +
+          (i.detail ? '<span class="issue-detail">' + escapeHtml(i.detail) + '</span>' : '') + '</li>';
+      }).join('') + '</ul>' +
+    '</div>';
+  }).join('');
+}
 
-    this.scene = new THREE.Scene();
-    this.scene.background = createGradientBackground();
-    this.camera = new THREE.PerspectiveCamera(45, canvas.width / canvas.height, 0.1, 100);
+async function verifyStore() {
+  var section = document.getElementById('verifySection');
+  section.classList.add('visible');
+  document.getElementById('verifySummary').textContent = 'Checking...';
+  document.getElementById('verifyIssues').innerHTML = '';
+  var data = await api('/api/verify');
+  var repairable = data.issues.filter(function(i) { return i.repairable; }).length;
+  document.getElementById('verifySummary').textContent = data.ok
+    ? 'All good — ' + data.manifestCount + ' manifest entries match ' + data.diskCount + ' assets on disk.'
+    : data.issues.length + ' issue(s), ' + repairable + ' repairable — manifest lists ' + data.manifestCount + ', disk has ' + data.diskCount + '.';
+  document.getElementById('verifyIssues').innerHTML = renderIssues(data.issues);
+  document.getElementById('repairBtn').disabled = repairable === 0;
+}
 
-    this.controls = new OrbitControls(this.camera, canvas);
-    this.controls.enableDamping = true;
-    this.controls.dampingFactor = 0.1;
+async function repairStore() {
+  var data = await api('/api/repair', { method: 'POST' });
+  if (!data.success) return showStatus('Repair failed: ' + (data.error || 'unknown'), 'error');
+  showStatus('Repaired ' + data.fixed.length + ' issue(s), ' + data.remaining.length + ' left for manual action', 'success');
+  await verifyStore();
+  loadAssets();
+}
 
-    // Lighting: strong for dark background — ambient 1.0, key 1.5, fill 0.8, rim 0.5
-    this.scene.add(new THREE.AmbientLight(0xffffff, 1.0));
-    var dirLight = new THREE.DirectionalLight(0xffffff, 1.5);
-    dirLight.position.set(5, 5, 5);
-    this.scene.add(dirLight);
-    var fillLight = new THREE.DirectionalLight(0xffffff, 0.8);
-    fillLight.position.set(-3, 2, -3);
-    this.scene.add(fillLight);
-    var rimLight = new THREE.DirectionalLight(0xffffff, 0.5);
-    rimLight.position.set(0, 3, -5);
-    this.scene.add(rimLight);
+// ─── Git ─────────────────────────────────────────────────────────────────────
+// Changes grouped by asset; the checked groups are what Commit stages. The
+// message is generated from the manifest diff until it is edited by hand.
+var gitState = null;
+var generatedMessage = '';
 
-    this.model = null;
-    this.animId = null;
-    this.modelCenter = new THREE.Vector3();
-    this.modelDist = 1;
+function toggleGit() {
+  var section = document.getElementById('gitSection');
+  section.classList.toggle('visible');
+  if (section.classList.contains('visible')) loadGitStatus();
+}
+
+async function loadGitStatus() {
+  var data = await api('/api/git/status');
+  if (!data.success) {
+    document.getElementById('gitSummary').textContent = 'Git error: ' + (data.error || 'unknown');
+    return;
   }
+  gitState = data;
+  document.getElementById('gitBranch').innerHTML = data.branches.local.map(function(b) {
+    return '<option' + (b === data.current ? ' selected' : '') + '>' + escapeHtml(b) + '</option>';
+  }).concat(data.branches.remote.filter(function(r) {
+    return data.branches.local.indexOf(r.slice(r.indexOf('/') + 1)) === -1;
+  }).map(function(r) {
+    return '<option value="' + escapeHtml(r.slice(r.indexOf('/') + 1)) + '">' + escapeHtml(r) + '</option>';
+  })).join('');
+  var files = data.groups.reduce(function(n, g) { return n + g.files.length; }, 0);
+  document.getElementById('gitSummary').textContent = 'On ' + data.branch +
+    (data.upstream ? ' · ' + data.upstream + ': ' + data.ahead + ' ahead, ' + data.behind + ' behind' : ' · no upstream yet') +
+    ' · ' + (data.clean ? 'nothing to commit' : files + ' changed file(s) in ' + data.groups.length + ' group(s)') +
+    (data.publish.mode === 'pull-request' ? ' · publishing through pull requests into ' + data.publish.baseBranch : '');
+  // Pushing the base branch itself is refused in pull-request mode
+  var direct = data.publish.mode !== 'pull-request' || data.branch !== data.publish.baseBranch;
+  document.querySelectorAll('#gitSection .git-direct').forEach(function(b) { b.style.display = direct ? '' : 'none'; });
+  document.querySelectorAll('#gitSection .git-pr').forEach(function(b) { b.style.display = data.publish.mode === 'pull-request' ? '' : 'none'; });
+  document.getElementById('gitGroups').innerHTML = data.groups.map(renderGitGroup).join('');
+  renderConflicts(data.conflicts);
+  previewCommit();
+}
 
-  async load(glbSource, textureSource) {
-    // Clear previous model
-    if (this.model) {
-      this.scene.remove(this.model);
-      this.model.traverse(function(child) {
-        if (child.geometry) child.geometry.dispose();
-        if (child.material) {
-          if (child.material.map) child.material.map.dispose();
-          child.material.dispose();
-        }
-      });
-      this.model = null;
-    }
+function renderGitGroup(g) {
+  return '<div class="git-group">' +
+    '<label class="option"><input type="checkbox" value="' + escapeHtml(g.id) + '" checked> ' + escapeHtml(g.name) +
+      (g.name !== g.id ? ' <span class="issue-detail">' + escapeHtml(g.id) + '</span>' : '') + '</label>' +
+    '<ul class="issue-list">' + g.files.map(function(f) {
+      return '<li><span class="git-change ' + f.change + '">' + f.change + '</span> ' +
+        (f.from ? escapeHtml(f.from) + ' → ' : '') + escapeHtml(f.path) + '</li>';
+    }).join('') + '</ul>' +
+  '</div>';
+}
 
-    // Load GLB
-    var loader = new GLTFLoader();
-    var gltf;
-    if (glbSource instanceof ArrayBuffer) {
-      gltf = await new Promise(function(resolve, reject) {
-        loader.parse(glbSource, '', resolve, reject);
-      });
-    } else {
-      gltf = await loader.loadAsync(glbSource);
-    }
-    var model = gltf.scene;
+function renderConflicts(conflicts) {
+  var box = document.getElementById('gitConflicts');
+  box.innerHTML = conflicts && conflicts.length
+    ? '<div class="issue-group-title">Conflicting files</div><ul class="issue-list">' +
+      conflicts.map(function(f) { return '<li>' + escapeHtml(f) + '</li>'; }).join('') + '</ul>'
+    : '';
+}
 
-    // Apply texture if provided
-    if (textureSource) {
-      var texLoader = new THREE.TextureLoader();
-      var texture;
-      if (textureSource instanceof Blob || textureSource instanceof File) {
-        var blobUrl = URL.createObjectURL(textureSource);
-        texture = await texLoader.loadAsync(blobUrl);
-        URL.revokeObjectURL(blobUrl);
-      } else {
-        texture = await texLoader.loadAsync(textureSource);
-      }
-      texture.flipY = false;
-      texture.colorSpace = THREE.SRGBColorSpace;
-      model.traverse(function(child) {
-        if (child.isMesh) {
-          child.material = new THREE.MeshStandardMaterial({ map: texture });
-        }
-      });
-    }
+function selectedGroups() {
+  var boxes = Array.from(document.querySelectorAll('#gitGroups input[type=checkbox]'));
+  var checked = boxes.filter(function(b) { return b.checked; }).map(function(b) { return b.value; });
+  // All checked means everything, including files that changed since the status was loaded
+  return checked.length === boxes.length ? [] : checked;
+}
 
-    // Rotate model ~30 degrees on Y axis
-    model.rotation.y = Math.PI / 6;
-    this.scene.add(model);
-    this.model = model;
+// Staged-changes preview: the files the current selection commits and the generated message
+async function previewCommit() {
+  var preview = document.getElementById('gitPreview');
+  var message = document.getElementById('gitMessage');
+  if (gitState.clean || !document.querySelector('#gitGroups input[type=checkbox]:checked')) {
+    preview.textContent = gitState.clean ? '' : 'Select the changes to commit.';
+    return;
+  }
+  var data = await api('/api/git/preview?groups=' + encodeURIComponent(selectedGroups().join(',')));
+  if (!data.success) return showStatus('Git error: ' + (data.error || 'unknown'), 'error');
+  preview.textContent = data.files.length + ' file(s) will be committed to ' + data.branch + '.';
+  if (message.value === generatedMessage) message.value = data.message;
+  generatedMessage = data.message;
+}
 
-    // Auto-fit camera to bounding box
-    var box = new THREE.Box3().setFromObject(model);
-    var center = box.getCenter(new THREE.Vector3());
-    var size = box.getSize(new THREE.Vector3());
-    var maxDim = Math.max(size.x, size.y, size.z);
-    var fov = this.camera.fov * (Math.PI / 180);
-    var dist = maxDim / (2 * Math.tan(fov / 2)) * 1.1;
+async function gitCommit(push) {
+  var groups = selectedGroups();
+  if (!document.querySelector('#gitGroups input[type=checkbox]:checked')) return showStatus('Nothing selected to commit', 'error');
+  if (push && !confirm('Commit the selected changes, pull and push to ' + (gitState.upstream || 'the remote') + '?')) return;
+  var data = await api('/api/git/commit', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ groups: groups, message: document.getElementById('gitMessage').value, push: push })
+  });
+  gitResult(data, data.commit ? 'Committed ' + data.commit.commit + (push && data.success ? ' and pushed to ' + data.upstream : '') : '');
+}
 
-    this.modelCenter = center.clone();
-    this.modelDist = dist;
+async function gitPushOnly() {
+  if (!confirm('Pull and push ' + gitState.branch + '?')) return;
+  var data = await api('/api/git/push', { method: 'POST' });
+  gitResult(data, 'Pushed to ' + data.upstream);
+}
 
-    this.camera.position.set(center.x + dist, center.y + dist * 0.15, center.z + dist * 0.1);
-    this.camera.lookAt(center);
-    this.controls.target.copy(center);
-    this.controls.update();
+// Commits the selection on a new branch, pushes it and opens a pull request into the base branch
+async function gitPublishPR() {
+  if (gitState.clean && !confirm('No uncommitted changes. Open a pull request for the commits on ' + gitState.branch + '?')) return;
+  if (!gitState.clean && !document.querySelector('#gitGroups input[type=checkbox]:checked')) return showStatus('Nothing selected to publish', 'error');
+  document.getElementById('gitPreview').textContent = 'Opening pull request...';
+  var data = await api('/api/git/publish', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ groups: gitState.clean ? [] : selectedGroups(), message: document.getElementById('gitMessage').value })
+  });
+  gitResult(data, data.pullRequest ? 'Opened pull request #' + data.pullRequest.number + ' (' + data.branch + ' into ' + data.base + '): ' + data.pullRequest.url : '');
+  if (data.success) loadAssets();
+}
 
-    // Start animation loop
-    this.startLoop();
-  }
+// Merges the base into a pull request branch opened before another store pull
+// request was merged, so the two no longer conflict in the change feed
+async function gitRefreshPR() {
+  var branch = prompt('Pull request branch to update with ' + gitState.publish.baseBranch + ':', gitState.branch !== gitState.publish.baseBranch ? gitState.branch : '');
+  if (!branch) return;
+  document.getElementById('gitPreview').textContent = 'Updating ' + branch + '...';
+  var data = await api('/api/git/refresh-pr', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ branch: branch }) });
+  gitResult(data, data.merge ? 'Merged ' + data.base + ' into ' + data.branch + ' and pushed it' : data.branch + ' already contains ' + data.base);
+}
 
-  startLoop() {
-    if (this.animId) return;
-    var self = this;
-    function animate() {
-      self.animId = requestAnimationFrame(animate);
-      self.controls.update();
-      self.renderer.render(self.scene, self.camera);
-    }
-    animate();
+function gitResult(data, message) {
+  if (data.success) showStatus(message, 'success');
+  else showStatus('Git: ' + (data.error || 'unknown'), 'error');
+  document.getElementById('gitMessage').value = '';
+  generatedMessage = '';
+  loadGitStatus().then(function() { if (data.conflicts) renderConflicts(data.conflicts); });
+}
+
+async function switchBranch(create) {
+  var branch = create ? prompt('New branch name (starts from ' + gitState.branch + '):') : document.getElementById('gitBranch').value;
+  if (!branch || branch === gitState.branch) return;
+  var data = await api('/api/git/switch', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ branch: branch, create: !!create }) });
+  if (data.success) {
+    showStatus('Switched to ' + data.current, 'success');
+    loadAssets();
+  } else {
+    showStatus('Git: ' + (data.error || 'unknown'), 'error');
   }
+  loadGitStatus();
+}
 
-  async capturePreview() {
-    // Create OFFSCREEN 400x300 canvas + separate renderer
-    var offCanvas = document.createElement('canvas');
-    offCanvas.width = 400;
-    offCanvas.height = 300;
-    var offRenderer = new THREE.WebGLRenderer({
-      canvas: offCanvas, alpha: true, antialias: true, preserveDrawingBuffer: true
-    });
-    offRenderer.setSize(400, 300);
-    offRenderer.setPixelRatio(1);
-    offRenderer.outputColorSpace = THREE.SRGBColorSpace;
+document.getElementById('gitGroups').addEventListener('change', previewCommit);
 
-    // Clone scene for offscreen render (reuse same scene, just different camera)
-    var offCamera = new THREE.PerspectiveCamera(45, 400 / 300, 0.1, 100);
-    // FIXED STANDARD ANGLE — ignoring current orbit position
-    var center = this.modelCenter;
-    var dist = this.modelDist;
-    offCamera.position.set(center.x + dist, center.y + dist * 0.15, center.z + dist * 0.1);
-    offCamera.lookAt(center);
+// ─── Manifest History ────────────────────────────────────────────────────────
+// Each manifest change is kept as a version; any version can be compared with
+// the one before it or with the current manifest, and restored by admins.
+function toggleHistory() {
+  var section = document.getElementById('historySection');
+  section.classList.toggle('visible');
+  if (section.classList.contains('visible')) loadHistory();
+}
 
-    // Render single frame
-    offRenderer.render(this.scene, offCamera);
+function formatDelta(bytes) {
+  return (bytes < 0 ? '-' : '+') + formatSize(Math.abs(bytes));
+}
 
-    // Export as WebP 400x300 @ 75%
-    var blob = await new Promise(function(resolve) {
-      offCanvas.toBlob(function(b) { resolve(b); }, 'image/webp', 0.75);
-    });
+function diffSummary(s) {
+  var parts = [];
+  if (s.added) parts.push('+' + s.added + ' added');
+  if (s.removed) parts.push('-' + s.removed + ' removed');
+  if (s.renamed) parts.push(s.renamed + ' renamed');
+  if (s.changed) parts.push(s.changed + ' changed');
+  return (parts.length ? parts.join(', ') + ', ' : '') + s.assets.to + ' assets (' + formatDelta(s.bytes.delta) + ')';
+}
 
-    // Dispose offscreen renderer
-    offRenderer.dispose();
-    return blob;
-  }
+async function loadHistory() {
+  var data = await api('/api/history');
+  var items = data.items || [];
+  document.getElementById('historyList').innerHTML = items.length
+    ? items.map(renderVersion).join('')
+    : '<div class="verify-summary">No versions recorded yet.</div>';
+}
 
-  resize(width, height) {
-    this.renderer.setSize(width, height);
-    this.camera.aspect = width / height;
-    this.camera.updateProjectionMatrix();
-  }
+function renderVersion(v, i) {
+  return '<div class="history-version" data-id="' + v.id + '">' +
+    '<div class="history-head">' +
+      '<span class="history-date">' + v.created.slice(0, 19).replace('T', ' ') + '</span>' +
+      '<span class="verify-summary">' + diffSummary(v.summary) +
+        (v.restoredFrom ? ' · restored from ' + v.restoredFrom : '') + (i === 0 ? ' · latest' : '') + '</span>' +
+      '<button class="upload-btn" data-action="diff">Changes</button>' +
+      '<button class="upload-btn" data-action="compare">Compare with current</button>' +
+      '<button class="upload-btn admin-only" data-action="restore">Restore</button>' +
+    '</div>' +
+    '<div class="history-diff"></div>' +
+  '</div>';
+}
 
-  stop() {
-    if (this.animId) {
-      cancelAnimationFrame(this.animId);
-      this.animId = null;
-    }
-  }
+function diffValue(v) {
+  if (v === null) return '—';
+  return typeof v === 'object' ? JSON.stringify(v) : String(v);
+}
 
-  dispose() {
-    this.stop();
-    if (this.model) {
-      this.scene.remove(this.model);
-      this.model.traverse(function(child) {
-        if (child.geometry) child.geometry.dispose();
-        if (child.material) {
-          if (child.material.map) child.material.map.dispose();
-          child.material.dispose();
-        }
-      });
-    }
-    this.controls.dispose();
-    this.renderer.dispose();
+// One line per changed field; hashes and variant sets only say that they changed
+function renderChanges(changes) {
+  return '<ul class="issue-list diff-fields">' + Object.keys(changes).map(function(field) {
+    var c = changes[field];
+    var text = field === 'variants' || field === 'sha256' || /Sha256$/.test(field) ? 'changed'
+      : c.delta !== undefined ? formatSize(c.from) + ' → ' + formatSize(c.to) + ' (' + formatDelta(c.delta) + ')'
+      : escapeHtml(diffValue(c.from)) + ' → ' + escapeHtml(diffValue(c.to));
+    return '<li>' + field + ': ' + text + '</li>';
+  }).join('') + '</ul>';
+}
+
+function renderDiff(diff) {
+  var rows = [];
+  diff.added.forEach(function(a) {
+    rows.push('<li class="diff-added">+ ' + a.id + '<span class="issue-detail">' + escapeHtml(a.file) + ' · ' + formatSize(a.size) + '</span></li>');
+  });
+  diff.removed.forEach(function(a) {
+    rows.push('<li class="diff-removed">- ' + a.id + '<span class="issue-detail">' + escapeHtml(a.file) + ' · ' + formatSize(a.size) + '</span></li>');
+  });
+  diff.renamed.forEach(function(a) {
+    rows.push('<li>' + a.from + ' → ' + a.id + renderChanges(a.changes) + '</li>');
+  });
+  diff.changed.forEach(function(a) {
+    rows.push('<li>~ ' + a.id + renderChanges(a.changes) + '</li>');
+  });
+  Object.keys(diff.aliases).forEach(function(oldId) {
+    var c = diff.aliases[oldId];
+    rows.push('<li>alias ' + oldId + ': ' + diffValue(c.from) + ' → ' + diffValue(c.to) + '</li>');
+  });
+  return rows.length ? '<ul class="issue-list">' + rows.join('') + '</ul>' : '<div class="verify-summary">No changes.</div>';
+}
+
+async function restoreVersion(id) {
+  if (!confirm('Restore manifest version ' + id + '?\\n\\nIts asset files are put back and assets added since are deleted. The current state stays in the history.')) return;
+  var data = await api('/api/history/restore', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ id: id }) });
+  if (data.success) {
+    showStatus('Restored ' + id + ' — ' + data.written.length + ' file(s) written, ' + data.removed.length + ' removed', 'success');
+    loadAssets();
+    loadHistory();
+  } else {
+    showStatus('Restore failed: ' + (data.error || 'unknown'), 'error');
   }
 }
 
-// ─── State ────────────────────────────────────────────────────────────────────
-var allAssets = [];
-var activeFilter = 'all';
-var skinPreviewBlob = null;
-var modelPreviewBlob = null;
-var specialPreviewBlob = null;
-var skinRenderer = null;
-var modelRenderer = null;
-var interactiveViewer = null;
-var currentViewerAsset = null;
+document.getElementById('historyList').addEventListener('click', async function(e) {
+  var btn = e.target.closest('button[data-action]');
+  if (!btn) return;
+  var el = btn.closest('.history-version');
+  var id = el.dataset.id;
+  if (btn.dataset.action === 'restore') return restoreVersion(id);
+  var compare = btn.dataset.action === 'compare';
+  var data = await api('/api/history/diff?id=' + id + (compare ? '&from=current' : ''));
+  if (!data.success) return showStatus('Failed: ' + (data.error || 'unknown'), 'error');
+  var box = el.querySelector('.history-diff');
+  box.innerHTML = '<div class="verify-summary">' +
+    (compare ? 'Restoring this version would change: ' : 'Changes since ' + (data.from || 'the empty store') + ': ') +
+    diffSummary(data.diff.summary) + '</div>' + renderDiff(data.diff);
+  box.classList.add('visible');
+});
+
+// ─── Asset Packs ─────────────────────────────────────────────────────────────
+// A pack is a zip of assets (files, textures, previews, credits, metadata).
+// Export takes what the grid shows; import is checked before anything is written.
+function togglePacks() {
+  var section = document.getElementById('packsSection');
+  section.classList.toggle('visible');
+  var n = shownAssets().length;
+  document.getElementById('packExportInfo').textContent = n + ' asset(s) shown' + (isFiltered() ? ' (filtered)' : '');
+}
+
+async function exportPack() {
+  var ids = shownAssets().map(function(a) { return a.id; });
+  if (!ids.length) return showStatus('No assets to export', 'error');
+  var result = await downloadPack(ids);
+  if (result.success) showStatus('Pack downloaded: ' + result.filename + ' (' + ids.length + ' asset(s))', 'success');
+  else showStatus('Export failed: ' + result.error, 'error');
+}
 
-if (hasWebGL) {
-  skinRenderer = new PreviewRenderer(document.getElementById('skinCanvas'));
-  modelRenderer = new PreviewRenderer(document.getElementById('modelCanvas'));
+// Fetches the pack of ids and saves it, so a failed export comes back as
+// { success: false, error, unknown } rather than as a JSON error page
+async function downloadPack(ids) {
+  var res;
+  try {
+    res = await fetch('/api/pack/export?ids=' + encodeURIComponent(ids.join(',')));
+  } catch (err) {
+    return { success: false, error: err.message, unknown: [] };
+  }
+  if (res.status === 401) location.href = '/login' + location.search;
+  if (!res.ok) {
+    var data = await res.json().catch(function() { return {}; });
+    return { success: false, error: data.error || 'HTTP ' + res.status, unknown: data.unknown || [] };
+  }
+  var blob = await res.blob();
+  var match = /filename="([^"]+)"/.exec(res.headers.get('Content-Disposition') || '');
+  var link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = match ? match[1] : 'pack.zip';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(function() { URL.revokeObjectURL(link.href); }, 1000);
+  return { success: true, filename: link.download };
 }
 
-// ─── API Helper ───────────────────────────────────────────────────────────────
-async function api(url, opts) {
-  var res = await fetch(url, opts);
-  return res.json();
+function renderPackReport(report) {
+  var rows = report.assets.map(function(a) {
+    var cls = a.errors.length ? 'diff-removed' : a.conflict ? '' : 'diff-added';
+    var detail = a.conflict ? 'exists: ' + a.conflict.existing + ' (free name: ' + a.conflict.suggested + ')' : a.file || '';
+    return '<li class="' + cls + '">' + escapeHtml(a.id || a.type) + '<span class="issue-detail">' + escapeHtml(detail) + '</span></li>';
+  });
+  var notes = report.errors.map(function(e) { return '<li class="diff-removed">' + escapeHtml(e) + '</li>'; })
+    .concat(report.warnings.map(function(w) { return '<li>' + escapeHtml(w) + '</li>'; }));
+  document.getElementById('packReport').innerHTML =
+    '<div class="verify-summary">' + (report.ok ? 'Pack OK' : 'Pack rejected') + ' — ' + report.stats.assets + ' asset(s), ' +
+      report.stats.conflicts + ' already in the store, ' + formatSize(report.stats.bytes) + '</div>' +
+    '<ul class="issue-list">' + rows.concat(notes).join('') + '</ul>';
 }
 
-function showStatus(msg, type) {
-  var el = document.getElementById('status');
-  el.textContent = msg;
-  el.className = 'status ' + type;
-  setTimeout(function() { el.className = 'status'; }, 4000);
+async function checkPack() {
+  var input = document.getElementById('packFile');
+  var box = document.getElementById('packReport');
+  if (!input.files.length) {
+    box.innerHTML = '';
+    return;
+  }
+  box.innerHTML = '<div class="verify-summary">Checking pack...</div>';
+  var form = new FormData();
+  form.append('pack', input.files[0]);
+  var data = await api('/api/pack/inspect', { method: 'POST', body: form });
+  if (!data.success) {
+    box.innerHTML = '<div class="verify-summary">Pack check failed: ' + escapeHtml(data.error || 'unknown') + '</div>';
+    return;
+  }
+  renderPackReport(data.report);
 }
 
-function formatSize(bytes) {
-  if (bytes < 1024) return bytes + ' B';
-  if (bytes < 1048576) return (bytes / 1024).toFixed(1) + ' KB';
-  return (bytes / 1048576).toFixed(1) + ' MB';
+async function importPack() {
+  var input = document.getElementById('packFile');
+  if (!input.files.length) return showStatus('Choose a pack to import', 'error');
+  var form = new FormData();
+  form.append('pack', input.files[0]);
+  form.append('onConflict', document.getElementById('packConflict').value);
+  var data = await api('/api/pack/import', { method: 'POST', body: form });
+  if (data.report) renderPackReport(data.report);
+  if (!data.success) return showStatus('Import failed: ' + (data.error || 'unknown') + (data.report && data.report.ok ? ' — choose what to do with existing assets' : ''), 'error');
+  showStatus('Imported ' + data.imported.length + ' asset(s)' + (data.skipped.length ? ', skipped ' + data.skipped.length : ''), 'success');
+  input.value = '';
+  document.getElementById('packReport').innerHTML = '';
+  loadAssets();
 }
 
-// ─── Tab Switching ────────────────────────────────────────────────────────────
-function switchTab(tab) {
-  document.querySelectorAll('.upload-tab').forEach(function(t) { t.classList.remove('active'); });
-  document.querySelectorAll('.tab-content').forEach(function(t) { t.classList.remove('active'); });
-  var tabs = document.querySelectorAll('.upload-tab');
-  var tabMap = { skin: 0, model: 1, special: 2 };
-  if (tabMap[tab] !== undefined) tabs[tabMap[tab]].classList.add('active');
-  var content = document.getElementById('tab-' + tab);
-  if (content) content.classList.add('active');
+// ─── Submissions ─────────────────────────────────────────────────────────────
+// Non-admin uploads land here for review; admins approve or reject them.
+function submissionFileUrl(sub, role) {
+  return '/api/submission-file?id=' + encodeURIComponent(sub.id) + '&file=' + role;
 }
 
-function toggleUpload() {
-  document.getElementById('uploadSection').classList.toggle('visible');
+var submissions = [];
+
+function toggleSubmissions() {
+  var section = document.getElementById('submissionsSection');
+  section.classList.toggle('visible');
+  if (section.classList.contains('visible')) loadSubmissions();
 }
 
-// ─── Asset Loading ────────────────────────────────────────────────────────────
-async function loadAssets() {
-  var data = await api('/api/assets');
-  allAssets = data.assets || [];
-  renderStats(data);
-  renderFilters();
-  renderGrid();
+async function loadSubmissions() {
+  var status = document.getElementById('submissionStatus').value;
+  var data = await api('/api/submissions?status=' + status);
+  submissions = data.items || [];
+  if (status === 'pending') document.getElementById('submissionCount').textContent = submissions.length ? ' (' + submissions.length + ')' : '';
+  document.getElementById('submissionList').innerHTML = submissions.length
+    ? submissions.map(renderSubmission).join('')
+    : '<div class="verify-summary">No ' + (status === 'all' ? '' : status + ' ') + 'submissions.</div>';
 }
 
-function renderStats(manifest) {
-  var skins = allAssets.filter(function(a) { return a.type === 'skin'; }).length;
-  var models = allAssets.filter(function(a) { return a.type === 'model'; }).length;
-  var special = allAssets.filter(function(a) { return a.type === 'special'; }).length;
-  var totalSize = allAssets.reduce(function(s, a) { return s + (a.size || 0); }, 0);
-  document.getElementById('stats').innerHTML = [
-    { v: allAssets.length, l: 'Total Assets' },
-    { v: skins, l: 'Skins' },
-    { v: models, l: 'Models' },
-    { v: special, l: 'Special' },
-    { v: formatSize(totalSize), l: 'Total Size' },
-    { v: 'v' + (manifest.version || '?'), l: 'Manifest Version' },
-  ].map(function(s) {
-    return '<div class="stat"><div class="stat-value">' + s.v + '</div><div class="stat-label">' + s.l + '</div></div>';
+function renderSubmission(sub) {
+  var preview = sub.files.preview
+    ? '<img src="' + submissionFileUrl(sub, 'preview') + '">'
+    : '<span class="placeholder">&#x1f4e6;</span>';
+  var comments = sub.comments.map(function(c) {
+    return '<li><b>' + escapeHtml(c.by) + '</b> ' + escapeHtml(c.text) + '<span class="issue-detail">' + c.at.slice(0, 16).replace('T', ' ') + '</span></li>';
   }).join('');
+  var pending = sub.status === 'pending';
+  return '<div class="submission" data-id="' + sub.id + '">' +
+    '<div class="card-preview">' + preview + '</div>' +
+    '<div class="submission-body">' +
+      '<div class="submission-title">' + escapeHtml(sub.name) +
+        ' <span class="card-type">' + sub.type + (sub.weapon ? ' / ' + sub.weapon : '') + '</span>' +
+        ' <span class="submission-status ' + sub.status + '">' + sub.status + '</span></div>' +
+      '<div class="verify-summary">by ' + escapeHtml(sub.submittedBy) + ' · credit ' + escapeHtml(sub.credit) +
+        ' · ' + sub.submittedAt.slice(0, 10) + (sub.file ? ' · ' + escapeHtml(sub.file) : '') + '</div>' +
+      (sub.warnings && sub.warnings.length ? '<ul class="issue-list">' + sub.warnings.map(function(w) { return '<li>warning: ' + escapeHtml(w) + '</li>'; }).join('') + '</ul>' : '') +
+      (comments ? '<ul class="issue-list submission-comments">' + comments + '</ul>' : '') +
+      '<div class="upload-row">' +
+        '<input type="text" class="credit-input" placeholder="Comment" style="width:220px">' +
+        '<button class="upload-btn" data-action="comment">Comment</button>' +
+        (pending && sub.type !== 'special' && hasWebGL ? '<button class="upload-btn" data-action="view">View in 3D</button>' : '') +
+        (pending ? '<button class="upload-btn admin-only" data-action="approve">Approve</button>' +
+          '<button class="upload-btn admin-only" data-action="reject">Reject</button>' : '') +
+      '</div>' +
+    '</div>' +
+  '</div>';
 }
 
-function renderFilters() {
-  var types = ['all'];
-  allAssets.forEach(function(a) { if (types.indexOf(a.type) === -1) types.push(a.type); });
-  var weapons = [];
-  allAssets.forEach(function(a) { if (a.weapon && weapons.indexOf(a.weapon) === -1) weapons.push(a.weapon); });
-  var filters = types.concat(weapons.map(function(w) { return 'weapon:' + w; }));
-  document.getElementById('filters').innerHTML = filters.map(function(f) {
-    var label = f.indexOf('weapon:') === 0 ? f.split(':')[1].toUpperCase() : f.charAt(0).toUpperCase() + f.slice(1);
-    return '<button class="' + (activeFilter === f ? 'active' : '') + '" data-filter="' + f + '">' + label + '</button>';
-  }).join('');
+function viewSubmission3D(sub) {
+  openViewer({
+    type: sub.type,
+    weapon: sub.weapon,
+    name: sub.name + ' (submission)',
+    urls: sub.type === 'skin'
+      ? { glb: '/file/' + defaultModelPath(sub.weapon), texture: submissionFileUrl(sub, 'main') }
+      : { glb: submissionFileUrl(sub, 'main'), texture: sub.files.texture ? submissionFileUrl(sub, 'texture') : null }
+  });
 }
 
-// Use event delegation for filters
-document.getElementById('filters').addEventListener('click', function(e) {
-  var btn = e.target.closest('button');
-  if (btn && btn.dataset.filter) {
-    activeFilter = btn.dataset.filter;
-    renderFilters();
-    renderGrid();
+// Approves a submission; a name clash asks the same replace/rename question as an upload
+async function approveSubmission(sub) {
+  var body = { id: sub.id };
+  var data = await api('/api/submissions/approve', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  if (!data.success && data.conflict) {
+    body.onConflict = confirm(data.conflict.existing + ' already exists.\\n\\nOK to replace it, Cancel for other options.') ? 'replace'
+      : confirm('Publish as ' + data.conflict.suggested + ' instead?') ? 'rename' : null;
+    if (!body.onConflict) return;
+    data = await api('/api/submissions/approve', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  }
+  if (data.success) {
+    showStatus('Approved: ' + data.file, 'success');
+    loadAssets();
+  } else {
+    showStatus('Approve failed: ' + (data.error || 'unknown'), 'error');
   }
+}
+
+document.getElementById('submissionList').addEventListener('click', async function(e) {
+  var btn = e.target.closest('button[data-action]');
+  if (!btn) return;
+  var el = btn.closest('.submission');
+  var sub = submissions.find(function(s) { return s.id === el.dataset.id; });
+  if (!sub) return;
+  var action = btn.dataset.action;
+  var input = el.querySelector('input');
+  var data;
+  if (action === 'view') return viewSubmission3D(sub);
+  if (action === 'approve') {
+    await approveSubmission(sub);
+  } else if (action === 'comment' || action === 'reject') {
+    if (action === 'comment' && !input.value.trim()) return;
+    if (action === 'reject' && !confirm('Reject ' + sub.name + '?')) return;
+    data = await api('/api/submissions/' + action, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(action === 'comment' ? { id: sub.id, text: input.value } : { id: sub.id, reason: input.value.trim() })
+    });
+    if (!data.success) showStatus('Failed: ' + (data.error || 'unknown'), 'error');
+    else if (action === 'reject') showStatus('Rejected: ' + sub.name, 'success');
+  }
+  loadSubmissions();
 });
 
-function renderGrid() {
-  var items = allAssets;
-  if (activeFilter !== 'all') {
-    if (activeFilter.indexOf('weapon:') === 0) {
-      var w = activeFilter.split(':')[1];
-      items = items.filter(function(a) { return a.weapon === w; });
-    } else {
-      items = items.filter(function(a) { return a.type === activeFilter; });
-    }
+// ─── Upload checks (server-side reports) ────────────────────────────────────
+// Renders a { ok, errors, warnings } report from /api/validate-model or
+// /api/check-texture into one of the tabs' report boxes.
+function showReport(boxId, what, report, statsText) {
+  var box = document.getElementById(boxId);
+  box.className = 'upload-report visible ' + (report.ok ? 'ok' : 'rejected');
+  box.innerHTML = '';
+  function line(cls, text) {
+    var div = document.createElement('div');
+    div.className = cls;
+    div.textContent = text;
+    box.appendChild(div);
   }
-  document.getElementById('grid').innerHTML = items.map(function(a) {
-    var previewSrc = a.preview ? '/file/' + a.preview : '';
-    var typeClass = a.type === 'model' ? 'model' : a.type === 'special' ? 'special' : '';
-    var safeFile = a.file.replace(/"/g, '&quot;');
-    return '<div class="card">' +
-      '<button class="card-delete" data-file="' + safeFile + '" title="Delete">&times;</button>' +
-      '<div class="card-preview">' +
-        (previewSrc
-          ? '<img src="' + previewSrc + '" onerror="this.outerHTML=\\'<span class=placeholder>&#x1f4e6;</span>\\'">'
-          : '<span class="placeholder">&#x1f4e6;</span>') +
-      '</div>' +
-      '<div class="card-info">' +
-        '<div class="card-name" title="' + (a.description || a.name) + '">' + a.name + '</div>' +
-        '<div class="card-meta">' +
-          '<span class="card-type ' + typeClass + '">' + a.type + (a.weapon ? ' / ' + a.weapon : '') + '</span>' +
-          '<span>' + formatSize(a.size) + '</span>' +
-        '</div>' +
-        '<div class="card-credit" data-id="' + a.id + '"><svg viewBox="0 0 16 16"><path d="M8 8a3 3 0 100-6 3 3 0 000 6zm-5 8a5 5 0 0110 0H3z"/></svg><span class="card-credit-text">' + (a.credit || 'Unknown') + '</span></div>' +
-      '</div>' +
-    '</div>';
-  }).join('');
+  line(report.ok ? '' : 'report-error', report.ok ? what + ' check passed' : what + ' rejected');
+  report.errors.forEach(function(e) { line('report-error', '\u2716 ' + e); });
+  report.warnings.forEach(function(w) { line('report-warning', '\u26a0 ' + w); });
+  if (statsText) line('report-stats', statsText);
 }
 
-// Use event delegation for delete buttons + card click → viewer
-document.getElementById('grid').addEventListener('click', function(e) {
-  // Delete handler
-  var btn = e.target.closest('.card-delete');
-  if (btn && btn.dataset.file) {
-    deleteAsset(btn.dataset.file);
-    return;
-  }
-  // Credit inline edit — click on credit line to edit creator name
-  var creditEl = e.target.closest('.card-credit');
-  if (creditEl && creditEl.dataset.id) {
-    var textEl = creditEl.querySelector('.card-credit-text');
-    if (!textEl) return;
-    var current = textEl.textContent;
-    var input = document.createElement('input');
-    input.type = 'text';
-    input.className = 'credit-input';
-    input.value = current === 'Unknown' ? '' : current;
-    input.placeholder = 'Creator name';
-    input.style.width = '80px';
-    textEl.replaceWith(input);
-    input.focus();
-    function saveCredit() {
-      var val = input.value.trim() || 'Unknown';
-      fetch('/api/set-credit', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ id: creditEl.dataset.id, credit: val })
-      }).then(function() { loadAssets(); });
-    }
-    input.addEventListener('blur', saveCredit);
-    input.addEventListener('keydown', function(ev) { if (ev.key === 'Enter') { input.blur(); } });
+function showModelReport(report) {
+  var st = report.stats;
+  showReport('modelReport', 'Model', report, st ? st.meshes + ' mesh(es) \u00b7 ' + st.vertices + ' vertices \u00b7 ' + st.triangles + ' triangles' +
+    (st.scale !== null ? ' \u00b7 ' + st.scale.toFixed(2) + '\u00d7 default model size' : '') : '');
+}
+
+function showTextureReport(kind, report) {
+  var st = report.stats;
+  showReport(kind + 'Report', 'Texture', report, st ? st.format.toUpperCase() + ' ' + st.width + '\u00d7' + st.height + ' \u00b7 ' + formatSize(st.bytes) +
+    (st.suggested ? ' \u00b7 converts to ' + st.suggested.width + '\u00d7' + st.suggested.height : '') : '');
+}
+
+// Latest /api/check-texture report per tab ('skin' / 'special')
+var textureReports = { skin: null, special: null };
+
+async function checkTexture(kind) {
+  var input = document.getElementById(kind + 'File');
+  var box = document.getElementById(kind + 'Report');
+  textureReports[kind] = null;
+  if (!input.files.length) {
+    box.className = 'upload-report';
     return;
   }
-  // Card click → open viewer for skin/model
-  var card = e.target.closest('.card');
-  if (card) {
-    var delBtn = card.querySelector('.card-delete');
-    if (delBtn && delBtn.dataset.file) {
-      var file = delBtn.dataset.file;
-      var asset = allAssets.find(function(a) { return a.file === file; });
-      if (asset && (asset.type === 'skin' || asset.type === 'model')) {
-        openViewer(asset);
-      }
+  box.className = 'upload-report visible';
+  box.textContent = 'Checking texture...';
+  var form = new FormData();
+  form.append('type', kind);
+  if (kind === 'skin') form.append('weapon', document.getElementById('skinWeapon').value);
+  form.append('file', input.files[0]);
+  try {
+    var data = await api('/api/check-texture', { method: 'POST', body: form });
+    if (!data.success) {
+      box.textContent = 'Texture check failed: ' + (data.error || 'unknown');
+      return;
     }
+    textureReports[kind] = data.report;
+    showTextureReport(kind, data.report);
+  } catch(e) {
+    console.error('Texture check failed:', e);
+    box.textContent = 'Texture check failed: ' + e.message;
   }
-});
+}
 
-// ─── Manifest & Git ──────────────────────────────────────────────────────────
-async function regenerateManifest() {
-  var data = await api('/api/regenerate', { method: 'POST' });
-  if (data.success) {
-    showStatus('Manifest regenerated — ' + data.count + ' assets found', 'success');
-    loadAssets();
-  } else {
-    showStatus('Failed: ' + (data.error || 'unknown'), 'error');
-  }
+// The texture passes, or fails in a way "Convert if over the limits" fixes
+function textureAccepted(kind) {
+  var report = textureReports[kind];
+  if (!report) return false;
+  return report.ok || (report.convertible && document.getElementById(kind + 'Normalize').checked);
 }
 
-async function gitPush() {
-  if (!confirm('This will commit and push all changes. Continue?')) return;
-  var data = await api('/api/git-push', { method: 'POST' });
-  if (data.success) {
-    showStatus('Pushed to git: ' + data.message, 'success');
-  } else {
-    showStatus('Git error: ' + (data.error || 'unknown'), 'error');
-  }
+function appendTextureOptions(form, kind) {
+  if (document.getElementById(kind + 'Normalize').checked) form.append('normalize', '1');
+  if (document.getElementById(kind + 'Webp').checked) form.append('format', 'webp');
 }
 
-async function deleteAsset(filePath) {
-  if (!confirm('Delete ' + filePath + '?')) return;
-  var data = await api('/api/asset?file=' + encodeURIComponent(filePath), { method: 'DELETE' });
-  if (data.success) {
-    showStatus('Deleted: ' + filePath, 'success');
-    loadAssets();
-  } else {
-    showStatus('Delete failed: ' + (data.error || 'unknown'), 'error');
-  }
+// Posts an upload form. When the name is taken the server answers 409 with the
+// existing file and a free name; ask whether to replace it or use that name.
+async function postUpload(url, form) {
+  var data = await api(url, { method: 'POST', body: form });
+  if (data.success || !data.conflict) return data;
+  var choice = confirm(data.conflict.existing + ' already exists.\\n\\nOK to replace it, Cancel for other options.') ? 'replace'
+    : confirm('Upload as ' + data.conflict.suggested + ' instead?') ? 'rename' : null;
+  if (!choice) return { success: false, error: data.conflict.existing + ' already exists' };
+  form.set('onConflict', choice);
+  return api(url, { method: 'POST', body: form });
 }
 
+['skin', 'special'].forEach(function(kind) {
+  document.getElementById(kind + 'Normalize').addEventListener('change', function() {
+    var hasFile = document.getElementById(kind + 'File').files.length > 0;
+    document.getElementById(kind + 'UploadBtn').disabled = !(hasFile && textureAccepted(kind));
+  });
+});
+
 // ─── Skin Upload Flow ────────────────────────────────────────────────────────
 document.getElementById('skinFile').addEventListener('change', async function() {
   skinPreviewBlob = null;
   document.getElementById('skinUploadBtn').disabled = true;
+  await checkTexture('skin');
   if (!this.files.length) return;
 
   if (hasWebGL) {
@@ -966,7 +5084,7 @@ document.getElementById('skinFile').addEventListener('change', async function()
     loading.classList.add('visible');
     try {
       skinPreviewBlob = await skinRenderer.render(
-        '/file/DefaultModels/' + weapon + '.glb',
+        '/file/' + defaultModelPath(weapon),
         this.files[0]
       );
     } catch(e) {
@@ -975,7 +5093,7 @@ document.getElementById('skinFile').addEventListener('change', async function()
     }
     loading.classList.remove('visible');
   }
-  document.getElementById('skinUploadBtn').disabled = false;
+  document.getElementById('skinUploadBtn').disabled = !textureAccepted('skin');
   // Show "View in 3D" link
   if (hasWebGL) document.getElementById('skinView3d').style.display = 'block';
 });
@@ -997,13 +5115,16 @@ async function uploadSkin() {
   form.append('weapon', weapon);
   form.append('file', fileInput.files[0]);
   if (skinPreviewBlob) form.append('preview', skinPreviewBlob, 'preview.webp');
+  appendTextureOptions(form, 'skin');
   var creator = document.getElementById('skinCreator').value.trim();
   if (creator) form.append('credit', creator);
 
-  var data = await fetch('/api/upload-skin', { method: 'POST', body: form }).then(function(r) { return r.json(); });
+  var data = await postUpload('/api/upload-skin', form);
   if (data.success) {
-    showStatus('Skin uploaded: ' + data.file, 'success');
+    showStatus(data.submission ? 'Skin submitted for review' : 'Skin uploaded: ' + data.file + (data.converted ? ' (converted)' : '') +
+      (data.previewSource === 'server' ? ' (preview rendered on server)' : ''), 'success');
     fileInput.value = '';
+    checkTexture('skin');
     document.getElementById('skinCreator').value = '';
     skinPreviewBlob = null;
     document.getElementById('skinUploadBtn').disabled = true;
@@ -1012,17 +5133,48 @@ async function uploadSkin() {
     loadAssets();
   } else {
     showStatus('Upload failed: ' + (data.error || 'unknown'), 'error');
+    if (data.report) showTextureReport('skin', data.report);
   }
 }
 
 // ─── Model Upload Flow ───────────────────────────────────────────────────────
+var modelReportOk = false;
+
+// Server-side GLB check; the upload button stays disabled until it passes
+async function checkModel() {
+  var modelInput = document.getElementById('modelFile');
+  var box = document.getElementById('modelReport');
+  modelReportOk = false;
+  if (!modelInput.files.length) {
+    box.className = 'upload-report';
+    return;
+  }
+  box.className = 'upload-report visible';
+  box.textContent = 'Checking model...';
+  var form = new FormData();
+  form.append('weapon', document.getElementById('modelWeapon').value);
+  form.append('model', modelInput.files[0]);
+  try {
+    var data = await api('/api/validate-model', { method: 'POST', body: form });
+    if (!data.success) {
+      box.textContent = 'Model check failed: ' + (data.error || 'unknown');
+      return;
+    }
+    showModelReport(data.report);
+    modelReportOk = data.report.ok;
+  } catch(e) {
+    console.error('Model check failed:', e);
+    box.textContent = 'Model check failed: ' + e.message;
+  }
+}
+
 async function tryModelPreview() {
   var modelInput = document.getElementById('modelFile');
   var textureInput = document.getElementById('modelTexture');
   modelPreviewBlob = null;
   document.getElementById('modelUploadBtn').disabled = true;
 
-  if (!modelInput.files.length || !textureInput.files.length) return;
+  if (!modelInput.files.length || !textureInput.files.length || !modelReportOk) return;
   document.getElementById('modelUploadBtn').disabled = false;
   // Show "View in 3D" link
   if (hasWebGL) document.getElementById('modelView3d').style.display = 'block';
@@ -1041,8 +5193,16 @@ async function tryModelPreview() {
   }
 }
 
-document.getElementById('modelFile').addEventListener('change', tryModelPreview);
+document.getElementById('modelFile').addEventListener('change', async function() {
+  await checkModel();
+  tryModelPreview();
+});
 document.getElementById('modelTexture').addEventListener('change', tryModelPreview);
+// The scale check compares against the selected weapon's default model
+document.getElementById('modelWeapon').addEventListener('change', async function() {
+  await checkModel();
+  tryModelPreview();
+});
 
 async function uploadModel() {
   var weapon = document.getElementById('modelWeapon').value;
@@ -1059,19 +5219,22 @@ async function uploadModel() {
   var creator = document.getElementById('modelCreator').value.trim();
   if (creator) form.append('credit', creator);
 
-  var data = await fetch('/api/upload-model', { method: 'POST', body: form }).then(function(r) { return r.json(); });
+  var data = await postUpload('/api/upload-model', form);
   if (data.success) {
-    showStatus('Model uploaded: ' + data.file, 'success');
+    showStatus(data.submission ? 'Model submitted for review' : 'Model uploaded: ' + data.file + (data.previewSource === 'server' ? ' (preview rendered on server)' : ''), 'success');
     modelInput.value = '';
     textureInput.value = '';
     document.getElementById('modelCreator').value = '';
     modelPreviewBlob = null;
+    modelReportOk = false;
+    document.getElementById('modelReport').className = 'upload-report';
     document.getElementById('modelUploadBtn').disabled = true;
     var ctx = document.getElementById('modelCanvas').getContext('2d');
     ctx.clearRect(0, 0, 400, 300);
     loadAssets();
   } else {
     showStatus('Upload failed: ' + (data.error || 'unknown'), 'error');
+    if (data.report) showModelReport(data.report);
   }
 }
 
@@ -1079,6 +5242,7 @@ async function uploadModel() {
 document.getElementById('specialFile').addEventListener('change', async function() {
   specialPreviewBlob = null;
   document.getElementById('specialUploadBtn').disabled = true;
+  await checkTexture('special');
   if (!this.files.length) return;
 
   // 2D canvas: scale image to 400x300 WebP
@@ -1111,7 +5275,7 @@ document.getElementById('specialFile').addEventListener('change', async function
     specialPreviewBlob = null;
   }
   loading.classList.remove('visible');
-  document.getElementById('specialUploadBtn').disabled = false;
+  document.getElementById('specialUploadBtn').disabled = !textureAccepted('special');
 });
 
 async function uploadSpecial() {
@@ -1121,13 +5285,15 @@ async function uploadSpecial() {
   var form = new FormData();
   form.append('file', fileInput.files[0]);
   if (specialPreviewBlob) form.append('preview', specialPreviewBlob, 'preview.webp');
+  appendTextureOptions(form, 'special');
   var creator = document.getElementById('specialCreator').value.trim();
   if (creator) form.append('credit', creator);
 
-  var data = await fetch('/api/upload-special', { method: 'POST', body: form }).then(function(r) { return r.json(); });
+  var data = await postUpload('/api/upload-special', form);
   if (data.success) {
-    showStatus('Special uploaded: ' + data.file, 'success');
+    showStatus(data.submission ? 'Special submitted for review' : 'Special uploaded: ' + data.file + (data.converted ? ' (converted)' : ''), 'success');
     fileInput.value = '';
+    checkTexture('special');
     document.getElementById('specialCreator').value = '';
     specialPreviewBlob = null;
     document.getElementById('specialUploadBtn').disabled = true;
@@ -1136,41 +5302,264 @@ async function uploadSpecial() {
     loadAssets();
   } else {
     showStatus('Upload failed: ' + (data.error || 'unknown'), 'error');
+    if (data.report) showTextureReport('special', data.report);
   }
 }
 
-// ─── Drag and Drop (Skin flow) ───────────────────────────────────────────────
-var dropZone = document.getElementById('dropZone');
-dropZone.addEventListener('dragover', function(e) { e.preventDefault(); dropZone.classList.add('dragover'); });
-dropZone.addEventListener('dragleave', function() { dropZone.classList.remove('dragover'); });
-dropZone.addEventListener('drop', async function(e) {
-  e.preventDefault();
-  dropZone.classList.remove('dragover');
-  var weapon = document.getElementById('skinWeapon').value;
+// ─── Bulk Upload ─────────────────────────────────────────────────────────────
+// Dropped files and folders are planned on the server (type, weapon, model +
+// _tex pairs) and listed for review. Each row can be edited, then rows upload
+// one by one through the normal upload routes with their own progress, error
+// and retry.
+var bulkRows = [];
+var bulkUnused = [];
+var bulkRunning = false;
+
+// Reads a dropped folder entry into { path, file } items
+async function walkEntry(entry, prefix, out) {
+  if (entry.isFile) {
+    var file = await new Promise(function(resolve, reject) { entry.file(resolve, reject); });
+    out.push({ path: prefix + entry.name, file: file });
+  } else if (entry.isDirectory) {
+    var reader = entry.createReader();
+    var batch;
+    do {
+      batch = await new Promise(function(resolve, reject) { reader.readEntries(resolve, reject); });
+      for (var i = 0; i < batch.length; i++) await walkEntry(batch[i], prefix + entry.name + '/', out);
+    } while (batch.length);
+  }
+}
 
-  for (var i = 0; i < e.dataTransfer.files.length; i++) {
-    var file = e.dataTransfer.files[i];
-    var form = new FormData();
-    form.append('weapon', weapon);
-    form.append('file', file);
+async function planBulk(items) {
+  if (!items.length) return;
+  var byPath = {};
+  items.forEach(function(it) { byPath[it.path] = it.file; });
+  var data = await api('/api/bulk/plan', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ paths: items.map(function(it) { return it.path; }) }),
+  });
+  if (!data.success) return showStatus('Bulk upload: ' + (data.error || 'unknown'), 'error');
+  data.items.forEach(function(item) {
+    var stem = item.file.split('/').pop().replace(/\\.[^.]+$/, '');
+    bulkRows.push({
+      path: item.file,
+      file: byPath[item.file],
+      texturePath: item.texture,
+      texture: item.texture ? byPath[item.texture] : null,
+      type: item.type,
+      weapon: item.weapon || '',
+      name: stem,
+      issues: item.issues,
+      include: true,
+      status: 'ready',
+      progress: 0,
+      error: '',
+      conflict: null,
+    });
+  });
+  bulkUnused = bulkUnused.concat(data.unused);
+  document.getElementById('bulkSection').classList.add('visible');
+  renderBulk();
+}
+
+function bulkStatusCell(row, i) {
+  if (row.status === 'uploading') return '<progress max="1" value="' + row.progress + '"></progress>';
+  if (row.status === 'done') return '<span class="bulk-status done">' + escapeHtml(row.error || 'Uploaded') + '</span>';
+  if (row.status === 'conflict') {
+    return '<span class="bulk-status conflict">' + escapeHtml(row.conflict.existing) + ' exists</span> ' +
+      '<button class="upload-btn" data-action="replace" data-row="' + i + '">Replace</button> ' +
+      '<button class="upload-btn" data-action="rename" data-row="' + i + '">Use ' + escapeHtml(row.conflict.suggested.split('/').pop()) + '</button>';
+  }
+  if (row.status === 'failed') {
+    return '<span class="bulk-status failed">' + escapeHtml(row.error) + '</span> <button class="upload-btn" data-action="retry" data-row="' + i + '">Retry</button>';
+  }
+  return row.issues.length ? '<span class="bulk-note">' + escapeHtml(row.issues.join('; ')) + '</span>' : '';
+}
+
+function renderBulk() {
+  var weaponOptions = function(selected) {
+    return '<option value="">— weapon —</option>' + weapons.map(function(w) {
+      return '<option value="' + escapeHtml(w.id) + '"' + (w.id === selected ? ' selected' : '') + '>' + escapeHtml(w.name) + '</option>';
+    }).join('');
+  };
+  var typeOptions = function(row) {
+    var types = row.type === 'model' ? ['model'] : ['skin', 'special'];
+    return types.map(function(t) { return '<option value="' + t + '"' + (t === row.type ? ' selected' : '') + '>' + t + '</option>'; }).join('');
+  };
+  document.getElementById('bulkTable').innerHTML = bulkRows.length
+    ? '<tr><th></th><th>File</th><th>Type</th><th>Weapon</th><th>Name</th><th>Status</th></tr>' +
+      bulkRows.map(function(row, i) {
+        var locked = row.status === 'done' || row.status === 'uploading';
+        var dis = locked ? ' disabled' : '';
+        return '<tr data-row="' + i + '">' +
+          '<td><input type="checkbox" data-field="include"' + (row.include ? ' checked' : '') + dis + '></td>' +
+          '<td><span class="bulk-path">' + escapeHtml(row.path) + '</span>' +
+            (row.texturePath ? '<span class="bulk-note">+ ' + escapeHtml(row.texturePath) + '</span>' : '') + '</td>' +
+          '<td><select class="panel-select" data-field="type"' + dis + '>' + typeOptions(row) + '</select></td>' +
+          '<td><select class="panel-select" data-field="weapon"' + (locked || row.type === 'special' ? ' disabled' : '') + '>' + weaponOptions(row.weapon) + '</select></td>' +
+          '<td><input type="text" class="credit-input" data-field="name" value="' + escapeHtml(row.name) + '"' + dis + '></td>' +
+          '<td>' + bulkStatusCell(row, i) + '</td>' +
+        '</tr>';
+      }).join('')
+    : '';
+  document.getElementById('bulkUnused').innerHTML = bulkUnused.map(function(u) {
+    return '<li>- ' + escapeHtml(u.path) + '<span class="issue-detail">' + escapeHtml(u.reason) + '</span></li>';
+  }).join('');
+  var count = function(status) { return bulkRows.filter(function(r) { return r.status === status; }).length; };
+  document.getElementById('bulkProgress').textContent = bulkRows.length
+    ? count('done') + '/' + bulkRows.length + ' uploaded' + (count('failed') + count('conflict') ? ', ' + (count('failed') + count('conflict')) + ' need attention' : '')
+    : '';
+}
+
+// XMLHttpRequest rather than api(): fetch cannot report upload progress
+function sendWithProgress(url, form, onProgress) {
+  return new Promise(function(resolve) {
+    var xhr = new XMLHttpRequest();
+    xhr.open('POST', url);
+    xhr.setRequestHeader('X-CSRF-Token', session.csrf || '');
+    xhr.upload.onprogress = function(e) { if (e.lengthComputable) onProgress(e.loaded / e.total); };
+    xhr.onload = function() {
+      if (xhr.status === 401) location.href = '/login' + location.search;
+      try { resolve(JSON.parse(xhr.responseText)); } catch (e) { resolve({ success: false, error: 'HTTP ' + xhr.status }); }
+    };
+    xhr.onerror = function() { resolve({ success: false, error: 'Network error' }); };
+    xhr.send(form);
+  });
+}
 
-    // Generate 3D preview if WebGL available
-    if (hasWebGL) {
+async function uploadBulkRow(row, onConflict) {
+  if (row.type !== 'special' && !row.weapon) {
+    row.status = 'failed';
+    row.error = 'Choose a weapon';
+    return;
+  }
+  var ext = row.path.slice(row.path.lastIndexOf('.'));
+  var filename = (row.name.trim() || row.path.split('/').pop().replace(/\\.[^.]+$/, '')) + ext;
+  var form = new FormData();
+  var url;
+  if (row.type === 'model') {
+    url = '/api/upload-model';
+    form.append('weapon', row.weapon);
+    form.append('model', row.file, filename);
+    if (row.texture) form.append('texture', row.texture, row.texture.name);
+  } else {
+    url = row.type === 'skin' ? '/api/upload-skin' : '/api/upload-special';
+    if (row.type === 'skin') form.append('weapon', row.weapon);
+    form.append('file', row.file, filename);
+    if (document.getElementById('bulkNormalize').checked) form.append('normalize', '1');
+    if (document.getElementById('bulkWebp').checked) form.append('format', 'webp');
+    if (row.type === 'skin' && hasWebGL) {
       try {
-        var blob = await skinRenderer.render(
-          '/file/DefaultModels/' + weapon + '.glb',
-          file
-        );
+        var blob = await skinRenderer.render('/file/' + defaultModelPath(row.weapon), row.file);
         if (blob) form.append('preview', blob, 'preview.webp');
       } catch(err) {
-        console.error('Drop preview failed:', err);
+        console.error('Bulk preview failed:', err);
       }
     }
+  }
+  var creator = document.getElementById('bulkCreator').value.trim();
+  if (creator) form.append('credit', creator);
+  onConflict = onConflict || document.getElementById('bulkConflict').value;
+  if (onConflict) form.append('onConflict', onConflict);
+
+  row.status = 'uploading';
+  row.progress = 0;
+  renderBulk();
+  var data = await sendWithProgress(url, form, function(p) {
+    row.progress = p;
+    var bar = document.querySelector('#bulkTable tr[data-row="' + bulkRows.indexOf(row) + '"] progress');
+    if (bar) bar.value = p;
+  });
+  row.conflict = data.conflict || null;
+  if (data.success) {
+    row.status = 'done';
+    row.error = data.submission ? 'Submitted for review' : 'Uploaded as ' + data.file + (data.converted ? ' (converted)' : '');
+  } else {
+    row.status = data.conflict ? 'conflict' : 'failed';
+    row.error = data.error || 'unknown';
+  }
+}
 
-    await fetch('/api/upload-skin', { method: 'POST', body: form }).then(function(r) { return r.json(); });
+async function uploadBulk(retryOnly) {
+  if (bulkRunning) return;
+  var rows = bulkRows.filter(function(r) {
+    return r.include && (retryOnly ? r.status === 'failed' : r.status === 'ready' || r.status === 'failed');
+  });
+  if (!rows.length) return showStatus(retryOnly ? 'No failed uploads to retry' : 'Nothing to upload', 'error');
+  bulkRunning = true;
+  try {
+    for (var i = 0; i < rows.length; i++) {
+      await uploadBulkRow(rows[i]);
+      renderBulk();
+    }
+  } finally {
+    bulkRunning = false;
   }
-  showStatus('Dropped ' + e.dataTransfer.files.length + ' skin(s)', 'success');
+  var failed = rows.filter(function(r) { return r.status !== 'done'; }).length;
+  showStatus((rows.length - failed) + ' of ' + rows.length + ' asset(s) uploaded' + (failed ? ', ' + failed + ' need attention' : '') + (isAdmin() ? '' : ' for review'), failed ? 'error' : 'success');
   loadAssets();
+}
+
+function clearBulk() {
+  if (bulkRunning) return;
+  bulkRows = [];
+  bulkUnused = [];
+  document.getElementById('bulkFiles').value = '';
+  document.getElementById('bulkFolder').value = '';
+  renderBulk();
+  document.getElementById('bulkSection').classList.remove('visible');
+}
+
+document.getElementById('bulkTable').addEventListener('change', function(e) {
+  var tr = e.target.closest('tr[data-row]');
+  if (!tr || !e.target.dataset.field) return;
+  var row = bulkRows[Number(tr.dataset.row)];
+  var field = e.target.dataset.field;
+  row[field] = field === 'include' ? e.target.checked : e.target.value;
+  if (field === 'type' || field === 'weapon') {
+    row.issues = [];
+    if (row.status === 'failed') row.status = 'ready';
+    renderBulk();
+  }
+});
+
+document.getElementById('bulkTable').addEventListener('click', async function(e) {
+  var btn = e.target.closest('button[data-action]');
+  if (!btn || bulkRunning) return;
+  var row = bulkRows[Number(btn.dataset.row)];
+  bulkRunning = true;
+  try {
+    await uploadBulkRow(row, btn.dataset.action === 'retry' ? null : btn.dataset.action);
+  } finally {
+    bulkRunning = false;
+  }
+  renderBulk();
+  if (row.status === 'done') loadAssets();
+});
+
+['bulkFiles', 'bulkFolder'].forEach(function(id) {
+  document.getElementById(id).addEventListener('change', function() {
+    planBulk(Array.prototype.map.call(this.files, function(f) { return { path: f.webkitRelativePath || f.name, file: f }; }));
+    this.value = '';
+  });
+});
+
+var dropZone = document.getElementById('dropZone');
+dropZone.addEventListener('dragover', function(e) { e.preventDefault(); dropZone.classList.add('dragover'); });
+dropZone.addEventListener('dragleave', function() { dropZone.classList.remove('dragover'); });
+dropZone.addEventListener('drop', async function(e) {
+  e.preventDefault();
+  dropZone.classList.remove('dragover');
+  // Entries must be taken before the first await; the drop data is gone after it
+  var entries = [];
+  Array.prototype.forEach.call(e.dataTransfer.items || [], function(item) {
+    var entry = item.webkitGetAsEntry && item.webkitGetAsEntry();
+    if (entry) entries.push(entry);
+  });
+  var items = entries.length ? [] : Array.prototype.map.call(e.dataTransfer.files, function(f) { return { path: f.name, file: f }; });
+  for (var i = 0; i < entries.length; i++) await walkEntry(entries[i], '', items);
+  planBulk(items);
 });
 
 // ─── Interactive Viewer Functions ──────────────────────────────────────────────
@@ -1195,15 +5584,19 @@ function openViewer(asset) {
 
   // Determine GLB + texture sources
   var glb, tex;
-  if (asset.type === 'skin') {
-    glb = '/file/DefaultModels/' + asset.weapon + '.glb';
+  if (asset.urls) {
+    glb = asset.urls.glb;
+    tex = asset.urls.texture;
+  } else if (asset.type === 'skin') {
+    glb = '/file/' + defaultModelPath(asset.weapon);
     tex = '/file/' + asset.file;
   } else if (asset.type === 'model') {
     glb = '/file/' + asset.file;
     tex = asset.texture ? '/file/' + asset.texture : null;
   }
 
-  document.getElementById('genPreviewBtn').disabled = false;
+  // Previews are saved for stored assets only
+  document.getElementById('genPreviewBtn').disabled = !!asset.urls;
   interactiveViewer.load(glb, tex).catch(function(e) {
     console.error('Viewer load failed:', e);
     document.getElementById('viewerInfo').textContent = 'Failed to load model';
@@ -1250,7 +5643,7 @@ async function generatePreview() {
     form.append('name', name);
     form.append('preview', blob, 'preview.webp');
 
-    var data = await fetch('/api/save-preview', { method: 'POST', body: form }).then(function(r) { return r.json(); });
+    var data = await api('/api/save-preview', { method: 'POST', body: form });
     if (data.success) {
       info.textContent = 'Preview saved!';
       showStatus('Preview generated for ' + asset.name, 'success');
@@ -1271,13 +5664,48 @@ async function generatePreview() {
   btn.textContent = 'Generate Preview';
 }
 
+// Without WebGL the server renders the same previews in one batch
+async function generateServerPreviews(total) {
+  showStatus('Rendering ' + total + ' previews on the server...', 'success');
+  try {
+    var data = await api('/api/render-previews', { method: 'POST' });
+    if (!data.success) return showStatus('Preview rendering failed: ' + (data.error || 'unknown'), 'error');
+    if (data.failed.length) {
+      console.error('Server preview failures:', data.failed);
+      showStatus(data.rendered.length + ' previews rendered, ' + data.failed.length + ' failed (' + data.failed[0].id + ': ' + data.failed[0].error + ')', 'error');
+    } else {
+      await buildMissingVariants('All ' + data.rendered.length + ' previews rendered on the server');
+    }
+    loadAssets();
+  } catch(e) {
+    console.error('Server preview failed:', e);
+    showStatus('Preview rendering failed: ' + e.message, 'error');
+  }
+}
+
+// Last step of the batch: low/medium/high variants for every texture without up-to-date ones
+async function buildMissingVariants(previewSummary) {
+  showStatus(previewSummary + ' \u2014 building texture variants...', 'success');
+  var data = await api('/api/build-variants', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ missingOnly: true })
+  });
+  if (!data.success) return showStatus(previewSummary + ', but variants failed: ' + (data.error || 'unknown'), 'error');
+  if (data.failed.length) {
+    console.error('Variant build failures:', data.failed);
+    return showStatus(previewSummary + '; ' + data.failed.length + ' variant set(s) failed (' + data.failed[0].id + ': ' + data.failed[0].error + ')', 'error');
+  }
+  showStatus(previewSummary + ', ' + data.built.length + ' variant set(s) built!', 'success');
+}
+
 async function generateAllPreviews() {
-  if (!hasWebGL) return showStatus('WebGL not available', 'error');
   var skins = allAssets.filter(function(a) { return a.type === 'skin'; });
   var models = allAssets.filter(function(a) { return a.type === 'model'; });
   var total = skins.length + models.length;
   if (total === 0) return showStatus('No skins or models to generate previews for', 'error');
   if (!confirm('Generate previews for ' + skins.length + ' skins and ' + models.length + ' models?')) return;
+  if (!hasWebGL) return generateServerPreviews(total);
 
   // Create temporary offscreen viewer
   var tempCanvas = document.createElement('canvas');
@@ -1292,7 +5720,7 @@ async function generateAllPreviews() {
     // Process skins
     for (var i = 0; i < skins.length; i++) {
       var skin = skins[i];
-      var glb = '/file/DefaultModels/' + skin.weapon + '.glb';
+      var glb = '/file/' + defaultModelPath(skin.weapon);
       var tex = '/file/' + skin.file;
       await tempViewer.load(glb, tex);
       var blob = await tempViewer.capturePreview();
@@ -1304,7 +5732,7 @@ async function generateAllPreviews() {
       form.append('weapon', skin.weapon);
       form.append('name', name);
       form.append('preview', blob, 'preview.webp');
-      await fetch('/api/save-preview', { method: 'POST', body: form });
+      await api('/api/save-preview', { method: 'POST', body: form });
 
       done++;
       showStatus('Generating previews... ' + done + '/' + total, 'success');
@@ -1325,14 +5753,14 @@ async function generateAllPreviews() {
       mForm.append('weapon', model.weapon);
       mForm.append('name', mName);
       mForm.append('preview', mBlob, 'preview.webp');
-      await fetch('/api/save-preview', { method: 'POST', body: mForm });
+      await api('/api/save-preview', { method: 'POST', body: mForm });
 
       done++;
       showStatus('Generating previews... ' + done + '/' + total, 'success');
     }
 
     tempViewer.dispose();
-    showStatus('All ' + total + ' previews generated!', 'success');
+    await buildMissingVariants('All ' + total + ' previews generated');
     loadAssets();
   } catch(e) {
     console.error('Batch preview failed:', e);
@@ -1350,12 +5778,12 @@ function viewUploadedSkin3D() {
     type: 'skin',
     weapon: weapon,
     name: fileInput.files[0].name,
-    file: 'DefaultModels/' + weapon + '.glb',
+    file: defaultModelPath(weapon),
     _uploadSkin: true,
     _skinTexture: fileInput.files[0]
   });
   // Override: load with local file instead of URL
-  var glb = '/file/DefaultModels/' + weapon + '.glb';
+  var glb = '/file/' + defaultModelPath(weapon);
   interactiveViewer.load(glb, fileInput.files[0]);
 }
 
@@ -1380,7 +5808,11 @@ function viewUploadedModel3D() {
 // ─── Expose to window for onclick handlers ───────────────────────────────────
 window.toggleUpload = toggleUpload;
 window.regenerateManifest = regenerateManifest;
-window.gitPush = gitPush;
+window.toggleGit = toggleGit;
+window.switchBranch = switchBranch;
+window.gitCommit = gitCommit;
+window.gitPushOnly = gitPushOnly;
+window.gitPublishPR = gitPublishPR;
 window.loadAssets = loadAssets;
 window.deleteAsset = deleteAsset;
 window.switchTab = switchTab;
@@ -1392,10 +5824,95 @@ window.generatePreview = generatePreview;
 window.generateAllPreviews = generateAllPreviews;
 window.viewUploadedSkin3D = viewUploadedSkin3D;
 window.viewUploadedModel3D = viewUploadedModel3D;
+window.verifyStore = verifyStore;
+window.toggleWeapons = toggleWeapons;
+window.addWeapon = addWeapon;
+window.repairStore = repairStore;
+window.logout = logout;
+window.toggleSubmissions = toggleSubmissions;
+window.loadSubmissions = loadSubmissions;
+window.toggleHistory = toggleHistory;
+window.uploadBulk = uploadBulk;
+window.clearBulk = clearBulk;
+window.togglePacks = togglePacks;
+window.exportPack = exportPack;
+window.checkPack = checkPack;
+window.importPack = importPack;
+window.selectAllShown = selectAllShown;
+window.clearSelection = clearSelection;
+window.bulkDelete = bulkDelete;
+window.bulkSetCredit = bulkSetCredit;
+window.bulkTag = bulkTag;
+window.bulkPreviews = bulkPreviews;
+window.bulkMove = bulkMove;
+window.bulkExport = bulkExport;
+window.toggleTrash = toggleTrash;
+window.purgeTrash = purgeTrash;
+
+// Init
+view = readViewFromUrl();
+await loadSession();
+loadRarities();
+loadWeapons();
+loadAssets();
+if (session.user && session.user.role !== 'viewer') loadSubmissions();
+<\/script>
+</body>
+</html>`;
+}
+
+// ─── Sign-in page HTML ────────────────────────────────────────────────────────
+function getLoginHTML() {
+	return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>Sign in — Haze Store Manager</title>
+<style>
+*{box-sizing:border-box;margin:0;padding:0}
+body{background:#0a0e1a;color:#e0e0e0;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;min-height:100vh;display:flex;align-items:center;justify-content:center}
+form{background:linear-gradient(145deg,#12182b,#0a0e1a);border:1px solid rgba(255,255,255,0.08);border-radius:10px;padding:24px;width:320px;display:flex;flex-direction:column;gap:10px}
+h1{color:#00ff88;font-size:20px;margin-bottom:4px}
+label{font-size:12px;color:rgba(255,255,255,0.5)}
+input{background:#080b14;border:1px solid rgba(255,255,255,0.1);color:#e0e0e0;padding:8px 12px;border-radius:6px;font-size:13px;width:100%}
+button{background:linear-gradient(145deg,#1a2240,#12182b);border:1px solid rgba(0,255,136,0.2);color:#00ff88;padding:8px 16px;border-radius:6px;cursor:pointer;font-size:13px;margin-top:6px}
+button:hover{border-color:#00ff88}
+.or{font-size:11px;color:rgba(255,255,255,0.3);text-align:center}
+.error{color:#ff6b8a;font-size:12px;min-height:16px}
+</style>
+</head>
+<body>
+<form id="loginForm">
+  <h1>Haze Store Manager</h1>
+  <label>User <input id="name" autocomplete="username"></label>
+  <label>Password <input id="password" type="password" autocomplete="current-password"></label>
+  <div class="or">or</div>
+  <label>API token <input id="token" type="password" autocomplete="off"></label>
+  <div class="error" id="error"></div>
+  <button type="submit">Sign in</button>
+</form>
+<script>
+async function signIn(body) {
+  var res = await fetch('/api/login', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  var data = await res.json();
+  if (data.success) return location.replace('/' + location.search);
+  document.getElementById('error').textContent = data.error || 'Sign-in failed';
+}
 
-// Init
-loadAssets();
-<\/script>
+document.getElementById('loginForm').addEventListener('submit', function(e) {
+  e.preventDefault();
+  var token = document.getElementById('token').value.trim();
+  signIn(token ? { token: token } : { name: document.getElementById('name').value.trim(), password: document.getElementById('password').value });
+});
+
+// Setup link printed by the server: /login#token=…
+var hashToken = new URLSearchParams(location.hash.slice(1)).get('token');
+if (hashToken) {
+  history.replaceState(null, '', '/login' + location.search);
+  signIn({ token: hashToken });
+}
+</script>
 </body>
 </html>`;
 }
@@ -1405,22 +5922,76 @@ const server = http.createServer(async (req, res) => {
 	const url = new URL(req.url, `http://localhost:${PORT}`);
 	const pathname = url.pathname;
 
-	// CORS
+	// CORS — only for origins on the allowlist
+	const origin = req.headers.origin;
+	const corsAllowed = origin && isAllowedOrigin(req, origin);
+	if (corsAllowed) {
+		res.setHeader('Access-Control-Allow-Origin', origin);
+		res.setHeader('Access-Control-Allow-Credentials', 'true');
+	}
+	res.setHeader('Vary', 'Origin');
+	res.on('close', () => removeUploadDir(req));
 	if (req.method === 'OPTIONS') {
-		res.writeHead(204, { 'Access-Control-Allow-Origin': '*', 'Access-Control-Allow-Methods': 'GET,POST,DELETE,OPTIONS', 'Access-Control-Allow-Headers': 'Content-Type' });
+		if (!corsAllowed) {
+			res.writeHead(403);
+			return res.end();
+		}
+		res.writeHead(204, { 'Access-Control-Allow-Methods': 'GET,POST,DELETE,OPTIONS', 'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-CSRF-Token' });
 		return res.end();
 	}
 
 	try {
+		// ── Sign-in page ──
+		if (pathname === '/login' && req.method === 'GET') {
+			res.writeHead(200, { 'Content-Type': 'text/html' });
+			return res.end(getLoginHTML());
+		}
+
+		let auth;
+		try {
+			auth = authorize(req, pathname);
+		} catch (err) {
+			// Send browsers that open the dashboard signed out to the sign-in page
+			if (err instanceof StoreError && err.status === 401 && pathname === '/' && req.method === 'GET') {
+				// The query (the grid's filters) is handed back after sign-in
+				res.writeHead(302, { Location: '/login' + url.search });
+				return res.end();
+			}
+			throw err;
+		}
+
+		// ── API: Sign in (password or token) → session cookie ──
+		if (pathname === '/api/login' && req.method === 'POST') {
+			const body = await parseBody(req);
+			let data;
+			try { data = JSON.parse(body.toString()); } catch { return json(res, { success: false, error: 'Invalid JSON' }, 400); }
+			const session = login(req, { name: data.name, password: data.password, token: data.token });
+			res.setHeader('Set-Cookie', sessionCookie(session.id, getServerConfig().sessionHours * 3600));
+			return json(res, { success: true, user: session.user });
+		}
+
+		// ── API: Sign out ──
+		if (pathname === '/api/logout' && req.method === 'POST') {
+			if (auth.session) sessions.destroy(auth.session.id);
+			res.setHeader('Set-Cookie', sessionCookie('', 0));
+			return json(res, { success: true });
+		}
+
+		// ── API: Who am I (+ CSRF token for the dashboard) ──
+		if (pathname === '/api/session' && req.method === 'GET') {
+			return json(res, { success: true, user: auth.user, csrf: auth.session ? auth.session.csrf : null });
+		}
+
 		// ── Dashboard ──
 		if (pathname === '/' && req.method === 'GET') {
 			res.writeHead(200, { 'Content-Type': 'text/html' });
 			return res.end(getDashboardHTML());
 		}
 
-		// ── API: Current manifest ──
+		// ── API: Current manifest, plus when each asset was added ──
 		if (pathname === '/api/assets' && req.method === 'GET') {
-			return json(res, readManifest());
+			const manifest = readManifest();
+			return json(res, { ...manifest, addedDates: assetAddedDates(manifest) });
 		}
 
 		// ── API: Scan folders ──
@@ -1435,314 +6006,416 @@ const server = http.createServer(async (req, res) => {
 			return json(res, { success: true, count: items.length });
 		}
 
+		// ── API: Rarity tiers for the metadata editor ──
+		if (pathname === '/api/rarities' && req.method === 'GET') {
+			return json(res, { success: true, rarities: getRarities() });
+		}
+
+		// ── API: Weapon catalogue ──
+		if (pathname === '/api/weapons' && req.method === 'GET') {
+			return json(res, { weapons: describeWeapons() });
+		}
+
+		// ── API: Add weapon (optionally with its default GLB) ──
+		if (pathname === '/api/weapons' && req.method === 'POST') {
+			const parts = await readMultipart(req);
+			const modelPart = parts.find(p => p.name === 'defaultModelFile' && p.filename);
+			const weapon = addWeapon({
+				id: fieldText(parts, 'id'),
+				name: fieldText(parts, 'name'),
+				skinFolder: fieldText(parts, 'skinFolder'),
+				modelFolder: fieldText(parts, 'modelFolder'),
+				defaultModel: fieldText(parts, 'defaultModel'),
+				defaultModelData: modelPart && modelPart.data,
+				replaceDefaultModel: fieldText(parts, 'replaceDefaultModel') === '1',
+			});
+			return json(res, { success: true, weapon });
+		}
+
+		// ── API: Manifest/disk consistency check ──
+		if (pathname === '/api/verify' && req.method === 'GET') {
+			return json(res, verifyStore());
+		}
+
+		// ── API: Repair what can be fixed safely ──
+		if (pathname === '/api/repair' && req.method === 'POST') {
+			return json(res, { success: true, ...repairStore() });
+		}
+
 		// ── API: Set credit for an asset ──
 		if (pathname === '/api/set-credit' && req.method === 'POST') {
 			const body = await parseBody(req);
 			let data;
 			try { data = JSON.parse(body.toString()); } catch { return json(res, { success: false, error: 'Invalid JSON' }, 400); }
 			if (!data.id) return json(res, { success: false, error: 'Missing asset id' }, 400);
-			const credits = readCredits();
-			if (data.credit && data.credit !== 'Unknown') {
-				credits[data.id] = data.credit;
-			} else {
-				delete credits[data.id];
-			}
-			writeCredits(credits);
+			setCredit(data.id, data.credit);
 			regenerateManifestFile();
 			return json(res, { success: true });
 		}
 
+		// ── API: Edit asset metadata (name, description, tags, rarity, release date, hidden, credit) ──
+		if (pathname === '/api/set-metadata' && req.method === 'POST') {
+			const body = await parseBody(req);
+			let data;
+			try { data = JSON.parse(body.toString()); } catch { return json(res, { success: false, error: 'Invalid JSON' }, 400); }
+			if (!data.id) return json(res, { success: false, error: 'Missing asset id' }, 400);
+			const { id, credit, ...fields } = data;
+			const metadata = setMetadata(id, fields);
+			if (credit !== undefined) setCredit(id, credit);
+			regenerateManifestFile();
+			return json(res, { success: true, metadata });
+		}
+
 		// ── API: Upload (legacy — simple file upload) ──
 		if (pathname === '/api/upload' && req.method === 'POST') {
-			const contentType = req.headers['content-type'] || '';
-			const boundaryMatch = contentType.match(/boundary=(.+)/);
-			if (!boundaryMatch) return json(res, { success: false, error: 'No boundary' }, 400);
-
-			const body = await parseBody(req);
-			const parts = parseMultipart(body, boundaryMatch[1]);
+			const parts = await readMultipart(req);
 			const categoryPart = parts.find(p => p.name === 'category');
 			const filePart = parts.find(p => p.name === 'file' && p.filename);
 
 			if (!categoryPart || !filePart) return json(res, { success: false, error: 'Missing fields' }, 400);
 
-			const category = categoryPart.data.toString().trim();
-			const destDir = path.join(ROOT, category);
-			if (!fs.existsSync(destDir)) fs.mkdirSync(destDir, { recursive: true });
+			const category = categoryPart.data.toString().trim().replace(/\\/g, '/').replace(/^\/+|\/+$/g, '');
+			if (!contentFolders().includes(category)) throw new StoreError('Unknown category: ' + category, 403);
+			const exts = category === SPECIAL_FOLDER || getWeapons().some(w => w.skinFolder === category) ? IMAGE_EXTS : MODEL_EXTS.concat(IMAGE_EXTS);
+			requireExt(filePart.filename, exts, 'file');
+			const filename = claimAssetName(category, filePart.filename, exts, fieldText(parts, 'onConflict'));
+			writeAssetFile(category + '/' + filename, filePart.data);
 
-			const destPath = path.join(destDir, filePart.filename);
-			fs.writeFileSync(destPath, filePart.data);
-
-			return json(res, { success: true, file: category + '/' + filePart.filename });
+			return json(res, { success: true, file: category + '/' + filename });
 		}
 
 		// ── API: Upload Skin (with 3D preview) ──
 		if (pathname === '/api/upload-skin' && req.method === 'POST') {
-			const contentType = req.headers['content-type'] || '';
-			const boundaryMatch = contentType.match(/boundary=(.+)/);
-			if (!boundaryMatch) return json(res, { success: false, error: 'No boundary' }, 400);
-
-			const body = await parseBody(req);
-			const parts = parseMultipart(body, boundaryMatch[1]);
-			const weaponPart = parts.find(p => p.name === 'weapon');
+			const parts = await readMultipart(req);
 			const filePart = parts.find(p => p.name === 'file' && p.filename);
 			const previewPart = parts.find(p => p.name === 'preview');
-
-			if (!weaponPart || !filePart) return json(res, { success: false, error: 'Missing weapon or file' }, 400);
-
-			const weapon = weaponPart.data.toString().trim();
-			const skinFolder = SKIN_FOLDERS[weapon];
-			if (!skinFolder) return json(res, { success: false, error: 'Invalid weapon: ' + weapon }, 400);
-
-			const destDir = path.join(ROOT, skinFolder);
-			if (!fs.existsSync(destDir)) fs.mkdirSync(destDir, { recursive: true });
-
-			const skinName = path.basename(filePart.filename, path.extname(filePart.filename));
-			fs.writeFileSync(path.join(destDir, filePart.filename), filePart.data);
-
-			// Save preview
-			if (previewPart && previewPart.data.length > 0) {
-				const previewDir = path.join(ROOT, PREVIEW_FOLDER);
-				if (!fs.existsSync(previewDir)) fs.mkdirSync(previewDir, { recursive: true });
-				fs.writeFileSync(
-					path.join(previewDir, 'skin-' + weapon + '-' + skinName.toLowerCase() + '.webp'),
-					previewPart.data
-				);
-			}
-
-			// Save credit
-			const creditPart = parts.find(p => p.name === 'credit');
-			if (creditPart) {
-				const creditVal = creditPart.data.toString().trim();
-				if (creditVal) {
-					const credits = readCredits();
-					credits['skin-' + weapon + '-' + skinName.toLowerCase()] = creditVal;
-					writeCredits(credits);
-				}
+			const weapon = fieldText(parts, 'weapon');
+
+			if (!weapon || !filePart) return json(res, { success: false, error: 'Missing weapon or file' }, 400);
+
+			const options = { normalize: fieldText(parts, 'normalize') === '1', format: fieldText(parts, 'format') };
+			if (!roleAtLeast(auth.user.role, 'admin')) {
+				const sub = createSubmission({
+					type: 'skin',
+					weapon,
+					files: { main: filePart, preview: previewPart },
+					credit: fieldText(parts, 'credit'),
+					options,
+					submittedBy: auth.user.name,
+				});
+				return json(res, { success: true, submission: sub.id, warnings: sub.warnings });
 			}
 
-			regenerateManifestFile();
-			return json(res, { success: true, file: skinFolder + '/' + filePart.filename });
+			const result = saveSkin({
+				weapon,
+				filename: filePart.filename,
+				data: filePart.data,
+				preview: previewPart && previewPart.data,
+				credit: fieldText(parts, 'credit'),
+				...options,
+				onConflict: fieldText(parts, 'onConflict'),
+			});
+			return json(res, { success: true, file: result.file, previewSource: result.previewSource, converted: result.converted, warnings: result.warnings });
 		}
 
 		// ── API: Upload Model (GLB + texture + preview) ──
 		if (pathname === '/api/upload-model' && req.method === 'POST') {
-			const contentType = req.headers['content-type'] || '';
-			const boundaryMatch = contentType.match(/boundary=(.+)/);
-			if (!boundaryMatch) return json(res, { success: false, error: 'No boundary' }, 400);
-
-			const body = await parseBody(req);
-			const parts = parseMultipart(body, boundaryMatch[1]);
-			const weaponPart = parts.find(p => p.name === 'weapon');
+			const parts = await readMultipart(req);
 			const modelPart = parts.find(p => p.name === 'model' && p.filename);
 			const texturePart = parts.find(p => p.name === 'texture' && p.filename);
 			const previewPart = parts.find(p => p.name === 'preview');
+			const weapon = fieldText(parts, 'weapon');
 
-			if (!weaponPart || !modelPart) return json(res, { success: false, error: 'Missing weapon or model file' }, 400);
+			if (!weapon || !modelPart) return json(res, { success: false, error: 'Missing weapon or model file' }, 400);
 
-			const weapon = weaponPart.data.toString().trim();
-			const modelFolder = MODEL_FOLDERS[weapon];
-			if (!modelFolder) return json(res, { success: false, error: 'Invalid weapon: ' + weapon }, 400);
+			if (!roleAtLeast(auth.user.role, 'admin')) {
+				const sub = createSubmission({
+					type: 'model',
+					weapon,
+					files: { main: modelPart, texture: texturePart, preview: previewPart },
+					credit: fieldText(parts, 'credit'),
+					submittedBy: auth.user.name,
+				});
+				return json(res, { success: true, submission: sub.id, warnings: sub.warnings });
+			}
 
-			const destDir = path.join(ROOT, modelFolder);
-			if (!fs.existsSync(destDir)) fs.mkdirSync(destDir, { recursive: true });
+			const result = saveModel({
+				weapon,
+				model: modelPart,
+				texture: texturePart || null,
+				preview: previewPart && previewPart.data,
+				credit: fieldText(parts, 'credit'),
+				onConflict: fieldText(parts, 'onConflict'),
+			});
+			return json(res, { success: true, file: result.file, previewSource: result.previewSource, warnings: result.warnings });
+		}
 
-			// Save GLB model
-			const modelName = path.basename(modelPart.filename, path.extname(modelPart.filename));
-			fs.writeFileSync(path.join(destDir, modelPart.filename), modelPart.data);
+		// ── API: Check a skin/special texture before upload ──
+		if (pathname === '/api/check-texture' && req.method === 'POST') {
+			const parts = await readMultipart(req);
+			const filePart = parts.find(p => p.name === 'file' && p.filename);
+			const type = fieldText(parts, 'type');
 
-			// Save texture as {modelName}_tex.{ext}
-			if (texturePart) {
-				const texExt = path.extname(texturePart.filename);
-				const texName = modelName + '_tex' + texExt;
-				fs.writeFileSync(path.join(destDir, texName), texturePart.data);
-			}
+			if (!filePart || (type !== 'skin' && type !== 'special')) return json(res, { success: false, error: 'Missing file or type' }, 400);
 
-			// Save preview
-			if (previewPart && previewPart.data.length > 0) {
-				const previewDir = path.join(ROOT, PREVIEW_FOLDER);
-				if (!fs.existsSync(previewDir)) fs.mkdirSync(previewDir, { recursive: true });
-				fs.writeFileSync(
-					path.join(previewDir, 'model-' + weapon + '-' + modelName.toLowerCase() + '.webp'),
-					previewPart.data
-				);
-			}
+			return json(res, { success: true, report: inspectTexture(type, filePart.data, fieldText(parts, 'weapon')), limits: getTextureLimits(type) });
+		}
 
-			// Save credit
-			const creditPart = parts.find(p => p.name === 'credit');
-			if (creditPart) {
-				const creditVal = creditPart.data.toString().trim();
-				if (creditVal) {
-					const credits = readCredits();
-					credits['model-' + weapon + '-' + modelName.toLowerCase()] = creditVal;
-					writeCredits(credits);
-				}
-			}
+		// ── API: Validate a GLB before upload ──
+		if (pathname === '/api/validate-model' && req.method === 'POST') {
+			const parts = await readMultipart(req);
+			const modelPart = parts.find(p => p.name === 'model' && p.filename);
+			const weapon = fieldText(parts, 'weapon');
 
-			regenerateManifestFile();
-			return json(res, { success: true, file: modelFolder + '/' + modelPart.filename });
+			if (!weapon || !modelPart) return json(res, { success: false, error: 'Missing weapon or model file' }, 400);
+
+			return json(res, { success: true, report: validateModel(weapon, modelPart.data) });
 		}
 
-		// ── API: Save Preview (for existing or uploaded assets) ──
+		// ── API: Save Preview (for existing or uploaded assets; rendered here when none is sent) ──
 		if (pathname === '/api/save-preview' && req.method === 'POST') {
-			const contentType = req.headers['content-type'] || '';
-			const boundaryMatch = contentType.match(/boundary=(.+)/);
-			if (!boundaryMatch) return json(res, { success: false, error: 'No boundary' }, 400);
-
-			const body = await parseBody(req);
-			const parts = parseMultipart(body, boundaryMatch[1]);
-			const typePart = parts.find(p => p.name === 'type');
-			const weaponPart = parts.find(p => p.name === 'weapon');
-			const namePart = parts.find(p => p.name === 'name');
+			const parts = await readMultipart(req);
 			const previewPart = parts.find(p => p.name === 'preview');
+			const type = fieldText(parts, 'type');
+			const name = fieldText(parts, 'name');
 
-			if (!typePart || !namePart || !previewPart) return json(res, { success: false, error: 'Missing type, name, or preview' }, 400);
-
-			const assetType = typePart.data.toString().trim();
-			const weapon = weaponPart ? weaponPart.data.toString().trim() : '';
-			const name = namePart.data.toString().trim();
+			if (!type || !name) return json(res, { success: false, error: 'Missing type or name' }, 400);
 
-			// Determine preview filename
-			let previewName;
-			if (assetType === 'skin') {
-				previewName = 'skin-' + weapon + '-' + name + '.webp';
-			} else if (assetType === 'model') {
-				previewName = 'model-' + weapon + '-' + name + '.webp';
-			} else {
-				return json(res, { success: false, error: 'Invalid type: ' + assetType }, 400);
-			}
+			const result = savePreview({ type, weapon: fieldText(parts, 'weapon'), name, data: previewPart && previewPart.data });
+			return json(res, { success: true, preview: result.preview, rendered: result.rendered });
+		}
 
-			const previewDir = path.join(ROOT, PREVIEW_FOLDER);
-			if (!fs.existsSync(previewDir)) fs.mkdirSync(previewDir, { recursive: true });
-			fs.writeFileSync(path.join(previewDir, previewName), previewPart.data);
+		// ── API: Render previews server-side (batch) ──
+		if (pathname === '/api/render-previews' && req.method === 'POST') {
+			const body = await parseBody(req);
+			let data;
+			try { data = body.length ? JSON.parse(body.toString()) : {}; } catch { return json(res, { success: false, error: 'Invalid JSON' }, 400); }
+			const result = renderPreviews({ ids: Array.isArray(data.ids) ? data.ids : [], missingOnly: !!data.missingOnly });
+			return json(res, { success: true, ...result });
+		}
 
-			regenerateManifestFile();
-			return json(res, { success: true, preview: PREVIEW_FOLDER + '/' + previewName });
+		// ── API: Build low/medium/high texture variants (batch) ──
+		if (pathname === '/api/build-variants' && req.method === 'POST') {
+			const body = await parseBody(req);
+			let data;
+			try { data = body.length ? JSON.parse(body.toString()) : {}; } catch { return json(res, { success: false, error: 'Invalid JSON' }, 400); }
+			const result = buildVariants({ ids: Array.isArray(data.ids) ? data.ids : [], missingOnly: !!data.missingOnly });
+			return json(res, { success: true, ...result });
 		}
 
 		// ── API: Upload Special (original + compressed preview) ──
 		if (pathname === '/api/upload-special' && req.method === 'POST') {
-			const contentType = req.headers['content-type'] || '';
-			const boundaryMatch = contentType.match(/boundary=(.+)/);
-			if (!boundaryMatch) return json(res, { success: false, error: 'No boundary' }, 400);
-
-			const body = await parseBody(req);
-			const parts = parseMultipart(body, boundaryMatch[1]);
+			const parts = await readMultipart(req);
 			const filePart = parts.find(p => p.name === 'file' && p.filename);
 			const previewPart = parts.find(p => p.name === 'preview');
 
 			if (!filePart) return json(res, { success: false, error: 'Missing file' }, 400);
 
-			const destDir = path.join(ROOT, SPECIAL_FOLDER);
-			if (!fs.existsSync(destDir)) fs.mkdirSync(destDir, { recursive: true });
+			const options = { normalize: fieldText(parts, 'normalize') === '1', format: fieldText(parts, 'format') };
+			if (!roleAtLeast(auth.user.role, 'admin')) {
+				const sub = createSubmission({
+					type: 'special',
+					files: { main: filePart, preview: previewPart },
+					credit: fieldText(parts, 'credit'),
+					options,
+					submittedBy: auth.user.name,
+				});
+				return json(res, { success: true, submission: sub.id, warnings: sub.warnings });
+			}
 
-			const specialName = path.basename(filePart.filename, path.extname(filePart.filename));
-			fs.writeFileSync(path.join(destDir, filePart.filename), filePart.data);
+			const result = saveSpecial({
+				filename: filePart.filename,
+				data: filePart.data,
+				preview: previewPart && previewPart.data,
+				credit: fieldText(parts, 'credit'),
+				...options,
+				onConflict: fieldText(parts, 'onConflict'),
+			});
+			return json(res, { success: true, file: result.file, converted: result.converted, warnings: result.warnings });
+		}
 
-			// Save compressed preview
-			if (previewPart && previewPart.data.length > 0) {
-				const previewDir = path.join(ROOT, PREVIEW_FOLDER);
-				if (!fs.existsSync(previewDir)) fs.mkdirSync(previewDir, { recursive: true });
-				fs.writeFileSync(
-					path.join(previewDir, 'special-' + specialName.toLowerCase() + '.webp'),
-					previewPart.data
-				);
-			}
+		// ── API: Submissions (contributors see their own) ──
+		if (pathname === '/api/submissions' && req.method === 'GET') {
+			const items = listSubmissions({
+				status: url.searchParams.get('status') || 'pending',
+				submittedBy: roleAtLeast(auth.user.role, 'admin') ? null : auth.user.name,
+			});
+			return json(res, { success: true, items });
+		}
 
-			// Save credit
-			const creditPart = parts.find(p => p.name === 'credit');
-			if (creditPart) {
-				const creditVal = creditPart.data.toString().trim();
-				if (creditVal) {
-					const credits = readCredits();
-					credits['special-' + specialName.toLowerCase()] = creditVal;
-					writeCredits(credits);
-				}
+		// ── API: A submission's staged file (main, texture or preview) ──
+		if (pathname === '/api/submission-file' && req.method === 'GET') {
+			const sub = readSubmission(url.searchParams.get('id'));
+			if (!roleAtLeast(auth.user.role, 'admin') && sub.submittedBy !== auth.user.name) throw new StoreError('Not your submission', 403);
+			const absPath = submissionFilePath(sub, url.searchParams.get('file'));
+			if (!fs.existsSync(absPath)) throw new StoreError('File not found', 404);
+			res.writeHead(200, { 'Content-Type': getMimeType(absPath), 'Content-Length': fs.statSync(absPath).size });
+			fs.createReadStream(absPath).pipe(res);
+			return;
+		}
+
+		// ── API: Review a submission ──
+		if (pathname.startsWith('/api/submissions/') && req.method === 'POST') {
+			const body = await parseBody(req);
+			let data;
+			try { data = JSON.parse(body.toString()); } catch { return json(res, { success: false, error: 'Invalid JSON' }, 400); }
+			const action = pathname.slice('/api/submissions/'.length);
+			if (action === 'comment') {
+				if (!roleAtLeast(auth.user.role, 'admin') && readSubmission(data.id).submittedBy !== auth.user.name) throw new StoreError('Not your submission', 403);
+				return json(res, { success: true, submission: commentSubmission(data.id, { by: auth.user.name, text: data.text }) });
 			}
+			if (action === 'approve') {
+				const { submission, result } = approveSubmission(data.id, { reviewer: auth.user.name, onConflict: data.onConflict });
+				return json(res, { success: true, submission, file: result.file, previewSource: result.previewSource, warnings: result.warnings });
+			}
+			if (action === 'reject') {
+				return json(res, { success: true, submission: rejectSubmission(data.id, { reviewer: auth.user.name, reason: data.reason }) });
+			}
+		}
 
-			regenerateManifestFile();
-			return json(res, { success: true, file: SPECIAL_FOLDER + '/' + filePart.filename });
+		// ── API: Rename / move asset (companions, credit and metadata follow; old id becomes an alias) ──
+		if (pathname === '/api/rename' && req.method === 'POST') {
+			const body = await parseBody(req);
+			let data;
+			try { data = JSON.parse(body.toString()); } catch { return json(res, { success: false, error: 'Invalid JSON' }, 400); }
+			const result = renameAsset({ file: data.file, name: data.name, weapon: data.weapon, onConflict: data.onConflict });
+			return json(res, { success: true, ...result });
+		}
+
+		// ── API: Asset packs (zip of assets + pack.json) ──
+		if (pathname === '/api/pack/export' && req.method === 'GET') {
+			const ids = (url.searchParams.get('ids') || '').split(',').map(s => s.trim()).filter(Boolean);
+			const zip = exportPack(ids);
+			res.writeHead(200, {
+				'Content-Type': 'application/zip',
+				'Content-Length': zip.length,
+				'Content-Disposition': 'attachment; filename="' + packFilename(ids) + '"',
+			});
+			return res.end(zip);
+		}
+		if (pathname === '/api/pack/inspect' && req.method === 'POST') {
+			const parts = await readMultipart(req);
+			const packPart = parts.find(p => p.name === 'pack' && p.filename);
+			if (!packPart) return json(res, { success: false, error: 'Missing pack file' }, 400);
+			return json(res, { success: true, report: inspectPack(packPart.data) });
+		}
+		if (pathname === '/api/pack/import' && req.method === 'POST') {
+			const parts = await readMultipart(req);
+			const packPart = parts.find(p => p.name === 'pack' && p.filename);
+			if (!packPart) return json(res, { success: false, error: 'Missing pack file' }, 400);
+			return json(res, { success: true, ...importPack(packPart.data, { onConflict: fieldText(parts, 'onConflict') || null }) });
+		}
+
+		// ── API: Plan a bulk upload (type, weapon and texture per dropped file) ──
+		if (pathname === '/api/bulk/plan' && req.method === 'POST') {
+			const body = await parseBody(req);
+			let data;
+			try { data = JSON.parse(body.toString()); } catch { return json(res, { success: false, error: 'Invalid JSON' }, 400); }
+			return json(res, { success: true, ...planBulkUpload(data.paths) });
+		}
+
+		// ── API: Asset ids changed since a revision ──
+		if (pathname === '/api/changes-since' && req.method === 'GET') {
+			return json(res, { success: true, ...changesSince(url.searchParams.get('rev')) });
+		}
+
+		// ── API: Manifest history ──
+		if (pathname === '/api/history' && req.method === 'GET') {
+			return json(res, { success: true, items: listHistory() });
+		}
+		if (pathname === '/api/history/diff' && req.method === 'GET') {
+			return json(res, { success: true, ...historyDiff(url.searchParams.get('id'), url.searchParams.get('from')) });
+		}
+
+		// ── API: Restore a manifest version with its files ──
+		if (pathname === '/api/history/restore' && req.method === 'POST') {
+			const body = await parseBody(req);
+			let data;
+			try { data = JSON.parse(body.toString()); } catch { return json(res, { success: false, error: 'Invalid JSON' }, 400); }
+			return json(res, { success: true, ...restoreVersion(data.id) });
+		}
+
+		// ── API: Files a bulk delete would remove (for the confirmation) ──
+		if (pathname === '/api/bulk/delete-plan' && req.method === 'GET') {
+			const ids = (url.searchParams.get('ids') || '').split(',').filter(Boolean);
+			return json(res, { success: true, assets: bulkDeletePlan(ids) });
+		}
+
+		// ── API: Bulk action on selected assets (delete, credit, tag, previews, move) ──
+		if (pathname === '/api/bulk' && req.method === 'POST') {
+			const body = await parseBody(req);
+			let data;
+			try { data = JSON.parse(body.toString()); } catch { return json(res, { success: false, error: 'Invalid JSON' }, 400); }
+			const { action, ids, ...options } = data;
+			return json(res, { success: true, ...runBulkAction(action, ids, options) });
 		}
 
 		// ── API: Delete asset (with companion cleanup) ──
 		if (pathname === '/api/asset' && req.method === 'DELETE') {
-			const file = url.searchParams.get('file');
-			if (!file) return json(res, { success: false, error: 'No file specified' }, 400);
-
-			const absPath = path.join(ROOT, file);
-			if (!absPath.startsWith(ROOT)) return json(res, { success: false, error: 'Invalid path' }, 403);
-			if (!fs.existsSync(absPath)) return json(res, { success: false, error: 'File not found' }, 404);
-
-			const ext = path.extname(file).toLowerCase();
-			const baseName = path.basename(file, path.extname(file));
-			const dirName = path.dirname(file);
-
-			// Delete companion texture for models ({name}_tex.{ext})
-			if (ext === '.glb') {
-				for (const texExt of IMAGE_EXTS) {
-					const texPath = path.join(ROOT, dirName, baseName + '_tex' + texExt);
-					if (fs.existsSync(texPath)) {
-						fs.unlinkSync(texPath);
-					}
-				}
-			}
+			const { files, trashId } = removeAsset(url.searchParams.get('file'));
+			return json(res, { success: true, files, trashId });
+		}
 
-			// Delete matching preview from Previews/ folder
-			let previewName = null;
-			if (file.startsWith('Models/')) {
-				// Models/AR/AK.glb → model-ar-ak.webp
-				const parts = file.split('/');
-				if (parts.length >= 3) {
-					const weapon = parts[1].toLowerCase();
-					previewName = 'model-' + weapon + '-' + baseName.toLowerCase() + '.webp';
-				}
-			} else if (file.startsWith(SPECIAL_FOLDER + '/')) {
-				previewName = 'special-' + baseName.toLowerCase() + '.webp';
-			} else {
-				// Skin — derive weapon from folder
-				for (const [weapon, folder] of Object.entries(SKIN_FOLDERS)) {
-					if (file.startsWith(folder + '/')) {
-						previewName = 'skin-' + weapon + '-' + baseName.toLowerCase() + '.webp';
-						break;
-					}
-				}
-			}
-			if (previewName) {
-				const previewPath = path.join(ROOT, PREVIEW_FOLDER, previewName);
-				if (fs.existsSync(previewPath)) fs.unlinkSync(previewPath);
-			}
+		// ── API: Trash (deleted assets, restorable until purged) ──
+		if (pathname === '/api/trash' && req.method === 'GET') {
+			return json(res, { success: true, retentionDays: getTrashConfig().retentionDays, entries: listTrash() });
+		}
 
-			// Remove credit entry
-			const manifest = readManifest();
-			const asset = manifest.assets.find(a => a.file === file);
-			if (asset) {
-				const credits = readCredits();
-				delete credits[asset.id];
-				writeCredits(credits);
-			}
+		if (pathname === '/api/trash/restore' && req.method === 'POST') {
+			const body = await parseBody(req);
+			let data;
+			try { data = JSON.parse(body.toString()); } catch { return json(res, { success: false, error: 'Invalid JSON' }, 400); }
+			return json(res, { success: true, results: restoreTrashEntries(data.ids) });
+		}
 
-			fs.unlinkSync(absPath);
-			regenerateManifestFile();
-			return json(res, { success: true });
+		if (pathname === '/api/trash/purge' && req.method === 'POST') {
+			const body = await parseBody(req);
+			let data;
+			try { data = JSON.parse(body.toString()); } catch { return json(res, { success: false, error: 'Invalid JSON' }, 400); }
+			if (!data.all && (!Array.isArray(data.ids) || !data.ids.length)) return json(res, { success: false, error: 'Missing trash ids' }, 400);
+			return json(res, { success: true, purged: purgeTrash(data.all ? trashIds() : data.ids) });
 		}
 
-		// ── API: Git push ──
-		if (pathname === '/api/git-push' && req.method === 'POST') {
-			try {
-				execSync('git add .', { cwd: ROOT });
-				const msg = 'Update store assets — ' + new Date().toISOString().slice(0, 10);
-				execSync(`git commit -m "${msg}"`, { cwd: ROOT });
-				execSync('git push', { cwd: ROOT });
-				return json(res, { success: true, message: msg });
-			} catch (err) {
-				return json(res, { success: false, error: err.message });
+		// ── API: Git panel ──
+		if (pathname === '/api/git/status' && req.method === 'GET') {
+			const { mode, baseBranch } = getPublishConfig();
+			return json(res, { success: true, ...gitStatus(), branches: listBranches(), publish: { mode, baseBranch } });
+		}
+		if (pathname === '/api/git/preview' && req.method === 'GET') {
+			const groups = (url.searchParams.get('groups') || '').split(',').filter(Boolean);
+			return json(res, { success: true, ...gitPreview(groups) });
+		}
+		if (pathname.startsWith('/api/git/') && req.method === 'POST') {
+			const body = await parseBody(req);
+			let data;
+			try { data = JSON.parse(body.toString() || '{}'); } catch { return json(res, { success: false, error: 'Invalid JSON' }, 400); }
+			const action = pathname.slice('/api/git/'.length);
+			if (action === 'commit') {
+				if (data.push) assertDirectPush(gitStatus().branch);
+				const commit = commitChanges({ groups: data.groups || [], message: data.message });
+				return json(res, { success: true, commit, ...(data.push ? pushChanges() : {}) });
 			}
+			if (action === 'push') return json(res, { success: true, ...pushChanges() });
+			if (action === 'publish') return json(res, { success: true, ...await publishPullRequest({ groups: data.groups || [], message: data.message }) });
+			if (action === 'switch') return json(res, { success: true, ...switchBranch({ branch: data.branch, create: !!data.create }) });
+			if (action === 'refresh-pr') return json(res, { success: true, ...refreshPullRequest(data.branch) });
+		}
+
+		// ── API: Git push (direct: commit everything, pull --rebase, push; or open a pull request) ──
+		if (pathname === '/api/git-push' && req.method === 'POST') {
+			const result = await publishChanges();
+			return json(res, { success: true, message: result.commit ? result.commit.message : 'Nothing new to commit', ...result });
 		}
 
 		// ── Serve files ──
 		if (pathname.startsWith('/file/') && req.method === 'GET') {
-			const relPath = decodeURIComponent(pathname.slice(6));
-			const absPath = path.join(ROOT, relPath);
-			if (!absPath.startsWith(ROOT) || !fs.existsSync(absPath)) {
+			let absPath = null;
+			try {
+				absPath = assetPath(decodeURIComponent(pathname.slice(6)));
+			} catch {
+				// Malformed escape or a path outside the asset folders
+			}
+			if (!absPath || !fs.existsSync(absPath) || !fs.statSync(absPath).isFile()) {
 				res.writeHead(404);
 				return res.end('Not found');
 			}
@@ -1761,25 +6434,784 @@ const server = http.createServer(async (req, res) => {
 		res.end('Not found');
 
 	} catch (err) {
+		// Refused before the body was read: answer, then close instead of reading the rest
+		if (err.status === 413) {
+			res.setHeader('Connection', 'close');
+			req.resume();
+		}
+		if (err instanceof StoreError) return json(res, { success: false, error: err.message, ...err.details }, err.status);
 		console.error('[Store Manager] Error:', err);
 		json(res, { error: err.message }, 500);
 	}
 });
 
-server.listen(PORT, () => {
-	console.log(`\n  Haze Store Manager running at http://localhost:${PORT}\n`);
+function startServer() {
+	server.listen(PORT, () => {
+		console.log(`\n  Haze Store Manager running at http://localhost:${PORT}\n`);
+
+		// First run: no accounts yet, so hand out a one-off admin sign-in link
+		let openUrl = `http://localhost:${PORT}`;
+		const accounts = readAccounts();
+		if (!Object.keys(accounts.users).length && !accounts.tokens.length) {
+			setupToken = createApiToken();
+			openUrl += '/login#token=' + setupToken.token;
+			console.log('  No accounts yet. Sign in as admin (valid until restart):');
+			console.log('    ' + openUrl);
+			console.log('  Create accounts with: node store-manager.js add-user <name> --role admin\n');
+		}
+
+		// Ensure Previews and DefaultModels folders exist
+		fs.mkdirSync(storePath(PREVIEW_FOLDER), { recursive: true });
+		fs.mkdirSync(storePath(DEFAULT_MODELS_FOLDER), { recursive: true });
+
+		seedHistory();
+		const purged = purgeExpiredTrash();
+		if (purged.length) console.log('  Purged ' + purged.length + ' trash entr' + (purged.length === 1 ? 'y' : 'ies') + ' past the retention period\n');
+
+		// Auto-open browser
+		const openCmd = process.platform === 'win32' ? 'start'
+			: process.platform === 'darwin' ? 'open'
+			: 'xdg-open';
+		try {
+			execSync(`${openCmd} ${openUrl}`, { stdio: 'ignore' });
+		} catch { /* silent */ }
+	});
+}
+
+// ─── CLI ──────────────────────────────────────────────────────────────────────
+// node store-manager.js                  → dashboard server
+// node store-manager.js <command> [...]  → headless, for release scripts
+// Exit codes: 0 ok, 1 operation failed (or verify found issues), 2 usage error.
+
+const CLI_USAGE = `Usage: node store-manager.js [command] [options]
+
+Commands:
+  serve                                   Start the dashboard server (default)
+  scan                                    List assets found on disk
+  regenerate                              Rewrite manifest.json from disk
+  verify                                  Check manifest.json against disk
+  repair                                  Fix what verify can fix safely
+  validate-manifest [file]                Check a manifest (default manifest.json) against schema/manifest.schema.json
+  add-skin <weapon> <file>                Add a skin texture
+  add-model <weapon> <file.glb>           Add a custom model (--texture <file>)
+  check-model <weapon> <file.glb>         Validate a GLB without adding it
+  check-texture <file>                    Check a skin (--weapon <id>) or special texture against the limits
+  add-special <file>                      Add a special skin
+  add-bulk <file-or-folder...>            Add a mix of skins, specials and models (with _tex textures); type and weapon
+                                          come from the folders and file names (--weapon for the rest, --dry-run to only plan)
+  render-previews [id...]                 Render skin/model previews (all, or the given ids)
+  build-variants [id...]                  Build low/medium/high texture variants (all, or the given ids)
+  weapons                                 List the weapon catalogue
+  add-weapon <id>                         Add a weapon to store-config.json
+  rename <asset-file>                     Rename (--name) and/or move (--weapon) an asset, keeping its old id as an alias
+  delete <asset-file>                     Move an asset and its companions to the trash
+  trash                                   List deleted assets and when they are purged
+  trash-restore <trash-id...>             Put deleted assets back with their credit and metadata
+  trash-purge <trash-id...>               Delete trash entries for good (--all to empty the trash)
+  export-pack <asset-id...>               Zip assets with their textures, previews, credits and hashes (--all, --out <file>)
+  check-pack <file.zip>                   Validate a pack and list the ids that already exist
+  import-pack <file.zip>                  Add the assets of a pack (--replace, --rename or --skip existing ones)
+  build-site                              Write a static storefront of manifest.json for GitHub Pages (--out <dir>, --base-url <url>)
+  git-status                              Show the branch and the uncommitted changes grouped by asset
+  push                                    Commit all changes (message generated from the manifest diff), pull --rebase, push;
+                                          in pull-request mode push a new branch and open a pull request instead
+                                          (publish.mode in store-config.json; needs a forge token in $HAZE_FORGE_TOKEN)
+  refresh-pull-request <branch>           Merge the base into an open pull request branch, renumber its change feed, push
+  mock-forge                              Run a local stand-in for the forge API to test pull requests (--port, default 4010)
+  switch-branch <branch>                  Switch to a git branch (--create to start a new one)
+  changes-since <revision>                List asset ids added, updated or removed after a revision
+  history                                 List manifest versions, newest first
+  history-diff <version-id>               Show what a version changed (--from <version-id|current> to compare)
+  restore <version-id>                    Restore a manifest version together with its asset files
+  submissions                             List pending submissions (--all for reviewed ones too)
+  approve <submission-id>                 Move a submission into the asset folders
+  reject <submission-id>                  Reject a submission (--reason <text>)
+  set-metadata <asset-id>                 Edit display name, description, tags, rarity, release date, visibility
+  users                                   List dashboard accounts and API tokens
+  add-user <name>                         Add or update a dashboard account (--role, --password)
+  remove-user <name>                      Remove a dashboard account
+  add-token <name>                        Issue an API token for scripts (--role)
+  revoke-token <id>                       Revoke an API token
+
+Options:
+  --credit <name>     Creator credited for the asset (add-*, set-metadata)
+  --texture <file>    Companion texture for add-model
+  --preview <file>    Pre-rendered .webp preview for add-* (rendered here if omitted)
+  --missing           render-previews/build-variants: only assets without (up-to-date) output yet
+  --normalize         add-skin/add-special/add-bulk: convert a texture over the limits instead of rejecting it
+  --webp              add-skin/add-special/add-bulk: store the texture as WebP
+  --replace           add-*/approve/import-pack: overwrite an existing asset of the same name
+  --rename            add-*/approve/rename/import-pack: store under a free name (e.g. Name-2.png) instead
+  --skip              import-pack: leave assets that already exist alone
+  --dry-run           add-bulk: print what each file would become without adding anything
+  --all               export-pack: every asset in the store; trash-purge: every trash entry
+  --out <file>        export-pack: where to write the zip (default <id>.zip or haze-pack-<date>.zip);
+                      build-site: the folder for the site (default site)
+  --base-url <url>    build-site: where previews and downloads are linked from (default previewBaseUrl)
+  --reason <text>     Comment left on a rejected submission
+  --message <text>    Commit message for push (generated from the manifest diff if omitted)
+  --port <n>          Port for mock-forge
+  --create            switch-branch: create the branch from the current commit
+  --from <version>    history-diff: compare against this version, or "current" for manifest.json
+  --weapon <id>       Weapon whose skin limits check-texture applies; target weapon for rename;
+                      weapon for add-bulk files it cannot detect
+  --name <name>       Display name for add-weapon/set-metadata; new file name for rename
+  --description <text>, --tags <a,b>, --rarity <tier>, --release-date <YYYY-MM-DD>
+                      Metadata for set-metadata ("" clears a field)
+  --hide, --show      set-metadata: hide the asset from the store, or show it again
+  --skin-folder <dir>, --model-folder <dir>, --default-model <path>
+                      Catalogue paths for add-weapon (derived from the id if omitted)
+  --glb <file>        Default model to copy into place for add-weapon (--replace to overwrite an existing one)
+  --role <role>       viewer, contributor or admin for add-user/add-token (default viewer)
+  --password <pw>     Password for add-user (a random one is generated and printed if omitted)
+  --json              Print machine-readable JSON instead of text
+  --help              Show this help`;
+
+const CLI_VALUE_FLAGS = ['credit', 'texture', 'preview', 'name', 'skin-folder', 'model-folder', 'default-model', 'glb', 'weapon', 'role', 'password', 'reason',
+	'description', 'tags', 'rarity', 'release-date', 'from', 'message', 'port', 'out', 'base-url'];
+
+// Bad command-line usage (exit code 2)
+class CliUsageError extends Error {}
+
+function parseCliArgs(argv) {
+	const args = { positional: [], flags: {} };
+	for (let i = 0; i < argv.length; i++) {
+		const arg = argv[i];
+		if (!arg.startsWith('--')) { args.positional.push(arg); continue; }
+		const name = arg.slice(2);
+		if (CLI_VALUE_FLAGS.includes(name)) {
+			if (i + 1 >= argv.length) throw new CliUsageError('--' + name + ' needs a value');
+			args.flags[name] = argv[++i];
+		} else {
+			args.flags[name] = true;
+		}
+	}
+	return args;
+}
+
+// Reads a local file given on the command line into { filename, data }
+function readCliFile(filePath) {
+	const abs = path.resolve(filePath);
+	if (!fs.existsSync(abs)) throw new StoreError('File not found: ' + filePath, 404);
+	return { filename: path.basename(abs), data: fs.readFileSync(abs) };
+}
+
+// Files given on the command line, folders walked, as { rel, abs }. `rel` is
+// relative to the working directory when inside it (so AWP/Rever.png keeps
+// its folder), otherwise to the given path's parent.
+function listCliFiles(paths) {
+	const files = [];
+	const add = (abs, base) => {
+		if (fs.statSync(abs).isDirectory()) {
+			for (const name of fs.readdirSync(abs).sort()) add(path.join(abs, name), base);
+		} else {
+			files.push({ rel: path.relative(base, abs).split(path.sep).join('/'), abs });
+		}
+	};
+	for (const p of paths) {
+		const abs = path.resolve(p);
+		if (!fs.existsSync(abs)) throw new StoreError('File not found: ' + p, 404);
+		add(abs, isInside(process.cwd(), abs) ? process.cwd() : path.dirname(abs));
+	}
+	return files;
+}
+
+function formatCliSize(bytes) {
+	if (bytes < 1024) return bytes + ' B';
+	if (bytes < 1048576) return (bytes / 1024).toFixed(1) + ' KB';
+	return (bytes / 1048576).toFixed(1) + ' MB';
+}
+
+function printIssues(issues) {
+	for (const i of issues) {
+		console.log('  [' + i.kind + '] ' + (i.id ? i.id + ' ' : '') + i.path + (i.detail ? ' (' + i.detail + ')' : ''));
+	}
+}
+
+function formatCliDelta(bytes) {
+	return (bytes < 0 ? '-' : '+') + formatCliSize(Math.abs(bytes));
+}
+
+// "+2 added, -1 removed, 3 changed, 14 assets (+1.2 MB)"
+function formatSummary(s) {
+	const parts = [];
+	if (s.added) parts.push('+' + s.added + ' added');
+	if (s.removed) parts.push('-' + s.removed + ' removed');
+	if (s.renamed) parts.push(s.renamed + ' renamed');
+	if (s.changed) parts.push(s.changed + ' changed');
+	return (parts.length ? parts.join(', ') + ', ' : '') + s.assets.to + ' assets (' + formatCliDelta(s.bytes.delta) + ')';
+}
+
+// One line per added/removed/renamed asset, one per changed field
+function printDiff(diff) {
+	const value = v => v === null ? '—' : typeof v === 'object' ? JSON.stringify(v) : String(v);
+	const printChanges = changes => {
+		for (const [field, c] of Object.entries(changes)) {
+			if (field === 'variants' || field.endsWith('Sha256') || field === 'sha256') {
+				console.log('      ' + field + ' changed');
+			} else if (c.delta !== undefined) {
+				console.log('      ' + field + ': ' + formatCliSize(c.from) + ' → ' + formatCliSize(c.to) + ' (' + formatCliDelta(c.delta) + ')');
+			} else {
+				console.log('      ' + field + ': ' + value(c.from) + ' → ' + value(c.to));
+			}
+		}
+	};
+	for (const a of diff.added) console.log('  + ' + a.id.padEnd(36) + ' ' + a.file + ' (' + formatCliSize(a.size) + ')');
+	for (const a of diff.removed) console.log('  - ' + a.id.padEnd(36) + ' ' + a.file + ' (' + formatCliSize(a.size) + ')');
+	for (const a of diff.renamed) {
+		console.log('  > ' + a.from + ' → ' + a.id);
+		printChanges(a.changes);
+	}
+	for (const a of diff.changed) {
+		console.log('  ~ ' + a.id);
+		printChanges(a.changes);
+	}
+	for (const [oldId, c] of Object.entries(diff.aliases)) console.log('  alias ' + oldId + ': ' + value(c.from) + ' → ' + value(c.to));
+}
+
+// How add-* handles a name that is already taken (see claimAssetName)
+function cliConflict(args) {
+	if (args.flags.replace && args.flags.rename) throw new CliUsageError('--replace and --rename cannot be combined');
+	return args.flags.replace ? 'replace' : args.flags.rename ? 'rename' : null;
+}
+
+// Errors, warnings and stats of a model or texture validation report
+function printReport(report) {
+	for (const e of report.errors) console.log('  error:   ' + e);
+	for (const w of report.warnings) console.log('  warning: ' + w);
+	const st = report.stats;
+	if (st && st.triangles !== undefined) {
+		console.log('  ' + st.meshes + ' mesh(es), ' + st.vertices + ' vertices, ' + st.triangles + ' triangles' +
+			(st.scale !== null ? ', ' + st.scale.toFixed(2) + 'x default size' : ''));
+	} else if (st) {
+		console.log('  ' + st.format.toUpperCase() + ' ' + st.width + 'x' + st.height + ', ' + formatCliSize(st.bytes) +
+			(st.suggested ? ' (--normalize converts to ' + st.suggested.width + 'x' + st.suggested.height + ')' : ''));
+	}
+}
+
+// One line per pack asset (with its conflict), then the pack's errors and warnings
+function printPackReport(report) {
+	for (const a of report.assets) {
+		console.log('  ' + (a.errors.length ? '✗' : a.conflict ? '!' : '✓') + ' ' + String(a.id || a.type).padEnd(36) + ' ' + (a.file || '') +
+			(a.conflict ? ' (exists: ' + a.conflict.existing + ')' : ''));
+	}
+	for (const e of report.errors) console.log('  error:   ' + e);
+	for (const w of report.warnings) console.log('  warning: ' + w);
+	console.log('  ' + report.stats.assets + ' asset(s), ' + report.stats.conflicts + ' conflict(s), ' + formatCliSize(report.stats.bytes));
+}
 
-	// Ensure Previews and DefaultModels folders exist
-	const previewDir = path.join(ROOT, PREVIEW_FOLDER);
-	const defaultModelsDir = path.join(ROOT, DEFAULT_MODELS_FOLDER);
-	if (!fs.existsSync(previewDir)) fs.mkdirSync(previewDir, { recursive: true });
-	if (!fs.existsSync(defaultModelsDir)) fs.mkdirSync(defaultModelsDir, { recursive: true });
+// "Skin added: AWP/Rever.png (skin-awp-rever)" plus conversion note and warnings
+function addedText(kind, result) {
+	const lines = [kind + ' added: ' + result.file + ' (' + result.id + ')' + (result.converted ? ' (converted)' : '')];
+	return lines.concat((result.warnings || []).map(w => '  warning: ' + w)).join('\n');
+}
+
+// Each command returns { result, text, exitCode }; `result` is what --json prints.
+const CLI_COMMANDS = {
+	scan() {
+		const items = scanAll();
+		const lines = items.map(a => a.id.padEnd(36) + ' ' + a.file.padEnd(40) + ' ' + formatCliSize(a.size));
+		return { result: { success: true, count: items.length, items }, text: lines.concat(items.length + ' assets').join('\n') };
+	},
+
+	regenerate() {
+		const items = regenerateManifestFile();
+		return { result: { success: true, count: items.length }, text: 'Manifest regenerated — ' + items.length + ' assets' };
+	},
+
+	verify() {
+		const report = verifyStore();
+		const print = () => {
+			console.log(report.ok ? 'OK — manifest matches disk (' + report.diskCount + ' assets)' : report.issues.length + ' issue(s):');
+			printIssues(report.issues);
+		};
+		return { result: { success: report.ok, ...report }, print, exitCode: report.ok ? 0 : 1 };
+	},
+
+	'validate-manifest'(args) {
+		const file = args.positional[0] || 'manifest.json';
+		let manifest;
+		try { manifest = JSON.parse(readCliFile(file).data.toString('utf-8')); }
+		catch (err) { throw err instanceof StoreError ? err : new StoreError(file + ' is not valid JSON: ' + err.message); }
+		let migrated;
+		try { migrated = migrateManifest(manifest); }
+		catch (err) { throw err instanceof MigrationError ? new StoreError(file + ': ' + err.message) : err; }
+		const { ok, errors } = validateManifest(migrated.manifest);
+		const print = () => {
+			console.log((ok ? 'OK — ' + file + ' is a valid version ' + MANIFEST_VERSION + ' manifest' : file + ' does not match the schema:') +
+				(migrated.migrated ? ' (after upgrading it from version ' + migrated.from + ')' : ''));
+			for (const e of errors) console.log('  error: ' + e);
+		};
+		return { result: { success: ok, version: MANIFEST_VERSION, from: migrated.from, errors }, print, exitCode: ok ? 0 : 1 };
+	},
+
+	repair() {
+		const report = repairStore();
+		const print = () => {
+			console.log('Fixed ' + report.fixed.length + ' issue(s)');
+			if (report.remaining.length) {
+				console.log(report.remaining.length + ' issue(s) need manual action:');
+				printIssues(report.remaining);
+			}
+		};
+		return { result: { success: true, ...report }, print };
+	},
+
+	'add-skin'(args) {
+		const [weapon, file] = args.positional;
+		if (!weapon || !file) throw new CliUsageError('add-skin needs <weapon> <file>');
+		const src = readCliFile(file);
+		const result = saveSkin({
+			weapon,
+			filename: src.filename,
+			data: src.data,
+			preview: args.flags.preview && readCliFile(args.flags.preview).data,
+			credit: args.flags.credit,
+			normalize: !!args.flags.normalize,
+			format: args.flags.webp ? 'webp' : null,
+			onConflict: cliConflict(args),
+		});
+		return { result: { success: true, ...result }, text: addedText('Skin', result) };
+	},
+
+	'add-model'(args) {
+		const [weapon, file] = args.positional;
+		if (!weapon || !file) throw new CliUsageError('add-model needs <weapon> <file.glb>');
+		const result = saveModel({
+			weapon,
+			model: readCliFile(file),
+			texture: args.flags.texture ? readCliFile(args.flags.texture) : null,
+			preview: args.flags.preview && readCliFile(args.flags.preview).data,
+			credit: args.flags.credit,
+			onConflict: cliConflict(args),
+		});
+		return { result: { success: true, ...result }, text: addedText('Model', result) };
+	},
+
+	'check-model'(args) {
+		const [weapon, file] = args.positional;
+		if (!weapon || !file) throw new CliUsageError('check-model needs <weapon> <file.glb>');
+		const report = validateModel(weapon, readCliFile(file).data);
+		const print = () => {
+			console.log(report.ok ? 'OK — ' + file + ' can be uploaded' : file + ' would be rejected:');
+			printReport(report);
+		};
+		return { result: { success: report.ok, report }, print, exitCode: report.ok ? 0 : 1 };
+	},
+
+	'check-texture'(args) {
+		const [file] = args.positional;
+		if (!file) throw new CliUsageError('check-texture needs <file>');
+		const weapon = args.flags.weapon;
+		if (weapon && !getWeapon(weapon)) throw new StoreError('Invalid weapon: ' + weapon);
+		const report = inspectTexture(weapon ? 'skin' : 'special', readCliFile(file).data, weapon);
+		const print = () => {
+			console.log(report.ok ? 'OK — ' + file + ' is within the ' + (weapon ? 'skin' : 'special') + ' limits' : file + ' would be rejected:');
+			printReport(report);
+		};
+		return { result: { success: report.ok, report }, print, exitCode: report.ok ? 0 : 1 };
+	},
+
+	'add-special'(args) {
+		const [file] = args.positional;
+		if (!file) throw new CliUsageError('add-special needs <file>');
+		const src = readCliFile(file);
+		const result = saveSpecial({
+			filename: src.filename,
+			data: src.data,
+			preview: args.flags.preview && readCliFile(args.flags.preview).data,
+			credit: args.flags.credit,
+			normalize: !!args.flags.normalize,
+			format: args.flags.webp ? 'webp' : null,
+			onConflict: cliConflict(args),
+		});
+		return { result: { success: true, ...result }, text: addedText('Special', result) };
+	},
+
+	'render-previews'(args) {
+		const result = renderPreviews({ ids: args.positional, missingOnly: !!args.flags.missing });
+		const lines = result.rendered.map(r => 'Rendered ' + r.preview)
+			.concat(result.failed.map(f => 'Failed   ' + f.id + ': ' + f.error))
+			.concat(result.rendered.length + ' rendered, ' + result.failed.length + ' failed');
+		return { result: { success: result.failed.length === 0, ...result }, text: lines.join('\n'), exitCode: result.failed.length ? 1 : 0 };
+	},
+
+	'build-variants'(args) {
+		const result = buildVariants({ ids: args.positional, missingOnly: !!args.flags.missing });
+		const lines = result.built.map(b => 'Built    ' + b.id + ': ' + b.files.map(f => path.basename(f)).join(', '))
+			.concat(result.failed.map(f => 'Failed   ' + f.id + ': ' + f.error))
+			.concat(result.built.length + ' built, ' + result.failed.length + ' failed');
+		return { result: { success: result.failed.length === 0, ...result }, text: lines.join('\n'), exitCode: result.failed.length ? 1 : 0 };
+	},
+
+	weapons() {
+		const list = describeWeapons();
+		const lines = list.map(w => w.id.padEnd(10) + ' ' + w.name.padEnd(12) + ' ' + w.skinFolder.padEnd(12) + ' ' +
+			w.modelFolder.padEnd(18) + ' ' + w.defaultModel + (w.hasDefaultModel ? '' : '  (missing)'));
+		return { result: { success: true, weapons: list }, text: lines.join('\n') };
+	},
+
+	'add-weapon'(args) {
+		const [id] = args.positional;
+		if (!id) throw new CliUsageError('add-weapon needs <id>');
+		const weapon = addWeapon({
+			id,
+			name: args.flags.name,
+			skinFolder: args.flags['skin-folder'],
+			modelFolder: args.flags['model-folder'],
+			defaultModel: args.flags['default-model'],
+			defaultModelData: args.flags.glb && readCliFile(args.flags.glb).data,
+			replaceDefaultModel: !!args.flags.replace,
+		});
+		return { result: { success: true, weapon }, text: 'Weapon added: ' + weapon.id + ' (' + weapon.name + ')' };
+	},
+
+	rename(args) {
+		const [file] = args.positional;
+		if (!file) throw new CliUsageError('rename needs <asset-file>');
+		if (!args.flags.name && !args.flags.weapon) throw new CliUsageError('rename needs --name and/or --weapon');
+		if (args.flags.replace) throw new CliUsageError('rename cannot --replace; delete the other asset first');
+		const result = renameAsset({ file, name: args.flags.name, weapon: args.flags.weapon, onConflict: cliConflict(args) });
+		return { result: { success: true, ...result }, text: 'Renamed: ' + result.from + ' → ' + result.file + (result.id !== result.fromId ? ' (' + result.fromId + ' → ' + result.id + ')' : '') };
+	},
+
+	delete(args) {
+		const [file] = args.positional;
+		if (!file) throw new CliUsageError('delete needs <asset-file>');
+		const { files, trashId } = removeAsset(file);
+		return { result: { success: true, file, files, trashId }, text: 'Moved to the trash: ' + files.join(', ') + '\nRestore with: node store-manager.js trash-restore ' + trashId };
+	},
+
+	trash() {
+		const entries = listTrash();
+		const print = () => {
+			if (!entries.length) return console.log('The trash is empty');
+			for (const e of entries) {
+				console.log(e.trashId + '  ' + e.file + ' (' + e.id + ')  deleted ' + e.deletedAt.slice(0, 16).replace('T', ' ') +
+					(e.purgeAt ? ', purged after ' + e.purgeAt.slice(0, 10) : ''));
+				for (const f of e.files.slice(1)) console.log('    ' + f);
+			}
+		};
+		return { result: { success: true, entries }, print };
+	},
+
+	'trash-restore'(args) {
+		if (!args.positional.length) throw new CliUsageError('trash-restore needs <trash-id...>');
+		const results = restoreTrashEntries(args.positional);
+		const failed = results.filter(r => r.status === 'failed').length;
+		const text = results.map(r => r.status === 'done' ? r.message + ' (' + r.id + ')' : 'Failed ' + r.trashId + ': ' + r.message).join('\n');
+		return { result: { success: !failed, results }, text, exitCode: failed ? 1 : 0 };
+	},
+
+	'trash-purge'(args) {
+		if (!args.flags.all && !args.positional.length) throw new CliUsageError('trash-purge needs <trash-id...> or --all');
+		const purged = purgeTrash(args.flags.all ? trashIds() : args.positional);
+		return { result: { success: true, purged }, text: 'Purged ' + purged.length + ' trash entr' + (purged.length === 1 ? 'y' : 'ies') };
+	},
+
+	'add-bulk'(args) {
+		if (!args.positional.length) throw new CliUsageError('add-bulk needs <file-or-folder...>');
+		if (args.flags.weapon && !getWeapon(args.flags.weapon)) throw new StoreError('Invalid weapon: ' + args.flags.weapon);
+		const files = listCliFiles(args.positional);
+		const byRel = new Map(files.map(f => [f.rel, f.abs]));
+		const plan = planBulkUpload(files.map(f => f.rel));
+		const results = [];
+		for (const item of plan.items) {
+			if (!item.weapon && item.type !== 'special' && args.flags.weapon) Object.assign(item, { weapon: args.flags.weapon, issues: [] });
+			const entry = { file: item.file, type: item.type, weapon: item.weapon, texture: item.texture, issues: item.issues };
+			results.push(entry);
+			if (args.flags['dry-run']) continue;
+			if (!item.weapon && item.type !== 'special') {
+				entry.error = item.issues.join('; ') + ' (use --weapon)';
+				continue;
+			}
+			const src = readCliFile(byRel.get(item.file));
+			const common = { credit: args.flags.credit, onConflict: cliConflict(args), regenerate: false };
+			const textureOptions = { normalize: !!args.flags.normalize, format: args.flags.webp ? 'webp' : null };
+			try {
+				const result = item.type === 'model'
+					? saveModel({ weapon: item.weapon, model: src, texture: item.texture ? readCliFile(byRel.get(item.texture)) : null, ...common })
+					: item.type === 'skin'
+						? saveSkin({ weapon: item.weapon, filename: src.filename, data: src.data, ...textureOptions, ...common })
+						: saveSpecial({ filename: src.filename, data: src.data, ...textureOptions, ...common });
+				Object.assign(entry, { id: result.id, stored: result.file, warnings: result.warnings });
+			} catch (err) {
+				if (!(err instanceof StoreError)) throw err;
+				entry.error = err.message;
+			}
+		}
+		// One regeneration for the whole drop, as in importPack
+		if (results.some(r => r.stored)) regenerateManifestFile();
+		const failed = results.filter(r => r.error);
+		const print = () => {
+			for (const r of results) {
+				const what = r.type + (r.weapon ? ' ' + r.weapon : '') + (r.texture ? ' + ' + r.texture : '');
+				if (args.flags['dry-run']) console.log('  ' + r.file.padEnd(40) + ' ' + what + (r.issues.length ? ' — ' + r.issues.join('; ') : ''));
+				else if (r.error) console.log('  ✗ ' + r.file + ': ' + r.error);
+				else console.log('  ✓ ' + r.file + ' → ' + r.stored + ' (' + r.id + ')' + (r.warnings || []).map(w => '\n      warning: ' + w).join(''));
+			}
+			for (const u of plan.unused) console.log('  - ' + u.path + ': ' + u.reason);
+			if (!args.flags['dry-run']) console.log((results.length - failed.length) + ' added, ' + failed.length + ' failed, ' + plan.unused.length + ' file(s) left out');
+		};
+		return { result: { success: !failed.length, items: results, unused: plan.unused }, print, exitCode: failed.length ? 1 : 0 };
+	},
+
+	'export-pack'(args) {
+		const ids = args.flags.all ? scanAll().map(a => a.id) : args.positional;
+		if (!ids.length) throw new CliUsageError('export-pack needs <asset-id...> or --all');
+		const zip = exportPack(ids);
+		const out = path.resolve(args.flags.out || packFilename(ids));
+		fs.writeFileSync(out, zip);
+		return { result: { success: true, file: out, assets: ids.length, bytes: zip.length }, text: 'Pack written: ' + out + ' (' + ids.length + ' asset(s), ' + formatCliSize(zip.length) + ')' };
+	},
+
+	'check-pack'(args) {
+		const [file] = args.positional;
+		if (!file) throw new CliUsageError('check-pack needs <file.zip>');
+		const report = inspectPack(readCliFile(file).data);
+		const print = () => {
+			console.log(report.ok ? 'OK — ' + file + ' can be imported' : file + ' would be rejected:');
+			printPackReport(report);
+		};
+		return { result: { success: report.ok, report }, print, exitCode: report.ok ? 0 : 1 };
+	},
+
+	'import-pack'(args) {
+		const [file] = args.positional;
+		if (!file) throw new CliUsageError('import-pack needs <file.zip>');
+		if ([args.flags.replace, args.flags.rename, args.flags.skip].filter(Boolean).length > 1) {
+			throw new CliUsageError('--replace, --rename and --skip cannot be combined');
+		}
+		const onConflict = args.flags.skip ? 'skip' : cliConflict(args);
+		const result = importPack(readCliFile(file).data, { onConflict });
+		const lines = result.imported.map(a => 'Imported ' + a.file + ' (' + a.id + ')')
+			.concat(result.skipped.map(id => 'Skipped  ' + id + ' (already exists)'))
+			.concat(result.imported.length + ' imported, ' + result.skipped.length + ' skipped');
+		return { result: { success: true, ...result }, text: lines.join('\n') };
+	},
+
+	'build-site'(args) {
+		const report = buildSite(args.flags.out || 'site', { baseUrl: args.flags['base-url'] });
+		const lines = ['Site written: ' + report.dir + ' (' + report.files + ' files)',
+			'  ' + report.assets + ' asset(s), ' + report.weapons + ' weapon page(s), ' + report.creators + ' creator(s)',
+			'  Previews and downloads link to ' + report.baseUrl];
+		if (report.removed.length) lines.push('  Removed ' + report.removed.length + ' page(s) no longer generated');
+		return { result: { success: true, ...report }, text: lines.join('\n') };
+	},
+
+	'git-status'() {
+		const status = gitStatus();
+		const print = () => {
+			console.log('On ' + status.branch + (status.upstream ? ' (' + status.upstream + ': ' + status.ahead + ' ahead, ' + status.behind + ' behind)' : ' (no upstream)'));
+			if (status.clean) console.log('Nothing to commit');
+			for (const g of status.groups) {
+				console.log('  ' + g.name + (g.name !== g.id ? ' [' + g.id + ']' : ''));
+				for (const f of g.files) console.log('    ' + f.change.padEnd(9) + ' ' + (f.from ? f.from + ' → ' : '') + f.path);
+			}
+		};
+		return { result: { success: true, ...status }, print };
+	},
+
+	async push(args) {
+		const result = await publishChanges({ message: args.flags.message });
+		const lines = (result.commit ? ['Committed ' + result.commit.commit + ': ' + result.commit.message] : ['Nothing new to commit'])
+			.concat(result.pullRequest
+				? ['Pushed ' + result.branch + ' and opened pull request #' + result.pullRequest.number + ' into ' + result.base, '  ' + result.pullRequest.url]
+				: 'Pushed ' + result.branch + ' to ' + result.upstream);
+		return { result: { success: true, ...result }, text: lines.join('\n') };
+	},
+
+	'refresh-pull-request'(args) {
+		const [branch] = args.positional;
+		if (!branch) throw new CliUsageError('refresh-pull-request needs <branch>');
+		const result = refreshPullRequest(branch);
+		return {
+			result: { success: true, ...result },
+			text: result.merge
+				? 'Merged ' + result.base + ' into ' + result.branch + ' (' + result.merge + ', revision ' + result.revision + ') and pushed it'
+				: result.branch + ' already contains ' + result.base,
+		};
+	},
+
+	'mock-forge'(args) {
+		const port = Number(args.flags.port || MOCK_FORGE_PORT);
+		if (!Number.isInteger(port) || port <= 0) throw new CliUsageError('--port must be a port number');
+		const server = createMockForge({ log: line => console.log('[Mock forge] ' + line) });
+		return new Promise((resolve, reject) => {
+			server.once('error', err => reject(new StoreError('Mock forge cannot listen on port ' + port + ': ' + err.message)));
+			server.listen(port, () => resolve({
+				result: { success: true, apiUrl: 'http://localhost:' + port },
+				text: 'Mock forge on http://localhost:' + port + ' — set publish.forge.apiUrl to it and ' + getPublishConfig().forge.tokenEnv + ' to any value',
+			}));
+		});
+	},
+
+	'switch-branch'(args) {
+		const [branch] = args.positional;
+		if (!branch) throw new CliUsageError('switch-branch needs <branch>');
+		const result = switchBranch({ branch, create: !!args.flags.create });
+		return { result: { success: true, ...result }, text: 'On branch ' + result.current };
+	},
+
+	'changes-since'(args) {
+		const [rev] = args.positional;
+		if (rev === undefined) throw new CliUsageError('changes-since needs <revision>');
+		const result = changesSince(rev);
+		const lines = result.full
+			? ['Revision ' + rev + ' is not covered by changes.json (now at ' + result.revision + '); fetch the whole manifest']
+			: ['Revision ' + rev + ' → ' + result.revision]
+				.concat(result.added.map(id => '  + ' + id), result.updated.map(id => '  ~ ' + id), result.removed.map(id => '  - ' + id));
+		return { result: { success: true, ...result }, text: lines.join('\n') };
+	},
+
+	history() {
+		const items = listHistory();
+		const lines = items.map(v => v.id + '  ' + v.created.slice(0, 19).replace('T', ' ') + '  ' + formatSummary(v.summary) +
+			(v.restoredFrom ? '  (restored ' + v.restoredFrom + ')' : ''));
+		return { result: { success: true, items }, text: lines.concat(items.length + ' version(s)').join('\n') };
+	},
+
+	'history-diff'(args) {
+		const [id] = args.positional;
+		if (!id) throw new CliUsageError('history-diff needs <version-id>');
+		const result = historyDiff(id, args.flags.from || null);
+		const print = () => {
+			console.log((result.from || 'empty store') + ' → ' + id + ': ' + formatSummary(result.diff.summary));
+			printDiff(result.diff);
+		};
+		return { result: { success: true, ...result }, print };
+	},
+
+	restore(args) {
+		const [id] = args.positional;
+		if (!id) throw new CliUsageError('restore needs <version-id>');
+		const result = restoreVersion(id);
+		const lines = ['Restored version ' + id + ' — ' + result.count + ' assets']
+			.concat(result.written.map(f => '  written ' + f), result.removed.map(f => '  removed ' + f));
+		return { result: { success: true, ...result }, text: lines.join('\n') };
+	},
+
+	submissions(args) {
+		const items = listSubmissions({ status: args.flags.all ? 'all' : 'pending' });
+		const lines = items.map(sub => sub.id + '  ' + sub.status.padEnd(9) + ' ' + (sub.type + (sub.weapon ? '/' + sub.weapon : '')).padEnd(14) + ' ' +
+			sub.name.padEnd(24) + ' by ' + sub.submittedBy + (sub.comments.length ? '  (' + sub.comments.length + ' comment(s))' : ''));
+		return { result: { success: true, items }, text: lines.concat(items.length + ' submission(s)').join('\n') };
+	},
+
+	approve(args) {
+		const [id] = args.positional;
+		if (!id) throw new CliUsageError('approve needs <submission-id>');
+		const { submission, result } = approveSubmission(id, { reviewer: 'cli', onConflict: cliConflict(args) });
+		const kind = submission.type[0].toUpperCase() + submission.type.slice(1);
+		return { result: { success: true, ...result }, text: 'Submission ' + id + ' approved\n' + addedText(kind, result) };
+	},
+
+	reject(args) {
+		const [id] = args.positional;
+		if (!id) throw new CliUsageError('reject needs <submission-id>');
+		const submission = rejectSubmission(id, { reviewer: 'cli', reason: args.flags.reason });
+		return { result: { success: true, submission }, text: 'Submission ' + id + ' rejected' };
+	},
+
+	'set-metadata'(args) {
+		const [id] = args.positional;
+		if (!id) throw new CliUsageError('set-metadata needs <asset-id>');
+		if (args.flags.hide && args.flags.show) throw new CliUsageError('--hide and --show cannot be combined');
+		const fields = {};
+		for (const [flag, field] of [['name', 'name'], ['description', 'description'], ['tags', 'tags'], ['rarity', 'rarity'], ['release-date', 'releaseDate']]) {
+			if (args.flags[flag] !== undefined) fields[field] = args.flags[flag];
+		}
+		if (args.flags.hide || args.flags.show) fields.hidden = !!args.flags.hide;
+		if (!Object.keys(fields).length && args.flags.credit === undefined) throw new CliUsageError('set-metadata needs at least one field option');
+		const metadata = setMetadata(id, fields);
+		if (args.flags.credit !== undefined) setCredit(id, args.flags.credit);
+		regenerateManifestFile();
+		const lines = Object.entries(metadata).map(([k, v]) => '  ' + k + ': ' + (Array.isArray(v) ? v.join(', ') : v));
+		return { result: { success: true, id, metadata }, text: ['Metadata of ' + id + ':'].concat(lines.length ? lines : '  (none)').join('\n') };
+	},
+
+	users() {
+		const { users, tokens } = listAccounts();
+		const lines = users.map(u => 'user   ' + u.name.padEnd(20) + ' ' + u.role)
+			.concat(tokens.map(t => 'token  ' + (t.name + ' [' + t.id + ']').padEnd(20) + ' ' + t.role.padEnd(12) + ' ' + t.created.slice(0, 10)));
+		return { result: { success: true, users, tokens }, text: lines.length ? lines.join('\n') : 'No accounts yet' };
+	},
+
+	'add-user'(args) {
+		const [name] = args.positional;
+		if (!name) throw new CliUsageError('add-user needs <name>');
+		const user = addUser({ name, role: args.flags.role || 'viewer', password: args.flags.password });
+		const text = (user.existed ? 'User updated: ' : 'User added: ') + user.name + ' (' + user.role + ')' +
+			(user.password ? '\n  password: ' + user.password : '');
+		return { result: { success: true, ...user }, text };
+	},
+
+	'remove-user'(args) {
+		const [name] = args.positional;
+		if (!name) throw new CliUsageError('remove-user needs <name>');
+		removeUser(name);
+		return { result: { success: true, name }, text: 'User removed: ' + name };
+	},
+
+	'add-token'(args) {
+		const [name] = args.positional;
+		if (!name) throw new CliUsageError('add-token needs <name>');
+		const token = addToken({ name, role: args.flags.role || 'viewer' });
+		return {
+			result: { success: true, ...token },
+			text: 'Token ' + token.id + ' for ' + token.name + ' (' + token.role + ') — shown only once:\n  ' + token.token,
+		};
+	},
+
+	'revoke-token'(args) {
+		const [id] = args.positional;
+		if (!id) throw new CliUsageError('revoke-token needs <id>');
+		revokeToken(id);
+		return { result: { success: true, id }, text: 'Token revoked: ' + id };
+	},
+};
 
-	// Auto-open browser
-	const openCmd = process.platform === 'win32' ? 'start'
-		: process.platform === 'darwin' ? 'open'
-		: 'xdg-open';
+async function runCli(argv) {
+	let args;
 	try {
-		execSync(`${openCmd} http://localhost:${PORT}`, { stdio: 'ignore' });
-	} catch { /* silent */ }
-});
+		args = parseCliArgs(argv);
+	} catch (err) {
+		console.error(err.message);
+		return 2;
+	}
+	const asJson = !!args.flags.json;
+	const name = args.positional.shift();
+
+	if (args.flags.help || name === 'help') {
+		console.log(CLI_USAGE);
+		return 0;
+	}
+	const command = name && Object.prototype.hasOwnProperty.call(CLI_COMMANDS, name) ? CLI_COMMANDS[name] : null;
+	if (!command) {
+		const message = name ? 'Unknown command: ' + name : 'No command given';
+		if (asJson) console.log(JSON.stringify({ success: false, error: message }, null, 2));
+		else console.error(message + '\n\n' + CLI_USAGE);
+		return 2;
+	}
+
+	try {
+		seedHistory();
+		const out = await command(args);
+		if (asJson) console.log(JSON.stringify(out.result, null, 2));
+		else if (out.print) out.print();
+		else console.log(out.text);
+		return out.exitCode || 0;
+	} catch (err) {
+		const exitCode = err instanceof CliUsageError ? 2 : 1;
+		if (asJson) console.log(JSON.stringify({ success: false, error: err.message, ...err.details }, null, 2));
+		else console.error('Error: ' + err.message + (err.details && err.details.conflict
+			? ' (use ' + (name === 'rename' ? '' : '--replace, or ') + '--rename to store it as ' + err.details.conflict.suggested + ')' : ''));
+		return exitCode;
+	}
+}
+
+if (require.main === module) {
+	const argv = process.argv.slice(2);
+	if (argv.length === 0 || argv[0] === 'serve') startServer();
+	else runCli(argv).then(code => { process.exitCode = code; });
+}